@@ -0,0 +1,286 @@
+/**
+ * Alert Engine — user-defined usage threshold alerts.
+ *
+ * Rules live under `alerts` in ~/.alldaypoke/config.json and are evaluated
+ * against the `details` windows that ClaudeOAuthUsageTracker.normalizeUsageData
+ * produces (five_hour, seven_day, seven_day_opus, seven_day_sonnet):
+ *
+ *   {
+ *     "alerts": {
+ *       "enabled": true,
+ *       "quiet_hours": { "start": "22:00", "end": "08:00" },
+ *       "webhook_url": "https://hooks.example.com/claude",
+ *       "rules": [
+ *         { "id": "5h-80",   "window": "five_hour",      "threshold": 80 },
+ *         { "id": "opus-50", "window": "seven_day_opus", "threshold": 50, "cooldown_minutes": 720 },
+ *         { "id": "5h-pace", "window": "five_hour",      "condition": "projected" }
+ *       ]
+ *     }
+ *   }
+ *
+ * Conditions:
+ *   utilization (default) — current utilization >= threshold
+ *   projected             — projected utilization at resets_at >= threshold
+ *                           (default 100), using the low end of the
+ *                           UsageForecaster band so noise can't trigger it
+ *
+ * A rule fires when its condition becomes true (rising edge) and then stays
+ * quiet until it clears and crosses again. `cooldown_minutes` suppresses
+ * re-firing after a quick clear/cross. Firing state is persisted so restarts
+ * don't repeat alerts.
+ *
+ * Actions (`actions`, default all three): "notification", "robot", "webhook".
+ * Quiet hours suppress notification and robot actions; webhooks still fire
+ * since they usually feed automations rather than a person.
+ *
+ * Emits:
+ *   'alert' { rule, window, label, value, threshold, condition, resetsAt,
+ *             message, actions, quiet }
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const UsageForecaster = require('./usage-forecast');
+const log = require('./logger');
+
+const STATE_FILE = path.join(os.homedir(), '.alldaypoke', 'alert-state.json');
+
+const { WINDOWS } = UsageForecaster;
+
+const CONDITIONS = ['utilization', 'projected'];
+const ACTIONS = ['notification', 'robot', 'webhook'];
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+class AlertEngine extends EventEmitter {
+  /**
+   * @param {object} config - the `alerts` section of the app config
+   * @param {object} [options]
+   * @param {UsageForecaster} [options.forecaster] - needed for "projected" rules
+   */
+  constructor(config = {}, options = {}) {
+    super();
+    this.stateFile = STATE_FILE;
+    this.state = this._loadState();
+    this.forecaster = options.forecaster || null;
+    this.setConfig(config);
+  }
+
+  /**
+   * Replace the alert configuration (rules are validated here).
+   */
+  setConfig(config = {}) {
+    this.enabled = config.enabled !== false;
+    this.webhookUrl = typeof config.webhook_url === 'string' && /^https?:\/\//.test(config.webhook_url)
+      ? config.webhook_url
+      : null;
+    this.quietHours = this._parseQuietHours(config.quiet_hours);
+
+    const rules = Array.isArray(config.rules) ? config.rules : [];
+    this.rules = rules
+      .map((r, i) => this._normalizeRule(r, i))
+      .filter(Boolean);
+  }
+
+  /**
+   * Evaluate all rules against a normalized usage payload.
+   * Returns the alerts that fired.
+   */
+  evaluate(usage, now = new Date()) {
+    if (!usage || usage.error) return [];
+
+    if (!this.enabled) return [];
+    const windows = UsageForecaster.extractWindows(usage);
+
+    const fired = [];
+    let stateChanged = false;
+
+    for (const rule of this.rules) {
+      const w = windows[rule.window];
+      if (!w) continue;
+
+      const value = rule.condition === 'projected'
+        ? this._projectedAtReset(rule.window, now)
+        : w.utilization;
+      const met = value !== null && value >= rule.threshold;
+
+      const st = this.state[rule.id] || { active: false, lastFiredAt: 0 };
+      if (!met) {
+        if (st.active) {
+          st.active = false;
+          this.state[rule.id] = st;
+          stateChanged = true;
+        }
+        continue;
+      }
+      if (st.active) continue;
+
+      st.active = true;
+      this.state[rule.id] = st;
+      stateChanged = true;
+
+      if (now.getTime() - st.lastFiredAt < rule.cooldownMs) continue;
+      st.lastFiredAt = now.getTime();
+
+      const alert = {
+        rule: rule.id,
+        window: rule.window,
+        label: WINDOWS[rule.window],
+        condition: rule.condition,
+        value: Math.round(value),
+        threshold: rule.threshold,
+        resetsAt: w.resetsAt,
+        message: this._formatMessage(rule, value),
+        actions: rule.actions,
+        quiet: this.isQuietTime(now),
+      };
+      fired.push(alert);
+    }
+
+    if (stateChanged) this._saveState();
+
+    for (const alert of fired) {
+      log(`Alert fired: ${alert.message}${alert.quiet ? ' (quiet hours)' : ''}`);
+      if (alert.actions.includes('webhook') && this.webhookUrl) {
+        this._postWebhook(alert);
+      }
+      this.emit('alert', alert);
+    }
+    return fired;
+  }
+
+  /**
+   * True when `now` falls inside the configured quiet hours.
+   */
+  isQuietTime(now = new Date()) {
+    if (!this.quietHours) return false;
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const { start, end } = this.quietHours;
+    // Ranges may wrap past midnight (22:00 → 08:00)
+    return start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  // ── Internals ──
+
+  _normalizeRule(rule, index) {
+    if (!rule || typeof rule !== 'object') return null;
+    if (!WINDOWS[rule.window]) {
+      log.warn(`Alert rule #${index}: unknown window "${rule.window}", skipped`);
+      return null;
+    }
+    const condition = rule.condition || 'utilization';
+    if (!CONDITIONS.includes(condition)) {
+      log.warn(`Alert rule #${index}: unknown condition "${condition}", skipped`);
+      return null;
+    }
+    const threshold = Number.isFinite(rule.threshold)
+      ? rule.threshold
+      : (condition === 'projected' ? 100 : null);
+    if (threshold === null) {
+      log.warn(`Alert rule #${index}: missing threshold, skipped`);
+      return null;
+    }
+    const actions = Array.isArray(rule.actions)
+      ? rule.actions.filter(a => ACTIONS.includes(a))
+      : ACTIONS.slice();
+    const cooldown = Number.isFinite(rule.cooldown_minutes) ? rule.cooldown_minutes : DEFAULT_COOLDOWN_MINUTES;
+
+    return {
+      id: String(rule.id || `${rule.window}-${condition}-${threshold}`),
+      window: rule.window,
+      condition,
+      threshold,
+      actions,
+      cooldownMs: Math.max(0, cooldown) * 60 * 1000,
+    };
+  }
+
+  _parseQuietHours(qh) {
+    if (!qh || typeof qh !== 'object') return null;
+    const toMinutes = (s) => {
+      const m = /^(\d{1,2}):(\d{2})$/.exec(String(s || ''));
+      if (!m || +m[1] > 23 || +m[2] > 59) return null;
+      return +m[1] * 60 + +m[2];
+    };
+    const start = toMinutes(qh.start);
+    const end = toMinutes(qh.end);
+    if (start === null || end === null || start === end) {
+      log.warn('Alert quiet_hours ignored: expected { "start": "HH:MM", "end": "HH:MM" }');
+      return null;
+    }
+    return { start, end };
+  }
+
+  /**
+   * Conservative (low-band) projection of utilization at reset, or null when
+   * the forecaster doesn't have enough history yet.
+   */
+  _projectedAtReset(key, now) {
+    if (!this.forecaster) return null;
+    const forecast = this.forecaster.forecast(key, now.getTime());
+    return forecast && forecast.projectedAtReset ? forecast.projectedAtReset.low : null;
+  }
+
+  _formatMessage(rule, value) {
+    const label = WINDOWS[rule.window];
+    if (rule.condition === 'projected') {
+      return `${label} usage is on pace to reach ${Math.round(value)}% before it resets`;
+    }
+    return `${label} usage is at ${Math.round(value)}% (alert at ${rule.threshold}%)`;
+  }
+
+  _postWebhook(alert) {
+    let url;
+    try {
+      url = new URL(this.webhookUrl);
+    } catch {
+      return;
+    }
+    const body = JSON.stringify({
+      source: 'alldaypoke',
+      timestamp: new Date().toISOString(),
+      ...alert,
+    });
+    const client = url.protocol === 'http:' ? http : https;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      timeout: WEBHOOK_TIMEOUT_MS,
+    }, (res) => {
+      res.resume();
+      if (res.statusCode >= 400) log.warn(`Alert webhook returned HTTP ${res.statusCode}`);
+    });
+    req.on('timeout', () => req.destroy(new Error('timed out')));
+    req.on('error', (err) => log.error('Alert webhook failed:', err.message));
+    req.end(body);
+  }
+
+  _loadState() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      return data && typeof data === 'object' ? data : {};
+    } catch {
+      return {};
+    }
+  }
+
+  _saveState() {
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2));
+    } catch (err) {
+      log.error('Failed to save alert state:', err.message);
+    }
+  }
+}
+
+AlertEngine.WINDOWS = WINDOWS;
+
+module.exports = AlertEngine;
@@ -0,0 +1,179 @@
+/**
+ * API Telemetry — rolling error / rate-limit picture of proxied traffic.
+ *
+ * Fed with the 'request-usage' records from ProxyServer's metering mode
+ * (classified by RequestMeter.classifyError). Keeps the last WINDOW_MS of
+ * outcomes in memory and boils them down to a verdict:
+ *
+ *   throttled  a rate_limit error in the last THROTTLE_RECENT_MS — our own
+ *              limit, not the API's
+ *   outage     overloaded / server / network errors make up at least
+ *              OUTAGE_RATE of the last RECENT_MS (min OUTAGE_MIN_ERRORS)
+ *   degraded   more than DEGRADED_RATE of requests in the window failed
+ *   ok         otherwise (including no traffic)
+ *
+ * Emits:
+ *   'update'        summary, at most once per UPDATE_THROTTLE_MS and on
+ *                   every verdict change
+ *   'state-change'  { from, to, summary } when the verdict changes
+ */
+
+const EventEmitter = require('events');
+
+const WINDOW_MS = 60 * 60 * 1000;
+const RECENT_MS = 10 * 60 * 1000;
+const THROTTLE_RECENT_MS = 5 * 60 * 1000;
+
+const OUTAGE_RATE = 0.5;
+const OUTAGE_MIN_ERRORS = 3;
+const DEGRADED_RATE = 0.1;
+const DEGRADED_MIN_ERRORS = 2;
+
+const UPDATE_THROTTLE_MS = 5 * 1000;
+const REFRESH_MS = 30 * 1000;
+
+// Failures that point at the API rather than at the user
+const UPSTREAM_CLASSES = ['overloaded', 'server', 'network'];
+// Cancelled requests and our own budget refusals say nothing about the
+// API's health
+const IGNORED_CLASSES = ['aborted', 'budget'];
+
+class ApiTelemetry extends EventEmitter {
+  constructor() {
+    super();
+    // [{ t, errorClass, error, status, retryAfterMs }], oldest first
+    this.events = [];
+    this.latestRateLimit = null;
+    this.verdict = 'ok';
+    this.lastUpdateAt = 0;
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Add one metered request record.
+   */
+  record(r, now = Date.now()) {
+    if (!r || IGNORED_CLASSES.includes(r.errorClass)) return;
+
+    const t = Number.isFinite(Date.parse(r.timestamp)) ? Date.parse(r.timestamp) + (r.latencyMs || 0) : now;
+    const event = {
+      t,
+      errorClass: r.errorClass || null,
+      error: r.error || null,
+      status: r.status || 0,
+      retryAfterMs: Number.isFinite(r.retryAfterMs) ? r.retryAfterMs : null,
+    };
+    // Records arrive as requests finish, not in `t` order (a slow request
+    // started earlier ends later); keep the list sorted for _prune
+    let i = this.events.length;
+    while (i > 0 && this.events[i - 1].t > t) i--;
+    this.events.splice(i, 0, event);
+    if (r.rateLimit) this.latestRateLimit = { ...r.rateLimit, at: new Date(t).toISOString() };
+    this.refresh(now);
+  }
+
+  /**
+   * Re-evaluate the verdict. Called on every record and, while anything is
+   * wrong, every REFRESH_MS so 'throttled' clears without new traffic.
+   */
+  refresh(now = Date.now()) {
+    const summary = this.getSummary(now);
+    if (summary.verdict !== this.verdict) {
+      const from = this.verdict;
+      this.verdict = summary.verdict;
+      this.lastUpdateAt = now;
+      this.emit('update', summary);
+      this.emit('state-change', { from, to: summary.verdict, summary });
+    } else if (now - this.lastUpdateAt >= UPDATE_THROTTLE_MS) {
+      this.lastUpdateAt = now;
+      this.emit('update', summary);
+    }
+
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    if (summary.errors > 0) {
+      this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_MS);
+      this.refreshTimer.unref();
+    }
+  }
+
+  stop() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Rolling summary of the last hour.
+   */
+  getSummary(now = Date.now()) {
+    this._prune(now);
+    const byClass = {};
+    let errors = 0;
+    let lastError = null;
+    for (const e of this.events) {
+      if (!e.errorClass) continue;
+      errors++;
+      byClass[e.errorClass] = (byClass[e.errorClass] || 0) + 1;
+      lastError = e;
+    }
+
+    const recent = this.events.filter(e => now - e.t <= RECENT_MS);
+    const recentUpstream = recent.filter(e => UPSTREAM_CLASSES.includes(e.errorClass)).length;
+    const lastLimited = [...this.events].reverse().find(e => e.errorClass === 'rate_limit');
+    const throttled = !!lastLimited && now - lastLimited.t <= THROTTLE_RECENT_MS;
+
+    let verdict = 'ok';
+    if (throttled) {
+      verdict = 'throttled';
+    } else if (recentUpstream >= OUTAGE_MIN_ERRORS && recentUpstream / recent.length >= OUTAGE_RATE) {
+      verdict = 'outage';
+    } else if (errors >= DEGRADED_MIN_ERRORS && errors / this.events.length > DEGRADED_RATE) {
+      verdict = 'degraded';
+    }
+
+    // When the limit lifts: Retry-After from the last 429, else the reset
+    // header the API sent with it
+    let retryAt = null;
+    if (throttled) {
+      if (lastLimited.retryAfterMs !== null) {
+        retryAt = new Date(lastLimited.t + lastLimited.retryAfterMs).toISOString();
+      } else if (this.latestRateLimit) {
+        retryAt = resetToISO(this.latestRateLimit['requests-reset'] || this.latestRateLimit['tokens-reset'] ||
+          this.latestRateLimit['unified-reset']);
+      }
+    }
+
+    return {
+      windowMinutes: WINDOW_MS / 60000,
+      requests: this.events.length,
+      errors,
+      errorRate: this.events.length > 0 ? Math.round((errors / this.events.length) * 1000) / 1000 : 0,
+      byClass,
+      recentRequests: recent.length,
+      recentUpstreamErrors: recentUpstream,
+      verdict,
+      retryAt,
+      lastError: lastError
+        ? { errorClass: lastError.errorClass, error: lastError.error, status: lastError.status, at: new Date(lastError.t).toISOString() }
+        : null,
+      rateLimit: this.latestRateLimit,
+    };
+  }
+
+  // ── Internals ──
+
+  _prune(now) {
+    const cutoff = now - WINDOW_MS;
+    while (this.events.length > 0 && this.events[0].t < cutoff) this.events.shift();
+  }
+}
+
+// Reset headers come as ISO dates (requests-reset, tokens-reset) or epoch
+// seconds (unified-reset); retryAt is always ISO, or null
+function resetToISO(value) {
+  if (!value) return null;
+  const ms = /^\d+(\.\d+)?$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+module.exports = ApiTelemetry;
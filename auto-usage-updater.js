@@ -5,7 +5,12 @@ const ClaudeOAuthUsageTracker = require('./claude-oauth-usage-tracker');
 const log = require('./logger');
 
 class AutoUsageUpdater {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.tokenFile] - explicit Claude credentials / token file
+   */
+  constructor(options = {}) {
+    this.tokenFile = options.tokenFile || null;
     this.usageFile = path.join(os.homedir(), '.alldaypoke', 'real-usage.json');
     this.updateInterval = null;
     this.claudeTracker = null;
@@ -16,7 +21,7 @@ class AutoUsageUpdater {
     log('Initializing Claude OAuth-based usage tracking...');
 
     if (!this.claudeTracker) {
-      this.claudeTracker = new ClaudeOAuthUsageTracker();
+      this.claudeTracker = new ClaudeOAuthUsageTracker({ tokenFile: this.tokenFile });
 
       // Listen for usage updates
       this.claudeTracker.on('usage-updated', (data) => {
@@ -0,0 +1,319 @@
+/**
+ * Budget Engine — per-project caps on usage, with warnings and enforcement.
+ *
+ * Budgets live under `budgets` in ~/.alldaypoke/config.json and are checked
+ * against UsageDB.getRanking: percentage caps use the attributed usage
+ * deltas (totalDelta), token caps use the transcript token ledger
+ * (totalTokens). "daily" is since local midnight, "weekly" the last 7 days.
+ *
+ *   {
+ *     "budgets": {
+ *       "enabled": true,
+ *       "warn_at": [50, 80],
+ *       "projects": {
+ *         "side-project": { "weekly_percent": 10, "actions": ["notify", "pause"] },
+ *         "experiments":  { "daily_tokens": 2000000, "warn_at": [90],
+ *                           "actions": ["script"], "script": "~/bin/over-budget.sh" }
+ *       }
+ *     }
+ *   }
+ *
+ * Caps: daily_percent, weekly_percent, daily_tokens, weekly_tokens (any mix).
+ *
+ * Each cap warns once when consumption crosses a `warn_at` percentage of the
+ * cap and fires 'exceeded' once it reaches 100%; both re-arm when
+ * consumption falls back below (the window rolls on). Crossing state is
+ * persisted so restarts don't repeat notifications.
+ *
+ * Actions on exceeding a cap (`actions`, default ["notify"]):
+ *   notify  desktop notification (warnings always notify)
+ *   pause   the metering proxy rejects the project's Messages requests with
+ *           a friendly error until consumption drops under the cap
+ *   script  run `script` with ALLDAYPOKE_PROJECT / _BUDGET / _USED / _LIMIT
+ *           in the environment
+ *
+ * Emits:
+ *   'warning'  { project, cap, label, used, limit, pct, threshold, message }
+ *   'exceeded' { project, cap, label, used, limit, pct, actions, message }
+ *   'paused' / 'resumed' { project, message }
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+const log = require('./logger');
+
+const STATE_FILE = path.join(os.homedir(), '.alldaypoke', 'budget-state.json');
+
+// Cap key → how to measure it
+const CAPS = {
+  daily_percent: { period: 'today', field: 'totalDelta', unit: 'percent', label: 'daily' },
+  weekly_percent: { period: '7d', field: 'totalDelta', unit: 'percent', label: 'weekly' },
+  daily_tokens: { period: 'today', field: 'totalTokens', unit: 'tokens', label: 'daily' },
+  weekly_tokens: { period: '7d', field: 'totalTokens', unit: 'tokens', label: 'weekly' },
+};
+
+const ACTIONS = ['notify', 'pause', 'script'];
+
+const DEFAULT_WARN_AT = [80];
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const SCRIPT_TIMEOUT_MS = 30 * 1000;
+
+class BudgetEngine extends EventEmitter {
+  /**
+   * @param {object} config - the `budgets` section of the app config
+   * @param {object} options
+   * @param {UsageDB} options.usageDB
+   */
+  constructor(config = {}, options = {}) {
+    super();
+    this.usageDB = options.usageDB;
+    this.stateFile = STATE_FILE;
+    this.state = this._loadState();
+    this.status = [];
+    this.paused = new Map();  // project → message
+    this.timer = null;
+    this.setConfig(config);
+  }
+
+  /**
+   * Replace the budget configuration (budgets are validated here).
+   */
+  setConfig(config = {}) {
+    this.enabled = config.enabled !== false;
+    const warnAt = this._parseWarnAt(config.warn_at, DEFAULT_WARN_AT);
+
+    this.budgets = [];
+    const projects = config.projects && typeof config.projects === 'object' ? config.projects : {};
+    for (const [project, budget] of Object.entries(projects)) {
+      const normalized = this._normalizeBudget(project, budget, warnAt);
+      if (normalized) this.budgets.push(normalized);
+    }
+  }
+
+  /**
+   * Re-check budgets every intervalMs (so daily caps lift after midnight
+   * and weekly ones as old usage rolls off) on top of explicit evaluate()
+   * calls after new usage is recorded.
+   */
+  start(intervalMs = DEFAULT_INTERVAL_MS) {
+    this.stop();
+    this.evaluate();
+    this.timer = setInterval(() => this.evaluate(), intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Measure every cap, fire warnings / exceeded events on rising edges and
+   * update the paused set. Returns the current status rows.
+   */
+  evaluate() {
+    if (!this.enabled || !this.usageDB || this.budgets.length === 0) {
+      this.status = [];
+      this._setPaused(new Map());
+      return this.status;
+    }
+
+    const rankings = {};
+    const usageFor = (period, project) => {
+      if (!rankings[period]) {
+        rankings[period] = new Map(this.usageDB.getRanking(period).map(r => [r.project, r]));
+      }
+      return rankings[period].get(project) || null;
+    };
+
+    const status = [];
+    const paused = new Map();
+    let stateChanged = false;
+
+    for (const budget of this.budgets) {
+      for (const [cap, limit] of Object.entries(budget.caps)) {
+        const def = CAPS[cap];
+        const row = usageFor(def.period, budget.project);
+        const used = row ? row[def.field] : 0;
+        const pct = Math.round((used / limit) * 1000) / 10;
+        const exceeded = pct >= 100;
+
+        // Highest threshold crossed (100 = exceeded), 0 = none
+        const level = exceeded ? 100 : budget.warnAt.filter(t => pct >= t).pop() || 0;
+        const key = `${cap}:${budget.project}`;
+        const previous = this.state[key] || 0;
+        if (level !== previous) {
+          if (level) this.state[key] = level;
+          else delete this.state[key];
+          stateChanged = true;
+        }
+
+        const info = {
+          project: budget.project,
+          cap,
+          label: def.label,
+          unit: def.unit,
+          used: def.unit === 'percent' ? Math.round(used * 100) / 100 : used,
+          limit,
+          pct,
+        };
+
+        if (level > previous) {
+          if (exceeded) {
+            const event = { ...info, actions: budget.actions, message: this._formatMessage(info, 'exceeded') };
+            log(`Budget exceeded: ${event.message}`);
+            if (budget.actions.includes('script') && budget.script) this._runScript(budget.script, info);
+            this.emit('exceeded', event);
+          } else {
+            const event = { ...info, threshold: level, message: this._formatMessage(info, 'warning') };
+            log(`Budget warning: ${event.message}`);
+            this.emit('warning', event);
+          }
+        }
+
+        const pausing = exceeded && budget.actions.includes('pause');
+        if (pausing && !paused.has(budget.project)) {
+          paused.set(budget.project, this._formatMessage(info, 'paused'));
+        }
+        status.push({ ...info, warnAt: budget.warnAt, actions: budget.actions, exceeded, paused: pausing });
+      }
+    }
+
+    if (stateChanged) this._saveState();
+    this.status = status;
+    this._setPaused(paused);
+    return status;
+  }
+
+  /**
+   * Current consumption against every cap (as of the last evaluate()).
+   */
+  getStatus() {
+    return this.status;
+  }
+
+  /**
+   * Friendly refusal for a project whose budget pauses it, or null.
+   */
+  checkRequest(project) {
+    return (project && this.paused.get(project)) || null;
+  }
+
+  // ── Internals ──
+
+  _normalizeBudget(project, budget, defaultWarnAt) {
+    if (!budget || typeof budget !== 'object') return null;
+    const caps = {};
+    for (const cap of Object.keys(CAPS)) {
+      if (budget[cap] === undefined) continue;
+      if (!Number.isFinite(budget[cap]) || budget[cap] <= 0) {
+        log.warn(`Budget "${project}": ${cap} must be a positive number, ignored`);
+        continue;
+      }
+      caps[cap] = budget[cap];
+    }
+    if (Object.keys(caps).length === 0) {
+      log.warn(`Budget "${project}": no caps (${Object.keys(CAPS).join(', ')}), skipped`);
+      return null;
+    }
+
+    const actions = Array.isArray(budget.actions)
+      ? budget.actions.filter(a => ACTIONS.includes(a))
+      : ['notify'];
+    const script = typeof budget.script === 'string' && budget.script
+      ? budget.script.replace(/^~(?=$|\/)/, os.homedir())
+      : null;
+    if (actions.includes('script') && !script) {
+      log.warn(`Budget "${project}": "script" action without a script path`);
+    }
+
+    return {
+      project,
+      caps,
+      warnAt: this._parseWarnAt(budget.warn_at, defaultWarnAt),
+      actions,
+      script,
+    };
+  }
+
+  _parseWarnAt(value, fallback) {
+    if (!Array.isArray(value)) return fallback;
+    return [...new Set(value.filter(t => Number.isFinite(t) && t > 0 && t < 100))].sort((a, b) => a - b);
+  }
+
+  _setPaused(paused) {
+    for (const [project, message] of paused) {
+      if (!this.paused.has(project)) this.emit('paused', { project, message });
+    }
+    for (const project of this.paused.keys()) {
+      if (!paused.has(project)) {
+        this.emit('resumed', { project, message: `${project} is back under its budget` });
+      }
+    }
+    this.paused = paused;
+  }
+
+  _formatMessage(info, kind) {
+    const amount = info.unit === 'percent'
+      ? `${info.used.toFixed(1)}% of ${info.limit}%`
+      : `${formatTokens(info.used)} of ${formatTokens(info.limit)} tokens`;
+    switch (kind) {
+      case 'exceeded':
+        return `${info.project} used its ${info.label} budget (${amount})`;
+      case 'paused':
+        return `All Day Poke paused "${info.project}": its ${info.label} budget is used up (${amount}). ` +
+          'Raise it under "budgets" in ~/.alldaypoke/config.json or wait for usage to roll off.';
+      default:
+        return `${info.project} is at ${Math.round(info.pct)}% of its ${info.label} budget (${amount})`;
+    }
+  }
+
+  _runScript(script, info) {
+    const env = {
+      ...process.env,
+      ALLDAYPOKE_PROJECT: info.project,
+      ALLDAYPOKE_BUDGET: info.cap,
+      ALLDAYPOKE_USED: String(info.used),
+      ALLDAYPOKE_LIMIT: String(info.limit),
+    };
+    execFile(script, [], { env, timeout: SCRIPT_TIMEOUT_MS }, (err, stdout, stderr) => {
+      if (err) {
+        log.error(`Budget script ${script} failed: ${err.message}${stderr ? ` — ${stderr.trim()}` : ''}`);
+      } else {
+        log(`Budget script ${script} ran for ${info.project}`);
+      }
+    });
+  }
+
+  _loadState() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      return data && typeof data === 'object' ? data : {};
+    } catch {
+      return {};
+    }
+  }
+
+  _saveState() {
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2));
+    } catch (err) {
+      log.error('Failed to save budget state:', err.message);
+    }
+  }
+}
+
+function formatTokens(tokens) {
+  if (tokens >= 1_000_000) return `${(tokens / 1_000_000).toFixed(1)}M`;
+  if (tokens >= 1_000) return `${(tokens / 1_000).toFixed(0)}K`;
+  return `${Math.round(tokens)}`;
+}
+
+BudgetEngine.CAPS = CAPS;
+
+module.exports = BudgetEngine;
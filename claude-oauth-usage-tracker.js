@@ -1,140 +1,64 @@
 /**
  * Claude OAuth Usage Tracker
  *
- * Reads the OAuth token from the macOS Keychain (where Claude Code stores it),
- * refreshes it if expired, and queries the /api/oauth/usage endpoint to get
- * real subscription usage data (5-hour, 7-day windows, etc.).
+ * Gets Claude Code's OAuth token from TokenManager (which finds it, refreshes
+ * it and writes refreshed tokens back — see token-manager.js) and queries the
+ * /api/oauth/usage endpoint to get real subscription usage data (5-hour,
+ * 7-day windows, etc.). 401s hand the token back to TokenManager; 429s and
+ * other failures back off instead of retrying every poll.
  */
 
-const { execFileSync } = require('child_process');
+const http = require('http');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const EventEmitter = require('events');
+const TokenManager = require('./token-manager');
 const log = require('./logger');
 
-// Claude Code OAuth config (production)
-const CLIENT_ID = '9d1c250a-e61b-44d9-88ed-5944d1962f5e';
-const TOKEN_URL = 'https://console.anthropic.com/v1/oauth/token';
-const USAGE_URL = 'https://api.anthropic.com/api/oauth/usage';
+const USAGE_URL = TokenManager.OAUTH_BASE_URL
+  ? `${TokenManager.OAUTH_BASE_URL.replace(/\/$/, '')}/api/oauth/usage`
+  : 'https://api.anthropic.com/api/oauth/usage';
 const BETA_HEADER = 'oauth-2025-04-20';
-const KEYCHAIN_SERVICE = 'Claude Code-credentials';
+const REQUEST_TIMEOUT_MS = 15 * 1000;
 
 class ClaudeOAuthUsageTracker extends EventEmitter {
   constructor(options = {}) {
     super();
     this.pollIntervalMs = (options.pollIntervalMinutes || 1) * 60 * 1000;
     this.pollTimer = null;
-    this.cachedToken = null;
-    this.cachedTokenExpiresAt = 0;
     this.lastUsageData = null;
     this.usageFile = path.join(os.homedir(), '.alldaypoke', 'real-usage.json');
+    // Explicit credentials / token file (config `claude_token_file`)
+    this.tokenFile = options.tokenFile || null;
+    this.tokens = new TokenManager({ tokenFile: this.tokenFile });
+    // Usage endpoint backoff (429 Retry-After, repeated 401s, outages)
+    this.usageBackoff = new TokenManager.Backoff();
+    this.lastErrorStatus = null;
   }
 
   /**
-   * Read the OAuth credentials from the macOS Keychain.
-   * Claude Code stores them under service "Claude Code-credentials".
+   * { id, label, location, writable } of the source the credentials came
+   * from, or null/false when none was found.
    */
-  readKeychainCredentials() {
-    try {
-      const user = os.userInfo().username;
-      const raw = execFileSync(
-        'security',
-        ['find-generic-password', '-a', user, '-w', '-s', KEYCHAIN_SERVICE],
-        { encoding: 'utf8', timeout: 5000 }
-      ).trim();
-      const creds = JSON.parse(raw);
-      if (creds.claudeAiOauth) {
-        return creds.claudeAiOauth;
-      }
-      return null;
-    } catch (err) {
-      log.error('Failed to read Claude keychain credentials:', err.message);
-      return null;
-    }
+  get credentialSource() {
+    return this.tokens.source;
   }
 
   /**
-   * Refresh the OAuth access token using the refresh token.
+   * Read Claude Code's OAuth credentials from the first source that has them
+   * (token file, env, CLAUDE_CONFIG_DIR, Keychain, libsecret, ~/.claude).
    */
-  async refreshToken(refreshToken) {
-    return new Promise((resolve, reject) => {
-      const body = JSON.stringify({
-        grant_type: 'refresh_token',
-        refresh_token: refreshToken,
-        client_id: CLIENT_ID,
-      });
-
-      const url = new URL(TOKEN_URL);
-      const options = {
-        hostname: url.hostname,
-        port: 443,
-        path: url.pathname,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'claude-code/2.0.29',
-          'Content-Length': Buffer.byteLength(body),
-        },
-      };
-
-      const req = https.request(options, (res) => {
-        let data = '';
-        res.on('data', (chunk) => { data += chunk; });
-        res.on('end', () => {
-          if (res.statusCode === 200) {
-            try {
-              const parsed = JSON.parse(data);
-              resolve(parsed);
-            } catch (e) {
-              reject(new Error(`Failed to parse token response: ${e.message}`));
-            }
-          } else {
-            reject(new Error(`Token refresh failed: HTTP ${res.statusCode} - ${data}`));
-          }
-        });
-      });
-
-      req.on('error', reject);
-      req.write(body);
-      req.end();
-    });
+  readCredentials() {
+    return this.tokens.readCredentials();
   }
 
   /**
    * Get a valid access token, refreshing if necessary.
    */
   async getAccessToken() {
-    // Return cached token if still valid (with 60s buffer)
-    if (this.cachedToken && Date.now() < this.cachedTokenExpiresAt - 60000) {
-      return this.cachedToken;
-    }
-
-    const creds = this.readKeychainCredentials();
-    if (!creds) {
-      throw new Error('No Claude OAuth credentials found in keychain');
-    }
-
-    // Check if the stored token is still valid
-    if (creds.accessToken && creds.expiresAt && Date.now() < creds.expiresAt - 60000) {
-      this.cachedToken = creds.accessToken;
-      this.cachedTokenExpiresAt = creds.expiresAt;
-      return this.cachedToken;
-    }
-
-    // Need to refresh
-    if (!creds.refreshToken) {
-      throw new Error('No refresh token available');
-    }
-
-    log('Refreshing Claude OAuth token...');
-    const tokenData = await this.refreshToken(creds.refreshToken);
-    this.cachedToken = tokenData.access_token;
-    this.cachedTokenExpiresAt = Date.now() + (tokenData.expires_in * 1000);
-    log(`Token refreshed, valid for ${tokenData.expires_in}s`);
-
-    return this.cachedToken;
+    return this.tokens.getAccessToken();
   }
 
   /**
@@ -146,10 +70,8 @@ class ClaudeOAuthUsageTracker extends EventEmitter {
 
     return new Promise((resolve, reject) => {
       const url = new URL(USAGE_URL);
+      const client = url.protocol === 'http:' ? http : https;
       const options = {
-        hostname: url.hostname,
-        port: 443,
-        path: url.pathname,
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -157,9 +79,10 @@ class ClaudeOAuthUsageTracker extends EventEmitter {
           'User-Agent': 'claude-code/2.0.29',
           'anthropic-beta': BETA_HEADER,
         },
+        timeout: REQUEST_TIMEOUT_MS,
       };
 
-      const req = https.request(options, (res) => {
+      const req = client.request(url, options, (res) => {
         let data = '';
         res.on('data', (chunk) => { data += chunk; });
         res.on('end', () => {
@@ -170,16 +93,21 @@ class ClaudeOAuthUsageTracker extends EventEmitter {
               reject(new Error(`Failed to parse usage response: ${e.message}`));
             }
           } else if (res.statusCode === 401) {
-            // Token might be stale - clear cache and retry on next poll
-            this.cachedToken = null;
-            this.cachedTokenExpiresAt = 0;
-            reject(new Error(`Usage API returned 401 - token may be expired`));
+            // Token might be stale - make TokenManager refresh on the next poll
+            this.tokens.reject(token);
+            const err = new Error(`Usage API returned 401 - token may be expired`);
+            err.status = 401;
+            reject(err);
           } else {
-            reject(new Error(`Usage API failed: HTTP ${res.statusCode} - ${data}`));
+            const err = new Error(`Usage API failed: HTTP ${res.statusCode} - ${data}`);
+            err.status = res.statusCode;
+            err.retryAfterMs = TokenManager.parseRetryAfter(res.headers['retry-after']);
+            reject(err);
           }
         });
       });
 
+      req.on('timeout', () => req.destroy(new Error('Usage API request timed out')));
       req.on('error', reject);
       req.end();
     });
@@ -189,11 +117,11 @@ class ClaudeOAuthUsageTracker extends EventEmitter {
    * Convert the raw API response into the normalized format the app expects.
    */
   /**
-   * Detect the subscription tier from keychain credentials.
+   * Detect the subscription tier from the stored credentials.
    * Returns a normalized string: 'pro', 'max_100', or 'max_200'.
    */
   getSubscriptionTier() {
-    const creds = this.readKeychainCredentials();
+    const creds = this.readCredentials();
     const raw = (creds?.subscriptionType || '').toLowerCase();
     if (raw.includes('200') || raw.includes('max_200')) return 'max_200';
     if (raw.includes('max') || raw.includes('100')) return 'max_100';
@@ -212,7 +140,7 @@ class ClaudeOAuthUsageTracker extends EventEmitter {
     const primaryUtilization = fiveHour?.utilization ?? 0;
     const primaryResetAt = fiveHour?.resets_at ?? null;
 
-    // Read actual subscription tier from keychain
+    // Read actual subscription tier from the credentials
     const tier = this.getSubscriptionTier();
     const tierLabels = { pro: 'Claude Pro', max_100: 'Claude Max', max_200: 'Claude Max ($200)' };
 
@@ -273,8 +201,16 @@ class ClaudeOAuthUsageTracker extends EventEmitter {
    * Check usage once: fetch, normalize, save, and emit.
    */
   async checkUsage() {
+    const wait = this.usageBackoff.remainingMs();
+    if (wait > 0) {
+      log(`Usage API backing off, next attempt in ${Math.ceil(wait / 1000)}s`);
+      return null;
+    }
+
     try {
       const rawData = await this.fetchUsage();
+      this.usageBackoff.reset();
+      this.lastErrorStatus = null;
       const normalized = this.normalizeUsageData(rawData);
       this.lastUsageData = normalized;
       this.saveUsage(normalized);
@@ -288,6 +224,14 @@ class ClaudeOAuthUsageTracker extends EventEmitter {
       this.emit('usage-updated', normalized);
       return normalized;
     } catch (err) {
+      // The first 401 just means a refresh is due; back off on anything else
+      // the server said (429 with Retry-After, repeated 401s, 5xx)
+      const repeated401 = err.status === 401 && this.lastErrorStatus === 401;
+      if (err.status && (err.status !== 401 || repeated401)) {
+        const delay = this.usageBackoff.fail(err.retryAfterMs);
+        log.warn(`Usage API backing off for ${Math.round(delay / 1000)}s`);
+      }
+      this.lastErrorStatus = err.status || null;
       log.error('Failed to check Claude usage:', err.message);
       this.emit('error', err);
       return null;
@@ -301,7 +245,7 @@ class ClaudeOAuthUsageTracker extends EventEmitter {
     log('Starting Claude OAuth usage tracker...');
 
     // Verify we can read credentials
-    const creds = this.readKeychainCredentials();
+    const creds = this.readCredentials();
     if (!creds) {
       log.error('No Claude Code OAuth credentials found. Is Claude Code logged in?');
       return false;
@@ -329,8 +273,8 @@ class ClaudeOAuthUsageTracker extends EventEmitter {
       clearInterval(this.pollTimer);
       this.pollTimer = null;
     }
-    this.cachedToken = null;
-    this.cachedTokenExpiresAt = 0;
+    this.tokens.reset();
+    this.usageBackoff.reset();
   }
 
   /**
@@ -0,0 +1,559 @@
+/**
+ * Headless CLI — the `alldaypoke` subcommands that run without Electron.
+ *
+ *   alldaypoke status   [--json] [--short] [--cached] [--token-file <path>]
+ *   alldaypoke sessions [--json]
+ *   alldaypoke ranking  [--period today|7d|30d|all] [--json]
+ *   alldaypoke watch    [--interval <seconds>] [--token-file <path>]
+ *   alldaypoke proxy    [--port <n>] [--upstream <url>] [--record [--dir <path>]]
+ *                       [--replay <file|dir>] [--json]
+ *   alldaypoke agent    [--name <host>] [--connect <addr>] [--token <token>]
+ *   alldaypoke export   [--format csv|ndjson|json] [--period <p>] [--project <name>]
+ *                       [--out <file>]
+ *   alldaypoke import   <file> [--format csv|ndjson|json] --force
+ *   alldaypoke social-server [--port <n>] [--host <addr>] [--db <file>]
+ *
+ * Uses the same modules as the app (ClaudeOAuthUsageTracker, SessionMonitor,
+ * UsageDB), so numbers match the widget. `agent` is the remote agent
+ * (remote-agent.js) for hosts where the app is installed, `social-server`
+ * the self-hosted social ranking (social-server.js, Node 22.5+). The usage database is opened
+ * read-only so the CLI can run alongside the app — except by `import`, which
+ * writes it and so needs the app to be closed.
+ */
+
+// Must be set before any module that logs is loaded
+process.env.ALLDAYPOKE_QUIET = process.env.ALLDAYPOKE_QUIET || '1';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const ClaudeOAuthUsageTracker = require('./claude-oauth-usage-tracker');
+const SessionMonitor = require('./session-monitor');
+const ProjectResolver = require('./project-resolver');
+const ProxyServer = require('./proxy');
+const ProxyRecorder = require('./proxy-recorder');
+const ProxyReplayer = require('./proxy-replayer');
+const UsageDB = require('./usage-db');
+const RemoteAgent = require('./remote-agent');
+const UsageExport = require('./usage-export');
+const DeviceSync = require('./device-sync');
+
+const USAGE_FILE = path.join(os.homedir(), '.alldaypoke', 'real-usage.json');
+const CONFIG_FILE = path.join(os.homedir(), '.alldaypoke', 'config.json');
+
+const VALID_PERIODS = ['today', '7d', '30d', 'all'];
+
+// Live usage is re-fetched this often in `watch` (matches the app's poll rate)
+const WATCH_USAGE_REFRESH_MS = 60 * 1000;
+
+const WINDOW_LABELS = {
+  five_hour: '5-hour',
+  seven_day: '7-day',
+  seven_day_opus: '7-day Opus',
+  seven_day_sonnet: '7-day Sonnet',
+};
+
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  red: '\x1b[31m',
+};
+
+// Skip ANSI colors when piped (tmux status lines, scripts)
+const useColor = process.stdout.isTTY && !process.env.NO_COLOR;
+
+function paint(text, color) {
+  return useColor ? color + text + colors.reset : text;
+}
+
+// ── Argument parsing ──
+
+/**
+ * Parse `--flag`, `--key value` and `--key=value` options.
+ */
+function parseArgs(argv) {
+  const opts = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      opts._.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    if (eq !== -1) {
+      opts[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      opts[arg.slice(2)] = argv[++i];
+    } else {
+      opts[arg.slice(2)] = true;
+    }
+  }
+  return opts;
+}
+
+// ── Formatting ──
+
+function formatResetIn(resetsAt) {
+  if (!resetsAt) return '';
+  const ms = new Date(resetsAt).getTime() - Date.now();
+  if (!Number.isFinite(ms)) return '';
+  if (ms <= 0) return 'resetting';
+  const totalMin = Math.round(ms / 60000);
+  const days = Math.floor(totalMin / 1440);
+  const hours = Math.floor((totalMin % 1440) / 60);
+  const mins = totalMin % 60;
+  if (days > 0) return `resets in ${days}d ${hours}h`;
+  if (hours > 0) return `resets in ${hours}h ${mins}m`;
+  return `resets in ${mins}m`;
+}
+
+function formatTokens(n) {
+  if (!n) return '—';
+  if (n >= 1e9) return (n / 1e9).toFixed(1) + 'B';
+  if (n >= 1e6) return (n / 1e6).toFixed(1) + 'M';
+  if (n >= 1e3) return (n / 1e3).toFixed(1) + 'K';
+  return String(n);
+}
+
+function formatDurationMs(ms) {
+  const totalMin = Math.round((ms || 0) / 60000);
+  if (totalMin < 60) return `${totalMin}m`;
+  return `${Math.floor(totalMin / 60)}h ${totalMin % 60}m`;
+}
+
+function colorForPct(pct) {
+  if (pct >= 90) return colors.red;
+  if (pct >= 70) return colors.yellow;
+  return colors.green;
+}
+
+function bar(pct, width = 20) {
+  const filled = Math.round((Math.max(0, Math.min(100, pct)) / 100) * width);
+  return paint('█'.repeat(filled), colorForPct(pct)) + paint('░'.repeat(width - filled), colors.dim);
+}
+
+// ── Data sources ──
+
+function readCachedUsage() {
+  try {
+    return JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function readAppConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Credentials file from --token-file, else the app's `claude_token_file`.
+ */
+function resolveTokenFile(opts) {
+  if (typeof opts['token-file'] === 'string') return opts['token-file'];
+  return readAppConfig().claude_token_file || null;
+}
+
+// Same project names as the app: repository identity plus the user's rules
+function createSessionMonitor(options = {}) {
+  return new SessionMonitor({ ...options, resolver: new ProjectResolver(readAppConfig().projects, { readOnly: true }) });
+}
+
+/**
+ * Fetch live usage from the OAuth endpoint, falling back to the last value
+ * the app saved. Returns { usage, live } or { usage: null }.
+ */
+async function loadUsage({ cached = false, tokenFile = null } = {}) {
+  if (!cached) {
+    const tracker = new ClaudeOAuthUsageTracker({ tokenFile });
+    tracker.on('error', () => { /* fall back to the cached file below */ });
+    const usage = await tracker.checkUsage();
+    if (usage) return { usage, live: true };
+  }
+  return { usage: readCachedUsage(), live: false };
+}
+
+function usageWindows(usage) {
+  const details = usage.details || {};
+  const windows = [];
+  for (const [key, label] of Object.entries(WINDOW_LABELS)) {
+    if (details[key]) {
+      windows.push({ key, label, utilization: details[key].utilization ?? 0, resetsAt: details[key].resets_at });
+    }
+  }
+  // Older payloads (manual file, /status scraper) only carry the 5-hour pct
+  if (windows.length === 0) {
+    windows.push({ key: 'five_hour', label: '5-hour', utilization: usage.pct ?? usage.percentage ?? 0, resetsAt: usage.reset_at });
+  }
+  return windows;
+}
+
+function renderUsage(usage, live) {
+  const lines = [];
+  const age = usage.timestamp ? Math.round((Date.now() - new Date(usage.timestamp).getTime()) / 60000) : null;
+  const source = live ? 'live' : `cached${age !== null ? `, ${age}m old` : ''}`;
+  lines.push(paint(`${usage.subscription || 'Claude'} usage`, colors.bright) + paint(` (${source})`, colors.dim));
+  for (const w of usageWindows(usage)) {
+    const pct = Math.round(w.utilization);
+    lines.push(`  ${w.label.padEnd(13)} ${bar(pct)} ${String(pct).padStart(3)}%  ${paint(formatResetIn(w.resetsAt), colors.dim)}`);
+  }
+  const extra = usage.details && usage.details.extra_usage;
+  if (extra && extra.is_enabled) {
+    // Amounts are in cents
+    const dollars = (cents) => `$${((Number(cents) || 0) / 100).toFixed(2)}`;
+    const cap = Number.isFinite(extra.monthly_limit) ? ` / ${dollars(extra.monthly_limit)}` : '';
+    lines.push(`  ${'Extra usage'.padEnd(13)} ${dollars(extra.used_credits)}${cap} this month`);
+  }
+  return lines;
+}
+
+function renderSessions(sessions) {
+  if (sessions.length === 0) return [paint('No active Claude Code sessions', colors.dim)];
+  const lines = [paint(`${sessions.length} session(s), ${sessions.filter(s => s.busy).length} busy`, colors.bright)];
+  for (const s of sessions) {
+    const state = s.state || (s.busy ? 'busy' : 'idle');
+    const marker = s.attention
+      ? paint('!', colors.yellow)
+      : (s.busy ? paint('●', colors.green) : paint('○', colors.dim));
+    const where = s.remote ? (s.host ? `@${s.host}` : 'remote') : (s.tty && !s.tty.startsWith('?') ? s.tty : '');
+    lines.push(`  ${marker} ${String(s.project || 'unknown').padEnd(24)} ${state.padEnd(20)} ${String(s.elapsed || '').padEnd(8)} ${paint(where, colors.dim)}`);
+  }
+  return lines;
+}
+
+function renderRanking(ranking, total, period, devices = []) {
+  if (ranking.length === 0) return [paint(`No usage recorded (${period})`, colors.dim)];
+  const lines = [paint(`Usage ranking (${period}) — ${total.totalDelta.toFixed(1)}% · ${formatTokens(total.totalTokens)} tok`, colors.bright)];
+  ranking.forEach((r, i) => {
+    lines.push(
+      `  ${String(i + 1).padStart(2)}. ${String(r.project).padEnd(24)} ${r.totalDelta.toFixed(1).padStart(6)}%  ` +
+      `${formatTokens(r.totalTokens).padStart(7)} tok  ${formatDurationMs(r.totalTimeMs).padStart(7)}`
+    );
+  });
+  // Only worth a section once another device's usage is in the history
+  if (devices.length > 1) {
+    lines.push('', paint('Devices', colors.bright));
+    for (const d of devices) {
+      const claimed = d.claimedDelta > d.totalDelta ? paint(`  (claimed ${d.claimedDelta.toFixed(1)}%)`, colors.dim) : '';
+      lines.push(`      ${String(d.device + (d.local ? ' *' : '')).padEnd(24)} ${d.totalDelta.toFixed(1).padStart(6)}%${claimed}`);
+    }
+  }
+  return lines;
+}
+
+function pollSessionsOnce() {
+  const monitor = createSessionMonitor();
+  monitor.poll();
+  return monitor.getSessions();
+}
+
+// ── Commands ──
+
+async function cmdStatus(opts) {
+  const { usage, live } = await loadUsage({ cached: !!opts.cached, tokenFile: resolveTokenFile(opts) });
+  if (!usage) {
+    if (opts.json) console.log(JSON.stringify({ usage: null, live: false }));
+    else console.error('No usage data: Claude Code OAuth credentials not found and no cached usage.');
+    return 1;
+  }
+
+  if (opts.json) {
+    console.log(JSON.stringify({ usage, live }, null, 2));
+  } else if (opts.short) {
+    // Compact one-liner for tmux / shell prompts, e.g. "5h 42% · 7d 18%"
+    const short = { five_hour: '5h', seven_day: '7d', seven_day_opus: 'opus', seven_day_sonnet: 'sonnet' };
+    console.log(usageWindows(usage).map(w => `${short[w.key]} ${Math.round(w.utilization)}%`).join(' · '));
+  } else {
+    console.log(renderUsage(usage, live).join('\n'));
+  }
+  return 0;
+}
+
+function cmdSessions(opts) {
+  const sessions = pollSessionsOnce();
+  if (opts.json) console.log(JSON.stringify({ sessions }, null, 2));
+  else console.log(renderSessions(sessions).join('\n'));
+  return 0;
+}
+
+function cmdRanking(opts) {
+  const period = opts.period === undefined ? 'all' : opts.period;
+  if (!VALID_PERIODS.includes(period)) {
+    console.error(`Invalid --period "${period}" (expected one of: ${VALID_PERIODS.join(', ')})`);
+    return 2;
+  }
+
+  const db = new UsageDB({ readOnly: true });
+  const ranking = db.getRanking(period);
+  const total = db.getTotalUsage(period);
+  const devices = db.getDeviceUsage(period, DeviceSync.readIdentity().name);
+  db.close();
+
+  if (opts.json) console.log(JSON.stringify({ period, ranking, total, devices }, null, 2));
+  else console.log(renderRanking(ranking, total, period, devices).join('\n'));
+  return 0;
+}
+
+function cmdWatch(opts) {
+  const intervalSec = Number(opts.interval) || 5;
+  if (intervalSec < 1) {
+    console.error('--interval must be at least 1 second');
+    return Promise.resolve(2);
+  }
+
+  const monitor = createSessionMonitor({ pollIntervalSeconds: intervalSec });
+  const tokenFile = resolveTokenFile(opts);
+  let usageState = { usage: readCachedUsage(), live: false };
+  let lastUsageFetch = 0;
+  let timer = null;
+
+  const refreshUsage = async () => {
+    lastUsageFetch = Date.now();
+    const next = await loadUsage({ tokenFile });
+    if (next.usage) usageState = next;
+  };
+
+  const draw = () => {
+    const lines = [];
+    lines.push(paint(`All Day Poke — ${new Date().toLocaleTimeString()}`, colors.cyan) + paint('   (Ctrl-C to quit)', colors.dim));
+    lines.push('');
+    if (usageState.usage) lines.push(...renderUsage(usageState.usage, usageState.live));
+    else lines.push(paint('No usage data yet', colors.dim));
+    lines.push('');
+    lines.push(...renderSessions(monitor.getSessions()));
+    // Clear screen + home cursor, then redraw
+    process.stdout.write('\x1b[2J\x1b[H' + lines.join('\n') + '\n');
+  };
+
+  return new Promise((resolve) => {
+    const quit = () => {
+      clearInterval(timer);
+      monitor.stop();
+      process.stdout.write('\n');
+      resolve(0);
+    };
+    process.once('SIGINT', quit);
+    process.once('SIGTERM', quit);
+
+    monitor.on('sessions-updated', draw);
+    monitor.start();
+    refreshUsage().then(draw);
+
+    timer = setInterval(() => {
+      if (Date.now() - lastUsageFetch >= WATCH_USAGE_REFRESH_MS) refreshUsage().then(draw);
+      draw();
+    }, intervalSec * 1000);
+  });
+}
+
+/**
+ * Run the metering proxy without the app: print one line per Messages API
+ * call, optionally recording traffic or replaying earlier recordings
+ * (deterministic offline runs against a fake upstream).
+ */
+function cmdProxy(opts) {
+  const port = opts.port !== undefined ? Number(opts.port) : 9999;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`Invalid --port "${opts.port}"`);
+    return Promise.resolve(2);
+  }
+  if (opts.replay === true) {
+    console.error('--replay needs a recording file or directory');
+    return Promise.resolve(2);
+  }
+
+  let replayer = null;
+  if (opts.replay) {
+    replayer = new ProxyReplayer(opts.replay);
+    if (replayer.exchanges.length === 0) {
+      console.error(`No recorded exchanges in ${opts.replay}`);
+      return Promise.resolve(1);
+    }
+  }
+  const recorder = opts.record ? new ProxyRecorder({ dir: typeof opts.dir === 'string' ? opts.dir : undefined }) : null;
+
+  let proxy;
+  try {
+    proxy = new ProxyServer(port, '', {
+      metering: { enabled: true, upstream: typeof opts.upstream === 'string' ? opts.upstream : undefined },
+      recorder,
+      replayer,
+    });
+  } catch (err) {
+    console.error(`Invalid --upstream: ${err.message}`);
+    return Promise.resolve(2);
+  }
+
+  proxy.on('request-usage', (r) => {
+    if (opts.json) {
+      console.log(JSON.stringify(r));
+      return;
+    }
+    const status = r.error ? paint(`${r.status} ${r.error}`, colors.red) : paint(String(r.status), colors.green);
+    console.log(
+      `${paint(new Date(r.timestamp).toLocaleTimeString(), colors.dim)}  ${status}  ${r.model}  ` +
+      `${r.project}  ${formatTokens(r.inputTokens + r.cacheReadTokens + r.cacheCreationTokens)} in / ` +
+      `${formatTokens(r.outputTokens)} out  ${r.latencyMs}ms`
+    );
+  });
+
+  return new Promise((resolve) => {
+    const quit = () => {
+      proxy.stop();
+      resolve(0);
+    };
+    process.once('SIGINT', quit);
+    process.once('SIGTERM', quit);
+
+    proxy.start();
+    proxy.server.once('listening', () => {
+      const mode = replayer ? `replaying ${opts.replay}` : `→ ${proxy.upstream.origin}`;
+      console.error(`Metering proxy on http://localhost:${proxy.server.address().port} ${mode}` +
+        (recorder ? ` (recording to ${recorder.dir})` : ''));
+      console.error(`export ANTHROPIC_BASE_URL=http://localhost:${proxy.server.address().port}`);
+    });
+    proxy.server.once('error', (err) => {
+      console.error(`Proxy failed: ${err.message}`);
+      resolve(1);
+    });
+  });
+}
+
+function cmdAgent(opts) {
+  const argv = [];
+  for (const key of ['name', 'connect', 'token']) {
+    if (typeof opts[key] === 'string') argv.push(`--${key}`, opts[key]);
+  }
+  RemoteAgent.main(argv);
+  // Runs until SIGINT / SIGTERM; the agent exits the process itself
+  return new Promise(() => {});
+}
+
+function cmdExport(opts) {
+  const period = opts.period === undefined ? 'all' : opts.period;
+  if (!VALID_PERIODS.includes(period)) {
+    console.error(`Invalid --period "${period}" (expected one of: ${VALID_PERIODS.join(', ')})`);
+    return 2;
+  }
+  const out = typeof opts.out === 'string' ? opts.out : null;
+  const format = typeof opts.format === 'string' ? opts.format : (UsageExport.formatForFile(out) || 'csv');
+  if (!UsageExport.FORMATS.includes(format)) {
+    console.error(`Invalid --format "${format}" (expected one of: ${UsageExport.FORMATS.join(', ')})`);
+    return 2;
+  }
+
+  const db = new UsageDB({ readOnly: true });
+  const project = typeof opts.project === 'string' ? opts.project : null;
+  const records = db.exportRecords({ period, project }, DeviceSync.readIdentity().name);
+  db.close();
+
+  const text = UsageExport.serialize(records, format);
+  if (out) {
+    fs.writeFileSync(out, text);
+    console.error(`Exported ${records.length} records to ${out}`);
+  } else {
+    process.stdout.write(text);
+  }
+  return 0;
+}
+
+function cmdImport(opts) {
+  // `--force <file>` parses as a value of --force
+  const file = opts._[0] || (typeof opts.force === 'string' ? opts.force : null);
+  if (!file) {
+    console.error('Usage: alldaypoke import <file> [--format csv|ndjson|json] --force');
+    return 2;
+  }
+  if (opts.format !== undefined && !UsageExport.FORMATS.includes(opts.format)) {
+    console.error(`Invalid --format "${opts.format}" (expected one of: ${UsageExport.FORMATS.join(', ')})`);
+    return 2;
+  }
+  // The app holds the history in memory and would overwrite the import
+  if (!opts.force) {
+    console.error('Importing writes the usage history, so quit the app first and re-run with --force.');
+    console.error('(Or use IMPORT in the Usage Ranking window while the app is running.)');
+    return 2;
+  }
+
+  let records;
+  try {
+    records = UsageExport.parse(fs.readFileSync(file, 'utf8'), opts.format);
+  } catch (err) {
+    console.error(`Could not read ${file}: ${err.message}`);
+    return 1;
+  }
+
+  const db = new UsageDB();
+  const result = db.importRecords(records, DeviceSync.readIdentity().name);
+  db.close();
+
+  console.log(
+    `Imported ${result.usage} usage, ${result.tokens} token and ${result.requests} request entries, ` +
+    `${result.daily} daily summaries (${result.skipped} skipped)`,
+  );
+  return 0;
+}
+
+function cmdSocialServer(opts) {
+  // Loaded here: only this command needs it (and node:sqlite)
+  const SocialServer = require('./social-server');
+  const port = opts.port !== undefined ? Number(opts.port) : SocialServer.DEFAULT_PORT;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`Invalid --port "${opts.port}"`);
+    return Promise.resolve(2);
+  }
+
+  const server = new SocialServer({
+    port,
+    host: typeof opts.host === 'string' ? opts.host : undefined,
+    dbFile: typeof opts.db === 'string' ? path.resolve(opts.db) : undefined,
+  });
+
+  return new Promise((resolve) => {
+    const quit = () => {
+      server.stop();
+      resolve(0);
+    };
+    process.once('SIGINT', quit);
+    process.once('SIGTERM', quit);
+
+    server.start().then((listening) => {
+      console.error(`Social server on http://${server.host}:${listening} (database ${server.dbFile})`);
+      console.error(`Point the app at it: "social": { "backend": "server", "server_url": "http://<this host>:${listening}" }`);
+    }, (err) => {
+      console.error(`Social server failed: ${err.message}`);
+      resolve(1);
+    });
+  });
+}
+
+const COMMANDS = {
+  status: cmdStatus,
+  sessions: cmdSessions,
+  ranking: cmdRanking,
+  watch: cmdWatch,
+  proxy: cmdProxy,
+  agent: cmdAgent,
+  export: cmdExport,
+  import: cmdImport,
+  'social-server': cmdSocialServer,
+};
+
+/**
+ * Run a headless subcommand. Resolves with the process exit code.
+ */
+async function run(command, argv) {
+  const handler = COMMANDS[command];
+  if (!handler) throw new Error(`Unknown command: ${command}`);
+  return handler(parseArgs(argv));
+}
+
+module.exports = { run, COMMANDS: Object.keys(COMMANDS), parseArgs };
@@ -0,0 +1,346 @@
+/**
+ * Credential Sources — where to find Claude Code's OAuth credentials.
+ *
+ * Claude Code keeps its login in a different place per platform. Sources are
+ * tried in this order and the first one that yields an access token wins:
+ *
+ *   1. token-file   explicit file from config `claude_token_file` or
+ *                   $ALLDAYPOKE_TOKEN_FILE — either a credentials JSON or a
+ *                   bare token (e.g. from `claude setup-token`)
+ *   2. env          $CLAUDE_CODE_OAUTH_TOKEN
+ *   3. config-dir   $CLAUDE_CONFIG_DIR/.credentials.json (only when set)
+ *   4. keychain     macOS Keychain, service "Claude Code-credentials"
+ *   5. libsecret    Secret Service via `secret-tool` (Linux desktops)
+ *   6. file         ~/.claude/.credentials.json (Linux, Windows, fallback)
+ *
+ * discoverCredentials() also returns every attempt with a status so the setup
+ * wizard and logs can explain why nothing was found. writeCredentials() puts
+ * refreshed tokens back where they came from (everything except the env var),
+ * keeping any other keys Claude Code stores alongside them.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const KEYCHAIN_SERVICE = 'Claude Code-credentials';
+const CREDENTIALS_FILENAME = '.credentials.json';
+const EXEC_TIMEOUT_MS = 5000;
+
+/**
+ * Normalize whatever a source returned into
+ * { accessToken, refreshToken, expiresAt, subscriptionType, scopes }.
+ * Accepts Claude Code's `{ claudeAiOauth: {...} }` wrapper, the bare inner
+ * object, or a raw token string.
+ */
+function parseCredentials(raw) {
+  if (typeof raw === 'string') {
+    const text = raw.trim();
+    if (!text) return null;
+    if (!text.startsWith('{')) {
+      // Bare long-lived token: no refresh token, no known expiry
+      return { accessToken: text, refreshToken: null, expiresAt: null, subscriptionType: null, scopes: [] };
+    }
+    raw = JSON.parse(text);
+  }
+  const oauth = raw && (raw.claudeAiOauth || raw);
+  if (!oauth || typeof oauth.accessToken !== 'string' || !oauth.accessToken) return null;
+  return {
+    accessToken: oauth.accessToken,
+    refreshToken: oauth.refreshToken || null,
+    expiresAt: Number.isFinite(oauth.expiresAt) ? oauth.expiresAt : null,
+    subscriptionType: oauth.subscriptionType || null,
+    scopes: Array.isArray(oauth.scopes) ? oauth.scopes : [],
+  };
+}
+
+function readJsonFile(file) {
+  if (!fs.existsSync(file)) return null;
+  return { credentials: parseCredentials(fs.readFileSync(file, 'utf8')), location: file };
+}
+
+/**
+ * Merge refreshed tokens into a stored credentials blob (JSON text), keeping
+ * the wrapper shape and any unrelated keys. Returns the new JSON text.
+ */
+function mergeCredentials(text, credentials) {
+  let data = {};
+  const trimmed = (text || '').trim();
+  if (trimmed) {
+    if (!trimmed.startsWith('{')) throw new Error('holds a bare token, not a credentials JSON');
+    data = JSON.parse(trimmed);
+  }
+  // Keep the bare inner-object shape if that's what was stored
+  const target = data.claudeAiOauth || (data.accessToken ? data : (data.claudeAiOauth = {}));
+  target.accessToken = credentials.accessToken;
+  target.refreshToken = credentials.refreshToken;
+  target.expiresAt = credentials.expiresAt;
+  if (credentials.scopes && credentials.scopes.length > 0) target.scopes = credentials.scopes;
+  return JSON.stringify(data);
+}
+
+/**
+ * Atomically rewrite a credentials file, keeping its permissions (0600 for
+ * new files).
+ */
+function writeJsonFile(file, credentials) {
+  const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  const text = mergeCredentials(existing, credentials);
+  let mode = 0o600;
+  try { mode = fs.statSync(file).mode & 0o777; } catch { /* new file */ }
+
+  const tmp = `${file}.tmp-${process.pid}`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tmp, text, { mode });
+  fs.renameSync(tmp, file);
+}
+
+function commandExists(cmd) {
+  try {
+    execFileSync(process.platform === 'win32' ? 'where' : 'which', [cmd], { stdio: 'ignore', timeout: EXEC_TIMEOUT_MS });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ── Sources ──
+// read() returns { credentials, location } when something was found, null
+// when the source has nothing, or throws with a diagnostic message. write()
+// stores refreshed credentials; sources without it are read-only.
+
+function tokenFileSource(options) {
+  const tokenFile = () => (options.tokenFile || process.env.ALLDAYPOKE_TOKEN_FILE).replace(/^~(?=$|[\\/])/, os.homedir());
+  return {
+    id: 'token-file',
+    label: 'Token file',
+    applies: () => !!(options.tokenFile || process.env.ALLDAYPOKE_TOKEN_FILE),
+    read: () => {
+      const file = tokenFile();
+      if (!fs.existsSync(file)) throw new Error(`${file} does not exist`);
+      return readJsonFile(file);
+    },
+    write: (credentials) => writeJsonFile(tokenFile(), credentials),
+  };
+}
+
+function envTokenSource() {
+  return {
+    id: 'env',
+    label: 'CLAUDE_CODE_OAUTH_TOKEN',
+    applies: () => !!process.env.CLAUDE_CODE_OAUTH_TOKEN,
+    read: () => ({
+      credentials: parseCredentials(process.env.CLAUDE_CODE_OAUTH_TOKEN),
+      location: '$CLAUDE_CODE_OAUTH_TOKEN',
+    }),
+  };
+}
+
+function configDirSource() {
+  return {
+    id: 'config-dir',
+    label: 'CLAUDE_CONFIG_DIR',
+    applies: () => !!process.env.CLAUDE_CONFIG_DIR,
+    read: () => readJsonFile(path.join(process.env.CLAUDE_CONFIG_DIR, CREDENTIALS_FILENAME)),
+    write: (credentials) => writeJsonFile(path.join(process.env.CLAUDE_CONFIG_DIR, CREDENTIALS_FILENAME), credentials),
+  };
+}
+
+function keychainSource() {
+  return {
+    id: 'keychain',
+    label: 'macOS Keychain',
+    applies: () => process.platform === 'darwin',
+    read: () => {
+      let raw;
+      try {
+        raw = execFileSync(
+          'security',
+          ['find-generic-password', '-a', os.userInfo().username, '-w', '-s', KEYCHAIN_SERVICE],
+          { encoding: 'utf8', timeout: EXEC_TIMEOUT_MS, stdio: ['ignore', 'pipe', 'ignore'] }
+        );
+      } catch (err) {
+        // Exit code 44 = item not found
+        if (err.status === 44) return null;
+        throw new Error(`security: ${err.message.split('\n')[0]}`);
+      }
+      return { credentials: parseCredentials(raw), location: `Keychain "${KEYCHAIN_SERVICE}"` };
+    },
+    write: (credentials) => {
+      const user = os.userInfo().username;
+      const find = () => execFileSync(
+        'security',
+        ['find-generic-password', '-a', user, '-w', '-s', KEYCHAIN_SERVICE],
+        { encoding: 'utf8', timeout: EXEC_TIMEOUT_MS, stdio: ['ignore', 'pipe', 'ignore'] }
+      );
+      let existing = '';
+      try {
+        existing = find();
+      } catch { /* new item */ }
+      // -U updates the existing item in place. The command goes to
+      // `security -i` on stdin so the secret never shows up in `ps`; -X takes
+      // it hex-encoded, which needs no quoting
+      const merged = mergeCredentials(existing, credentials);
+      execFileSync('security', ['-i'], {
+        input: `add-generic-password -U -a ${quoteSecurityArg(user)} -s ${quoteSecurityArg(KEYCHAIN_SERVICE)} -X ${Buffer.from(merged, 'utf8').toString('hex')}\n`,
+        timeout: EXEC_TIMEOUT_MS,
+        stdio: ['pipe', 'ignore', 'ignore'],
+      });
+      // Interactive mode exits 0 even when the command fails
+      let stored = null;
+      try {
+        stored = find();
+      } catch { /* checked below */ }
+      if (!stored || stored.trim() !== merged.trim()) throw new Error('security: the Keychain item was not updated');
+    },
+  };
+}
+
+// A double-quoted argument for a `security -i` command line
+function quoteSecurityArg(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+function libsecretSource() {
+  return {
+    id: 'libsecret',
+    label: 'Secret Service (libsecret)',
+    applies: () => process.platform === 'linux',
+    read: () => {
+      if (!commandExists('secret-tool')) throw new Error('secret-tool not installed');
+      const attempts = [
+        ['lookup', 'service', KEYCHAIN_SERVICE, 'account', os.userInfo().username],
+        ['lookup', 'service', KEYCHAIN_SERVICE],
+      ];
+      for (const args of attempts) {
+        try {
+          const raw = execFileSync('secret-tool', args, {
+            encoding: 'utf8', timeout: EXEC_TIMEOUT_MS, stdio: ['ignore', 'pipe', 'ignore'],
+          });
+          if (raw.trim()) {
+            return { credentials: parseCredentials(raw), location: `Secret Service "${KEYCHAIN_SERVICE}"` };
+          }
+        } catch {
+          // Exit 1 = no matching item; try the next attribute set
+        }
+      }
+      return null;
+    },
+    write: (credentials) => {
+      const attrs = ['service', KEYCHAIN_SERVICE, 'account', os.userInfo().username];
+      let existing = '';
+      try {
+        existing = execFileSync('secret-tool', ['lookup', ...attrs], {
+          encoding: 'utf8', timeout: EXEC_TIMEOUT_MS, stdio: ['ignore', 'pipe', 'ignore'],
+        });
+      } catch { /* new item */ }
+      // The secret is read from stdin so it never shows up in `ps`
+      execFileSync('secret-tool', ['store', `--label=${KEYCHAIN_SERVICE}`, ...attrs], {
+        input: mergeCredentials(existing, credentials), timeout: EXEC_TIMEOUT_MS, stdio: ['pipe', 'ignore', 'ignore'],
+      });
+    },
+  };
+}
+
+function homeFileSource() {
+  return {
+    id: 'file',
+    label: '~/.claude/.credentials.json',
+    applies: () => true,
+    read: () => readJsonFile(path.join(os.homedir(), '.claude', CREDENTIALS_FILENAME)),
+    write: (credentials) => writeJsonFile(path.join(os.homedir(), '.claude', CREDENTIALS_FILENAME), credentials),
+  };
+}
+
+/**
+ * Sources in priority order.
+ * @param {object} [options]
+ * @param {string} [options.tokenFile] - explicit credentials / token file
+ */
+function getSources(options = {}) {
+  return [
+    tokenFileSource(options),
+    envTokenSource(),
+    configDirSource(),
+    keychainSource(),
+    libsecretSource(),
+    homeFileSource(),
+  ];
+}
+
+/**
+ * Try every source in order.
+ *
+ * @returns {{ credentials: object|null, source: object|null, attempts: object[] }}
+ *   `source` is { id, label, location } of the winner; each attempt is
+ *   { id, label, status: 'found'|'empty'|'missing'|'error'|'skipped', detail }
+ */
+function discoverCredentials(options = {}) {
+  const attempts = [];
+  let winner = null;
+
+  for (const source of getSources(options)) {
+    const attempt = { id: source.id, label: source.label, status: 'missing', detail: null };
+    attempts.push(attempt);
+
+    if (winner) {
+      attempt.status = 'skipped';
+      attempt.detail = 'lower priority';
+      continue;
+    }
+    if (!source.applies()) {
+      attempt.status = 'skipped';
+      attempt.detail = 'not applicable';
+      continue;
+    }
+
+    try {
+      const result = source.read();
+      if (!result) continue;
+      attempt.detail = result.location;
+      if (!result.credentials) {
+        attempt.status = 'empty';
+        attempt.detail = `${result.location} has no access token`;
+        continue;
+      }
+      attempt.status = 'found';
+      winner = {
+        credentials: result.credentials,
+        source: { id: source.id, label: source.label, location: result.location, writable: typeof source.write === 'function' },
+      };
+    } catch (err) {
+      attempt.status = 'error';
+      attempt.detail = err.message;
+    }
+  }
+
+  return {
+    credentials: winner ? winner.credentials : null,
+    source: winner ? winner.source : null,
+    attempts,
+  };
+}
+
+/**
+ * Store refreshed credentials back into the source they were read from.
+ * Throws when the source is read-only (env var) or the write fails.
+ *
+ * @param {string} sourceId - `source.id` from discoverCredentials()
+ * @param {object} credentials - { accessToken, refreshToken, expiresAt, scopes }
+ * @param {object} [options] - same options passed to discoverCredentials()
+ */
+function writeCredentials(sourceId, credentials, options = {}) {
+  const source = getSources(options).find(s => s.id === sourceId);
+  if (!source) throw new Error(`Unknown credential source "${sourceId}"`);
+  if (typeof source.write !== 'function') throw new Error(`${source.label} is read-only`);
+  source.write(credentials);
+}
+
+module.exports = {
+  discoverCredentials,
+  writeCredentials,
+  getSources,
+  parseCredentials,
+  KEYCHAIN_SERVICE,
+};
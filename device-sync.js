@@ -0,0 +1,294 @@
+/**
+ * Device Sync — one subscription used from several machines.
+ *
+ * Each machine attributes every rise of the shared usage window to its own
+ * busy sessions (UsageDB.recordUsage), so a laptop and a workstation on the
+ * same account both count the same usage. DeviceSync shares each device's
+ * usage claims with the others over a channel and has UsageDB reconcile the
+ * overlapping ones:
+ *
+ *   - folder: one <device id>.json per device in a folder every machine
+ *     sees (Dropbox, Syncthing, iCloud Drive, a network share), rewritten
+ *     on every sync
+ *   - social: the `devices` and `device_usage` tables of the signed-in
+ *     social account, on whichever backend it uses (social-backend.js)
+ *
+ * Every SYNC_INTERVAL_MS the claims of the last CLAIM_DAYS are published and
+ * the other devices' claims merged in (UsageDB.mergeDeviceClaims).
+ * settledBefore() tells SocialSync up to when entries are final, so the
+ * social ranking only gets reconciled numbers.
+ *
+ * A device is identified by a random id kept in ~/.alldaypoke/device.json,
+ * next to its display name (the hostname unless `devices.name` is set).
+ *
+ * Events:
+ *   'synced'  { added, devices }
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const log = require('./logger');
+
+const IDENTITY_FILE = path.join(os.homedir(), '.alldaypoke', 'device.json');
+const CHANNELS = ['folder', 'social'];
+
+const SYNC_INTERVAL_MS = 2 * 60 * 1000;
+// Claims older than this are neither published nor fetched (within
+// UsageDB's RECONCILE_DAYS)
+const CLAIM_DAYS = 7;
+// Entries younger than this may still be matched by a claim another
+// device hasn't published yet
+const SETTLE_MS = 10 * 60 * 1000;
+// A device silent for longer no longer holds entries back from settling
+const PEER_STALE_MS = 60 * 60 * 1000;
+
+class DeviceSync extends EventEmitter {
+  /**
+   * @param {object} config - `devices` section of config.json
+   * @param {'folder'|'social'} config.channel
+   * @param {string} [config.folder] - shared folder for the folder channel
+   * @param {object} deps
+   * @param {UsageDB} deps.usageDB
+   * @param {{ id, name }} deps.identity - see DeviceSync.loadIdentity
+   * @param {object} [deps.backend] - social backend for the social channel
+   */
+  constructor(config, { usageDB, identity, backend = null }) {
+    super();
+    this.usageDB = usageDB;
+    this.identity = identity;
+    this.channel = config.channel === 'social'
+      ? new SocialChannel(backend)
+      : new FolderChannel(config.folder);
+    this.peers = new Map(); // device id -> { name, syncedAt }
+    this.lastSyncAt = null;
+    this.timer = null;
+    this.syncing = false;
+  }
+
+  start() {
+    this.sync();
+    this.timer = setInterval(() => this.sync(), SYNC_INTERVAL_MS);
+    log(`Device sync started for "${this.identity.name}" (${this.channel.describe()})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Publish this device's claims, merge the other devices' and reconcile.
+   */
+  async sync() {
+    if (this.syncing) return;
+    this.syncing = true;
+    try {
+      const since = new Date(Date.now() - CLAIM_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      const startedAt = new Date().toISOString();
+      const peers = await this.channel.exchange(this.identity, this.usageDB.getDeviceClaims(since), since);
+      if (!peers) return; // channel not ready (signed out)
+      for (const peer of peers) {
+        this.peers.set(peer.device.id, { name: peer.device.name, syncedAt: peer.syncedAt });
+      }
+      const added = this.usageDB.mergeDeviceClaims(peers);
+      this.lastSyncAt = startedAt;
+      this.emit('synced', { added, devices: this.getDevices() });
+    } catch (err) {
+      log.error('Device sync failed:', err.message);
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Entries up to this ISO timestamp won't be changed by claims still to
+   * come: they are older than SETTLE_MS and every device heard from lately
+   * had published past them when we last fetched.
+   */
+  settledBefore() {
+    let settled = Date.now() - SETTLE_MS;
+    // Never exchanged yet: wait as long as for a device that went quiet
+    settled = Math.min(settled, this.lastSyncAt ? new Date(this.lastSyncAt).getTime() : Date.now() - PEER_STALE_MS);
+    for (const peer of this.peers.values()) {
+      const seen = new Date(peer.syncedAt).getTime();
+      if (Date.now() - seen < PEER_STALE_MS) settled = Math.min(settled, seen);
+    }
+    return new Date(settled).toISOString();
+  }
+
+  /**
+   * @returns {Array<{id, name, local, syncedAt}>} this device first
+   */
+  getDevices() {
+    return [
+      { id: this.identity.id, name: this.identity.name, local: true, syncedAt: this.lastSyncAt },
+      ...[...this.peers].map(([id, peer]) => ({ id, name: peer.name, local: false, syncedAt: peer.syncedAt })),
+    ];
+  }
+
+  /**
+   * This machine's device id and name, creating the id on first use. A
+   * `name` given (config `devices.name`) replaces the stored one, so the
+   * CLI picks it up too.
+   *
+   * @param {string} [name]
+   * @returns {{ id, name }}
+   */
+  static loadIdentity(name = null) {
+    const identity = readIdentityFile();
+    const wanted = name || (identity && identity.name) || os.hostname();
+    if (identity && typeof identity.id === 'string' && identity.id && identity.name === wanted) {
+      return { id: identity.id, name: identity.name };
+    }
+
+    const updated = { id: (identity && identity.id) || crypto.randomUUID(), name: wanted };
+    try {
+      fs.mkdirSync(path.dirname(IDENTITY_FILE), { recursive: true });
+      fs.writeFileSync(IDENTITY_FILE, JSON.stringify(updated, null, 2));
+      if (!identity) log(`Device sync: this device is ${updated.id} ("${updated.name}")`);
+    } catch (err) {
+      log.error('Device sync: could not save the device identity:', err.message);
+    }
+    return updated;
+  }
+
+  /**
+   * This machine's device id and name as stored, without creating or
+   * renaming anything (for the CLI; only the app writes the identity).
+   *
+   * @returns {{ id, name }} id is null before the app first ran
+   */
+  static readIdentity() {
+    const identity = readIdentityFile();
+    if (identity && typeof identity.id === 'string' && identity.id) {
+      return { id: identity.id, name: identity.name || os.hostname() };
+    }
+    return { id: null, name: os.hostname() };
+  }
+}
+
+function readIdentityFile() {
+  try {
+    return JSON.parse(fs.readFileSync(IDENTITY_FILE, 'utf8'));
+  } catch {
+    return null; // not created yet
+  }
+}
+
+// ── Channels ──
+//
+// exchange(identity, claims, since) publishes this device's claims and
+// resolves with [{ device: { id, name }, syncedAt, claims }] for the others,
+// or null when the channel can't be used right now.
+
+class FolderChannel {
+  constructor(folder) {
+    if (!folder) throw new Error('devices.folder is not set');
+    this.folder = path.resolve(folder.replace(/^~(?=$|[\\/])/, os.homedir()));
+  }
+
+  describe() {
+    return `folder ${this.folder}`;
+  }
+
+  async exchange(identity, claims, since) {
+    await fs.promises.mkdir(this.folder, { recursive: true });
+    const own = path.join(this.folder, `${identity.id}.json`);
+    const temp = path.join(this.folder, `.${identity.id}.json.tmp`);
+    const document = { version: 1, device: identity, syncedAt: new Date().toISOString(), claims };
+    // Synced folders pick up partial files; only ever rename a complete one in
+    await fs.promises.writeFile(temp, JSON.stringify(document));
+    await fs.promises.rename(temp, own);
+
+    const peers = [];
+    for (const file of await fs.promises.readdir(this.folder)) {
+      if (!file.endsWith('.json') || file === `${identity.id}.json`) continue;
+      try {
+        const peer = JSON.parse(await fs.promises.readFile(path.join(this.folder, file), 'utf8'));
+        if (!peer || !peer.device || typeof peer.device.id !== 'string' || !Array.isArray(peer.claims)) continue;
+        if (peer.device.id === identity.id) continue;
+        peers.push({
+          device: { id: peer.device.id, name: String(peer.device.name || peer.device.id) },
+          syncedAt: peer.syncedAt,
+          claims: peer.claims.filter(c => c && c.timestamp >= since),
+        });
+      } catch (err) {
+        // Mid-sync copies and conflict files; the next round reads them again
+        log.warn(`Device sync: skipping ${file}: ${err.message}`);
+      }
+    }
+    return peers;
+  }
+}
+
+class SocialChannel {
+  constructor(backend) {
+    if (!backend) throw new Error('the social channel needs a social backend');
+    this.backend = backend;
+    this.publishedUntil = null; // newest claim timestamp already uploaded
+    this.fetchedUntil = null;   // newest uploaded_at already fetched
+  }
+
+  describe() {
+    return `social account on ${this.backend.describe()}`;
+  }
+
+  async exchange(identity, claims, since) {
+    if (!await this.backend.getCurrentUser()) return null; // picked up once signed in
+
+    const fresh = claims.filter(c => !this.publishedUntil || c.timestamp > this.publishedUntil);
+    if (fresh.length > 0) {
+      await this.backend.insertDeviceUsage(fresh.map(c => ({
+        device_id: identity.id,
+        project: c.project,
+        branch: c.branch,
+        claimed_percent: c.claimedPercent,
+        active_time_ms: c.activeTimeMs,
+        logged_at: c.timestamp,
+        window_resets_at: c.window.resetsAt,
+        window_from: c.window.from,
+        window_to: c.window.to,
+      })));
+      this.publishedUntil = fresh.reduce((max, c) => (c.timestamp > max ? c.timestamp : max), '');
+    }
+
+    await this.backend.publishDevice(identity);
+    const devices = await this.backend.getDevices();
+    const byDevice = new Map(devices.filter(d => d.device_id !== identity.id).map(d => [d.device_id, {
+      device: { id: d.device_id, name: d.name },
+      syncedAt: d.synced_at,
+      claims: [],
+    }]));
+
+    const rows = await this.backend.getDeviceUsage({
+      excludeDevice: identity.id,
+      since,
+      uploadedAfter: this.fetchedUntil,
+    });
+    for (const row of rows) {
+      const peer = byDevice.get(row.device_id);
+      if (!peer) continue;
+      peer.claims.push({
+        timestamp: row.logged_at,
+        project: row.project,
+        branch: row.branch,
+        claimedPercent: row.claimed_percent,
+        activeTimeMs: row.active_time_ms,
+        window: { resetsAt: row.window_resets_at, from: row.window_from, to: row.window_to },
+      });
+      if (!this.fetchedUntil || row.uploaded_at > this.fetchedUntil) this.fetchedUntil = row.uploaded_at;
+    }
+
+    return [...byDevice.values()];
+  }
+}
+
+DeviceSync.IDENTITY_FILE = IDENTITY_FILE;
+DeviceSync.CHANNELS = CHANNELS;
+
+module.exports = DeviceSync;
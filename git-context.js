@@ -0,0 +1,159 @@
+/**
+ * Git Context — branch, HEAD and change summary for a working directory.
+ *
+ * Location and HEAD are read from the repository files directly (cheap
+ * enough to run on every session poll):
+ *
+ *   findGitDir(cwd)  { workTree, gitDir, commonDir } — linked worktrees and
+ *                    submodules (`.git` file) included
+ *   readHead(cwd)    { branch, commit } — branch is null when detached,
+ *                    commit is null before the first commit
+ *
+ * What changed over a task needs git itself:
+ *
+ *   diffSince(cwd, commit)  Promise<{ commits, files, insertions, deletions }>
+ *                           commits made since `commit`, and the diff from it
+ *                           to the working tree (untracked files excluded)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+
+const GIT_TIMEOUT_MS = 5000;
+const SHA_RE = /^[0-9a-f]{40}(?:[0-9a-f]{24})?$/;
+
+/**
+ * Find the git directory for `cwd` by walking up to a `.git` entry.
+ * $HOME itself is never treated as a work tree (dotfiles repositories).
+ */
+function findGitDir(cwd) {
+  if (!cwd) return null;
+  let dir = path.resolve(cwd);
+  const home = os.homedir();
+  for (;;) {
+    if (dir === home) return null;
+    const dotGit = path.join(dir, '.git');
+    let stat = null;
+    try {
+      stat = fs.statSync(dotGit);
+    } catch {
+      // keep walking up
+    }
+    if (stat) {
+      const gitDir = stat.isDirectory() ? dotGit : readGitFile(dotGit, dir);
+      if (gitDir) return { workTree: dir, gitDir, commonDir: readCommonDir(gitDir) };
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Current branch and commit of the work tree containing `cwd`, or null
+ * outside a repository.
+ */
+function readHead(cwd) {
+  const git = findGitDir(cwd);
+  if (!git) return null;
+  let head;
+  try {
+    head = fs.readFileSync(path.join(git.gitDir, 'HEAD'), 'utf8').trim();
+  } catch {
+    return null;
+  }
+  if (SHA_RE.test(head)) return { branch: null, commit: head };
+
+  const ref = /^ref:\s*(\S+)$/.exec(head);
+  if (!ref) return null;
+  return {
+    branch: ref[1].replace(/^refs\/heads\//, ''),
+    commit: resolveRef(git, ref[1]),
+  };
+}
+
+/**
+ * Commits and diffstat since `commit`; resolves null when git is missing,
+ * times out or doesn't know the commit.
+ */
+async function diffSince(cwd, commit) {
+  if (!cwd || !commit || !SHA_RE.test(commit)) return null;
+  try {
+    const [count, shortstat] = await Promise.all([
+      runGit(cwd, ['rev-list', '--count', `${commit}..HEAD`]),
+      runGit(cwd, ['diff', '--shortstat', commit]),
+    ]);
+    return { commits: parseInt(count, 10) || 0, ...parseShortstat(shortstat) };
+  } catch {
+    return null;
+  }
+}
+
+// " 3 files changed, 40 insertions(+), 2 deletions(-)"
+function parseShortstat(text) {
+  const number = (re) => {
+    const match = re.exec(text || '');
+    return match ? parseInt(match[1], 10) : 0;
+  };
+  return {
+    files: number(/(\d+) files? changed/),
+    insertions: number(/(\d+) insertions?\(\+\)/),
+    deletions: number(/(\d+) deletions?\(-\)/),
+  };
+}
+
+// ── Internals ──
+
+// `.git` file of a worktree or submodule: "gitdir: <path>"
+function readGitFile(file, dir) {
+  try {
+    const match = /^gitdir:\s*(.+)$/m.exec(fs.readFileSync(file, 'utf8'));
+    return match ? path.resolve(dir, match[1].trim()) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Linked worktrees keep refs and config in the main .git (`commondir`)
+function readCommonDir(gitDir) {
+  try {
+    const common = fs.readFileSync(path.join(gitDir, 'commondir'), 'utf8').trim();
+    return path.resolve(gitDir, common);
+  } catch {
+    return gitDir;
+  }
+}
+
+// Loose ref (worktree first, then shared), else packed-refs
+function resolveRef({ gitDir, commonDir }, ref) {
+  for (const dir of gitDir === commonDir ? [gitDir] : [gitDir, commonDir]) {
+    try {
+      const value = fs.readFileSync(path.join(dir, ref), 'utf8').trim();
+      if (SHA_RE.test(value)) return value;
+    } catch {
+      // not a loose ref here
+    }
+  }
+  try {
+    for (const line of fs.readFileSync(path.join(commonDir, 'packed-refs'), 'utf8').split('\n')) {
+      const [sha, name] = line.trim().split(' ');
+      if (name === ref && SHA_RE.test(sha)) return sha;
+    }
+  } catch {
+    // no packed refs
+  }
+  return null;
+}
+
+function runGit(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', ['--no-optional-locks', ...args], { cwd, timeout: GIT_TIMEOUT_MS, encoding: 'utf8' }, (err, stdout) => {
+      if (err) reject(err);
+      else resolve(stdout.trim());
+    });
+  });
+}
+
+module.exports = { findGitDir, readHead, diffSince, parseShortstat };
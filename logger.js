@@ -11,6 +11,11 @@ let _isDev = null;
 
 function isDev() {
   if (_isDev !== null) return _isDev;
+  // Headless CLI: keep stdout clean for --json output and status lines
+  if (process.env.ALLDAYPOKE_QUIET) {
+    _isDev = false;
+    return false;
+  }
   if (process.env.ELECTRON_IS_DEV || process.env.NODE_ENV === 'development') {
     _isDev = true;
     return true;
@@ -40,14 +40,29 @@ const fs = require('fs');
 const os = require('os');
 const UsagePoller = require('./usage-poller');
 const ProxyServer = require('./proxy');
+const ProxyRecorder = require('./proxy-recorder');
+const ProxyReplayer = require('./proxy-replayer');
 const LogWatcher = require('./watcher');
 const AuthManager = require('./auth-manager');
 const UsageTracker = require('./usage-tracker');
 const AutoUsageUpdater = require('./auto-usage-updater');
 const SessionMonitor = require('./session-monitor');
+const RemoteHosts = require('./remote-hosts');
 const UsageDB = require('./usage-db');
-const supabaseClient = require('./supabase-client');
+const UsageExport = require('./usage-export');
+const QueryServer = require('./query-server');
+const AlertEngine = require('./alert-engine');
+const ApiTelemetry = require('./api-telemetry');
+const BudgetEngine = require('./budget-engine');
+const ProjectResolver = require('./project-resolver');
+const SessionHistory = require('./session-history');
+const SessionTimeline = require('./session-timeline');
+const { focusTerminal } = require('./terminal-focus');
+const UsageForecaster = require('./usage-forecast');
+const { discoverCredentials } = require('./credential-sources');
+const { createBackend } = require('./social-backend');
 const SocialSync = require('./social-sync');
+const DeviceSync = require('./device-sync');
 const log = require('./logger');
 
 // ── Auto-updater (graceful — works when code-signed, silent otherwise) ──
@@ -95,11 +110,24 @@ let logWatcher;
 let usageTracker;
 let autoUsageUpdater;
 let sessionMonitor;
+let remoteHosts;
 let usageDB;
 let rankingWindow;
+let timelineWindow;
 let loginWindow;
 let socialWindow;
 let socialSync;
+let socialBackend;
+let deviceSync;
+let deviceIdentity;
+let queryServer;
+let alertEngine;
+let usageForecaster;
+let apiTelemetry;
+let budgetEngine;
+let projectResolver;
+let sessionHistory;
+let lastTokenUpdate = null;  // latest payload sent as 'token-update' (served by the query API)
 let lastUsagePct = null;  // tracks last OAuth utilization for delta computation
 let pendingInviteCode = null;  // queued invite code from deep link, processed after login
 let pendingWindowAfterLogin = null;  // window to open after login completes ('social')
@@ -112,10 +140,81 @@ const DEFAULT_CONFIG = {
   poll_interval_seconds: 30,
   activity_timeout_seconds: 10,
   proxy_port: 9999,
+  // Metering proxy: point ANTHROPIC_BASE_URL at http://localhost:<proxy_port>
+  // to record exact per-request usage, latency and errors (see proxy.js).
+  // `record` saves redacted request/response pairs to ~/.alldaypoke/recordings;
+  // `replay_from` (file or directory) answers from recordings instead of upstream;
+  // `notify_throttling` raises a notification when requests are rate-limited
+  // or the API is overloaded (see api-telemetry.js)
+  metering: { enabled: false, upstream: 'https://api.anthropic.com', record: false, replay_from: null, notify_throttling: true },
   detection_method: 'auto',
   position: { x: null, y: null },
   robot_scale: 0.6,
-  window_locked: false
+  window_locked: false,
+  // Explicit Claude credentials JSON or bare OAuth token file; null = auto-detect
+  // (see credential-sources.js)
+  claude_token_file: null,
+  // Usage window shown in the main bar and driving the robot's mood:
+  // five_hour, seven_day, seven_day_opus or seven_day_sonnet
+  mood_window: 'five_hour',
+  // Local HTTP/JSON query API (see query-server.js); token in ~/.alldaypoke/api-token
+  api_server: { enabled: false, port: 9998 },
+  // Usage threshold alerts (see alert-engine.js for the rule format)
+  alerts: {
+    enabled: true,
+    quiet_hours: null,
+    webhook_url: null,
+    rules: [
+      { id: 'five-hour-80', window: 'five_hour', threshold: 80 },
+      { id: 'seven-day-80', window: 'seven_day', threshold: 80, cooldown_minutes: 24 * 60 }
+    ]
+  },
+  // Project names by git repository (see project-resolver.js), e.g.
+  // aliases: { "github.com/me/app": "my-app" }, merge: { "my-app": ["app-old"] }
+  projects: {
+    aliases: {},
+    merge: {}
+  },
+  // "Claude needs you" notification when a session waits on a permission
+  // prompt or a question; clicking it focuses the session's terminal
+  attention: { notify: true },
+  // How clicking a session (bubble, notifications) finds its terminal (see
+  // terminal-focus.js): backends in order, plus an optional custom command
+  terminal_focus: {
+    backends: ['tmux', 'kitty', 'wezterm', 'iterm', 'gnome-terminal', 'window'],
+    command: null
+  },
+  // Remote agents reporting sessions on other machines (see remote-hosts.js):
+  // `hosts` are started over ssh ("devbox", "me@devbox" or { host, node, ssh_args });
+  // `listen_port` also accepts agents that connect in (token in ~/.alldaypoke/agent-token)
+  remote_hosts: {
+    hosts: [],
+    node: 'node',
+    listen_port: null
+  },
+  // Per-project usage caps (see budget-engine.js), e.g.
+  // projects: { "side-project": { weekly_percent: 10, actions: ["notify", "pause"] } }
+  budgets: {
+    enabled: true,
+    warn_at: [80],
+    projects: {}
+  },
+  // Several devices on one subscription (see device-sync.js): share usage
+  // claims over `channel` ("folder": `folder` seen by every device, e.g. in
+  // Dropbox; "social": the social account) so usage is counted once.
+  // `name` labels this device (default: the hostname)
+  devices: {
+    enabled: false,
+    name: null,
+    channel: 'folder',
+    folder: null
+  },
+  // Where the social ranking lives (see social-backend.js): "supabase" (the
+  // hosted project) or "server", a self-hosted social-server.js at `server_url`
+  social: {
+    backend: 'supabase',
+    server_url: null
+  }
 };
 
 // Load or create configuration
@@ -154,21 +253,13 @@ function hasAuth() {
   if (config.authType === 'claude-oauth' || config.authType === 'claude-status') {
     return true;
   }
-  // Check if Claude Code credentials exist in keychain (auto-detect)
-  try {
-    const { execFileSync } = require('child_process');
-    const user = require('os').userInfo().username;
-    execFileSync(
-      'security',
-      ['find-generic-password', '-a', user, '-s', 'Claude Code-credentials'],
-      { timeout: 3000, stdio: 'ignore' }
-    );
+  // Check if Claude Code credentials exist anywhere we know to look (auto-detect)
+  const { credentials } = discoverCredentials({ tokenFile: config.claude_token_file });
+  if (credentials) {
     // Claude Code is logged in - use it automatically
     config.authType = 'claude-oauth';
     saveConfig(config);
     return true;
-  } catch {
-    // No Claude Code credentials
   }
   return false;
 }
@@ -315,6 +406,22 @@ function normalizeUsageData(data, defaultSource = 'manual-file') {
   };
 }
 
+// Send a usage payload to the robot window, remember it for the query API
+// and check it against the alert rules. The burn-rate forecast rides along.
+function sendTokenUpdate(data) {
+  if (usageForecaster && data && !data.error) {
+    usageForecaster.addSample(data);
+    data = { ...data, forecast: usageForecaster.getForecasts() };
+  }
+  lastTokenUpdate = data;
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('token-update', data);
+  }
+  if (alertEngine) {
+    alertEngine.evaluate(data);
+  }
+}
+
 function checkManualUsageFile() {
   const manualUsageFile = path.join(os.homedir(), '.alldaypoke', 'real-usage.json');
   try {
@@ -336,6 +443,102 @@ function checkManualUsageFile() {
   return null;
 }
 
+// Project for a metered proxy request without an explicit project: the
+// session whose transcript id matches, else the only busy local session
+function resolveRequestProject({ sessionId }) {
+  const sessions = sessionMonitor ? sessionMonitor.getSessions() : [];
+  const match = sessionId && sessions.find(s => s.transcriptId === sessionId);
+  if (match) return match.project;
+  const busy = sessions.filter(s => s.busy && !s.remote);
+  return busy.length === 1 ? busy[0].project : null;
+}
+
+// Open "needs you" notifications by session id, closed once it moves on
+const attentionNotifications = new Map();
+
+function notifyNeedsAttention(data) {
+  const config = loadConfig();
+  if (config.attention && config.attention.notify === false) return;
+  if (!Notification.isSupported()) return;
+
+  const project = data.project || 'A Claude Code session';
+  const body = data.reason === 'question'
+    ? `${project} is waiting for your answer`
+    : `${project} is waiting for permission${data.tool ? ` to use ${data.tool}` : ''}`;
+  const notification = new Notification({
+    title: 'Claude needs you',
+    body: data.pid ? `${body} — click to open its terminal` : body,
+    silent: false,
+  });
+  notification.on('click', () => focusSession(data.id, data));
+  notification.on('close', () => {
+    if (attentionNotifications.get(data.id) === notification) attentionNotifications.delete(data.id);
+  });
+  const previous = attentionNotifications.get(data.id);
+  if (previous) previous.close();
+  attentionNotifications.set(data.id, notification);
+  notification.show();
+}
+
+// Raise the terminal of a session the monitor knows (by id); `fallback`
+// carries pid / tty for a session that has since gone
+function focusSession(id, fallback = null) {
+  const session = (sessionMonitor && sessionMonitor.getSessions().find(s => s.id === id)) || fallback;
+  if (!session) return Promise.resolve(false);
+  const config = loadConfig();
+  return focusTerminal(session, { ...DEFAULT_CONFIG.terminal_focus, ...config.terminal_focus });
+}
+
+function recordSessionEnded(session, reason) {
+  const startedAt = session.startedAt ? new Date(session.startedAt) : null;
+  sessionHistory.append('session-ended', {
+    id: session.id,
+    project: session.project,
+    startedAt: startedAt ? startedAt.toISOString() : null,
+    durationMs: startedAt ? Date.now() - startedAt.getTime() : null,
+    reason,
+  });
+}
+
+// "feature-x · 2 commits · 5 files +120 −30" for a finished task
+function describeTaskGit(task) {
+  const parts = [];
+  if (task.branch) parts.push(task.branch);
+  const git = task.git;
+  if (git) {
+    if (git.commits > 0) parts.push(`${git.commits} commit${git.commits === 1 ? '' : 's'}`);
+    if (git.files > 0) parts.push(`${git.files} file${git.files === 1 ? '' : 's'} +${git.insertions} −${git.deletions}`);
+    else if (git.commits === 0) parts.push('no changes');
+  }
+  return parts.join(' · ');
+}
+
+// Once per kind per cooldown: a flapping verdict shouldn't spam
+const API_NOTICE_COOLDOWN_MS = 15 * 60 * 1000;
+const lastApiNoticeAt = {};
+
+function notifyApiTrouble(verdict, summary) {
+  if (verdict !== 'throttled' && verdict !== 'outage') return;
+  const now = Date.now();
+  if (lastApiNoticeAt[verdict] && now - lastApiNoticeAt[verdict] < API_NOTICE_COOLDOWN_MS) return;
+  lastApiNoticeAt[verdict] = now;
+  if (!Notification.isSupported()) return;
+
+  let body;
+  if (verdict === 'throttled') {
+    const retryIn = summary.retryAt ? Math.round((Date.parse(summary.retryAt) - now) / 1000) : null;
+    body = 'Claude Code is hitting your rate limit' +
+      (retryIn > 0 ? ` — retry in ${retryIn < 90 ? `${retryIn}s` : `${Math.round(retryIn / 60)}m`}` : '') + '.';
+  } else {
+    body = `The API is overloaded (${summary.recentUpstreamErrors} of the last ${summary.recentRequests} requests failed) — not your limit.`;
+  }
+  new Notification({
+    title: verdict === 'throttled' ? 'Claude is being rate-limited' : 'Claude API trouble',
+    body,
+    silent: false,
+  }).show();
+}
+
 // Initialize backend services
 async function initializeServices() {
   const config = loadConfig();
@@ -346,9 +549,118 @@ async function initializeServices() {
     log('Usage history database loaded');
   }
 
+  // Project identity by git repository; older history is renamed to match
+  if (!projectResolver) {
+    projectResolver = new ProjectResolver(config.projects);
+    sessionHistory = new SessionHistory();
+    try {
+      usageDB.resolveProjectNames(projectResolver);
+    } catch (error) {
+      log.error('Failed to migrate project names:', error);
+    }
+  }
+
+  // Burn-rate forecasting (fed by every usage payload)
+  if (!usageForecaster) {
+    usageForecaster = new UsageForecaster();
+  }
+
+  // Usage threshold alerts
+  if (!alertEngine) {
+    alertEngine = new AlertEngine(config.alerts, { forecaster: usageForecaster });
+    alertEngine.on('alert', (alert) => {
+      // Quiet hours: the webhook (if any) has already fired, stay silent here
+      if (alert.quiet) return;
+
+      if (alert.actions.includes('notification') && Notification.isSupported()) {
+        new Notification({
+          title: 'Claude usage alert',
+          body: alert.message,
+          silent: false,
+        }).show();
+      }
+      if (alert.actions.includes('robot') && mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('usage-alert', alert);
+      }
+    });
+  }
+
+  // Per-project budgets
+  if (!budgetEngine) {
+    budgetEngine = new BudgetEngine({ ...DEFAULT_CONFIG.budgets, ...config.budgets }, { usageDB });
+    budgetEngine.on('warning', (event) => {
+      if (Notification.isSupported()) {
+        new Notification({ title: 'Project budget', body: event.message, silent: false }).show();
+      }
+    });
+    budgetEngine.on('exceeded', (event) => {
+      if (event.actions.includes('notify') && Notification.isSupported()) {
+        new Notification({
+          title: 'Project budget used up',
+          body: event.actions.includes('pause') ? `${event.message} — paused in the metering proxy` : event.message,
+          silent: false,
+        }).show();
+      }
+    });
+    budgetEngine.on('paused', ({ project }) => log(`Budget: pausing ${project} in the metering proxy`));
+    budgetEngine.on('resumed', ({ project, message }) => {
+      log(`Budget: ${project} resumed`);
+      if (Notification.isSupported()) {
+        new Notification({ title: 'Project budget', body: message }).show();
+      }
+    });
+    budgetEngine.start();
+  }
+
+  // Usage claims shared with the account's other devices
+  const devicesConfig = { ...DEFAULT_CONFIG.devices, ...config.devices };
+  deviceIdentity = DeviceSync.loadIdentity(devicesConfig.name);
+  if (devicesConfig.enabled && !deviceSync) {
+    try {
+      deviceSync = new DeviceSync(devicesConfig, {
+        usageDB,
+        identity: deviceIdentity,
+        backend: devicesConfig.channel === 'social' ? getSocialBackend() : null,
+      });
+      deviceSync.on('synced', () => {
+        if (budgetEngine) budgetEngine.evaluate();
+      });
+      deviceSync.start();
+    } catch (error) {
+      log.error('Failed to start device sync:', error);
+    }
+  }
+
+  // Opt-in local query API (dashboards, shell prompts)
+  const apiConfig = { ...DEFAULT_CONFIG.api_server, ...config.api_server };
+  if (apiConfig.enabled && !queryServer) {
+    try {
+      queryServer = new QueryServer({
+        port: apiConfig.port,
+        getUsage: () => lastTokenUpdate,
+        getSessions: () => (sessionMonitor ? sessionMonitor.getSessions() : []),
+        getForecast: () => (usageForecaster ? usageForecaster.getForecasts() : {}),
+        getRanking: (period) => ({
+          ranking: usageDB.getRanking(period),
+          total: usageDB.getTotalUsage(period),
+        }),
+        getProjectHistory: (project, days) => usageDB.getProjectHistory(project, days),
+        getRequestStats: (period) => usageDB.getRequestStats(period),
+        getTelemetry: () => (apiTelemetry ? apiTelemetry.getSummary() : null),
+        getBudgets: () => (budgetEngine ? budgetEngine.getStatus() : []),
+        getBranchUsage: (period, project) => usageDB.getBranchUsage(period, project),
+        getSessionHistory: (filter) => sessionHistory.list({ ...filter, type: 'task-finished' }),
+        getTimeline: (period) => buildSessionTimeline(period),
+      });
+      queryServer.start();
+    } catch (error) {
+      log.error('Failed to start query server:', error);
+    }
+  }
+
   // Start the AutoUsageUpdater for Claude /status tracking
   if (!autoUsageUpdater) {
-    autoUsageUpdater = new AutoUsageUpdater();
+    autoUsageUpdater = new AutoUsageUpdater({ tokenFile: config.claude_token_file });
 
     try {
       await autoUsageUpdater.init();
@@ -359,12 +671,9 @@ async function initializeServices() {
 
       // Listen for updates — attribute usage deltas to busy sessions
       autoUsageUpdater.claudeTracker.on('usage-updated', (data) => {
-        if (mainWindow) {
-          const normalized = normalizeUsageData(data, 'claude-status');
-          mainWindow.webContents.send('token-update', normalized);
-        }
+        sendTokenUpdate(normalizeUsageData(data, 'claude-status'));
 
-        // Sync subscription tier to Supabase profile
+        // Sync subscription tier to the social profile
         if (socialSync && data.subscriptionTier) {
           socialSync.setSubscriptionTier(data.subscriptionTier);
         }
@@ -375,6 +684,9 @@ async function initializeServices() {
           if (currentPct !== null && lastUsagePct !== null) {
             const delta = currentPct - lastUsagePct;
             if (delta > 0) {
+              // The step of the shared window, for reconciling with the
+              // account's other devices (see device-sync.js)
+              const usageWindow = { resetsAt: data.resetAt, from: lastUsagePct, to: currentPct };
               // Get currently busy sessions
               const sessions = sessionMonitor.getSessions();
               const busySessions = sessions.filter(s => s.busy);
@@ -385,14 +697,15 @@ async function initializeServices() {
                 for (const s of busySessions) {
                   const project = s.project || 'unknown';
                   // Estimate active time as the full poll interval (60s)
-                  usageDB.recordUsage(project, perSession, 60000);
+                  usageDB.recordUsage(project, perSession, 60000, s.branch, usageWindow);
                 }
                 log(`Usage attributed: +${delta.toFixed(1)}% to ${busySessions.map(s => s.project).join(', ')}`);
               } else {
                 // No busy sessions — attribute to "other" (web usage, etc.)
-                usageDB.recordUsage('(other)', delta, 0);
+                usageDB.recordUsage('(other)', delta, 0, null, usageWindow);
                 log(`Usage attributed: +${delta.toFixed(1)}% to (other) — no active sessions`);
               }
+              if (budgetEngine) budgetEngine.evaluate();
             }
           }
           lastUsagePct = data.percentage ?? data.pct ?? lastUsagePct;
@@ -407,13 +720,13 @@ async function initializeServices() {
   const manualUsage = checkManualUsageFile();
   if (manualUsage && mainWindow) {
     log('Using manual usage data from file');
-    mainWindow.webContents.send('token-update', manualUsage);
+    sendTokenUpdate(manualUsage);
 
     // Set up periodic check for manual updates
     setInterval(() => {
       const updated = checkManualUsageFile();
-      if (updated && mainWindow) {
-        mainWindow.webContents.send('token-update', updated);
+      if (updated) {
+        sendTokenUpdate(updated);
       }
     }, 30000); // Check every 30 seconds
   }
@@ -427,7 +740,7 @@ async function initializeServices() {
       if (process.env.ANTHROPIC_API_KEY === 'demo') {
         authManager = null;
       } else {
-        mainWindow.webContents.send('token-update', {
+        sendTokenUpdate({
           used: 0,
           limit: 0,
           pct: 0,
@@ -441,9 +754,7 @@ async function initializeServices() {
     // Start usage polling with auth manager
     usagePoller = new UsagePoller(authManager, config.poll_interval_seconds);
     usagePoller.on('update', (data) => {
-      if (mainWindow) {
-        mainWindow.webContents.send('token-update', data);
-      }
+      sendTokenUpdate(data);
     });
     usagePoller.on('activity', () => {
       setActivityState('active');
@@ -454,7 +765,36 @@ async function initializeServices() {
   // Start proxy server (Method A)
   try {
     const apiKey = authManager ? authManager.apiKey : null;
-    proxyServer = new ProxyServer(config.proxy_port, apiKey);
+    const metering = { ...DEFAULT_CONFIG.metering, ...config.metering };
+    proxyServer = new ProxyServer(config.proxy_port, apiKey, {
+      metering,
+      resolveProject: resolveRequestProject,
+      recorder: metering.record ? new ProxyRecorder() : null,
+      replayer: metering.replay_from ? new ProxyReplayer(metering.replay_from.replace(/^~(?=$|\/)/, os.homedir())) : null,
+      checkBudget: (project) => (budgetEngine ? budgetEngine.checkRequest(projectResolver.canonicalName(project)) : null),
+    });
+    if (!apiTelemetry) {
+      apiTelemetry = new ApiTelemetry();
+      apiTelemetry.on('update', (summary) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          mainWindow.webContents.send('api-telemetry', summary);
+        }
+      });
+      apiTelemetry.on('state-change', ({ to, summary }) => {
+        log(`API telemetry: ${to} (${summary.errors}/${summary.requests} failed in ${summary.windowMinutes}m)`);
+        if (metering.notify_throttling) notifyApiTrouble(to, summary);
+      });
+    }
+    proxyServer.on('request-usage', (record) => {
+      record.project = projectResolver.canonicalName(record.project);
+      if (usageDB) usageDB.recordRequest(record);
+      apiTelemetry.record(record);
+      log(`Metered ${record.model} request for ${record.project}: ${record.status} in ${record.latencyMs}ms` +
+        ` (${record.inputTokens} in / ${record.outputTokens} out)`);
+    });
+    proxyServer.on('request-blocked', ({ project }) => {
+      log(`Blocked request for ${project}: budget used up`);
+    });
     proxyServer.on('activity', () => {
       setActivityState('active');
       // Track message if using Claude subscription
@@ -464,7 +804,7 @@ async function initializeServices() {
       }
     });
     proxyServer.start();
-    log(`Proxy server started on port ${config.proxy_port}`);
+    log(`Proxy server started on port ${config.proxy_port}${metering.enabled ? ` (metering → ${metering.upstream})` : ''}`);
   } catch (error) {
     log.error('Failed to start proxy server:', error);
   }
@@ -483,31 +823,75 @@ async function initializeServices() {
 
   // Start session monitor to detect active Claude Code sessions
   try {
-    sessionMonitor = new SessionMonitor({ pollIntervalSeconds: 5 });
+    remoteHosts = new RemoteHosts({ ...DEFAULT_CONFIG.remote_hosts, ...config.remote_hosts });
+    sessionMonitor = new SessionMonitor({ pollIntervalSeconds: 5, resolver: projectResolver, remoteHosts });
 
     sessionMonitor.on('session-started', (session) => {
+      sessionHistory.append('session-started', {
+        id: session.id,
+        project: session.project,
+        cwd: session.cwd,
+        branch: session.branch,
+        remote: session.remote || false,
+        busy: session.busy,
+      });
       // Only notify for sessions that are actively working
       if (session.status === 'busy') {
         setActivityState('active');
       }
     });
 
+    sessionMonitor.on('session-ended', (session) => {
+      recordSessionEnded(session, 'gone');
+    });
+
     sessionMonitor.on('session-task-finished', (data) => {
       // A session went from busy to idle — the key notification
       if (Notification.isSupported()) {
-        new Notification({
+        const changes = describeTaskGit(data);
+        const notification = new Notification({
           title: 'Claude finished running',
-          body: `${data.project || 'Unknown project'} is done (ran for ${data.busyDuration})`,
+          body: `${data.project || 'Unknown project'} is done (ran for ${data.busyDuration})${changes ? `\n${changes}` : ''}`,
           silent: false,
-        }).show();
+        });
+        notification.on('click', () => focusSession(data.id));
+        notification.show();
+      }
+    });
+
+    sessionMonitor.on('session-task-completed', (task) => {
+      // Every finished task, with its git summary, goes to the history log
+      const { pid, busyDuration, ...record } = task;
+      sessionHistory.append('task-finished', { ...record, at: task.finishedAt });
+    });
+
+    sessionMonitor.on('session-needs-attention', (data) => {
+      notifyNeedsAttention(data);
+    });
+
+    sessionMonitor.on('session-attention-cleared', (data) => {
+      const notification = attentionNotifications.get(data.id);
+      if (notification) {
+        notification.close();
+        attentionNotifications.delete(data.id);
       }
     });
 
     sessionMonitor.on('session-task-started', (data) => {
       // A session went from idle to busy
+      sessionHistory.append('task-started', { id: data.id, project: data.project, branch: data.branch });
       setActivityState('active');
     });
 
+    sessionMonitor.on('token-usage', (records) => {
+      // Exact per-message token counts parsed from session transcripts
+      if (usageDB) {
+        const added = usageDB.recordTokenUsage(records);
+        if (added > 0) log(`Token usage recorded: ${added} message(s)`);
+        if (added > 0 && budgetEngine) budgetEngine.evaluate();
+      }
+    });
+
     sessionMonitor.on('sessions-updated', (data) => {
       // Forward session data to renderer
       if (mainWindow && !mainWindow.isDestroyed()) {
@@ -521,20 +905,21 @@ async function initializeServices() {
     });
 
     sessionMonitor.start();
+    remoteHosts.start();
     log('Session monitor started');
   } catch (error) {
     log.error('Failed to start session monitor:', error);
   }
 
-  // Try to restore a previous Supabase social session
+  // Try to restore a previous social session
   try {
-    const restoredUser = await supabaseClient.restoreSession();
+    const restoredUser = await getSocialBackend().restoreSession();
     if (restoredUser) {
-      log('Supabase session restored for', restoredUser.email);
+      log(`Social session (${getSocialBackend().describe()}) restored for`, restoredUser.email);
       await startSocialSync();
     }
   } catch (error) {
-    log('No Supabase session to restore:', error.message);
+    log('No social session to restore:', error.message);
   }
 }
 
@@ -552,15 +937,39 @@ function cleanupServices() {
     proxyServer.stop();
     proxyServer = null;
   }
+  if (apiTelemetry) {
+    apiTelemetry.stop();
+    apiTelemetry = null;
+  }
+  if (budgetEngine) {
+    budgetEngine.stop();
+    budgetEngine = null;
+  }
   if (logWatcher) {
     logWatcher.stop();
     logWatcher = null;
   }
   if (sessionMonitor) {
+    // Close the running sessions' timelines; they reopen on next start
+    for (const session of sessionMonitor.getSessions()) recordSessionEnded(session, 'quit');
     sessionMonitor.stop();
     sessionMonitor = null;
   }
-  stopPokePolling();
+  if (remoteHosts) {
+    remoteHosts.stop();
+    remoteHosts = null;
+  }
+  if (queryServer) {
+    queryServer.stop();
+    queryServer = null;
+  }
+  if (deviceSync) {
+    deviceSync.stop();
+    deviceSync = null;
+  }
+  if (usageForecaster) {
+    usageForecaster.flush();
+  }
   if (socialSync) {
     socialSync.stop();
     socialSync = null;
@@ -598,6 +1007,22 @@ ipcMain.handle('get-config', () => {
 ipcMain.handle('save-config', (event, newConfig) => {
   if (!newConfig || typeof newConfig !== 'object') return false;
   saveConfig(newConfig);
+  if (alertEngine) {
+    alertEngine.setConfig(loadConfig().alerts);
+  }
+  if (projectResolver) {
+    projectResolver.setConfig(loadConfig().projects);
+    // New rules rename history; a failure must not fail the save itself
+    try {
+      if (usageDB) usageDB.resolveProjectNames(projectResolver);
+    } catch (error) {
+      log.warn('Failed to apply project rules to the usage history:', error.message);
+    }
+  }
+  if (budgetEngine) {
+    budgetEngine.setConfig({ ...DEFAULT_CONFIG.budgets, ...loadConfig().budgets });
+    budgetEngine.evaluate();
+  }
   return true;
 });
 
@@ -665,27 +1090,23 @@ ipcMain.handle('check-claude-installed', () => {
   }
 });
 
-// Setup flow: check if Claude Code has credentials in keychain
+// Setup flow: look for Claude Code credentials and report every source tried
 ipcMain.handle('check-claude-credentials', () => {
   try {
-    const { execFileSync } = require('child_process');
-    const user = os.userInfo().username;
-    const raw = execFileSync(
-      'security',
-      ['find-generic-password', '-a', user, '-w', '-s', 'Claude Code-credentials'],
-      { encoding: 'utf8', timeout: 5000 }
-    ).trim();
-    const creds = JSON.parse(raw);
-    if (creds.claudeAiOauth) {
+    const { credentials, source, attempts } = discoverCredentials({ tokenFile: loadConfig().claude_token_file });
+    if (credentials) {
       return {
         found: true,
-        subscriptionType: creds.claudeAiOauth.subscriptionType || 'pro',
-        hasRefreshToken: !!creds.claudeAiOauth.refreshToken,
+        subscriptionType: credentials.subscriptionType || 'pro',
+        hasRefreshToken: !!credentials.refreshToken,
+        source: source.id,
+        location: source.location,
+        attempts,
       };
     }
-    return { found: false };
-  } catch {
-    return { found: false };
+    return { found: false, platform: process.platform, attempts };
+  } catch (error) {
+    return { found: false, platform: process.platform, attempts: [], error: error.message };
   }
 });
 
@@ -693,7 +1114,7 @@ ipcMain.handle('check-claude-credentials', () => {
 ipcMain.handle('test-claude-connection', async () => {
   try {
     const ClaudeOAuthUsageTracker = require('./claude-oauth-usage-tracker');
-    const tracker = new ClaudeOAuthUsageTracker();
+    const tracker = new ClaudeOAuthUsageTracker({ tokenFile: loadConfig().claude_token_file });
     const result = await tracker.checkUsage();
     tracker.stop();
     if (result) {
@@ -753,6 +1174,46 @@ ipcMain.handle('track-message', () => {
   return false;
 });
 
+// Timeline window
+function openTimelineWindow() {
+  if (timelineWindow && !timelineWindow.isDestroyed()) {
+    timelineWindow.focus();
+    return;
+  }
+
+  timelineWindow = new BrowserWindow({
+    width: 760,
+    height: 520,
+    resizable: true,
+    minimizable: true,
+    maximizable: true,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload-timeline.js'),
+    },
+    backgroundColor: '#0d0d0d',
+    title: 'Session Timeline',
+  });
+
+  timelineWindow.loadFile(path.join(__dirname, 'renderer', 'timeline.html'));
+
+  timelineWindow.on('closed', () => {
+    timelineWindow = null;
+  });
+}
+
+function buildSessionTimeline(period) {
+  if (!usageDB) usageDB = new UsageDB();
+  if (!sessionHistory) sessionHistory = new SessionHistory();
+  const { from, to } = SessionTimeline.periodRange(period);
+  return SessionTimeline.buildTimeline(
+    sessionHistory.events(to.toISOString()),
+    usageDB.getUsageBetween(from, to),
+    { from, to, live: sessionMonitor ? sessionMonitor.getSessions().map(s => s.id) : [] }
+  );
+}
+
 // Ranking window
 function openRankingWindow() {
   if (rankingWindow && !rankingWindow.isDestroyed()) {
@@ -782,6 +1243,11 @@ function openRankingWindow() {
   });
 }
 
+// IPC: a session in the bubble was clicked — raise its terminal
+ipcMain.handle('focus-session', (event, id) => {
+  return focusSession(id);
+});
+
 // IPC: fetch ranking data for the ranking window
 ipcMain.handle('get-ranking', (event, period) => {
   const validPeriods = ['today', '7d', '30d', 'all'];
@@ -792,6 +1258,106 @@ ipcMain.handle('get-ranking', (event, period) => {
   return { ranking, total };
 });
 
+// Day ranges offered by the ranking window's charts
+const CHART_DAYS = [30, 90, 365];
+
+function chartDays(days) {
+  return CHART_DAYS.includes(Number(days)) ? Number(days) : 30;
+}
+
+// IPC: usage per project per day for the stacked chart
+ipcMain.handle('get-daily-usage', (event, days) => {
+  if (!usageDB) usageDB = new UsageDB();
+  return usageDB.getDailyUsage(chartDays(days));
+});
+
+// IPC: usage by day of week and hour for the heatmaps
+ipcMain.handle('get-activity-heatmap', (event, days) => {
+  if (!usageDB) usageDB = new UsageDB();
+  return usageDB.getActivityHeatmap(chartDays(days));
+});
+
+// IPC: one project's daily history for the drill-down chart
+ipcMain.handle('get-project-history', (event, project, days) => {
+  if (typeof project !== 'string' || !project) return [];
+  if (!usageDB) usageDB = new UsageDB();
+  return usageDB.getProjectHistory(project, chartDays(days));
+});
+
+// Name of this device in exports and the per-device breakdown
+function localDeviceName() {
+  if (!deviceIdentity) deviceIdentity = DeviceSync.loadIdentity();
+  return deviceIdentity.name;
+}
+
+// IPC: usage per device on this account for the ranking window
+ipcMain.handle('get-device-usage', (event, period) => {
+  const validPeriods = ['today', '7d', '30d', 'all'];
+  if (!usageDB) usageDB = new UsageDB();
+  return usageDB.getDeviceUsage(validPeriods.includes(period) ? period : 'all', localDeviceName());
+});
+
+// IPC: export the usage history to a file the user picks
+ipcMain.handle('export-usage', async (event, options = {}) => {
+  const format = UsageExport.FORMATS.includes(options.format) ? options.format : 'csv';
+  const period = ['today', '7d', '30d', 'all'].includes(options.period) ? options.period : 'all';
+  const project = typeof options.project === 'string' && options.project ? options.project : null;
+  if (!usageDB) usageDB = new UsageDB();
+
+  const suffix = project ? `-${project.replace(/[^\w.-]+/g, '_')}` : '';
+  const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+    defaultPath: path.join(app.getPath('downloads'), `alldaypoke-${period}${suffix}.${format}`),
+    filters: [{ name: format.toUpperCase(), extensions: [format] }],
+  });
+  if (canceled || !filePath) return { canceled: true };
+
+  try {
+    const records = usageDB.exportRecords({ period, project }, localDeviceName());
+    fs.writeFileSync(filePath, UsageExport.serialize(records, format));
+    log(`Exported ${records.length} usage records to ${filePath}`);
+    return { file: filePath, records: records.length };
+  } catch (err) {
+    log.error('Usage export failed:', err.message);
+    return { error: err.message };
+  }
+});
+
+// IPC: merge another machine's export into the usage history
+ipcMain.handle('import-usage', async (event) => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+    properties: ['openFile'],
+    filters: [{ name: 'Usage export', extensions: ['csv', 'ndjson', 'jsonl', 'json'] }],
+  });
+  if (canceled || filePaths.length === 0) return { canceled: true };
+
+  try {
+    const file = filePaths[0];
+    const records = UsageExport.parse(fs.readFileSync(file, 'utf8'));
+    if (!usageDB) usageDB = new UsageDB();
+    const result = usageDB.importRecords(records, localDeviceName());
+    if (budgetEngine) budgetEngine.evaluate();
+    return { file, ...result };
+  } catch (err) {
+    log.error('Usage import failed:', err.message);
+    return { error: err.message };
+  }
+});
+
+// IPC: consumption against each project budget for the ranking window
+ipcMain.handle('get-budgets', () => {
+  return budgetEngine ? budgetEngine.evaluate() : [];
+});
+
+// IPC: busy / idle segments per project and session for the timeline window
+ipcMain.handle('get-timeline', (event, period) => {
+  return buildSessionTimeline(SessionTimeline.PERIODS.includes(period) ? period : 'today');
+});
+
+// IPC: burn-rate forecast per usage window for the ranking window
+ipcMain.handle('get-forecast', () => {
+  return usageForecaster ? usageForecaster.getForecasts() : {};
+});
+
 // ── Social: window launchers ─────────────────────────────────────────────
 
 function openLoginWindow() {
@@ -860,13 +1426,29 @@ function openPendingWindow() {
 
 // ── Social: start sync after login ──────────────────────────────────────
 
+// The configured social backend (config.json `social`). A misconfigured one
+// throws rather than falling back to Supabase.
+function getSocialBackend() {
+  if (!socialBackend) {
+    const config = loadConfig();
+    socialBackend = createBackend({ ...DEFAULT_CONFIG.social, ...config.social });
+  }
+  return socialBackend;
+}
+
 async function startSocialSync() {
   if (!usageDB) usageDB = new UsageDB();
   if (socialSync) socialSync.stop();
 
-  socialSync = new SocialSync(usageDB);
+  socialSync = new SocialSync(usageDB, {
+    backend: getSocialBackend(),
+    settledBefore: () => (deviceSync ? deviceSync.settledBefore() : null),
+  });
+  socialSync.on('pokes', handleIncomingPokes);
+  socialSync.on('status', (data) => sendToSocialWindow('social-status-changed', data));
+  socialSync.on('presence', (data) => sendToSocialWindow('social-presence', data));
+  socialSync.on('realtime', (data) => sendToSocialWindow('social-realtime', data));
   await socialSync.start();
-  startPokePolling();
   log('Social sync started');
 
   // If session monitor is active, feed vibing status
@@ -892,7 +1474,7 @@ ipcMain.handle('social-sign-up', async (event, email, password, username, twitte
     return { error: 'Invalid input' };
   }
   try {
-    const result = await supabaseClient.signUp(email, password, username,
+    const result = await getSocialBackend().signUp(email, password, username,
       typeof twitter === 'string' ? twitter : undefined,
       typeof github === 'string' ? github : undefined);
     // Start sync after signup
@@ -924,7 +1506,7 @@ ipcMain.handle('social-sign-in', async (event, email, password) => {
   }
 
   try {
-    await supabaseClient.signIn(email, password);
+    await getSocialBackend().signIn(email, password);
     await startSocialSync();
     // Process pending invite code from deep link (auto-add friend)
     if (pendingInviteCode && socialSync) {
@@ -951,7 +1533,7 @@ ipcMain.handle('social-sign-in', async (event, email, password) => {
 ipcMain.handle('social-sign-out', async () => {
   try {
     if (socialSync) { socialSync.stop(); socialSync = null; }
-    await supabaseClient.signOut();
+    await getSocialBackend().signOut();
     if (socialWindow && !socialWindow.isDestroyed()) socialWindow.close();
     return { success: true };
   } catch (err) {
@@ -962,7 +1544,7 @@ ipcMain.handle('social-sign-out', async () => {
 ipcMain.handle('social-send-reset', async (event, email) => {
   if (typeof email !== 'string') return { error: 'Invalid input' };
   try {
-    await supabaseClient.sendPasswordReset(email);
+    await getSocialBackend().sendPasswordReset(email);
     return { success: true };
   } catch (err) {
     return { error: err.message };
@@ -974,7 +1556,7 @@ ipcMain.handle('social-reset-password', async (event, email, otpCode, newPasswor
     return { error: 'Invalid input' };
   }
   try {
-    await supabaseClient.resetPassword(email, otpCode, newPassword);
+    await getSocialBackend().resetPassword(email, otpCode, newPassword);
     return { success: true };
   } catch (err) {
     return { error: err.message };
@@ -982,18 +1564,28 @@ ipcMain.handle('social-reset-password', async (event, email, otpCode, newPasswor
 });
 
 ipcMain.handle('social-is-logged-in', async () => {
-  const user = await supabaseClient.getCurrentUser();
-  return { loggedIn: !!user };
+  try {
+    const user = await getSocialBackend().getCurrentUser();
+    return { loggedIn: !!user };
+  } catch (err) {
+    log.error('Social backend:', err.message);
+    return { loggedIn: false };
+  }
 });
 
 ipcMain.handle('social-get-profile', async () => {
-  return await supabaseClient.getMyProfile();
+  try {
+    return await getSocialBackend().getMyProfile();
+  } catch (err) {
+    log.error('Social: get profile failed', err.message);
+    return null;
+  }
 });
 
 ipcMain.handle('social-update-profile', async (event, updates) => {
   if (!updates || typeof updates !== 'object') return { error: 'Invalid input' };
   try {
-    const profile = await supabaseClient.updateProfile(updates);
+    const profile = await getSocialBackend().updateProfile(updates);
     return { success: true, profile };
   } catch (err) {
     return { error: err.message };
@@ -1062,7 +1654,7 @@ ipcMain.handle('social-get-local-info', () => {
   return info;
 });
 
-// ── Poke: send / poll / forward ──────────────────────────────────────────
+// ── Poke: send / receive / forward ───────────────────────────────────────
 
 ipcMain.handle('social-send-poke', async (event, recipientId) => {
   if (!socialSync) return { success: false, error: 'Not logged in' };
@@ -1082,43 +1674,43 @@ ipcMain.handle('trigger-self-poke', () => {
   return { success: true };
 });
 
-// Poll for incoming pokes every 10 seconds — forward to main widget renderer
-let pokePoller = null;
-
-function startPokePolling() {
-  if (pokePoller) return;
-  pokePoller = setInterval(async () => {
-    if (!socialSync) return;
-    try {
-      const pokes = await socialSync.getUnreadPokes();
-      if (pokes.length > 0) {
-        // Forward to main widget for head-pat animation
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('poke-received', pokes[0]);
-        }
-        // Show system notification
-        if (Notification.isSupported()) {
-          new Notification({
-            title: 'Poke!',
-            body: `${pokes[0].senderName} poked you!`,
-            silent: false,
-          }).show();
-        }
-        // Mark all as read
-        const ids = pokes.map(p => p.id);
-        await socialSync.markPokesRead(ids);
-      }
-    } catch (err) {
-      // Silently ignore polling errors
-    }
-  }, 10000);
+// Incoming pokes (realtime or polled by SocialSync) — forward to main widget renderer
+function handleIncomingPokes(pokes) {
+  // Forward to main widget for head-pat animation
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('poke-received', pokes[0]);
+  }
+  // Show system notification
+  if (Notification.isSupported()) {
+    new Notification({
+      title: 'Poke!',
+      body: `${pokes[0].senderName} poked you!`,
+      silent: false,
+    }).show();
+  }
 }
 
-function stopPokePolling() {
-  if (pokePoller) { clearInterval(pokePoller); pokePoller = null; }
+// Friend status / presence pushed into the ranking window without a refresh
+function sendToSocialWindow(channel, data) {
+  if (socialWindow && !socialWindow.isDestroyed()) {
+    socialWindow.webContents.send(channel, data);
+  }
 }
 
+ipcMain.handle('social-get-realtime', () => {
+  if (!socialSync) return { connected: false, online: [] };
+  return { connected: socialSync.isRealtime(), online: socialSync.getOnlineFriends() };
+});
+
 // Context menu
+// Usage windows the robot's mood can follow (see StatsDisplay.setPrimaryWindow)
+const MOOD_WINDOW_LABELS = {
+  five_hour: '5-hour window',
+  seven_day: '7-day window',
+  seven_day_opus: '7-day Opus',
+  seven_day_sonnet: '7-day Sonnet',
+};
+
 ipcMain.handle('show-context-menu', (event) => {
   const template = [
     {
@@ -1153,10 +1745,16 @@ ipcMain.handle('show-context-menu', (event) => {
         openRankingWindow();
       }
     },
+    {
+      label: '🕒 Session Timeline',
+      click: () => {
+        openTimelineWindow();
+      }
+    },
     {
       label: '🌐 Social Ranking',
       click: async () => {
-        const user = await supabaseClient.getCurrentUser();
+        const user = await getSocialBackend().getCurrentUser().catch(() => null);
         if (user) {
           openSocialWindow();
         } else {
@@ -1166,6 +1764,22 @@ ipcMain.handle('show-context-menu', (event) => {
       }
     },
     { type: 'separator' },
+    {
+      label: 'Robot Mood Follows',
+      submenu: Object.entries(MOOD_WINDOW_LABELS).map(([key, label]) => ({
+        label,
+        type: 'radio',
+        checked: (loadConfig().mood_window || 'five_hour') === key,
+        click: () => {
+          const config = loadConfig();
+          config.mood_window = key;
+          saveConfig(config);
+          if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('mood-window-changed', { window: key });
+          }
+        }
+      }))
+    },
     {
       label: 'Lock Position',
       type: 'checkbox',
@@ -1223,7 +1837,7 @@ async function handleDeepLink(url) {
   const code = match[1].toUpperCase();
   log('Invite code from deep link:', code);
 
-  const user = await supabaseClient.getCurrentUser();
+  const user = await getSocialBackend().getCurrentUser().catch(() => null);
   if (user && socialSync) {
     // Already logged in — add friend directly
     try {
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * OAuth Stand-in — a local fake of the Claude OAuth token and usage endpoints
+ * for exercising TokenManager without touching real credentials.
+ *
+ *   node oauth-stand-in.js [--port 9977] [--credentials <file>] [--expires-in <sec>]
+ *
+ * Writes a fresh login to --credentials (default /tmp/alldaypoke-stand-in.json)
+ * in Claude Code's format, then serves:
+ *
+ *   POST /v1/oauth/token   refresh grant; rotates the refresh token, the old
+ *                          one gets invalid_grant afterwards
+ *   GET  /api/oauth/usage  usage payload for a valid Bearer token, 401 otherwise
+ *
+ * Control endpoints drive the failure paths:
+ *
+ *   POST /__control  { "token_status": 429, "usage_status": 503,
+ *                      "retry_after": 60, "expires_in": 30 }   (null clears)
+ *   POST /__rotate   refresh as "Claude Code" would and rewrite the file
+ *   POST /__expire   expire the current access token
+ *   POST /__revoke   invalidate every token (forces invalid_grant)
+ *   GET  /__stats    request counters
+ *
+ * Point the app or CLI at it with:
+ *
+ *   ALLDAYPOKE_OAUTH_BASE_URL=http://127.0.0.1:9977 \
+ *   ALLDAYPOKE_TOKEN_FILE=/tmp/alldaypoke-stand-in.json alldaypoke status
+ */
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 9977;
+const DEFAULT_CREDENTIALS = '/tmp/alldaypoke-stand-in.json';
+const DEFAULT_EXPIRES_IN = 3600;
+
+class OAuthStandIn {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.port]
+   * @param {string} [options.credentialsFile]
+   * @param {number} [options.expiresIn] - access token lifetime in seconds
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? DEFAULT_PORT;
+    this.credentialsFile = options.credentialsFile || DEFAULT_CREDENTIALS;
+    this.control = {
+      token_status: null,
+      usage_status: null,
+      retry_after: null,
+      expires_in: options.expiresIn || DEFAULT_EXPIRES_IN,
+    };
+    // access token -> expiresAt; the single live refresh token
+    this.accessTokens = new Map();
+    this.refreshToken = null;
+    this.stats = { token_requests: 0, refreshes: 0, invalid_grants: 0, usage_requests: 0, unauthorized: 0, forced_errors: 0 };
+    this.utilization = 10;
+    this.server = null;
+  }
+
+  start() {
+    this._writeCredentials(this._issue());
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    return new Promise((resolve) => {
+      this.server.listen(this.port, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  // ── Token bookkeeping ──
+
+  _issue() {
+    const accessToken = `sk-ant-oat01-standin-${crypto.randomBytes(12).toString('hex')}`;
+    const expiresAt = Date.now() + this.control.expires_in * 1000;
+    this.accessTokens.set(accessToken, expiresAt);
+    this.refreshToken = `sk-ant-ort01-standin-${crypto.randomBytes(12).toString('hex')}`;
+    return { accessToken, refreshToken: this.refreshToken, expiresAt };
+  }
+
+  _writeCredentials(tokens) {
+    let data = {};
+    try { data = JSON.parse(fs.readFileSync(this.credentialsFile, 'utf8')); } catch { /* new file */ }
+    data.claudeAiOauth = {
+      ...tokens,
+      scopes: ['user:inference', 'user:profile'],
+      subscriptionType: 'max',
+    };
+    fs.writeFileSync(this.credentialsFile, JSON.stringify(data), { mode: 0o600 });
+  }
+
+  // ── HTTP ──
+
+  _handle(req, res) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      let json = {};
+      try { json = body ? JSON.parse(body) : {}; } catch { /* leave empty */ }
+
+      const route = `${req.method} ${url.pathname}`;
+      switch (route) {
+        case 'POST /v1/oauth/token': return this._token(json, res);
+        case 'GET /api/oauth/usage': return this._usage(req, res);
+        case 'POST /__control':
+          for (const key of Object.keys(this.control)) {
+            if (key in json) this.control[key] = json[key];
+          }
+          return send(res, 200, this.control);
+        case 'POST /__rotate': {
+          const tokens = this._issue();
+          this._writeCredentials(tokens);
+          return send(res, 200, tokens);
+        }
+        case 'POST /__expire':
+          for (const token of this.accessTokens.keys()) this.accessTokens.set(token, 0);
+          return send(res, 200, { expired: this.accessTokens.size });
+        case 'POST /__revoke':
+          this.accessTokens.clear();
+          this.refreshToken = null;
+          return send(res, 200, { revoked: true });
+        case 'GET /__stats':
+          return send(res, 200, this.stats);
+        default:
+          return send(res, 404, { error: 'not_found' });
+      }
+    });
+  }
+
+  _forced(kind, res) {
+    const status = this.control[`${kind}_status`];
+    if (!status) return false;
+    this.stats.forced_errors++;
+    const headers = this.control.retry_after !== null ? { 'Retry-After': String(this.control.retry_after) } : {};
+    send(res, status, { error: status === 429 ? 'rate_limit_error' : 'forced_error' }, headers);
+    return true;
+  }
+
+  _token(json, res) {
+    this.stats.token_requests++;
+    if (this._forced('token', res)) return;
+    if (json.grant_type !== 'refresh_token' || !json.refresh_token) {
+      return send(res, 400, { error: 'invalid_request' });
+    }
+    if (json.refresh_token !== this.refreshToken) {
+      this.stats.invalid_grants++;
+      return send(res, 400, { error: 'invalid_grant', error_description: 'Refresh token is invalid or was rotated' });
+    }
+    this.stats.refreshes++;
+    const tokens = this._issue();
+    send(res, 200, {
+      token_type: 'Bearer',
+      access_token: tokens.accessToken,
+      refresh_token: tokens.refreshToken,
+      expires_in: this.control.expires_in,
+      scope: 'user:inference user:profile',
+    });
+  }
+
+  _usage(req, res) {
+    this.stats.usage_requests++;
+    if (this._forced('usage', res)) return;
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const expiresAt = this.accessTokens.get(token);
+    if (!expiresAt || Date.now() >= expiresAt) {
+      this.stats.unauthorized++;
+      return send(res, 401, { error: { type: 'authentication_error', message: 'Invalid bearer token' } });
+    }
+    this.utilization = Math.min(100, this.utilization + 1);
+    const hours = (h) => new Date(Date.now() + h * 3600 * 1000).toISOString();
+    send(res, 200, {
+      five_hour: { utilization: this.utilization, resets_at: hours(3) },
+      seven_day: { utilization: Math.round(this.utilization / 4), resets_at: hours(72) },
+      seven_day_opus: null,
+      seven_day_sonnet: null,
+      extra_usage: null,
+    });
+  }
+}
+
+function send(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const opt = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+  const standIn = new OAuthStandIn({
+    port: opt('port') !== undefined ? Number(opt('port')) : DEFAULT_PORT,
+    credentialsFile: opt('credentials'),
+    expiresIn: opt('expires-in') !== undefined ? Number(opt('expires-in')) : undefined,
+  });
+  standIn.start().then((port) => {
+    console.log(`OAuth stand-in listening on http://127.0.0.1:${port}`);
+    console.log(`Credentials written to ${standIn.credentialsFile}`);
+  });
+  process.on('SIGINT', () => { standIn.stop(); process.exit(0); });
+}
+
+module.exports = OAuthStandIn;
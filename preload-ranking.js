@@ -1,5 +1,13 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('rankingAPI', {
-  getRanking: (period) => ipcRenderer.invoke('get-ranking', period)
+  getRanking: (period) => ipcRenderer.invoke('get-ranking', period),
+  getForecast: () => ipcRenderer.invoke('get-forecast'),
+  getBudgets: () => ipcRenderer.invoke('get-budgets'),
+  getDeviceUsage: (period) => ipcRenderer.invoke('get-device-usage', period),
+  getDailyUsage: (days) => ipcRenderer.invoke('get-daily-usage', days),
+  getActivityHeatmap: (days) => ipcRenderer.invoke('get-activity-heatmap', days),
+  getProjectHistory: (project, days) => ipcRenderer.invoke('get-project-history', project, days),
+  exportUsage: (options) => ipcRenderer.invoke('export-usage', options),
+  importUsage: () => ipcRenderer.invoke('import-usage')
 });
@@ -33,4 +33,10 @@ contextBridge.exposeInMainWorld('socialAPI', {
   // Pokes
   sendPoke: (recipientId) => ipcRenderer.invoke('social-send-poke', recipientId),
   triggerSelfPoke: () => ipcRenderer.invoke('trigger-self-poke'),
+
+  // Realtime friend updates
+  getRealtimeState: () => ipcRenderer.invoke('social-get-realtime'),
+  onStatusChanged: (cb) => ipcRenderer.on('social-status-changed', (event, data) => cb(data)),
+  onPresence: (cb) => ipcRenderer.on('social-presence', (event, data) => cb(data)),
+  onRealtime: (cb) => ipcRenderer.on('social-realtime', (event, data) => cb(data)),
 });
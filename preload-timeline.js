@@ -0,0 +1,5 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('timelineAPI', {
+  getTimeline: (period) => ipcRenderer.invoke('get-timeline', period)
+});
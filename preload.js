@@ -13,6 +13,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   setWindowPosition: (position) => ipcRenderer.invoke('set-window-position', position),
   saveRobotScale: (scale) => ipcRenderer.invoke('save-robot-scale', scale),
   showContextMenu: () => ipcRenderer.invoke('show-context-menu'),
+  focusSession: (id) => ipcRenderer.invoke('focus-session', id),
 
   // App control
   quitApp: () => ipcRenderer.invoke('quit-app'),
@@ -45,6 +46,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('poke-received', (event, data) => callback(data));
   },
 
+  onMoodWindowChanged: (callback) => {
+    ipcRenderer.on('mood-window-changed', (event, data) => callback(data));
+  },
+
+  onUsageAlert: (callback) => {
+    ipcRenderer.on('usage-alert', (event, data) => callback(data));
+  },
+
+  onApiTelemetry: (callback) => {
+    ipcRenderer.on('api-telemetry', (event, data) => callback(data));
+  },
+
   onStartOnboarding: (callback) => {
     ipcRenderer.on('start-onboarding', (event) => callback());
   },
@@ -58,6 +71,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.removeAllListeners('reset-tick');
     ipcRenderer.removeAllListeners('session-update');
     ipcRenderer.removeAllListeners('poke-received');
+    ipcRenderer.removeAllListeners('usage-alert');
+    ipcRenderer.removeAllListeners('mood-window-changed');
+    ipcRenderer.removeAllListeners('api-telemetry');
     ipcRenderer.removeAllListeners('start-onboarding');
   }
 });
\ No newline at end of file
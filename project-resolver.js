@@ -0,0 +1,356 @@
+/**
+ * Project Resolver — names projects by git repository, not directory name.
+ *
+ * A working directory is resolved to the repository that contains it:
+ *
+ *   - the enclosing work tree is found by walking up to a `.git` entry, so
+ *     subdirectories of a repo belong to the repo
+ *   - linked worktrees (`.git` file → <repo>/.git/worktrees/<name>) are
+ *     followed to the main repository via its `commondir`
+ *   - the repository's identity is its normalized `origin` remote
+ *     (github.com/me/app) or, without remotes, the main repository root
+ *
+ * Git metadata is read from disk directly (see git-context.js); no git
+ * process is spawned.
+ *
+ * The display name is the remote's repository name (or the root's
+ * basename). When two different repositories would share a name, the later
+ * one is qualified with its owner / parent directory ("work/app"). Names
+ * are remembered in ~/.alldaypoke/projects.json so they stay stable; a
+ * read-only resolver (the CLI, next to the running app) uses the names
+ * found there but never writes the file.
+ *
+ * User rules, under `projects` in ~/.alldaypoke/config.json:
+ *
+ *   {
+ *     "projects": {
+ *       "aliases": {
+ *         "github.com/me/app": "my-app",      // by remote
+ *         "~/work/scratch": "scratch"          // by directory (and below)
+ *       },
+ *       "merge": { "my-app": ["app", "app-v2"] }   // fold names into one
+ *     }
+ *   }
+ *
+ * `merge` also applies to names that are already in the usage history and
+ * to explicit names (metering proxy `/project/<name>`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { findGitDir } = require('./git-context');
+const log = require('./logger');
+
+const REGISTRY_FILE = path.join(os.homedir(), '.alldaypoke', 'projects.json');
+const CLAUDE_PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
+
+// Resolutions are cached; remotes rarely change under a running session
+const CACHE_TTL_MS = 5 * 60 * 1000;
+// Transcript bytes read when looking for a project directory's cwd
+const TRANSCRIPT_HEAD_BYTES = 16 * 1024;
+
+class ProjectResolver {
+  /**
+   * @param {object} [config] - the `projects` section of the app config
+   * @param {object} [options]
+   * @param {string} [options.registryFile]
+   * @param {boolean} [options.readOnly] - name new repositories in memory
+   *   only, leaving the registry to the app
+   */
+  constructor(config = {}, options = {}) {
+    this.registryFile = options.registryFile || REGISTRY_FILE;
+    this.readOnly = !!options.readOnly;
+    this.registry = this._loadRegistry();
+    this.cache = new Map();  // cwd → { at, identity }
+    this.setConfig(config);
+  }
+
+  /**
+   * Replace alias / merge rules.
+   */
+  setConfig(config = {}) {
+    this.remoteAliases = new Map();
+    this.pathAliases = [];
+    const aliases = config.aliases && typeof config.aliases === 'object' ? config.aliases : {};
+    for (const [match, name] of Object.entries(aliases)) {
+      if (typeof name !== 'string' || !name) continue;
+      if (/^[~/]/.test(match) || /^[A-Za-z]:[\\/]/.test(match)) {
+        this.pathAliases.push({ root: path.resolve(expandHome(match)), name });
+      } else {
+        this.remoteAliases.set(normalizeRemote(match) || match.toLowerCase(), name);
+      }
+    }
+    // Longest path first so nested aliases win
+    this.pathAliases.sort((a, b) => b.root.length - a.root.length);
+
+    this.merges = new Map();
+    const merge = config.merge && typeof config.merge === 'object' ? config.merge : {};
+    for (const [target, names] of Object.entries(merge)) {
+      for (const name of Array.isArray(names) ? names : [names]) {
+        if (typeof name === 'string' && name && name !== target) this.merges.set(name, target);
+      }
+    }
+    this.cache.clear();
+  }
+
+  /**
+   * Resolve a working directory.
+   * @returns {{ name, id, root, remote }|null} null for a missing cwd
+   */
+  resolve(cwd) {
+    if (!cwd) return null;
+    const cached = this.cache.get(cwd);
+    if (cached && Date.now() - cached.at < CACHE_TTL_MS) return cached.identity;
+
+    const repo = findRepository(cwd);
+    const root = repo ? repo.root : path.resolve(cwd);
+    const remote = repo ? repo.remote : null;
+    const id = remote || `path:${root}`;
+
+    let name = this._aliasFor(cwd, remote);
+    if (!name) name = this._registeredName(id, root, remote);
+
+    const identity = { name: this.canonicalName(name), id, root, remote };
+    this.cache.set(cwd, { at: Date.now(), identity });
+    return identity;
+  }
+
+  /**
+   * Display name for a working directory, or null without one.
+   */
+  nameFor(cwd) {
+    const identity = this.resolve(cwd);
+    return identity ? identity.name : null;
+  }
+
+  /**
+   * Apply merge rules to a name that came from elsewhere (history, proxy).
+   */
+  canonicalName(name) {
+    let current = name;
+    // Follow chains (a → b → c) but never loop
+    for (let i = 0; i < 10 && this.merges.has(current); i++) current = this.merges.get(current);
+    return current;
+  }
+
+  /**
+   * Renames that bring existing history in line with the resolver:
+   * basename-era names of known repositories (learned from the cwd recorded
+   * in Claude Code's transcripts) plus the merge rules.
+   *
+   * A basename that maps to several repositories is left alone — its
+   * history can't be split after the fact.
+   *
+   * @param {string[]} names - project names currently in the history
+   * @param {object} [options]
+   * @param {boolean} [options.legacy] - include basename → repository renames
+   * @returns {object} { oldName: newName }
+   */
+  migrationMap(names, options = {}) {
+    const renames = {};
+    if (options.legacy) {
+      const targets = new Map();  // basename → Set(resolved name)
+      for (const cwd of ProjectResolver.knownWorkingDirs()) {
+        const base = path.basename(cwd);
+        if (!targets.has(base)) targets.set(base, new Set());
+        targets.get(base).add(this.nameFor(cwd));
+      }
+      for (const name of names) {
+        const resolved = targets.get(name);
+        if (!resolved) continue;
+        if (resolved.size > 1) {
+          log.warn(`Projects: "${name}" matches ${resolved.size} repositories (${[...resolved].join(', ')}); history kept as is`);
+          continue;
+        }
+        const [target] = resolved;
+        if (target !== name) renames[name] = target;
+      }
+    }
+    for (const name of names) {
+      const target = this.canonicalName(renames[name] || name);
+      if (target !== name) renames[name] = target;
+    }
+    return renames;
+  }
+
+  // ── Internals ──
+
+  _aliasFor(cwd, remote) {
+    if (remote && this.remoteAliases.has(remote)) return this.remoteAliases.get(remote);
+    const dir = path.resolve(cwd);
+    const alias = this.pathAliases.find(a => dir === a.root || dir.startsWith(a.root + path.sep));
+    return alias ? alias.name : null;
+  }
+
+  /**
+   * Stable default name for an identity, qualified when the plain name is
+   * already taken by a different repository.
+   */
+  _registeredName(id, root, remote) {
+    const known = this.registry[id];
+    if (known) {
+      if (known.root !== root) {
+        known.root = root;
+        this._saveRegistry();
+      }
+      return known.name;
+    }
+
+    const segments = remote ? remote.split('/') : root.split(path.sep).filter(Boolean);
+    const plain = segments[segments.length - 1] || root;
+    const taken = new Set(Object.values(this.registry).map(e => e.name));
+    let name = plain;
+    if (taken.has(name)) {
+      name = segments.length > 1 ? `${segments[segments.length - 2]}/${plain}` : plain;
+      for (let n = 2; taken.has(name); n++) name = `${plain}-${n}`;
+      log(`Projects: "${plain}" is already used by another repository, naming ${id} "${name}"`);
+    }
+
+    this.registry[id] = { name, root, remote, firstSeen: new Date().toISOString() };
+    this._saveRegistry();
+    return name;
+  }
+
+  _loadRegistry() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.registryFile, 'utf8'));
+      return data && typeof data.identities === 'object' ? data.identities : {};
+    } catch {
+      return {};
+    }
+  }
+
+  // Written to a temp file and renamed over the registry, so a reader in
+  // another process never sees half a file
+  _saveRegistry() {
+    if (this.readOnly) return;
+    const tempFile = `${this.registryFile}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.registryFile), { recursive: true });
+      fs.writeFileSync(tempFile, JSON.stringify({ identities: this.registry }, null, 2));
+      fs.renameSync(tempFile, this.registryFile);
+    } catch (err) {
+      log.error('Failed to save project registry:', err.message);
+      try { fs.unlinkSync(tempFile); } catch { /* never created */ }
+    }
+  }
+
+  // ── Static helpers ──
+
+  /**
+   * Working directories Claude Code has run in, read from the `cwd` field
+   * of one transcript per ~/.claude/projects directory.
+   */
+  static knownWorkingDirs(projectsDir = CLAUDE_PROJECTS_DIR) {
+    const cwds = new Set();
+    let dirs;
+    try {
+      dirs = fs.readdirSync(projectsDir);
+    } catch {
+      return [];
+    }
+    for (const dir of dirs) {
+      const dirPath = path.join(projectsDir, dir);
+      let transcripts;
+      try {
+        transcripts = fs.readdirSync(dirPath).filter(f => f.endsWith('.jsonl'));
+      } catch {
+        continue;
+      }
+      for (const file of transcripts) {
+        const cwd = readTranscriptCwd(path.join(dirPath, file));
+        if (cwd) {
+          cwds.add(cwd);
+          break;
+        }
+      }
+    }
+    return [...cwds];
+  }
+}
+
+/**
+ * Find the git repository containing `cwd`.
+ * @returns {{ root, remote }|null} root of the main repository (worktrees
+ *   resolve to the repository they belong to), normalized remote or null
+ */
+function findRepository(cwd) {
+  const git = findGitDir(cwd);
+  if (!git) return null;
+  const root = path.basename(git.commonDir) === '.git' ? path.dirname(git.commonDir) : git.workTree;
+  return { root, remote: readRemote(git.commonDir) };
+}
+
+// URL of `origin`, else of the first remote in the repository config
+function readRemote(gitDir) {
+  let text;
+  try {
+    text = fs.readFileSync(path.join(gitDir, 'config'), 'utf8');
+  } catch {
+    return null;
+  }
+  const remotes = [];
+  let current = null;
+  for (const line of text.split('\n')) {
+    const section = /^\s*\[\s*remote\s+"([^"]+)"\s*\]/.exec(line);
+    if (section) {
+      current = section[1];
+      continue;
+    }
+    if (/^\s*\[/.test(line)) {
+      current = null;
+      continue;
+    }
+    const url = current && /^\s*url\s*=\s*(.+?)\s*$/.exec(line);
+    if (url) remotes.push({ name: current, url: url[1] });
+  }
+  const remote = remotes.find(r => r.name === 'origin') || remotes[0];
+  return remote ? normalizeRemote(remote.url) : null;
+}
+
+/**
+ * host/owner/repo for the usual remote URL spellings:
+ *   git@github.com:me/app.git, https://user@github.com/me/app,
+ *   ssh://git@host:22/me/app.git → github.com/me/app, host/me/app
+ */
+function normalizeRemote(url) {
+  if (typeof url !== 'string' || !url.trim()) return null;
+  let value = url.trim();
+  const scp = /^(?:[^@/]+@)?([^:/]+):(?!\/)(.+)$/.exec(value);
+  if (scp && !/^[a-z]+:\/\//i.test(value)) {
+    value = `${scp[1]}/${scp[2]}`;
+  } else {
+    try {
+      const parsed = new URL(value);
+      if (parsed.protocol === 'file:') return null;
+      value = `${parsed.hostname}${parsed.pathname}`;
+    } catch {
+      return null;
+    }
+  }
+  const [host, ...rest] = value.replace(/\/+$/, '').replace(/\.git$/, '').split('/');
+  return rest.length > 0 ? [host.toLowerCase(), ...rest].join('/') : null;
+}
+
+function readTranscriptCwd(file) {
+  try {
+    const fd = fs.openSync(file, 'r');
+    const buf = Buffer.alloc(TRANSCRIPT_HEAD_BYTES);
+    const bytesRead = fs.readSync(fd, buf, 0, TRANSCRIPT_HEAD_BYTES, 0);
+    fs.closeSync(fd);
+    const match = /"cwd"\s*:\s*"((?:[^"\\]|\\.)*)"/.exec(buf.toString('utf8', 0, bytesRead));
+    return match ? JSON.parse(`"${match[1]}"`) : null;
+  } catch {
+    return null;
+  }
+}
+
+function expandHome(p) {
+  return p.replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+ProjectResolver.findRepository = findRepository;
+ProjectResolver.normalizeRemote = normalizeRemote;
+
+module.exports = ProjectResolver;
@@ -0,0 +1,195 @@
+/**
+ * Proxy Recorder — saves metered proxy traffic for debugging after the fact.
+ *
+ * Every request that goes through ProxyServer's metering mode is appended as
+ * one NDJSON line:
+ *
+ *   { id, timestamp, latencyMs, key,
+ *     request:  { method, path, headers, body, truncated },
+ *     response: { status, headers, body, truncated } | null,
+ *     error }
+ *
+ * Secrets never reach the disk: credential headers are replaced and
+ * API keys / OAuth tokens inside bodies are masked (see redactHeaders and
+ * redactText). Files live in ~/.alldaypoke/recordings (0600), roll over at
+ * maxFileBytes and only the newest maxFiles are kept.
+ *
+ * `key` identifies the request for ProxyReplayer: method, path and a hash of
+ * the JSON body with per-session fields (metadata) removed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const log = require('./logger');
+
+const RECORDINGS_DIR = path.join(os.homedir(), '.alldaypoke', 'recordings');
+const FILE_PREFIX = 'proxy-';
+const FILE_SUFFIX = '.ndjson';
+
+const DEFAULT_MAX_FILE_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 20;
+// Bodies beyond this are cut off (and marked truncated)
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+
+const REDACTED = '[REDACTED]';
+const SECRET_HEADERS = ['authorization', 'x-api-key', 'proxy-authorization', 'cookie', 'set-cookie', 'anthropic-api-key'];
+// sk-ant-api03-…, sk-ant-oat01-…, sk-ant-ort01-…
+const SECRET_TOKEN_RE = /sk-ant-[a-z0-9]+-[A-Za-z0-9_-]+/g;
+const SECRET_JSON_KEY_RE = /("(?:access_token|refresh_token|api_key|apiKey|accessToken|refreshToken|client_secret)"\s*:\s*)"[^"]*"/g;
+
+class ProxyRecorder {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir]
+   * @param {number} [options.maxFileBytes]
+   * @param {number} [options.maxFiles]
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || RECORDINGS_DIR;
+    this.maxFileBytes = options.maxFileBytes || DEFAULT_MAX_FILE_BYTES;
+    this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+    this.file = null;
+    this.fileBytes = 0;
+  }
+
+  /**
+   * Start capturing one exchange. Returns a capture with
+   * onRequestData / onResponseStart / onResponseData / finish(error).
+   */
+  capture(method, reqPath, headers) {
+    const startedAt = Date.now();
+    const request = { method, path: reqPath, headers: ProxyRecorder.redactHeaders(headers), chunks: [], bytes: 0 };
+    let response = null;
+
+    const collect = (part, chunk) => {
+      part.bytes += chunk.length;
+      if (part.bytes <= MAX_BODY_BYTES) part.chunks.push(chunk);
+    };
+    const bodyOf = (part) => ({
+      body: ProxyRecorder.redactText(Buffer.concat(part.chunks).toString('utf8')),
+      truncated: part.bytes > MAX_BODY_BYTES,
+    });
+
+    return {
+      onRequestData: (chunk) => collect(request, chunk),
+      onResponseStart: (status, resHeaders) => {
+        response = { status, headers: ProxyRecorder.redactHeaders(resHeaders), chunks: [], bytes: 0 };
+      },
+      onResponseData: (chunk) => {
+        if (response) collect(response, chunk);
+      },
+      finish: (error = null) => {
+        const req = bodyOf(request);
+        this._write({
+          id: crypto.randomBytes(8).toString('hex'),
+          timestamp: new Date(startedAt).toISOString(),
+          latencyMs: Date.now() - startedAt,
+          key: ProxyRecorder.requestKey(method, reqPath, req.body),
+          request: { method, path: reqPath, headers: request.headers, ...req },
+          response: response ? { status: response.status, headers: response.headers, ...bodyOf(response) } : null,
+          error,
+        });
+      },
+    };
+  }
+
+  /**
+   * Recording files, oldest first.
+   */
+  listFiles() {
+    try {
+      return fs.readdirSync(this.dir)
+        .filter(f => f.startsWith(FILE_PREFIX) && f.endsWith(FILE_SUFFIX))
+        .sort()
+        .map(f => path.join(this.dir, f));
+    } catch {
+      return [];
+    }
+  }
+
+  // ── Internals ──
+
+  _write(exchange) {
+    const line = JSON.stringify(exchange) + '\n';
+    try {
+      if (!this.file || this.fileBytes + line.length > this.maxFileBytes) this._rotate();
+      fs.appendFileSync(this.file, line, { mode: 0o600 });
+      this.fileBytes += Buffer.byteLength(line);
+    } catch (err) {
+      log.error('ProxyRecorder: failed to write recording:', err.message);
+    }
+  }
+
+  _rotate() {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    // Timestamped names sort chronologically; the counter breaks ties
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    let name;
+    for (let n = 0; ; n++) {
+      name = path.join(this.dir, `${FILE_PREFIX}${stamp}${n ? `-${n}` : ''}${FILE_SUFFIX}`);
+      if (!fs.existsSync(name)) break;
+    }
+    this.file = name;
+    this.fileBytes = 0;
+
+    const files = this.listFiles();
+    // +1: the new file doesn't exist until the first append
+    for (const old of files.slice(0, Math.max(0, files.length + 1 - this.maxFiles))) {
+      try {
+        fs.unlinkSync(old);
+      } catch (err) {
+        log.warn(`ProxyRecorder: could not remove ${old}: ${err.message}`);
+      }
+    }
+    log(`Recording proxy traffic to ${this.file}`);
+  }
+
+  // ── Static helpers ──
+
+  static redactHeaders(headers = {}) {
+    const out = {};
+    for (const [name, value] of Object.entries(headers)) {
+      out[name] = SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : value;
+    }
+    return out;
+  }
+
+  static redactText(text) {
+    return text
+      .replace(SECRET_TOKEN_RE, `sk-ant-${REDACTED}`)
+      .replace(SECRET_JSON_KEY_RE, `$1"${REDACTED}"`);
+  }
+
+  /**
+   * Replay key: method + path + hash of the body with per-session metadata
+   * removed, so the same prompt matches across sessions.
+   */
+  static requestKey(method, reqPath, body) {
+    let normalized = body || '';
+    try {
+      const parsed = JSON.parse(body);
+      if (parsed && typeof parsed === 'object') {
+        delete parsed.metadata;
+        normalized = stableStringify(parsed);
+      }
+    } catch {
+      // Not JSON; hash the raw text
+    }
+    const hash = crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 16);
+    return `${method} ${reqPath} ${hash}`;
+  }
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+ProxyRecorder.RECORDINGS_DIR = RECORDINGS_DIR;
+
+module.exports = ProxyRecorder;
@@ -0,0 +1,89 @@
+/**
+ * Proxy Replayer — serves recorded responses instead of calling upstream.
+ *
+ * Loads ProxyRecorder NDJSON files (a single file or every recording in a
+ * directory) and answers ProxyServer metering-mode requests from them:
+ *
+ *   1. exact match on the request key (method + path + body hash), in the
+ *      order the exchanges were recorded
+ *   2. otherwise the next unused recording for the same method + path
+ *   3. otherwise a 404 `replay_miss` error in the API's error shape
+ *
+ * Matched exchanges are consumed; when every candidate has been served the
+ * last one is repeated, so retries stay deterministic.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ProxyRecorder = require('./proxy-recorder');
+const log = require('./logger');
+
+// Recomputed for the replayed body
+const DROP_RESPONSE_HEADERS = ['content-length', 'transfer-encoding', 'connection', 'keep-alive', 'content-encoding'];
+
+class ProxyReplayer {
+  /**
+   * @param {string} source - recording file or directory of recordings
+   */
+  constructor(source) {
+    this.source = source;
+    this.exchanges = this._load(source);
+    this.used = new Set();
+    log(`Proxy replay: loaded ${this.exchanges.length} recorded exchange(s) from ${source}`);
+  }
+
+  /**
+   * Find the response for a request.
+   * @returns {{ status, headers, body, recordedId }|null}
+   */
+  match(method, reqPath, body) {
+    const key = ProxyRecorder.requestKey(method, reqPath, ProxyRecorder.redactText(body || ''));
+    const route = `${method} ${reqPath} `;
+
+    const exact = this.exchanges.filter(e => e.key === key);
+    const candidates = exact.length > 0 ? exact : this.exchanges.filter(e => e.key.startsWith(route));
+    if (candidates.length === 0) return null;
+
+    const next = candidates.find(e => !this.used.has(e)) || candidates[candidates.length - 1];
+    this.used.add(next);
+
+    const headers = {};
+    for (const [name, value] of Object.entries(next.response.headers || {})) {
+      if (!DROP_RESPONSE_HEADERS.includes(name.toLowerCase())) headers[name] = value;
+    }
+    headers['x-alldaypoke-replay'] = next.id;
+    return { status: next.response.status, headers, body: next.response.body || '', recordedId: next.id };
+  }
+
+  // ── Internals ──
+
+  _load(source) {
+    let files;
+    try {
+      files = fs.statSync(source).isDirectory()
+        ? new ProxyRecorder({ dir: source }).listFiles()
+        : [source];
+    } catch (err) {
+      log.error(`Proxy replay: cannot read ${source}: ${err.message}`);
+      return [];
+    }
+
+    const exchanges = [];
+    for (const file of files) {
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      lines.forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+          const exchange = JSON.parse(line);
+          // Only complete exchanges can be replayed
+          if (exchange.key && exchange.response) exchanges.push(exchange);
+        } catch {
+          log.warn(`Proxy replay: skipping malformed line ${i + 1} of ${path.basename(file)}`);
+        }
+      });
+    }
+    return exchanges;
+  }
+}
+
+module.exports = ProxyReplayer;
@@ -1,16 +1,70 @@
+/**
+ * Local proxy.
+ *
+ * Forward-proxy mode (HTTP_PROXY / HTTPS_PROXY): emits 'activity' for
+ * Anthropic hosts. CONNECT tunnels stay opaque.
+ *
+ * Metering mode (opt-in, `metering.enabled`): clients set
+ * ANTHROPIC_BASE_URL=http://localhost:<port> and send plain origin-form
+ * requests, which are forwarded to `metering.upstream`. Messages API calls
+ * are observed by a RequestMeter and reported as
+ *
+ *   'request-usage' { id, project, sessionId, model, timestamp, status,
+ *                     error, stream, latencyMs, ttfbMs, inputTokens,
+ *                     outputTokens, cacheReadTokens, cacheCreationTokens }
+ *
+ * The project comes from a `/project/<name>` base-URL prefix, an
+ * `X-AllDayPoke-Project` header (ANTHROPIC_CUSTOM_HEADERS), or the
+ * `resolveProject({ sessionId })` callback, in that order.
+ *
+ * Metered traffic can also be recorded (ProxyRecorder, redacted NDJSON) or
+ * answered from earlier recordings instead of upstream (ProxyReplayer).
+ *
+ * With a `checkBudget(project)` callback (BudgetEngine), Messages requests
+ * are buffered until the project is known and refused with a 403
+ * `budget_exceeded` error while the project's budget pauses it:
+ *
+ *   'request-blocked' { project, sessionId, path, message }
+ */
+
 const http = require('http');
 const https = require('https');
 const url = require('url');
 const EventEmitter = require('events');
+const RequestMeter = require('./request-meter');
 const log = require('./logger');
 
+const DEFAULT_UPSTREAM = 'https://api.anthropic.com';
+const PROJECT_HEADER = 'x-alldaypoke-project';
+const PROJECT_PREFIX_RE = /^\/project\/([^/?]+)(\/.*|\?.*)?$/;
+
+// Hop-by-hop headers that must not be forwarded
+const HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'proxy-authorization', 'transfer-encoding', 'upgrade', 'te', 'trailer'];
+
 class ProxyServer extends EventEmitter {
-  constructor(port = 9999, apiKey = '') {
+  /**
+   * @param {number} port
+   * @param {string} apiKey
+   * @param {object} [options]
+   * @param {object} [options.metering] - { enabled, upstream }
+   * @param {function} [options.resolveProject] - ({ sessionId }) => project|null
+   * @param {ProxyRecorder} [options.recorder] - save metered exchanges
+   * @param {ProxyReplayer} [options.replayer] - serve recordings instead of upstream
+   * @param {function} [options.checkBudget] - (project) => refusal message|null
+   */
+  constructor(port = 9999, apiKey = '', options = {}) {
     super();
     this.port = port;
     this.apiKey = apiKey;
     this.server = null;
     this.activeRequests = new Set();
+    const metering = options.metering || {};
+    this.meteringEnabled = !!metering.enabled;
+    this.upstream = new URL(metering.upstream || DEFAULT_UPSTREAM);
+    this.resolveProject = options.resolveProject || null;
+    this.recorder = options.recorder || null;
+    this.replayer = options.replayer || null;
+    this.checkBudget = options.checkBudget || null;
   }
 
   start() {
@@ -41,6 +95,12 @@ class ProxyServer extends EventEmitter {
   }
 
   handleRequest(clientReq, clientRes) {
+    // Origin-form URL = a client using us as ANTHROPIC_BASE_URL
+    if (this.meteringEnabled && clientReq.url.startsWith('/')) {
+      this.handleMeteredRequest(clientReq, clientRes);
+      return;
+    }
+
     const parsedUrl = url.parse(clientReq.url);
     const isAnthropicRequest = parsedUrl.hostname &&
       (parsedUrl.hostname.includes('anthropic.com') ||
@@ -98,6 +158,217 @@ class ProxyServer extends EventEmitter {
     clientReq.pipe(proxyReq);
   }
 
+  /**
+   * Forward an ANTHROPIC_BASE_URL request to the upstream API, metering
+   * Messages API calls on the way through.
+   */
+  handleMeteredRequest(clientReq, clientRes) {
+    let reqPath = clientReq.url;
+    let project = null;
+
+    const prefix = PROJECT_PREFIX_RE.exec(reqPath);
+    if (prefix) {
+      try {
+        project = decodeURIComponent(prefix[1]);
+      } catch {
+        project = prefix[1]; // malformed escape: keep the segment as typed
+      }
+      reqPath = prefix[2] || '/';
+      if (reqPath.startsWith('?')) reqPath = `/${reqPath}`;
+    }
+    if (clientReq.headers[PROJECT_HEADER]) project = String(clientReq.headers[PROJECT_HEADER]);
+
+    const headers = { ...clientReq.headers };
+    for (const name of [...HOP_HEADERS, PROJECT_HEADER, 'host']) delete headers[name];
+    // Compressed responses can't be metered; the localhost hop doesn't need it
+    headers['accept-encoding'] = 'identity';
+
+    const pathname = reqPath.split('?')[0];
+    const metered = clientReq.method === 'POST' && /^\/v1\/messages\/?$/.test(pathname);
+    const meter = metered ? new RequestMeter({ project, method: clientReq.method, path: pathname }) : null;
+
+    this.emit('activity');
+    this.activeRequests.add(clientReq);
+
+    const capture = this.recorder && !this.replayer
+      ? this.recorder.capture(clientReq.method, reqPath, clientReq.headers)
+      : null;
+
+    let finished = false;
+    const finish = (failure) => {
+      if (finished) return;
+      finished = true;
+      this.activeRequests.delete(clientReq);
+      if (capture) capture.finish(failure || null);
+      if (!meter) return;
+      const record = meter.finish(failure);
+      record.project = this._projectFor(meter);
+      this.emit('request-usage', record);
+    };
+
+    if (this.replayer) {
+      this._replay(clientReq, clientRes, reqPath, meter, finish);
+      return;
+    }
+
+    if (meter && this.checkBudget) {
+      this._checkBudget(clientReq, clientRes, meter, capture, finish, (body) => {
+        this._forward(clientReq, clientRes, reqPath, headers, meter, capture, finish, body);
+      });
+      return;
+    }
+    this._forward(clientReq, clientRes, reqPath, headers, meter, capture, finish, null);
+  }
+
+  /**
+   * Send a metered request upstream and stream the response back. `body` is
+   * the already-buffered request body, or null to pipe it from the client.
+   */
+  _forward(clientReq, clientRes, reqPath, headers, meter, capture, finish, body) {
+    const client = this.upstream.protocol === 'http:' ? http : https;
+    const basePath = this.upstream.pathname.replace(/\/$/, '');
+    const proxyReq = client.request({
+      hostname: this.upstream.hostname,
+      port: this.upstream.port || (this.upstream.protocol === 'http:' ? 80 : 443),
+      path: basePath + reqPath,
+      method: clientReq.method,
+      headers,
+    }, (proxyRes) => {
+      if (meter) meter.onResponseStart(proxyRes.statusCode, proxyRes.headers);
+      if (capture) capture.onResponseStart(proxyRes.statusCode, proxyRes.headers);
+      clientRes.writeHead(proxyRes.statusCode, proxyRes.headers);
+      proxyRes.on('data', (chunk) => {
+        if (meter) meter.onResponseData(chunk);
+        if (capture) capture.onResponseData(chunk);
+      });
+      proxyRes.pipe(clientRes);
+      proxyRes.on('end', () => finish());
+      proxyRes.on('error', () => finish('upstream_aborted'));
+    });
+
+    proxyReq.on('error', (error) => {
+      log.error('Metering proxy upstream error:', error.message);
+      if (!clientRes.headersSent) {
+        clientRes.writeHead(502, { 'Content-Type': 'application/json' });
+        clientRes.end(JSON.stringify({ type: 'error', error: { type: 'proxy_error', message: error.message } }));
+      } else {
+        clientRes.destroy();
+      }
+      finish('proxy_error');
+    });
+
+    // Client hung up (Ctrl-C / Esc in Claude Code) before the response ended
+    clientRes.on('close', () => {
+      if (!clientRes.writableFinished) {
+        proxyReq.destroy();
+        finish('client_aborted');
+      }
+    });
+
+    if (body) {
+      proxyReq.end(body);
+      return;
+    }
+    if (meter) {
+      clientReq.on('data', (chunk) => meter.onRequestData(chunk));
+      clientReq.on('end', () => meter.onRequestEnd());
+    }
+    if (capture) clientReq.on('data', (chunk) => capture.onRequestData(chunk));
+    clientReq.pipe(proxyReq);
+  }
+
+  /**
+   * Buffer a Messages request until its project is known (the session id is
+   * in the body), then refuse it if the project's budget is used up or hand
+   * the body on to `forward`.
+   */
+  _checkBudget(clientReq, clientRes, meter, capture, finish, forward) {
+    const chunks = [];
+    let buffered = false;
+    // Client hung up while the body was still arriving
+    clientRes.on('close', () => {
+      if (!buffered) finish('client_aborted');
+    });
+    clientReq.on('data', (chunk) => {
+      chunks.push(chunk);
+      meter.onRequestData(chunk);
+      if (capture) capture.onRequestData(chunk);
+    });
+    clientReq.on('end', () => {
+      buffered = true;
+      meter.onRequestEnd();
+      const project = this._projectFor(meter);
+      let refusal = null;
+      try {
+        refusal = this.checkBudget(project);
+      } catch (error) {
+        log.error('Proxy budget check failed:', error.message);
+      }
+      if (!refusal) {
+        forward(Buffer.concat(chunks));
+        return;
+      }
+
+      this.emit('request-blocked', { project, sessionId: meter.sessionId, path: meter.path, message: refusal });
+      const body = Buffer.from(JSON.stringify({ type: 'error', error: { type: 'budget_exceeded', message: refusal } }));
+      const headers = { 'content-type': 'application/json', 'content-length': String(body.length) };
+      // Metered and recorded like an upstream answer, so blocked requests
+      // show up in history and replays
+      meter.onResponseStart(403, headers);
+      meter.onResponseData(body);
+      if (capture) {
+        capture.onResponseStart(403, headers);
+        capture.onResponseData(body);
+      }
+      clientRes.writeHead(403, headers);
+      clientRes.end(body);
+      finish('budget_exceeded');
+    });
+  }
+
+  /**
+   * Project for a metered request: explicit prefix / header, else the
+   * resolver's answer for its session, else 'unknown'.
+   */
+  _projectFor(meter) {
+    if (meter.project) return meter.project;
+    if (this.resolveProject) {
+      try {
+        return this.resolveProject({ sessionId: meter.sessionId }) || 'unknown';
+      } catch (error) {
+        log.error('Proxy project resolver failed:', error.message);
+      }
+    }
+    return 'unknown';
+  }
+
+  /**
+   * Answer a metered request from the loaded recordings.
+   */
+  _replay(clientReq, clientRes, reqPath, meter, finish) {
+    const chunks = [];
+    clientReq.on('data', (chunk) => {
+      chunks.push(chunk);
+      if (meter) meter.onRequestData(chunk);
+    });
+    clientReq.on('end', () => {
+      if (meter) meter.onRequestEnd();
+      const recorded = this.replayer.match(clientReq.method, reqPath, Buffer.concat(chunks).toString('utf8'));
+      const status = recorded ? recorded.status : 404;
+      const headers = recorded ? recorded.headers : { 'content-type': 'application/json' };
+      const body = Buffer.from(recorded
+        ? recorded.body
+        : JSON.stringify({ type: 'error', error: { type: 'replay_miss', message: `No recording for ${clientReq.method} ${reqPath}` } }));
+
+      if (meter) {
+        meter.onResponseStart(status, headers);
+        meter.onResponseData(body);
+      }
+      clientRes.writeHead(status, { ...headers, 'content-length': body.length });
+      clientRes.end(body, () => finish());
+    });
+  }
+
   handleConnect(req, clientSocket, head) {
     // Handle HTTPS CONNECT tunneling
     const { hostname, port } = url.parse(`https://${req.url}`);
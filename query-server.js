@@ -0,0 +1,287 @@
+/**
+ * Query Server — opt-in local HTTP/JSON API over the widget's data.
+ *
+ * Lets dashboards, shell prompts and scripts read what the renderer sees
+ * without going through Electron IPC. Disabled unless `api_server.enabled` is
+ * set in ~/.alldaypoke/config.json.
+ *
+ * Security:
+ *   - binds to 127.0.0.1 only
+ *   - every request except /v1/health needs the token from
+ *     ~/.alldaypoke/api-token (created 0600 on first start), sent as
+ *     `Authorization: Bearer <token>` or `X-AllDayPoke-Token: <token>`
+ *   - the Host header must be a loopback name, which blocks DNS rebinding
+ *     from web pages; no CORS headers are ever sent
+ *   - read-only: GET (and HEAD) only
+ *
+ * Endpoints (all JSON):
+ *   GET /v1/health                             { ok, version }
+ *   GET /v1/usage                              latest normalized token-update payload
+ *   GET /v1/forecast                           burn-rate forecast per usage window
+ *   GET /v1/sessions                           SessionMonitor.getSessions()
+ *   GET /v1/ranking?period=7d                  { period, ranking, total }
+ *   GET /v1/requests?period=7d                 { period, projects } metering proxy stats
+ *   GET /v1/telemetry                          rolling API error / rate-limit summary
+ *   GET /v1/budgets                            consumption against each project budget
+ *   GET /v1/branches?period=7d&project=app     { period, project, branches } usage per git branch
+ *   GET /v1/tasks?project=app&limit=50         finished tasks with branch and git summary
+ *   GET /v1/timeline?period=today              busy / idle segments per project (today, 7d)
+ *   GET /v1/projects/<name>/history?days=30    { project, days, history }
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const log = require('./logger');
+
+const TOKEN_FILE = path.join(os.homedir(), '.alldaypoke', 'api-token');
+const DEFAULT_PORT = 9998;
+const BIND_HOST = '127.0.0.1';
+
+const VALID_PERIODS = ['today', '7d', '30d', 'all'];
+const TIMELINE_PERIODS = ['today', '7d'];
+const MAX_HISTORY_DAYS = 3650;
+const MAX_TASKS = 1000;
+
+// Host header values accepted (port is stripped before comparing)
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', 'localhost', '[::1]']);
+
+class QueryServer {
+  /**
+   * @param {object} options
+   * @param {number}   [options.port]
+   * @param {string}   [options.token]      - overrides the token file
+   * @param {Function} options.getUsage     - () => latest token-update payload or null
+   * @param {Function} options.getSessions  - () => session list
+   * @param {Function} options.getForecast  - () => { window: forecast }
+   * @param {Function} options.getRanking   - (period) => { ranking, total }
+   * @param {Function} options.getRequestStats - (period) => per-project request stats
+   * @param {Function} options.getTelemetry - () => ApiTelemetry summary or null
+   * @param {Function} options.getBudgets - () => BudgetEngine status rows
+   * @param {Function} options.getBranchUsage - (period, project) => per-branch usage
+   * @param {Function} options.getSessionHistory - ({ project, limit }) => finished tasks
+   * @param {Function} options.getTimeline - (period) => SessionTimeline
+   * @param {Function} options.getProjectHistory - (project, days) => daily history
+   */
+  constructor(options = {}) {
+    this.port = options.port || DEFAULT_PORT;
+    this.token = options.token || null;
+    this.providers = {
+      getUsage: options.getUsage || (() => null),
+      getSessions: options.getSessions || (() => []),
+      getForecast: options.getForecast || (() => ({})),
+      getRanking: options.getRanking || (() => ({ ranking: [], total: null })),
+      getRequestStats: options.getRequestStats || (() => []),
+      getTelemetry: options.getTelemetry || (() => null),
+      getBudgets: options.getBudgets || (() => []),
+      getBranchUsage: options.getBranchUsage || (() => []),
+      getSessionHistory: options.getSessionHistory || (() => []),
+      getTimeline: options.getTimeline || (() => ({ projects: [] })),
+      getProjectHistory: options.getProjectHistory || (() => []),
+    };
+    this.server = null;
+  }
+
+  start() {
+    if (this.server) return;
+    if (!this.token) this.token = QueryServer.loadOrCreateToken();
+
+    this.server = http.createServer((req, res) => {
+      try {
+        this.handleRequest(req, res);
+      } catch (err) {
+        log.error('Query server: request failed:', err.message);
+        this._send(res, 500, { error: 'internal_error' });
+      }
+    });
+
+    this.server.on('error', (err) => {
+      log.error('Query server error:', err.message);
+    });
+
+    this.server.listen(this.port, BIND_HOST, () => {
+      log(`Query server listening on http://${BIND_HOST}:${this.port}`);
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  /**
+   * Read the API token, generating one on first use.
+   */
+  static loadOrCreateToken(file = TOKEN_FILE) {
+    try {
+      const existing = fs.readFileSync(file, 'utf8').trim();
+      if (existing) return existing;
+    } catch { /* not created yet */ }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, token + '\n', { mode: 0o600 });
+    log(`Query server: created API token at ${file}`);
+    return token;
+  }
+
+  // ── Request handling ──
+
+  handleRequest(req, res) {
+    if (!this._isLoopbackHost(req.headers.host)) {
+      return this._send(res, 403, { error: 'forbidden_host' });
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      return this._send(res, 405, { error: 'method_not_allowed' });
+    }
+
+    const url = new URL(req.url, `http://${BIND_HOST}`);
+    const parts = url.pathname.split('/').filter(Boolean);
+
+    if (parts[0] !== 'v1') {
+      return this._send(res, 404, { error: 'not_found' });
+    }
+
+    if (parts[1] === 'health' && parts.length === 2) {
+      return this._send(res, 200, { ok: true, version: QueryServer.appVersion() });
+    }
+
+    if (!this._isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return this._send(res, 401, { error: 'unauthorized' });
+    }
+
+    switch (parts[1]) {
+      case 'usage':
+        if (parts.length !== 2) break;
+        return this._send(res, 200, { usage: this.providers.getUsage() });
+
+      case 'forecast':
+        if (parts.length !== 2) break;
+        return this._send(res, 200, { forecast: this.providers.getForecast() });
+
+      case 'sessions':
+        if (parts.length !== 2) break;
+        return this._send(res, 200, { sessions: this.providers.getSessions() });
+
+      case 'ranking': {
+        if (parts.length !== 2) break;
+        const period = url.searchParams.get('period') || 'all';
+        if (!VALID_PERIODS.includes(period)) {
+          return this._send(res, 400, { error: 'invalid_period', valid: VALID_PERIODS });
+        }
+        const { ranking, total } = this.providers.getRanking(period);
+        return this._send(res, 200, { period, ranking, total });
+      }
+
+      case 'requests': {
+        if (parts.length !== 2) break;
+        const period = url.searchParams.get('period') || 'all';
+        if (!VALID_PERIODS.includes(period)) {
+          return this._send(res, 400, { error: 'invalid_period', valid: VALID_PERIODS });
+        }
+        return this._send(res, 200, { period, projects: this.providers.getRequestStats(period) });
+      }
+
+      case 'telemetry':
+        if (parts.length !== 2) break;
+        return this._send(res, 200, { telemetry: this.providers.getTelemetry() });
+
+      case 'budgets':
+        if (parts.length !== 2) break;
+        return this._send(res, 200, { budgets: this.providers.getBudgets() });
+
+      case 'branches': {
+        if (parts.length !== 2) break;
+        const period = url.searchParams.get('period') || 'all';
+        if (!VALID_PERIODS.includes(period)) {
+          return this._send(res, 400, { error: 'invalid_period', valid: VALID_PERIODS });
+        }
+        const project = url.searchParams.get('project') || null;
+        return this._send(res, 200, { period, project, branches: this.providers.getBranchUsage(period, project) });
+      }
+
+      case 'tasks': {
+        if (parts.length !== 2) break;
+        const limit = url.searchParams.has('limit') ? Number(url.searchParams.get('limit')) : 100;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TASKS) {
+          return this._send(res, 400, { error: 'invalid_limit' });
+        }
+        const project = url.searchParams.get('project') || undefined;
+        return this._send(res, 200, { tasks: this.providers.getSessionHistory({ project, limit }) });
+      }
+
+      case 'timeline': {
+        if (parts.length !== 2) break;
+        const period = url.searchParams.get('period') || 'today';
+        if (!TIMELINE_PERIODS.includes(period)) {
+          return this._send(res, 400, { error: 'invalid_period', valid: TIMELINE_PERIODS });
+        }
+        return this._send(res, 200, { period, timeline: this.providers.getTimeline(period) });
+      }
+
+      case 'projects': {
+        if (parts.length !== 4 || parts[3] !== 'history') break;
+        let project;
+        try {
+          project = decodeURIComponent(parts[2]);
+        } catch {
+          return this._send(res, 400, { error: 'invalid_project' });
+        }
+        const days = url.searchParams.has('days') ? Number(url.searchParams.get('days')) : 30;
+        if (!Number.isInteger(days) || days < 1 || days > MAX_HISTORY_DAYS) {
+          return this._send(res, 400, { error: 'invalid_days' });
+        }
+        const history = this.providers.getProjectHistory(project, days);
+        return this._send(res, 200, { project, days, history });
+      }
+    }
+
+    return this._send(res, 404, { error: 'not_found' });
+  }
+
+  _isLoopbackHost(hostHeader) {
+    if (!hostHeader) return false;
+    const host = hostHeader.replace(/:\d+$/, '').toLowerCase();
+    return LOOPBACK_HOSTS.has(host);
+  }
+
+  _isAuthorized(req) {
+    const auth = req.headers.authorization || '';
+    const presented = auth.startsWith('Bearer ')
+      ? auth.slice(7).trim()
+      : (req.headers['x-alldaypoke-token'] || '');
+
+    const a = Buffer.from(String(presented));
+    const b = Buffer.from(this.token);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  _send(res, status, body) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(json),
+      'Cache-Control': 'no-store',
+    });
+    res.end(res.req && res.req.method === 'HEAD' ? undefined : json);
+  }
+
+  static appVersion() {
+    try {
+      return require('./package.json').version;
+    } catch {
+      return null;
+    }
+  }
+}
+
+QueryServer.TOKEN_FILE = TOKEN_FILE;
+QueryServer.DEFAULT_PORT = DEFAULT_PORT;
+
+module.exports = QueryServer;
@@ -0,0 +1,147 @@
+/**
+ * Remote Agent — runs SessionMonitor on a remote host and streams what it
+ * sees back to the app.
+ *
+ * The same debug-file / transcript / process detection as on the desktop,
+ * without Electron: session snapshots and lifecycle events are written as
+ * NDJSON (see remote-hosts.js for the protocol) to
+ *
+ *   - stdout (default), which is how RemoteHosts runs it: the agent and the
+ *     modules it needs are piped into `ssh <host> node -`, so the remote
+ *     host only needs Node
+ *   - a socket with --connect 127.0.0.1:<port> (or a unix socket path),
+ *     for agents started by hand behind `ssh -R <port>:127.0.0.1:<port>`;
+ *     the connection is retried every RECONNECT_MS while the agent runs
+ *
+ * Usage: node remote-agent.js [--name <host>] [--connect <addr>] [--token <token>]
+ *        alldaypoke agent ...  (same options)
+ *
+ * Project names follow the remote host's ~/.alldaypoke/config.json
+ * `projects` rules; the app applies its own merge rules on top.
+ */
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const PROTOCOL_VERSION = 1;
+const HEARTBEAT_MS = 30 * 1000;
+const RECONNECT_MS = 10 * 1000;
+
+// SessionMonitor events worth forwarding. Session start / end are derived
+// from the snapshots on the app side, so a lost line can't leave a session
+// open forever.
+const FORWARDED_EVENTS = [
+  'session-state-changed',
+  'session-task-started',
+  'session-task-completed',
+  'session-task-finished',
+  'session-needs-attention',
+  'session-attention-cleared',
+];
+
+/**
+ * @param {string[]} argv - arguments after the script name
+ */
+function main(argv) {
+  const options = parseArgs(argv);
+  // stdout may be the data channel; only errors go to stderr
+  process.env.ALLDAYPOKE_QUIET = '1';
+
+  const SessionMonitor = require('./session-monitor');
+  const ProjectResolver = require('./project-resolver');
+
+  const monitor = new SessionMonitor({
+    pollIntervalSeconds: 5,
+    resolver: new ProjectResolver(readProjectsConfig()),
+    detectSSH: false,
+  });
+
+  let output = null;
+  const send = (message) => {
+    if (output && !output.destroyed) output.write(JSON.stringify(message) + '\n');
+  };
+  const hello = () => send({
+    type: 'hello',
+    version: PROTOCOL_VERSION,
+    name: options.name,
+    hostname: os.hostname(),
+    token: options.token,
+  });
+
+  monitor.on('sessions-updated', (summary) => send({ type: 'sessions', sessions: summary.sessions }));
+  for (const event of FORWARDED_EVENTS) {
+    monitor.on(event, (data) => send({ type: 'event', event, data }));
+  }
+
+  if (options.connect) {
+    const connect = () => {
+      const socket = net.connect(parseAddress(options.connect));
+      socket.on('connect', () => {
+        output = socket;
+        hello();
+        send({ type: 'sessions', sessions: monitor.getSessions() });
+      });
+      socket.on('error', (err) => {
+        console.error(`remote-agent: ${options.connect}: ${err.message}`);
+      });
+      socket.on('close', () => {
+        if (output === socket) output = null;
+        setTimeout(connect, RECONNECT_MS);
+      });
+      // The app never writes; drain anything so the socket doesn't stall
+      socket.resume();
+    };
+    connect();
+  } else {
+    output = process.stdout;
+    // The app went away (ssh closed): nothing left to report to
+    process.stdout.on('error', () => process.exit(0));
+    hello();
+  }
+
+  setInterval(() => send({ type: 'ping' }), HEARTBEAT_MS);
+  monitor.start();
+
+  const shutdown = () => {
+    monitor.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  process.on('SIGHUP', shutdown);
+}
+
+// ── Internals ──
+
+function parseArgs(argv) {
+  const options = { name: os.hostname(), connect: null, token: process.env.ALLDAYPOKE_AGENT_TOKEN || null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if ((arg === '--name' || arg === '--connect' || arg === '--token') && i + 1 < argv.length) {
+      options[arg.slice(2)] = argv[++i];
+    }
+  }
+  return options;
+}
+
+// "host:port", ":port" / "port" (loopback) or a unix socket path
+function parseAddress(address) {
+  const match = /^(?:(.*):)?(\d+)$/.exec(address);
+  if (!match) return { path: address };
+  return { host: match[1] || '127.0.0.1', port: parseInt(match[2], 10) };
+}
+
+function readProjectsConfig() {
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(os.homedir(), '.alldaypoke', 'config.json'), 'utf8'));
+    return (config && config.projects) || {};
+  } catch {
+    return {};
+  }
+}
+
+if (require.main === module) main(process.argv.slice(2));
+
+module.exports = { main, parseAddress, FORWARDED_EVENTS, PROTOCOL_VERSION };
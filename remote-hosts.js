@@ -0,0 +1,372 @@
+/**
+ * Remote Hosts — real session states from Claude Code on other machines.
+ *
+ * SessionMonitor's SSH scan only knows that a connection to a host exists.
+ * For hosts listed under `remote_hosts` in ~/.alldaypoke/config.json, the
+ * remote agent (remote-agent.js) runs the usual session detection there and
+ * streams it back, two ways:
+ *
+ *   - ssh: `ssh -T <host> node -` is started for every configured host with
+ *     the agent and the modules it needs piped to stdin as one script
+ *     (bundle()), so nothing has to be installed remotely beyond Node. With
+ *     ControlMaster set up in ~/.ssh/config this rides on the connection
+ *     that is already open.
+ *   - socket: with `listen_port` set, agents started by hand on the remote
+ *     host (`node remote-agent.js --connect 127.0.0.1:<port>`, reaching us
+ *     through `ssh -R <port>:127.0.0.1:<port>`) connect in. The listener
+ *     binds to 127.0.0.1 only and agents must present the token from
+ *     ~/.alldaypoke/agent-token.
+ *
+ * Protocol — NDJSON, one message per line, agent → app only:
+ *
+ *   { type: 'hello', version, name, hostname, token }
+ *   { type: 'sessions', sessions }    SessionMonitor.getSessions(), every poll
+ *   { type: 'event', event, data }    forwarded SessionMonitor events
+ *   { type: 'ping' }                  heartbeat; silence for STALE_MS drops the link
+ *
+ * A host is keyed by its ssh destination without the user ("devbox"), which
+ * is also how SessionMonitor names the SSH connections it finds.
+ *
+ * Events:
+ *   'sessions'      { host, sessions }
+ *   'event'         { host, event, data }
+ *   'connected'     { host, hostname }
+ *   'disconnected'  { host }
+ */
+
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { PROTOCOL_VERSION } = require('./remote-agent');
+const log = require('./logger');
+
+const TOKEN_FILE = path.join(os.homedir(), '.alldaypoke', 'agent-token');
+const BIND_HOST = '127.0.0.1';
+
+// Modules shipped to the remote host, dependencies first
+const BUNDLE_MODULES = ['logger', 'git-context', 'transcript-monitor', 'project-resolver', 'session-monitor', 'remote-agent'];
+
+const RECONNECT_MIN_MS = 30 * 1000;
+const RECONNECT_MAX_MS = 10 * 60 * 1000;
+const STALE_MS = 90 * 1000;
+// Longest accepted line; a snapshot of dozens of sessions is a few KB
+const MAX_LINE_BYTES = 1024 * 1024;
+
+class RemoteHosts extends EventEmitter {
+  /**
+   * @param {object} [config] - the `remote_hosts` section of the app config
+   * @param {Array<string|object>} [config.hosts] - "devbox", "me@devbox" or
+   *   { host, node, ssh_args }
+   * @param {string} [config.node] - node binary on the remote hosts
+   * @param {number} [config.listen_port] - accept agents that connect in
+   * @param {object} [options]
+   * @param {string} [options.token] - overrides the token file
+   */
+  constructor(config = {}, options = {}) {
+    super();
+    this.config = config;
+    this.token = options.token || null;
+    this.links = new Map();     // host → { kind, hostname, lastSeen, close() }
+    this.children = new Map();  // host → { child, timer, backoffMs }
+    this.server = null;
+    this.staleTimer = null;
+    this.stopped = true;
+  }
+
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+
+    for (const entry of this.config.hosts || []) {
+      const target = normalizeHost(entry, this.config.node);
+      if (target) this._spawn(target);
+    }
+    if (this.config.listen_port) this._listen(this.config.listen_port);
+
+    this.staleTimer = setInterval(() => this._dropStale(), STALE_MS / 3);
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.staleTimer) {
+      clearInterval(this.staleTimer);
+      this.staleTimer = null;
+    }
+    for (const { child, timer } of this.children.values()) {
+      if (timer) clearTimeout(timer);
+      if (child) child.kill();
+    }
+    this.children.clear();
+    // Dropped quietly: the app records its own shutdown
+    const links = [...this.links.values()];
+    this.links.clear();
+    for (const link of links) link.close();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  /**
+   * True while an agent for `host` is streaming.
+   */
+  isConnected(host) {
+    return this.links.has(host);
+  }
+
+  /**
+   * { host, kind: 'ssh' | 'socket', hostname, lastSeen } per connected agent.
+   */
+  getStatus() {
+    return Array.from(this.links.entries()).map(([host, link]) => ({
+      host,
+      kind: link.kind,
+      hostname: link.hostname,
+      lastSeen: new Date(link.lastSeen).toISOString(),
+    }));
+  }
+
+  // ── Internals ──
+
+  _spawn(target) {
+    const state = this.children.get(target.host) || { child: null, timer: null, backoffMs: RECONNECT_MIN_MS };
+    this.children.set(target.host, state);
+    state.timer = null;
+
+    const args = [
+      '-T',
+      '-o', 'BatchMode=yes',
+      '-o', 'ServerAliveInterval=30',
+      ...target.sshArgs,
+      target.destination,
+      `${target.node} - --name ${shellQuote(target.host)}`,
+    ];
+    log(`Remote hosts: starting agent on ${target.destination}`);
+    const child = spawn('ssh', args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    state.child = child;
+
+    child.stdin.on('error', () => { /* ssh exited before reading the script */ });
+    child.stdin.end(RemoteHosts.bundle());
+
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-2000);
+    });
+
+    const link = {
+      kind: 'ssh',
+      hostname: null,
+      lastSeen: Date.now(),
+      close: () => child.kill(),
+    };
+    readLines(child.stdout, (message) => {
+      if (message.type === 'hello') {
+        state.backoffMs = RECONNECT_MIN_MS;
+        this._connected(target.host, link, message);
+        return;
+      }
+      if (this.links.get(target.host) === link) this._receive(target.host, link, message);
+    }, () => child.kill());
+
+    child.on('error', (err) => {
+      log.error(`Remote hosts: could not run ssh for ${target.destination}:`, err.message);
+    });
+    child.on('close', (code) => {
+      if (state.child === child) state.child = null;
+      this._disconnected(target.host, link);
+      if (this.stopped) return;
+
+      const detail = stderr.trim().split('\n').pop();
+      log.warn(`Remote hosts: agent on ${target.destination} exited (${code})${detail ? `: ${detail}` : ''}; retrying in ${Math.round(state.backoffMs / 1000)}s`);
+      state.timer = setTimeout(() => this._spawn(target), state.backoffMs);
+      state.backoffMs = Math.min(state.backoffMs * 2, RECONNECT_MAX_MS);
+    });
+  }
+
+  _listen(port) {
+    if (!this.token) this.token = loadOrCreateToken(TOKEN_FILE);
+
+    this.server = net.createServer((socket) => {
+      let host = null;
+      const link = {
+        kind: 'socket',
+        hostname: null,
+        lastSeen: Date.now(),
+        close: () => socket.destroy(),
+      };
+      readLines(socket, (message) => {
+        if (!host) {
+          if (message.type !== 'hello' || !this._validToken(message.token) || !message.name) {
+            log.warn('Remote hosts: rejected an agent connection (bad hello or token)');
+            socket.destroy();
+            return;
+          }
+          host = String(message.name);
+          this._connected(host, link, message);
+          return;
+        }
+        if (this.links.get(host) === link) this._receive(host, link, message);
+      }, () => socket.destroy());
+      socket.on('error', () => { /* surfaces as close */ });
+      socket.on('close', () => {
+        if (host) this._disconnected(host, link);
+      });
+    });
+    this.server.on('error', (err) => {
+      log.error('Remote hosts: listener error:', err.message);
+    });
+    this.server.listen(port, BIND_HOST, () => {
+      log(`Remote hosts: accepting agents on ${BIND_HOST}:${port}`);
+    });
+  }
+
+  _connected(host, link, hello) {
+    const previous = this.links.get(host);
+    if (previous && previous !== link) previous.close();
+    link.hostname = hello.hostname || null;
+    link.lastSeen = Date.now();
+    this.links.set(host, link);
+    if (hello.version !== PROTOCOL_VERSION) {
+      log.warn(`Remote hosts: agent on ${host} speaks protocol ${hello.version}, expected ${PROTOCOL_VERSION}`);
+    }
+    log(`Remote hosts: agent connected for ${host}${link.hostname ? ` (${link.hostname})` : ''}`);
+    this.emit('connected', { host, hostname: link.hostname });
+  }
+
+  _disconnected(host, link) {
+    if (this.links.get(host) !== link) return;
+    this.links.delete(host);
+    log(`Remote hosts: agent for ${host} disconnected`);
+    this.emit('disconnected', { host });
+  }
+
+  _receive(host, link, message) {
+    link.lastSeen = Date.now();
+    if (message.type === 'sessions' && Array.isArray(message.sessions)) {
+      this.emit('sessions', { host, sessions: message.sessions });
+    } else if (message.type === 'event' && typeof message.event === 'string' && message.data) {
+      this.emit('event', { host, event: message.event, data: message.data });
+    }
+  }
+
+  _dropStale() {
+    const now = Date.now();
+    for (const [host, link] of [...this.links.entries()]) {
+      if (now - link.lastSeen > STALE_MS) {
+        log.warn(`Remote hosts: no word from ${host} for ${Math.round((now - link.lastSeen) / 1000)}s, dropping it`);
+        link.close();
+        this._disconnected(host, link);
+      }
+    }
+  }
+
+  _validToken(presented) {
+    const a = Buffer.from(String(presented || ''));
+    const b = Buffer.from(this.token);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  // ── Static helpers ──
+
+  /**
+   * The agent and its dependencies as one script for `node -`: each module
+   * wrapped in a function and resolved through a small require shim, Node's
+   * own modules passed through.
+   */
+  static bundle(dir = __dirname) {
+    const modules = BUNDLE_MODULES.map((name) => {
+      const source = fs.readFileSync(path.join(dir, `${name}.js`), 'utf8');
+      return `${JSON.stringify(`./${name}`)}: function (module, exports, require) {\n${source}\n}`;
+    });
+    return [
+      '(function () {',
+      `const modules = {\n${modules.join(',\n')}\n};`,
+      'const cache = {};',
+      'function load(name) {',
+      '  if (!modules[name]) return require(name);',
+      '  if (!cache[name]) {',
+      '    cache[name] = { exports: {} };',
+      '    modules[name](cache[name], cache[name].exports, load);',
+      '  }',
+      '  return cache[name].exports;',
+      '}',
+      "load('./remote-agent').main(process.argv.slice(2));",
+      '})();',
+      '',
+    ].join('\n');
+  }
+}
+
+/**
+ * Config entry → { host, destination, node, sshArgs }, or null if unusable.
+ */
+function normalizeHost(entry, defaultNode) {
+  const spec = typeof entry === 'string' ? { host: entry } : entry;
+  if (!spec || typeof spec.host !== 'string' || !spec.host.trim()) {
+    log.warn('Remote hosts: ignoring host entry without a host:', JSON.stringify(entry));
+    return null;
+  }
+  const destination = spec.host.trim();
+  return {
+    host: destination.split('@').pop(),
+    destination,
+    node: spec.node || defaultNode || 'node',
+    sshArgs: Array.isArray(spec.ssh_args) ? spec.ssh_args.map(String) : [],
+  };
+}
+
+// Feed parsed NDJSON lines to `onMessage`; unparseable lines are skipped,
+// an over-long line calls `onOverflow`
+function readLines(stream, onMessage, onOverflow) {
+  let buffer = '';
+  stream.setEncoding('utf8');
+  stream.on('data', (chunk) => {
+    buffer += chunk;
+    if (buffer.length > MAX_LINE_BYTES && !buffer.includes('\n')) {
+      buffer = '';
+      onOverflow();
+      return;
+    }
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0 && !stream.destroyed) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      if (!line.trim()) continue;
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (message && typeof message === 'object') onMessage(message);
+    }
+  });
+}
+
+// Agent token, generated (0600) on first use
+function loadOrCreateToken(file) {
+  try {
+    const existing = fs.readFileSync(file, 'utf8').trim();
+    if (existing) return existing;
+  } catch { /* not created yet */ }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, token + '\n', { mode: 0o600 });
+  log(`Remote hosts: created agent token at ${file}`);
+  return token;
+}
+
+// Single-quote for the remote shell ssh hands the command to
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+RemoteHosts.TOKEN_FILE = TOKEN_FILE;
+RemoteHosts.normalizeHost = normalizeHost;
+
+module.exports = RemoteHosts;
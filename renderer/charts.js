@@ -0,0 +1,214 @@
+// SVG chart helpers for the ranking window. Drawn by hand rather than with a
+// chart library so the window needs no network access.
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Charts are laid out in a fixed coordinate space and scaled to the
+// container's width
+const CHART_WIDTH = 400;
+
+const CHART_COLORS = ['#cd7f5d', '#39ff14', '#4fc3f7', '#ffd700', '#ba68c8', '#ff7043', '#81c784', '#f06292'];
+const OTHER_COLOR = '#555';
+
+function svgEl(tag, attrs = {}, tooltip = null) {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+  if (tooltip) {
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = tooltip;
+    el.appendChild(title);
+  }
+  return el;
+}
+
+function createSvg(height) {
+  return svgEl('svg', { viewBox: `0 0 ${CHART_WIDTH} ${height}`, width: '100%', class: 'chart-svg' });
+}
+
+function axisLabel(x, y, text, anchor = 'start') {
+  const el = svgEl('text', { x, y, 'text-anchor': anchor, class: 'chart-axis' });
+  el.textContent = text;
+  return el;
+}
+
+// Up to five labels under the bars; the outer ones are aligned to the plot
+// edges so they aren't clipped
+function drawXAxis(svg, labels, { margin, slot, height, formatLabel }) {
+  for (const i of labelIndexes(labels.length, 5)) {
+    let x = margin.left + i * slot + slot / 2;
+    let anchor = 'middle';
+    if (i === 0) {
+      x = margin.left;
+      anchor = 'start';
+    } else if (i === labels.length - 1) {
+      x = CHART_WIDTH - margin.right;
+      anchor = 'end';
+    }
+    svg.appendChild(axisLabel(x, height - 3, formatLabel(labels[i]), anchor));
+  }
+}
+
+// Indexes of at most `count` evenly spread x-axis labels
+function labelIndexes(length, count) {
+  if (length <= count) return Array.from({ length }, (_, i) => i);
+  const step = (length - 1) / (count - 1);
+  return Array.from({ length: count }, (_, i) => Math.round(i * step));
+}
+
+/**
+ * Stacked bars, one per label.
+ *
+ * @param {HTMLElement} container
+ * @param {string[]} labels - x-axis labels (dates)
+ * @param {Array<{ name, color, values: number[] }>} series - bottom to top
+ * @param {object} [options]
+ * @param {number} [options.height]
+ * @param {Function} [options.format] - value → axis / tooltip text
+ * @param {Function} [options.formatLabel] - label → axis text
+ * @param {Function} [options.onSelect] - called with a series name on click
+ */
+function drawStackedBars(container, labels, series, options = {}) {
+  const height = options.height || 140;
+  const format = options.format || String;
+  const formatLabel = options.formatLabel || String;
+  const margin = { left: 34, right: 4, top: 6, bottom: 14 };
+  const plotW = CHART_WIDTH - margin.left - margin.right;
+  const plotH = height - margin.top - margin.bottom;
+
+  const totals = labels.map((_, i) => series.reduce((sum, s) => sum + (s.values[i] || 0), 0));
+  const max = Math.max(...totals, 0);
+
+  const svg = createSvg(height);
+  for (const fraction of [0, 0.5, 1]) {
+    const y = margin.top + plotH * (1 - fraction);
+    svg.appendChild(svgEl('line', { x1: margin.left, x2: CHART_WIDTH - margin.right, y1: y, y2: y, class: 'chart-grid' }));
+    if (max > 0) svg.appendChild(axisLabel(margin.left - 3, y + 3, format(max * fraction), 'end'));
+  }
+
+  const slot = plotW / Math.max(labels.length, 1);
+  const gap = slot > 4 ? 1 : 0;
+  labels.forEach((label, i) => {
+    let y = margin.top + plotH;
+    for (const s of series) {
+      const value = s.values[i] || 0;
+      if (value <= 0 || max <= 0) continue;
+      const h = (value / max) * plotH;
+      y -= h;
+      const rect = svgEl('rect', {
+        x: margin.left + i * slot,
+        y,
+        width: Math.max(slot - gap, 0.5),
+        height: h,
+        fill: s.color,
+        class: options.onSelect ? 'chart-bar selectable' : 'chart-bar',
+      }, `${label} · ${s.name} · ${format(value)}`);
+      if (options.onSelect) rect.addEventListener('click', () => options.onSelect(s.name));
+      svg.appendChild(rect);
+    }
+  });
+
+  drawXAxis(svg, labels, { margin, slot, height, formatLabel });
+
+  container.innerHTML = '';
+  container.appendChild(svg);
+}
+
+/**
+ * Day-of-week × hour grid, shaded by value.
+ *
+ * @param {HTMLElement} container
+ * @param {number[][]} grid - [day 0-6][hour 0-23]
+ * @param {object} [options]
+ * @param {string[]} [options.rowLabels] - one per day
+ * @param {string} [options.color] - RGB hex of the hottest cell
+ * @param {Function} [options.format] - value → tooltip text
+ */
+function drawHeatmap(container, grid, options = {}) {
+  const rowLabels = options.rowLabels || grid.map((_, i) => String(i));
+  const color = options.color || '#39ff14';
+  const format = options.format || String;
+  const margin = { left: 28, top: 2, bottom: 12 };
+  const cell = (CHART_WIDTH - margin.left) / 24;
+  const rowH = 11;
+  const height = margin.top + rowH * grid.length + margin.bottom;
+  const max = Math.max(...grid.flat(), 0);
+
+  const svg = createSvg(height);
+  grid.forEach((row, day) => {
+    const y = margin.top + day * rowH;
+    svg.appendChild(axisLabel(0, y + rowH - 3, rowLabels[day]));
+    row.forEach((value, hour) => {
+      const intensity = max > 0 ? value / max : 0;
+      svg.appendChild(svgEl('rect', {
+        x: margin.left + hour * cell,
+        y,
+        width: cell - 1,
+        height: rowH - 1,
+        fill: value > 0 ? color : '#1a1a1a',
+        'fill-opacity': value > 0 ? (0.15 + 0.85 * intensity).toFixed(2) : 1,
+      }, `${rowLabels[day]} ${String(hour).padStart(2, '0')}:00 · ${format(value)}`));
+    });
+  });
+  for (let hour = 0; hour < 24; hour += 3) {
+    svg.appendChild(axisLabel(margin.left + hour * cell, height - 2, String(hour).padStart(2, '0')));
+  }
+
+  container.innerHTML = '';
+  container.appendChild(svg);
+}
+
+/**
+ * Bars for one series with a line for a second one on its own scale.
+ *
+ * @param {HTMLElement} container
+ * @param {string[]} labels
+ * @param {{ values: number[], color, format }} bars
+ * @param {{ values: number[], color, format }} line
+ * @param {object} [options]
+ * @param {number} [options.height]
+ * @param {Function} [options.formatLabel]
+ */
+function drawBarLineChart(container, labels, bars, line, options = {}) {
+  const height = options.height || 110;
+  const formatLabel = options.formatLabel || String;
+  const margin = { left: 34, right: 34, top: 6, bottom: 14 };
+  const plotW = CHART_WIDTH - margin.left - margin.right;
+  const plotH = height - margin.top - margin.bottom;
+  const barMax = Math.max(...bars.values, 0);
+  const lineMax = Math.max(...line.values, 0);
+
+  const svg = createSvg(height);
+  for (const fraction of [0, 0.5, 1]) {
+    const y = margin.top + plotH * (1 - fraction);
+    svg.appendChild(svgEl('line', { x1: margin.left, x2: CHART_WIDTH - margin.right, y1: y, y2: y, class: 'chart-grid' }));
+    if (barMax > 0) svg.appendChild(axisLabel(margin.left - 3, y + 3, bars.format(barMax * fraction), 'end'));
+    if (lineMax > 0) svg.appendChild(axisLabel(CHART_WIDTH - margin.right + 3, y + 3, line.format(lineMax * fraction)));
+  }
+
+  const slot = plotW / Math.max(labels.length, 1);
+  const gap = slot > 4 ? 1 : 0;
+  const points = [];
+  labels.forEach((label, i) => {
+    const value = bars.values[i] || 0;
+    if (value > 0 && barMax > 0) {
+      const h = (value / barMax) * plotH;
+      svg.appendChild(svgEl('rect', {
+        x: margin.left + i * slot,
+        y: margin.top + plotH - h,
+        width: Math.max(slot - gap, 0.5),
+        height: h,
+        fill: bars.color,
+        class: 'chart-bar',
+      }, `${label} · ${bars.format(value)} · ${line.format(line.values[i] || 0)}`));
+    }
+    const lineValue = lineMax > 0 ? (line.values[i] || 0) / lineMax : 0;
+    points.push(`${margin.left + i * slot + slot / 2},${margin.top + plotH * (1 - lineValue)}`);
+  });
+  if (lineMax > 0) {
+    svg.appendChild(svgEl('polyline', { points: points.join(' '), fill: 'none', stroke: line.color, 'stroke-width': 1.2, class: 'chart-line' }));
+  }
+
+  drawXAxis(svg, labels, { margin, slot, height, formatLabel });
+
+  container.innerHTML = '';
+  container.appendChild(svg);
+}
@@ -1,23 +1,85 @@
 // Ranking window renderer script
 let currentPeriod = 'today';
+let currentView = 'ranking';
+let chartDays = 30;
+let chartMetric = 'delta';  // 'delta' (usage %) or 'tokens'
+let drillProject = null;
+
+// Projects drawn individually in the stacked chart; the rest are "other"
+const CHART_TOP_PROJECTS = 7;
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
 
 document.addEventListener('DOMContentLoaded', () => {
+  setupViewTabs();
   setupTabs();
+  setupChartControls();
+  setupDataTools();
   loadRanking();
+  loadDevices();
+  loadForecast();
+  loadBudgets();
 });
 
+function setupViewTabs() {
+  const tabs = document.querySelectorAll('.view-tab');
+  tabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+      tabs.forEach(t => t.classList.remove('active'));
+      tab.classList.add('active');
+      currentView = tab.dataset.view;
+      document.getElementById('ranking-view').classList.toggle('hidden', currentView !== 'ranking');
+      document.getElementById('charts-view').classList.toggle('hidden', currentView !== 'charts');
+      if (currentView === 'charts') loadCharts();
+    });
+  });
+}
+
 function setupTabs() {
-  const tabs = document.querySelectorAll('.tab');
+  const tabs = document.querySelectorAll('#period-tabs .tab');
   tabs.forEach(tab => {
     tab.addEventListener('click', () => {
       tabs.forEach(t => t.classList.remove('active'));
       tab.classList.add('active');
       currentPeriod = tab.dataset.period;
       loadRanking();
+      loadDevices();
     });
   });
 }
 
+function setupChartControls() {
+  const rangeTabs = document.querySelectorAll('#range-tabs .tab');
+  rangeTabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+      rangeTabs.forEach(t => t.classList.remove('active'));
+      tab.classList.add('active');
+      chartDays = Number(tab.dataset.days);
+      loadCharts();
+    });
+  });
+
+  const metrics = document.querySelectorAll('#metric-toggle .metric');
+  metrics.forEach(button => {
+    button.addEventListener('click', () => {
+      metrics.forEach(b => b.classList.remove('active'));
+      button.classList.add('active');
+      chartMetric = button.dataset.metric;
+      loadCharts();
+    });
+  });
+
+  document.getElementById('drill-select').addEventListener('change', (e) => {
+    selectDrillProject(e.target.value);
+  });
+}
+
+function setupDataTools() {
+  document.querySelectorAll('.data-button[data-format]').forEach(button => {
+    button.addEventListener('click', () => exportUsage(button.dataset.format));
+  });
+  document.getElementById('import-button').addEventListener('click', importUsage);
+}
+
 async function loadRanking() {
   try {
     const data = await window.rankingAPI.getRanking(currentPeriod);
@@ -27,13 +89,144 @@ async function loadRanking() {
   }
 }
 
+async function loadDevices() {
+  try {
+    const devices = await window.rankingAPI.getDeviceUsage(currentPeriod);
+    renderDevices(devices);
+  } catch (err) {
+    console.error('Failed to load device usage:', err);
+  }
+}
+
+async function loadForecast() {
+  try {
+    const forecasts = await window.rankingAPI.getForecast();
+    renderForecast(forecasts);
+  } catch (err) {
+    console.error('Failed to load forecast:', err);
+  }
+}
+
+async function loadBudgets() {
+  try {
+    const budgets = await window.rankingAPI.getBudgets();
+    renderBudgets(budgets);
+  } catch (err) {
+    console.error('Failed to load budgets:', err);
+  }
+}
+
+// One row per usage window: burn rate ± band, safe pace, and when (if ever)
+// the limit is hit before the window resets
+function renderForecast(forecasts) {
+  const panel = document.getElementById('forecast-panel');
+  const rows = Object.values(forecasts || {});
+  panel.innerHTML = '';
+
+  for (const f of rows) {
+    const row = document.createElement('div');
+    const statusClass = { at_risk: 'at-risk', will_exhaust: 'will-exhaust' }[f.status] || '';
+    row.className = `forecast-row ${statusClass}`;
+
+    let rate = '—';
+    let verdict;
+    if (f.status === 'exhausted') {
+      verdict = 'limit reached';
+    } else if (f.status === 'insufficient_data') {
+      verdict = `collecting samples (${f.samples})`;
+    } else {
+      rate = `${f.ratePerHour}%/h <span class="forecast-band">±${Math.round((f.rateHigh - f.rateLow) / 2 * 10) / 10}</span>`;
+      if (f.status === 'will_exhaust' || f.status === 'at_risk') {
+        const early = formatEta(f.exhaustsAtEarliest);
+        const late = f.exhaustsAtLatest ? formatEta(f.exhaustsAtLatest) : 'reset';
+        verdict = `${f.status === 'will_exhaust' ? 'limit' : 'may hit limit'} in ${early}–${late}`;
+      } else {
+        verdict = 'lasts until reset';
+      }
+      if (f.safePacePerHour !== null) verdict += ` · safe ≤${f.safePacePerHour}%/h`;
+    }
+
+    row.innerHTML = `
+      <span class="forecast-label">${escapeHtml(f.label)} ${Math.round(f.utilization)}%</span>
+      <span class="forecast-rate">${rate}</span>
+      <span class="forecast-verdict">${verdict}</span>
+    `;
+    panel.appendChild(row);
+  }
+}
+
+// One row per project cap: consumption bar with warning ticks, used / cap,
+// and whether the project is paused in the metering proxy
+function renderBudgets(budgets) {
+  const panel = document.getElementById('budget-panel');
+  panel.innerHTML = '';
+  if (!budgets || budgets.length === 0) return;
+
+  const title = document.createElement('div');
+  title.className = 'panel-title';
+  title.textContent = 'BUDGETS';
+  panel.appendChild(title);
+
+  for (const b of budgets) {
+    const row = document.createElement('div');
+    const level = b.exceeded ? 'over' : (b.warnAt.some(t => b.pct >= t) ? 'warn' : '');
+    row.className = `budget-row ${level}`;
+
+    const amount = b.unit === 'percent'
+      ? `${b.used.toFixed(1)}/${b.limit}%`
+      : `${formatTokens(b.used)}/${formatTokens(b.limit)}`;
+    const ticks = b.warnAt.map(t => `<div class="budget-tick" style="left: ${t}%"></div>`).join('');
+    const badge = b.paused ? '<span class="budget-badge">PAUSED</span>' : '';
+
+    row.innerHTML = `
+      <span class="budget-project">${escapeHtml(b.project)}</span>
+      <span class="budget-cap">${b.label} ${b.unit === 'percent' ? '%' : 'tok'}</span>
+      <div class="budget-bar"><div class="budget-fill" style="width: ${Math.min(100, b.pct)}%"></div>${ticks}</div>
+      <span class="budget-amount">${amount}</span>
+      ${badge}
+    `;
+    row.title = `${Math.round(b.pct)}% of the ${b.label} cap · on exceed: ${b.actions.join(', ') || 'nothing'}`;
+    panel.appendChild(row);
+  }
+}
+
+// Reconciled usage per device on the account, next to what each device
+// attributed on its own; hidden while there is only this one
+function renderDevices(devices) {
+  const panel = document.getElementById('device-panel');
+  panel.innerHTML = '';
+  if (!devices || devices.length < 2) return;
+
+  const title = document.createElement('div');
+  title.className = 'panel-title';
+  title.textContent = 'DEVICES';
+  panel.appendChild(title);
+
+  for (const d of devices) {
+    const row = document.createElement('div');
+    row.className = `device-row${d.local ? ' local' : ''}`;
+    const claimed = d.claimedDelta > d.totalDelta ? `claimed ${d.claimedDelta.toFixed(1)}%` : '';
+    row.innerHTML = `
+      <span class="device-name">${escapeHtml(d.device)}${d.local ? ' (this device)' : ''}</span>
+      <span class="device-usage">${d.totalDelta.toFixed(1)}%</span>
+      <span class="device-claimed">${claimed}</span>
+    `;
+    row.title = `${d.count} usage entries`;
+    panel.appendChild(row);
+  }
+}
+
 function renderRanking(ranking, total) {
   const tableBody = document.getElementById('table-body');
   const emptyState = document.getElementById('empty-state');
   const totalValue = document.getElementById('total-value');
 
   // Update total
-  totalValue.textContent = `${total.totalDelta.toFixed(1)}%`;
+  totalValue.textContent = total.totalTokens > 0
+    ? `${total.totalDelta.toFixed(1)}% · ${formatTokens(total.totalTokens)} tok`
+    : `${total.totalDelta.toFixed(1)}%`;
+
+  updateExportProjects(ranking || []);
 
   if (!ranking || ranking.length === 0) {
     tableBody.innerHTML = '';
@@ -59,6 +252,7 @@ function renderRanking(ranking, total) {
         <div class="usage-bar"><div class="usage-bar-fill" style="width: ${barWidth}%"></div></div>
       </div>
       <span class="col-usage"><span class="usage-value">${item.totalDelta.toFixed(1)}%</span></span>
+      <span class="col-tokens" title="${formatTokenBreakdown(item)}">${item.totalTokens > 0 ? formatTokens(item.totalTokens) : '-'}</span>
       <span class="col-time">${formatTime(item.totalTimeMs)}</span>
       <span class="col-sessions">${item.sessionCount}</span>
     `;
@@ -70,6 +264,167 @@ function renderRanking(ranking, total) {
   tableBody.appendChild(fragment);
 }
 
+async function loadCharts() {
+  try {
+    const [daily, heatmap] = await Promise.all([
+      window.rankingAPI.getDailyUsage(chartDays),
+      window.rankingAPI.getActivityHeatmap(chartDays),
+    ]);
+    renderDailyChart(daily);
+    renderHeatmaps(heatmap);
+    await loadDrillDown();
+  } catch (err) {
+    console.error('Failed to load charts:', err);
+  }
+}
+
+async function loadDrillDown() {
+  const container = document.getElementById('drill-chart');
+  const summary = document.getElementById('drill-summary');
+  if (!drillProject) {
+    container.innerHTML = '';
+    summary.textContent = '';
+    return;
+  }
+  const history = await window.rankingAPI.getProjectHistory(drillProject, chartDays);
+  renderDrillDown(history);
+}
+
+function selectDrillProject(project) {
+  drillProject = project;
+  document.getElementById('drill-select').value = project;
+  document.querySelectorAll('.legend-item').forEach(item => {
+    item.classList.toggle('selected', item.dataset.project === project);
+  });
+  loadDrillDown().catch(err => console.error('Failed to load project history:', err));
+}
+
+// Stacked bars per day: the biggest projects of the range get a color each,
+// the rest share one "other" band
+function renderDailyChart(daily) {
+  const totals = new Map();
+  for (const day of daily) {
+    for (const [project, stats] of Object.entries(day.projects)) {
+      totals.set(project, (totals.get(project) || 0) + stats[chartMetric]);
+    }
+  }
+  const ranked = Array.from(totals.entries())
+    .filter(([, total]) => total > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([project]) => project);
+
+  updateDrillSelect(ranked);
+
+  const container = document.getElementById('daily-chart');
+  const legend = document.getElementById('daily-legend');
+  legend.innerHTML = '';
+  if (ranked.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const shown = ranked.slice(0, CHART_TOP_PROJECTS);
+  const series = shown.map((project, i) => ({
+    name: project,
+    color: CHART_COLORS[i % CHART_COLORS.length],
+    values: daily.map(day => (day.projects[project] ? day.projects[project][chartMetric] : 0)),
+  }));
+  if (ranked.length > shown.length) {
+    const rest = ranked.slice(shown.length);
+    series.push({
+      name: `other (${rest.length})`,
+      color: OTHER_COLOR,
+      values: daily.map(day => rest.reduce((sum, p) => sum + (day.projects[p] ? day.projects[p][chartMetric] : 0), 0)),
+    });
+  }
+
+  drawStackedBars(container, daily.map(day => day.date), series, {
+    format: formatMetric,
+    formatLabel: formatDateLabel,
+    onSelect: (name) => {
+      if (shown.includes(name)) selectDrillProject(name);
+    },
+  });
+
+  for (const s of series) {
+    const item = document.createElement('span');
+    item.className = `legend-item${s.name === drillProject ? ' selected' : ''}`;
+    item.dataset.project = s.name;
+    item.innerHTML = `<span class="legend-swatch" style="background: ${s.color}"></span>${escapeHtml(s.name)}`;
+    if (shown.includes(s.name)) item.addEventListener('click', () => selectDrillProject(s.name));
+    legend.appendChild(item);
+  }
+}
+
+function updateDrillSelect(projects) {
+  const select = document.getElementById('drill-select');
+  if (!drillProject || !projects.includes(drillProject)) drillProject = projects[0] || null;
+  select.innerHTML = projects
+    .map(p => `<option value="${escapeHtml(p)}">${escapeHtml(p)}</option>`)
+    .join('');
+  if (drillProject) select.value = drillProject;
+}
+
+function renderHeatmaps(heatmap) {
+  document.getElementById('heatmap-note').textContent =
+    heatmap.days < chartDays ? `last ${heatmap.days} days (older usage has no time of day)` : '';
+  drawHeatmap(document.getElementById('heatmap-delta'), heatmap.delta, {
+    rowLabels: WEEKDAYS,
+    color: '#39ff14',
+    format: v => `${v.toFixed(1)}%`,
+  });
+  drawHeatmap(document.getElementById('heatmap-tokens'), heatmap.tokens, {
+    rowLabels: WEEKDAYS,
+    color: '#cd7f5d',
+    format: v => `${formatTokens(v)} tok`,
+  });
+}
+
+// getProjectHistory only lists days with usage; fill the range in so the
+// chart lines up with the daily one
+function renderDrillDown(history) {
+  const byDate = new Map(history.map(day => [day.date, day]));
+  const labels = [];
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - (chartDays - 1));
+  for (let d = new Date(start); d <= new Date(); d.setDate(d.getDate() + 1)) {
+    labels.push(dateKey(d));
+  }
+  const days = labels.map(date => byDate.get(date) || { delta: 0, tokens: 0, timeMs: 0, count: 0 });
+
+  const totalDelta = days.reduce((sum, d) => sum + d.delta, 0);
+  const totalTokens = days.reduce((sum, d) => sum + d.tokens, 0);
+  const totalTime = days.reduce((sum, d) => sum + d.timeMs, 0);
+  const activeDays = days.filter(d => d.delta > 0 || d.tokens > 0).length;
+  document.getElementById('drill-summary').textContent =
+    `${totalDelta.toFixed(1)}% · ${formatTokens(totalTokens)} tok · ${formatTime(totalTime)} active · ${activeDays} day${activeDays === 1 ? '' : 's'}`;
+
+  const container = document.getElementById('drill-chart');
+  if (activeDays === 0) {
+    container.innerHTML = '';
+    return;
+  }
+  drawBarLineChart(container, labels,
+    { values: days.map(d => d.delta), color: '#cd7f5d', format: v => `${v.toFixed(1)}%` },
+    { values: days.map(d => d.tokens), color: '#39ff14', format: v => formatTokens(v) },
+    { formatLabel: formatDateLabel });
+}
+
+function formatMetric(value) {
+  return chartMetric === 'tokens' ? formatTokens(value) : `${value.toFixed(1)}%`;
+}
+
+// "2026-10-19" → "10/19"
+function formatDateLabel(date) {
+  const [, m, d] = date.split('-');
+  return `${Number(m)}/${Number(d)}`;
+}
+
+function dateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
 function createEmptyState() {
   const el = document.createElement('div');
   el.id = 'empty-state';
@@ -86,13 +441,90 @@ function formatTime(ms) {
   return '<1m';
 }
 
+function formatEta(iso) {
+  if (!iso) return '?';
+  const mins = Math.max(0, Math.round((new Date(iso) - Date.now()) / 60000));
+  const hours = Math.floor(mins / 60);
+  if (hours >= 24) return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  if (hours > 0) return `${hours}h ${mins % 60}m`;
+  return `${mins}m`;
+}
+
+function formatTokens(tokens) {
+  if (tokens >= 1_000_000_000) return `${(tokens / 1_000_000_000).toFixed(1)}B`;
+  if (tokens >= 1_000_000) return `${(tokens / 1_000_000).toFixed(1)}M`;
+  if (tokens >= 1_000) return `${(tokens / 1_000).toFixed(0)}K`;
+  return `${Math.round(tokens)}`;
+}
+
+function formatTokenBreakdown(item) {
+  if (!item.totalTokens) return 'No transcript token data';
+  return `in ${formatTokens(item.inputTokens)} · out ${formatTokens(item.outputTokens)} · ` +
+    `cache read ${formatTokens(item.cacheReadTokens)} · cache write ${formatTokens(item.cacheCreationTokens)}`;
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
   return div.innerHTML;
 }
 
+// ── Export / import ──
+
+// The export project filter offers the projects ranked in the current period
+function updateExportProjects(ranking) {
+  const select = document.getElementById('export-project');
+  const selected = select.value;
+  const projects = ranking.map(item => item.project).sort((a, b) => a.localeCompare(b));
+  select.innerHTML = '<option value="">ALL PROJECTS</option>';
+  for (const project of projects) {
+    const option = document.createElement('option');
+    option.value = project;
+    option.textContent = project;
+    select.appendChild(option);
+  }
+  select.value = projects.includes(selected) ? selected : '';
+}
+
+async function exportUsage(format) {
+  const project = document.getElementById('export-project').value || null;
+  await runDataTool(() => window.rankingAPI.exportUsage({ format, period: currentPeriod, project }), (result) =>
+    `Exported ${result.records} records to ${result.file}`);
+}
+
+async function importUsage() {
+  await runDataTool(() => window.rankingAPI.importUsage(), (result) => {
+    const added = result.usage + result.tokens + result.requests + result.daily;
+    return `Imported ${added} records from ${result.file}` +
+      (result.skipped > 0 ? ` (${result.skipped} already present or invalid)` : '');
+  });
+  loadRanking();
+  loadDevices();
+  loadBudgets();
+  if (currentView === 'charts') loadCharts();
+}
+
+// Disable the buttons while a save / open dialog is up and report the outcome
+async function runDataTool(action, describe) {
+  const status = document.getElementById('data-status');
+  const buttons = document.querySelectorAll('.data-button');
+  buttons.forEach(b => { b.disabled = true; });
+  try {
+    const result = await action();
+    if (result.canceled) return;
+    status.textContent = result.error ? `Failed: ${result.error}` : describe(result);
+  } catch (err) {
+    status.textContent = `Failed: ${err.message}`;
+  } finally {
+    buttons.forEach(b => { b.disabled = false; });
+  }
+}
+
 // Auto-refresh every 30 seconds while window is open
 setInterval(() => {
   loadRanking();
+  loadDevices();
+  loadForecast();
+  loadBudgets();
+  if (currentView === 'charts') loadCharts();
 }, 30000);
@@ -6,6 +6,8 @@ let dragStartX = 0;
 let dragStartY = 0;
 let windowStartX = 0;
 let windowStartY = 0;
+// Sessions currently listed in the bubble, in display order
+let shownSessions = [];
 
 // Initialize on DOM ready
 document.addEventListener('DOMContentLoaded', () => {
@@ -20,7 +22,7 @@ async function initializeRobot() {
   const container = document.getElementById('robot-container');
   robot = new PixelRobot(container);
 
-  // Load saved robot scale from config
+  // Load saved robot scale and mood window from config
   try {
     const config = await window.electronAPI.getConfig();
     if (config && typeof config.robot_scale === 'number') {
@@ -28,6 +30,10 @@ async function initializeRobot() {
     } else {
       applyRobotScale(0.6);
     }
+    if (config && config.mood_window && stats) {
+      stats.setPrimaryWindow(config.mood_window);
+      robot.setUsageLevel(stats.primaryPct);
+    }
   } catch (e) {
     applyRobotScale(0.6);
   }
@@ -58,6 +64,17 @@ function setupEventListeners() {
     resizeHandle.addEventListener('mousedown', handleResizeStart);
   }
 
+  // Click a session in the bubble to raise its terminal
+  const sessionText = document.getElementById('session-text');
+  if (sessionText) {
+    sessionText.addEventListener('click', (e) => {
+      const item = e.target.closest && e.target.closest('[data-session-index]');
+      if (!item) return;
+      const session = shownSessions[Number(item.dataset.sessionIndex)];
+      if (session) window.electronAPI.focusSession(session.id);
+    });
+  }
+
   // Context menu
   document.addEventListener('contextmenu', (e) => {
     e.preventDefault();
@@ -237,6 +254,7 @@ function setupIPC() {
   window.electronAPI.onTokenUpdate((data) => {
     if (stats) {
       stats.updateTokenUsage(data);
+      if (robot && !data.error) robot.setUsageLevel(stats.primaryPct);
     }
 
     // Show demo mode indicator
@@ -280,33 +298,68 @@ function setupIPC() {
     }
   });
 
+  // Listen for a new mood window choice from the context menu
+  window.electronAPI.onMoodWindowChanged((data) => {
+    if (stats) {
+      stats.setPrimaryWindow(data.window);
+      if (robot) robot.setUsageLevel(stats.primaryPct);
+    }
+  });
+
+  // Listen for usage alerts (alarm animation)
+  window.electronAPI.onUsageAlert((data) => {
+    if (robot) {
+      robot.alarm(data?.message);
+    }
+  });
+
+  // Listen for proxied API error / throttling summaries
+  window.electronAPI.onApiTelemetry((data) => {
+    if (stats) stats.updateTelemetry(data);
+  });
+
   // Listen for session updates
   window.electronAPI.onSessionUpdate((data) => {
     const sessionText = document.getElementById('session-text');
     if (!sessionText) return;
 
+    // Sessions blocked on a permission prompt or question
+    const waiting = data.sessions.filter(s => s.attention);
+    if (robot) {
+      robot.setAttention(waiting.length > 0, waiting.map(s => describeAttention(s)).join('\n'));
+    }
+
     if (data.count > 0) {
-      // Sort busy first, then by project name
+      // Sort waiting on you first, then busy, then by project name
       const sorted = [...data.sessions].sort((a, b) => {
+        if (!!b.attention !== !!a.attention) return (b.attention ? 1 : 0) - (a.attention ? 1 : 0);
         if (b.busy !== a.busy) return (b.busy ? 1 : 0) - (a.busy ? 1 : 0);
         return (a.project || '').localeCompare(b.project || '');
       });
       const shown = sorted.slice(0, 5);
+      shownSessions = shown;
       const totalBusy = data.busyCount;
 
       // All detected sessions are live (process exists). Use "session-live"
       // for all, with "session-active" added for busy ones (executing a task).
-      const items = shown.map(s => {
-        const name = s.project || 'unknown';
+      const items = shown.map((s, i) => {
+        // Sessions reported by a remote agent carry their host; both names
+        // come from that host, so they are escaped
+        const name = escapeHtml(s.host ? `${s.project || 'unknown'}@${s.host}` : (s.project || 'unknown'));
+        if (s.attention) {
+          return `<span class="session-live session-attention" data-session-index="${i}" title="${escapeHtml(describeAttention(s))} — click to open its terminal">${name} ${s.attention.reason === 'question' ? '?' : '!'}</span>`;
+        }
         const cls = s.busy ? 'session-live session-active' : 'session-live';
-        return `<span class="${cls}">${name}</span>`;
+        return `<span class="${cls}" data-session-index="${i}" title="Click to open its terminal">${name}</span>`;
       });
 
       const extra = data.count > shown.length ? ` +${data.count - shown.length}` : '';
-      const summary = `${data.count} running`;
+      const summary = waiting.length > 0
+        ? `${data.count} running, ${waiting.length} waiting on you`
+        : `${data.count} running`;
 
       sessionText.innerHTML =
-        `<span class="session-dot busy"></span>${summary}: ${items.join(', ')}${extra}`;
+        `<span class="session-dot ${waiting.length > 0 ? 'attention' : 'busy'}"></span>${summary}: ${items.join(', ')}${extra}`;
 
       // Update robot face — active if any sessions exist
       if (robot) {
@@ -314,6 +367,7 @@ function setupIPC() {
       }
     } else {
       sessionText.innerHTML = '';
+      shownSessions = [];
       // No sessions — robot goes idle
       if (robot) {
         robot.setState('idle');
@@ -322,6 +376,19 @@ function setupIPC() {
   });
 }
 
+function describeAttention(session) {
+  const name = session.project || 'unknown';
+  if (session.attention.reason === 'question') return `${name} asked you a question`;
+  return `${name} wants permission${session.attention.tool ? ` to use ${session.attention.tool}` : ''}`;
+}
+
+// Also escapes quotes, so the result is safe inside attribute values
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
 // ── Onboarding flow ──────────────────────────────────────────────────────
 
 const ONBOARDING_STEPS = [
@@ -3,6 +3,7 @@ class PixelRobot {
   constructor(container) {
     this.container = container;
     this.state = 'idle';
+    this.mood = 'calm';
     this.pixelSize = 8; // Size of each "pixel" in the art
     this.gridWidth = 12;
     this.gridHeight = 8;
@@ -12,6 +13,8 @@ class PixelRobot {
       body: '#cd7f5d',        // Terracotta/orange body (exact match)
       eyes: '#1a1a1a',        // Black eyes
       eyesActive: '#ffffff',  // White eyes when active
+      eyesAlarm: '#ff3b30',   // Red eyes during a usage alert
+      eyesAttention: '#ffcc00', // Amber eyes while a session waits on the user
       feet: '#cd7f5d',        // Same color feet
       background: '#2d2d30'   // Dark background (optional)
     };
@@ -139,7 +142,7 @@ class PixelRobot {
     if (newState === 'active') {
       // Bright white eyes when active
       this.pixelGroups.eyes.forEach(pixel => {
-        pixel.setAttribute('fill', this.colors.eyesActive);
+        pixel.setAttribute('fill', this._eyeColor());
       });
 
       // Add vibration class
@@ -148,7 +151,7 @@ class PixelRobot {
     } else if (newState === 'idle') {
       // Normal black eyes when idle
       this.pixelGroups.eyes.forEach(pixel => {
-        pixel.setAttribute('fill', this.colors.eyes);
+        pixel.setAttribute('fill', this._eyeColor());
       });
 
       // Remove vibration
@@ -226,9 +229,7 @@ class PixelRobot {
       msg.remove();
 
       // Restore eyes
-      const eyeColor = this.state === 'active'
-        ? this.colors.eyesActive
-        : this.colors.eyes;
+      const eyeColor = this._eyeColor();
       this.pixelGroups.eyes.forEach(pixel => {
         pixel.setAttribute('fill', eyeColor);
         pixel.setAttribute('y', pixel._origY);
@@ -244,6 +245,98 @@ class PixelRobot {
     }, 3000);
   }
 
+  // Tint the robot by how much of the selected usage window is used:
+  // calm < 70% ≤ concerned < 90% ≤ stressed < 100% = exhausted
+  setUsageLevel(pct) {
+    let mood = 'calm';
+    if (pct >= 100) mood = 'exhausted';
+    else if (pct >= 90) mood = 'stressed';
+    else if (pct >= 70) mood = 'concerned';
+    if (!Number.isFinite(pct)) mood = 'calm';
+
+    if (this.mood === mood) return;
+    this.svg.classList.remove(`mood-${this.mood}`);
+    this.mood = mood;
+    this.svg.classList.add(`mood-${mood}`);
+  }
+
+  // Trigger a usage-alert animation — robot flashes red and shakes for 4 seconds
+  alarm(message) {
+    if (this._alarming || this._patting) return; // don't stack with a pat
+    this._alarming = true;
+
+    const containerScale = parseFloat(this.container.dataset.scale) || 1;
+    const counterScale = 1 / containerScale;
+
+    const msg = document.createElement('div');
+    msg.className = 'poke-msg alert-msg';
+    msg.textContent = message || 'Usage alert!';
+    msg.style.transform = `translateX(-50%) scale(${counterScale})`;
+    this.container.appendChild(msg);
+
+    this.svg.classList.add('alarm');
+    this.svg.classList.remove('vibrating');
+
+    // Wide-open red eyes
+    this.pixelGroups.eyes.forEach(pixel => {
+      pixel.setAttribute('fill', this.colors.eyesAlarm);
+    });
+
+    setTimeout(() => {
+      this.svg.classList.remove('alarm');
+      if (this.state === 'active') this.svg.classList.add('vibrating');
+      msg.remove();
+
+      const eyeColor = this._eyeColor();
+      this.pixelGroups.eyes.forEach(pixel => {
+        pixel.setAttribute('fill', eyeColor);
+      });
+
+      this._alarming = false;
+    }, 4000);
+  }
+
+  // "Needs you" mode — amber eyes, a hop and a "!" badge for as long as a
+  // session waits on a permission prompt or question
+  setAttention(waiting, label) {
+    if (!waiting) {
+      if (!this._attention) return;
+      this._attention = false;
+      this.svg.classList.remove('needs-attention');
+      if (this._attentionBadge) {
+        this._attentionBadge.remove();
+        this._attentionBadge = null;
+      }
+      if (!this._alarming && !this._patting) {
+        this.pixelGroups.eyes.forEach(pixel => pixel.setAttribute('fill', this._eyeColor()));
+      }
+      return;
+    }
+
+    if (!this._attentionBadge) {
+      const counterScale = 1 / (parseFloat(this.container.dataset.scale) || 1);
+      const badge = document.createElement('div');
+      badge.className = 'attention-badge';
+      badge.textContent = '!';
+      badge.style.transform = `translateX(-50%) scale(${counterScale})`;
+      this.container.appendChild(badge);
+      this._attentionBadge = badge;
+    }
+    this._attentionBadge.title = label || '';
+
+    if (this._attention) return;
+    this._attention = true;
+    this.svg.classList.add('needs-attention');
+    if (!this._alarming && !this._patting) {
+      this.pixelGroups.eyes.forEach(pixel => pixel.setAttribute('fill', this._eyeColor()));
+    }
+  }
+
+  _eyeColor() {
+    if (this._attention) return this.colors.eyesAttention;
+    return this.state === 'active' ? this.colors.eyesActive : this.colors.eyes;
+  }
+
   // Trigger a blink animation
   blink() {
     this.pixelGroups.eyes.forEach(pixel => {
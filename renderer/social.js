@@ -3,6 +3,10 @@
 let currentTab = 'friends';
 let currentPeriod = 'today';
 let myProfile = null;
+// Last list drawn, patched in place by realtime status / presence events
+let lastRender = null; // { render, data }
+let realtimeConnected = false;
+let onlineFriends = new Set();
 
 document.addEventListener('DOMContentLoaded', () => {
   loadProfile();
@@ -12,7 +16,9 @@ document.addEventListener('DOMContentLoaded', () => {
   setupInviteModal();
   setupProfileModal();
   setupSignOut();
+  setupRealtime();
   loadData();
+  scheduleRefresh();
 });
 
 // ── Profile ─────────────────────────────────────────────────────────────────
@@ -167,17 +173,17 @@ async function loadFriendStatus() {
 
 function renderRanking(data) {
   const tableBody = document.getElementById('table-body');
+  lastRender = { render: renderRanking, data };
 
   if (!data || data.length === 0) {
     tableBody.innerHTML = '<div class="empty-state">No data yet. Add friends and start coding!</div>';
     return;
   }
 
-  // Compute estimated tokens for each user (used for bar width comparison)
-  const estimatedTokens = data.map(item =>
-    (item.total_usage || 0) / 100 * getTokensPerWindow(item.subscription_tier)
-  );
-  const maxTokens = estimatedTokens[0] || 1;
+  // Tokens for each user (used for bar width comparison): exact transcript
+  // counts when the client reports them, else estimated from usage %
+  const estimatedTokens = data.map(item => getUserTokens(item));
+  const maxTokens = Math.max(...estimatedTokens) || 1;
   const fragment = document.createDocumentFragment();
 
   data.forEach((item, index) => {
@@ -187,18 +193,23 @@ function renderRanking(data) {
 
     const barWidth = maxTokens > 0 ? (estimatedTokens[index] / maxTokens) * 100 : 0;
     const isVibing = item.is_vibing;
+    const isOnline = !isVibing && onlineFriends.has(item.user_id);
     const timeStr = formatTime(item.total_time_ms || 0);
-    const usageStr = formatUsage(item.total_usage || 0, item.subscription_tier);
+    const usageStr = item.total_tokens > 0
+      ? formatTokens(item.total_tokens)
+      : formatUsage(item.total_usage || 0, item.subscription_tier);
+    const usageTitle = `${(item.total_usage || 0).toFixed(1)}% of 5-hour windows${item.total_tokens > 0 ? '' : ' (tokens estimated)'}`;
     const sessions = item.log_count || 0;
     const project = item.current_project || '';
 
     const tierLabel = { pro: 'PRO', max_100: 'MAX', max_200: 'MAX+' }[item.subscription_tier] || '';
 
-    // In ranking tabs: show "LIVE" or "last vibe Xm ago"
+    // In ranking tabs: show "LIVE", "online" (app open) or "last vibe Xm ago"
     const lastActive = item.last_active_at ? timeAgo(new Date(item.last_active_at)) : '';
     const vibingLabel = isVibing
       ? 'LIVE'
-      : (lastActive ? lastActive : 'idle');
+      : (isOnline ? 'online' : (lastActive ? lastActive : 'idle'));
+    const vibingClass = isVibing ? 'online' : (isOnline ? 'present' : 'offline');
 
     // Show poke button for all users (including yourself)
     const showPoke = (currentTab === 'friends' || currentTab === 'global') && item.user_id;
@@ -209,12 +220,12 @@ function renderRanking(data) {
         <span class="display-name">${escapeHtml(item.display_name || item.username || '???')}${tierLabel ? ` <span class="tier-badge tier-${item.subscription_tier}">${tierLabel}</span>` : ''}${buildSocialIcons(item)}</span>
         <div class="user-bar"><div class="user-bar-fill" style="width: ${barWidth}%"></div></div>
       </div>
-      <span class="col-usage"><span class="usage-val">${usageStr}</span></span>
+      <span class="col-usage" title="${usageTitle}"><span class="usage-val">${usageStr}</span></span>
       <span class="col-sessions">${sessions}</span>
       <span class="col-time">${timeStr}</span>
       <span class="col-vibing">
-        <span class="vibing-dot ${isVibing ? 'online' : 'offline'}"></span>
-        <span class="vibing-text ${isVibing ? 'active' : ''}">${vibingLabel}</span>
+        <span class="vibing-dot ${vibingClass}"></span>
+        <span class="vibing-text ${isVibing ? 'active' : (isOnline ? 'present' : '')}">${vibingLabel}</span>
       </span>
       <span class="col-poke">${showPoke ? `<button class="poke-btn" data-uid="${item.user_id}" title="Poke ${escapeHtml(item.display_name || item.username)}">Poke</button>` : ''}</span>
     `;
@@ -280,6 +291,7 @@ function renderRanking(data) {
 
 function renderStatusList(data) {
   const statusList = document.getElementById('status-list');
+  lastRender = { render: renderStatusList, data };
 
   if (!data || data.length === 0) {
     statusList.innerHTML = '<div class="empty-state">No friends yet. Share your invite code!</div>';
@@ -294,6 +306,8 @@ function renderStatusList(data) {
 
     const initial = (item.display_name || item.username || '?')[0].toUpperCase();
     const isVibing = item.is_vibing;
+    const isOnline = !isVibing && onlineFriends.has(item.user_id);
+    const badge = isVibing ? 'vibing' : (isOnline ? 'online' : 'idle');
     const lastActive = item.last_active_at ? timeAgo(new Date(item.last_active_at)) : 'never';
     const project = item.current_project || '';
 
@@ -308,8 +322,8 @@ function renderStatusList(data) {
           }
         </div>
       </div>
-      <span class="status-badge ${isVibing ? 'vibing' : 'idle'}">
-        ${isVibing ? 'VIBING' : 'IDLE'}
+      <span class="status-badge ${badge}">
+        ${badge.toUpperCase()}
       </span>
     `;
 
@@ -513,6 +527,7 @@ async function buildLocalSelfRanking(period) {
       twitter_username: profile?.twitter_username || null,
       github_username: profile?.github_username || null,
       total_usage: total.totalDelta || 0,
+      total_tokens: total.totalTokens || 0,
       total_time_ms: total.totalTimeMs || 0,
       log_count: localData?.ranking?.reduce((sum, r) => sum + (r.sessionCount || 0), 0) || 0,
       is_vibing: isVibing,
@@ -580,6 +595,11 @@ function getTokensPerWindow(tier) {
   return TOKENS_BY_TIER[tier] || TOKENS_BY_TIER.pro;
 }
 
+function getUserTokens(item) {
+  if (item.total_tokens > 0) return item.total_tokens;
+  return (item.total_usage || 0) / 100 * getTokensPerWindow(item.subscription_tier);
+}
+
 function formatUsage(totalPercent, tier) {
   if (!totalPercent || totalPercent <= 0) return '0';
   const tokensPerWindow = getTokensPerWindow(tier);
@@ -620,5 +640,54 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
-// ── Auto-refresh every 30 seconds ───────────────────────────────────────────
-setInterval(() => { loadData(); }, 30000);
+// ── Realtime ────────────────────────────────────────────────────────────────
+
+// Friends' status and presence arrive as events; the rows already on screen
+// are updated and redrawn without going back to the server
+function setupRealtime() {
+  window.socialAPI.getRealtimeState().then(state => {
+    realtimeConnected = state.connected;
+    onlineFriends = new Set(state.online);
+    redraw();
+  }).catch(() => {});
+
+  window.socialAPI.onStatusChanged((status) => {
+    if (!lastRender || !Array.isArray(lastRender.data)) return;
+    let changed = false;
+    for (const item of lastRender.data) {
+      if (item.user_id !== status.userId) continue;
+      item.is_vibing = status.isVibing;
+      item.current_project = status.currentProject;
+      if (status.lastActiveAt) item.last_active_at = status.lastActiveAt;
+      changed = true;
+    }
+    if (changed) redraw();
+  });
+
+  window.socialAPI.onPresence(({ userId, online }) => {
+    if (online) onlineFriends.add(userId);
+    else onlineFriends.delete(userId);
+    redraw();
+  });
+
+  window.socialAPI.onRealtime(({ connected }) => {
+    realtimeConnected = connected;
+    if (!connected) onlineFriends.clear();
+    redraw();
+  });
+}
+
+function redraw() {
+  // Nothing to patch while the last load came back empty or failed
+  if (lastRender && Array.isArray(lastRender.data)) lastRender.render(lastRender.data);
+}
+
+// ── Auto-refresh ────────────────────────────────────────────────────────────
+// Every 30 seconds, or every 2 minutes while realtime keeps status current
+// (usage totals still only change on refresh)
+function scheduleRefresh() {
+  setTimeout(async () => {
+    await loadData().catch(() => {});
+    scheduleRefresh();
+  }, realtimeConnected ? 120000 : 30000);
+}
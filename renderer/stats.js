@@ -1,30 +1,75 @@
+// Usage windows reported in `details` by the OAuth tracker, in display order
+const USAGE_WINDOWS = {
+  five_hour: '5h',
+  seven_day: '7d',
+  seven_day_opus: 'Opus',
+  seven_day_sonnet: 'Sonnet',
+};
+
+// Short labels for ApiTelemetry error classes, in display order
+const ERROR_CLASSES = {
+  rate_limit: '429',
+  overloaded: '529',
+  server: '5xx',
+  network: 'net',
+  auth: 'auth',
+  client: '4xx',
+};
+
 // Stats display module for token usage and countdown
 class StatsDisplay {
   constructor() {
     this.tokenFill = document.getElementById('token-fill');
     this.tokenPercentage = document.getElementById('token-percentage');
     this.countdownText = document.getElementById('countdown-text');
+    this.forecastText = document.getElementById('forecast-text');
+    this.windowsEl = document.getElementById('bubble-windows');
+    this.errorsText = document.getElementById('errors-text');
 
     this.resetTime = null;
     this.countdownInterval = null;
 
+    // Window shown in the main bar and driving the robot's mood
+    this.primaryWindow = 'five_hour';
+    this.primaryPct = null;
+    this.lastData = null;
+
     this.startCountdown();
   }
 
+  // Choose which usage window drives the main bar (and the robot's mood)
+  setPrimaryWindow(key) {
+    this.primaryWindow = USAGE_WINDOWS[key] ? key : 'five_hour';
+    if (this.lastData) this.updateTokenUsage(this.lastData);
+  }
+
   updateTokenUsage(data) {
-    const { used, limit, pct, reset_at, error, demo, cached, type, subscription } = data;
+    const { used, limit, reset_at, error, demo, cached, type, subscription, details } = data;
+    let { pct } = data;
+    let resetAt = reset_at;
 
     if (error) {
       this.handleError(error);
       return;
     }
+    this.lastData = data;
+
+    // Swap in the primary window when it isn't the 5-hour one
+    const primary = details && details[this.primaryWindow];
+    const usePrimary = this.primaryWindow !== 'five_hour' && primary && Number.isFinite(primary.utilization);
+    if (usePrimary) {
+      pct = Math.round(primary.utilization);
+      resetAt = primary.resets_at;
+    }
+    this.primaryPct = pct !== undefined ? pct : null;
 
     // Update percentage display
     if (pct !== undefined) {
       // Show subscription type if available
-      let displayText = `${pct}%`;
+      const prefix = usePrimary ? `${USAGE_WINDOWS[this.primaryWindow]} ` : '';
+      let displayText = `${prefix}${pct}%`;
       if (subscription) {
-        displayText = `${pct}% (${subscription})`;
+        displayText = `${prefix}${pct}% (${subscription})`;
       } else if (type === 'messages') {
         // For Claude subscriptions, show as messages
         displayText = `${used}/${limit} msgs`;
@@ -37,13 +82,7 @@ class StatsDisplay {
       // Update bar color based on usage percentage
       // pct = % used (0 = fresh, 100 = exhausted)
       this.tokenFill.classList.remove('high', 'medium', 'low');
-      if (pct < 40) {
-        this.tokenFill.classList.add('high');   // green — plenty remaining
-      } else if (pct < 70) {
-        this.tokenFill.classList.add('medium'); // yellow — moderate usage
-      } else {
-        this.tokenFill.classList.add('low');    // red — running low
-      }
+      this.tokenFill.classList.add(usageLevelClass(pct));
 
       // Handle near-exhaustion state
       if (pct >= 90) {
@@ -56,9 +95,12 @@ class StatsDisplay {
       this.tokenFill.style.width = '0%';
     }
 
+    this.renderWindows(details);
+    this.updateForecast(data.forecast && data.forecast[usePrimary ? this.primaryWindow : 'five_hour']);
+
     // Update reset time
-    if (reset_at) {
-      this.resetTime = new Date(reset_at);
+    if (resetAt) {
+      this.resetTime = new Date(resetAt);
     }
 
     // Add indicators for special states
@@ -78,6 +120,105 @@ class StatsDisplay {
     }
   }
 
+  // Compact rows for the other usage windows (and extra-usage spend)
+  renderWindows(details) {
+    if (!this.windowsEl) return;
+    this.windowsEl.innerHTML = '';
+    if (!details) return;
+
+    const shownPrimary = this.primaryWindow !== 'five_hour' && details[this.primaryWindow]
+      ? this.primaryWindow
+      : 'five_hour';
+
+    for (const [key, label] of Object.entries(USAGE_WINDOWS)) {
+      const w = details[key];
+      if (key === shownPrimary || !w || !Number.isFinite(w.utilization)) continue;
+
+      const pct = Math.max(0, Math.min(100, Math.round(w.utilization)));
+      const row = document.createElement('div');
+      row.className = 'window-row';
+      row.innerHTML = `
+        <span class="window-label">${label}</span>
+        <div class="window-bar"><div class="window-fill ${usageLevelClass(pct)}" style="width: ${pct}%"></div></div>
+        <span class="window-pct">${pct}%</span>
+        <span class="window-reset">${formatEta(w.resets_at)}</span>
+      `;
+      this.windowsEl.appendChild(row);
+    }
+
+    // Extra usage (pay-as-you-go past the limits); amounts are in cents
+    const extra = details.extra_usage;
+    if (extra && extra.is_enabled) {
+      const spent = formatDollars(extra.used_credits);
+      const cap = Number.isFinite(extra.monthly_limit) ? ` / ${formatDollars(extra.monthly_limit)}` : '';
+      const row = document.createElement('div');
+      row.className = 'window-row window-extra';
+      row.textContent = `extra usage ${spent}${cap} this month`;
+      this.windowsEl.appendChild(row);
+    }
+  }
+
+  // Burn-rate line under the countdown, e.g. "12%/h · safe ≤25%/h" or
+  // "limit in ~1h20m (1h05m–1h50m)" when the window is running out
+  updateForecast(forecast) {
+    if (!this.forecastText) return;
+    this.forecastText.classList.remove('at-risk', 'will-exhaust');
+
+    if (!forecast || forecast.ratePerHour === null || forecast.ratePerHour === undefined) {
+      this.forecastText.textContent = '';
+      return;
+    }
+
+    if (forecast.status === 'will_exhaust' || forecast.status === 'at_risk') {
+      const eta = formatEta(forecast.exhaustsAt || forecast.exhaustsAtEarliest);
+      const early = formatEta(forecast.exhaustsAtEarliest);
+      const late = forecast.exhaustsAtLatest ? formatEta(forecast.exhaustsAtLatest) : 'reset';
+      const range = early !== late ? ` (${early}–${late})` : '';
+      this.forecastText.textContent = `limit in ~${eta}${range}`;
+      this.forecastText.classList.add(forecast.status === 'will_exhaust' ? 'will-exhaust' : 'at-risk');
+      this.forecastText.title = `Burning ${forecast.ratePerHour}%/h (${forecast.rateLow}–${forecast.rateHigh}); safe pace ≤${forecast.safePacePerHour}%/h`;
+      return;
+    }
+
+    const safe = forecast.safePacePerHour !== null ? ` · safe ≤${forecast.safePacePerHour}%/h` : '';
+    this.forecastText.textContent = `${forecast.ratePerHour}%/h${safe}`;
+    this.forecastText.title = `Burn rate ${forecast.rateLow}–${forecast.rateHigh}%/h over the last ${forecast.spanMinutes}m`;
+  }
+
+  // Proxied API errors over the last hour, e.g. "API 3×429 · 1×529 (60m)
+  // · throttled, retry 40s"; hidden while nothing has failed
+  updateTelemetry(summary) {
+    if (!this.errorsText) return;
+    this.errorsText.classList.remove('throttled', 'outage', 'degraded');
+
+    if (!summary || summary.errors === 0) {
+      this.errorsText.textContent = '';
+      this.errorsText.title = '';
+      return;
+    }
+
+    const counts = Object.entries(ERROR_CLASSES)
+      .filter(([cls]) => summary.byClass[cls])
+      .map(([cls, label]) => `${summary.byClass[cls]}×${label}`);
+    let text = `API ${counts.join(' · ')} (${summary.windowMinutes}m)`;
+
+    if (summary.verdict === 'throttled') {
+      const retryMs = summary.retryAt ? new Date(summary.retryAt) - Date.now() : 0;
+      const retry = retryMs > 0
+        ? `, retry ${retryMs < 90000 ? `${Math.ceil(retryMs / 1000)}s` : formatEta(summary.retryAt)}`
+        : '';
+      text += ` · throttled${retry}`;
+    } else if (summary.verdict === 'outage') {
+      text += ' · API overloaded';
+    }
+    if (summary.verdict !== 'ok') this.errorsText.classList.add(summary.verdict);
+
+    this.errorsText.textContent = text;
+    const last = summary.lastError;
+    this.errorsText.title = `${summary.errors} of ${summary.requests} requests failed` +
+      (last ? `; last: ${last.error} (${last.status || 'no response'})` : '');
+  }
+
   handleError(errorMessage) {
     this.tokenPercentage.textContent = '-- %';
     this.tokenFill.style.width = '0%';
@@ -160,6 +301,27 @@ class StatsDisplay {
   }
 }
 
+// Bar color class shared by the main bar and the window rows
+function usageLevelClass(pct) {
+  if (pct < 40) return 'high';   // green — plenty remaining
+  if (pct < 70) return 'medium'; // yellow — moderate usage
+  return 'low';                  // red — running low
+}
+
+function formatDollars(cents) {
+  return `$${((Number(cents) || 0) / 100).toFixed(2)}`;
+}
+
+// "1h20m" / "45m" / "2d 3h" until an ISO timestamp
+function formatEta(iso) {
+  if (!iso) return '?';
+  const mins = Math.max(0, Math.round((new Date(iso) - Date.now()) / 60000));
+  const hours = Math.floor(mins / 60);
+  if (hours >= 24) return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  if (hours > 0) return `${hours}h${String(mins % 60).padStart(2, '0')}m`;
+  return `${mins}m`;
+}
+
 // Export for use in main renderer
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = StatsDisplay;
@@ -0,0 +1,208 @@
+// Timeline window renderer script
+let currentPeriod = 'today';
+let selectedSegment = null;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+document.addEventListener('DOMContentLoaded', () => {
+  setupTabs();
+  loadTimeline();
+});
+
+function setupTabs() {
+  const tabs = document.querySelectorAll('.tab');
+  tabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+      tabs.forEach(t => t.classList.remove('active'));
+      tab.classList.add('active');
+      currentPeriod = tab.dataset.period;
+      selectedSegment = null;
+      renderDetail(null);
+      loadTimeline();
+    });
+  });
+}
+
+async function loadTimeline() {
+  try {
+    const timeline = await window.timelineAPI.getTimeline(currentPeriod);
+    renderTimeline(timeline);
+  } catch (err) {
+    console.error('Failed to load timeline:', err);
+  }
+}
+
+// The axis always spans whole days (today: 24h, 7 days: a week) so the
+// layout doesn't shift as the day goes on; `to` is "now"
+function displayRange(timeline) {
+  const start = new Date(timeline.from).getTime();
+  const days = currentPeriod === '7d' ? 7 : 1;
+  return { start, end: start + days * DAY_MS, now: new Date(timeline.to).getTime() };
+}
+
+function renderTimeline(timeline) {
+  const range = displayRange(timeline);
+  const position = (iso) => ((new Date(iso).getTime() - range.start) / (range.end - range.start)) * 100;
+
+  renderAxis(range);
+
+  const busyMs = timeline.projects.reduce((sum, p) => sum + p.busyMs, 0);
+  document.getElementById('total-value').textContent = formatTime(busyMs);
+
+  const lanes = document.getElementById('lanes');
+  if (timeline.projects.length === 0) {
+    lanes.innerHTML = '<div id="empty-state">No sessions recorded in this period.</div>';
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  const nowLeft = ((range.now - range.start) / (range.end - range.start)) * 100;
+
+  for (const project of timeline.projects) {
+    const group = document.createElement('div');
+    group.className = 'project-group';
+
+    project.sessions.forEach((session, index) => {
+      const lane = document.createElement('div');
+      lane.className = 'lane';
+
+      const label = document.createElement('span');
+      label.className = 'lane-label';
+      label.textContent = index === 0 ? project.project : `  ${session.remote ? 'ssh' : 'session'} ${index + 1}`;
+      label.title = session.cwd || session.id;
+      lane.appendChild(label);
+
+      const track = document.createElement('div');
+      track.className = 'lane-track';
+      for (const seg of session.segments) {
+        const left = position(seg.start);
+        const width = Math.max(0, position(seg.end) - left);
+        const el = document.createElement('div');
+        const hasUsage = seg.deltaPercent > 0 || seg.tokens > 0;
+        el.className = `segment ${seg.state}${hasUsage ? ' has-usage' : ''}`;
+        el.style.left = `${left}%`;
+        el.style.width = `${width}%`;
+        el.title = segmentTooltip(seg);
+        const key = `${session.id}|${seg.start}`;
+        if (key === selectedSegment) el.classList.add('selected');
+        el.addEventListener('click', () => {
+          document.querySelectorAll('.segment.selected').forEach(s => s.classList.remove('selected'));
+          el.classList.add('selected');
+          selectedSegment = key;
+          renderDetail(project, session, seg);
+        });
+        track.appendChild(el);
+      }
+      if (nowLeft >= 0 && nowLeft <= 100) {
+        const now = document.createElement('div');
+        now.className = 'now-line';
+        now.style.left = `${nowLeft}%`;
+        track.appendChild(now);
+      }
+      lane.appendChild(track);
+      group.appendChild(lane);
+    });
+
+    const summary = document.createElement('div');
+    summary.className = 'project-summary';
+    const unlinked = project.unlinked.deltaPercent > 0 || project.unlinked.tokens > 0
+      ? ` · outside sessions ${formatUsage(project.unlinked)}`
+      : '';
+    summary.textContent = `busy ${formatTime(project.busyMs)} · idle ${formatTime(project.idleMs)} · ${formatUsage(project)}${unlinked}`;
+    group.appendChild(summary);
+
+    fragment.appendChild(group);
+  }
+
+  lanes.innerHTML = '';
+  lanes.appendChild(fragment);
+}
+
+function renderAxis(range) {
+  const axis = document.getElementById('axis');
+  axis.innerHTML = '';
+  const span = range.end - range.start;
+  const step = currentPeriod === '7d' ? DAY_MS : 3 * 60 * 60 * 1000;
+
+  for (let t = range.start; t < range.end; t += step) {
+    const tick = document.createElement('div');
+    tick.className = 'axis-tick';
+    tick.style.left = `${((t - range.start) / span) * 100}%`;
+    const date = new Date(t);
+    tick.textContent = currentPeriod === '7d'
+      ? `${WEEKDAYS[date.getDay()]} ${date.getDate()}`
+      : `${String(date.getHours()).padStart(2, '0')}:00`;
+    axis.appendChild(tick);
+  }
+}
+
+function renderDetail(project, session, seg) {
+  const panel = document.getElementById('segment-detail');
+  if (!project) {
+    panel.innerHTML = '';
+    return;
+  }
+
+  const lines = [
+    `<div class="detail-title">${escapeHtml(project.project)} · ${seg.state === 'busy' ? 'BUSY' : 'IDLE'} ` +
+      `${formatClock(seg.start)}–${formatClock(seg.end)} (${formatTime(new Date(seg.end) - new Date(seg.start))})</div>`,
+  ];
+  if (seg.branch) lines.push(`branch ${escapeHtml(seg.branch)}`);
+  if (seg.git) lines.push(escapeHtml(formatGit(seg.git)));
+  lines.push(`usage ${formatUsage(seg)}`);
+  lines.push(`<span class="detail-muted">${escapeHtml(session.cwd || session.id)}${session.open ? ' · running' : ''}</span>`);
+  panel.innerHTML = lines.join('<br>');
+}
+
+function segmentTooltip(seg) {
+  const parts = [
+    `${seg.state} ${formatClock(seg.start)}–${formatClock(seg.end)}`,
+    formatUsage(seg),
+  ];
+  if (seg.branch) parts.push(seg.branch);
+  if (seg.git) parts.push(formatGit(seg.git));
+  return parts.join('\n');
+}
+
+function formatGit(git) {
+  const files = git.files > 0 ? `${git.files} files +${git.insertions} −${git.deletions}` : 'no file changes';
+  return `${git.commits} commit${git.commits === 1 ? '' : 's'} · ${files}`;
+}
+
+function formatUsage(item) {
+  const parts = [`${item.deltaPercent.toFixed(1)}%`];
+  if (item.tokens > 0) parts.push(`${formatTokens(item.tokens)} tok`);
+  return parts.join(' · ');
+}
+
+function formatClock(iso) {
+  const date = new Date(iso);
+  const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  return currentPeriod === '7d' ? `${WEEKDAYS[date.getDay()]} ${time}` : time;
+}
+
+function formatTime(ms) {
+  if (!ms || ms <= 0) return '0m';
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return '<1m';
+}
+
+function formatTokens(tokens) {
+  if (tokens >= 1_000_000_000) return `${(tokens / 1_000_000_000).toFixed(1)}B`;
+  if (tokens >= 1_000_000) return `${(tokens / 1_000_000).toFixed(1)}M`;
+  if (tokens >= 1_000) return `${(tokens / 1_000).toFixed(0)}K`;
+  return `${Math.round(tokens)}`;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Auto-refresh every 30 seconds while window is open
+setInterval(loadTimeline, 30000);
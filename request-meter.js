@@ -0,0 +1,260 @@
+/**
+ * Request Meter — reads model and token usage out of one proxied Messages API
+ * call as it streams through ProxyServer's metering mode.
+ *
+ * The request body gives the model, whether it streams, and Claude Code's
+ * session id (embedded in `metadata.user_id` as `..._session_<uuid>`). The
+ * response gives usage either from the JSON body or, for streams, from SSE
+ * events:
+ *
+ *   message_start  message.id, message.model and the input/cache counts
+ *   message_delta  cumulative output_tokens (and final input/cache counts
+ *                  on newer API versions)
+ *   error          error.type for overloaded / rate-limited streams
+ *
+ * Failures get an `errorClass` (see classifyError) so telemetry can tell our
+ * own rate limit from an API outage, and the `anthropic-ratelimit-*` and
+ * `retry-after` response headers are kept on the record.
+ *
+ * Bytes are never modified; the meter only observes copies of the chunks.
+ */
+
+const { StringDecoder } = require('string_decoder');
+const crypto = require('crypto');
+
+// Request bodies larger than this (huge contexts) aren't parsed; the
+// response still carries the model and usage
+const MAX_REQUEST_BODY_BYTES = 8 * 1024 * 1024;
+// Non-streaming responses are small; cap the buffer anyway
+const MAX_RESPONSE_BODY_BYTES = 2 * 1024 * 1024;
+
+const SESSION_ID_RE = /session_([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i;
+
+const RATELIMIT_HEADER_PREFIX = 'anthropic-ratelimit-';
+
+/**
+ * Bucket a failed request:
+ *   rate_limit  429 / rate_limit_error — the user's own limit
+ *   overloaded  529 / overloaded_error — API capacity
+ *   server      other 5xx / api_error
+ *   auth        401 / 403
+ *   client      other 4xx (invalid_request_error, …)
+ *   network     proxy could not reach upstream, or upstream hung up
+ *   aborted     the client cancelled
+ *   budget      refused by the proxy: the project's budget is used up
+ * Returns null for successful requests.
+ */
+function classifyError(status, errorType) {
+  if (errorType === 'client_aborted') return 'aborted';
+  if (errorType === 'budget_exceeded') return 'budget';
+  if (errorType === 'proxy_error' || errorType === 'upstream_aborted') return 'network';
+  if (status === 429 || errorType === 'rate_limit_error') return 'rate_limit';
+  if (status === 529 || errorType === 'overloaded_error') return 'overloaded';
+  if (status >= 500 || errorType === 'api_error') return 'server';
+  if (status === 401 || status === 403 || errorType === 'authentication_error' || errorType === 'permission_error') return 'auth';
+  if (status >= 400 || errorType) return 'client';
+  return null;
+}
+
+class RequestMeter {
+  /**
+   * @param {object} meta
+   * @param {string|null} meta.project - explicit project (path prefix / header)
+   * @param {string} meta.method
+   * @param {string} meta.path
+   */
+  constructor(meta = {}) {
+    this.project = meta.project || null;
+    this.method = meta.method;
+    this.path = meta.path;
+    this.startedAt = Date.now();
+    this.firstByteAt = null;
+
+    this.requestChunks = [];
+    this.requestBytes = 0;
+
+    this.status = null;
+    this.streaming = false;
+    this.parseable = true;
+    this.decoder = new StringDecoder('utf8');
+    this.sseBuffer = '';
+    this.responseText = '';
+
+    this.model = null;
+    this.messageId = null;
+    this.sessionId = null;
+    this.error = null;
+    this.usage = { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheCreationTokens: 0 };
+    this.rateLimit = null;
+    this.retryAfterMs = null;
+  }
+
+  // ── Request side ──
+
+  onRequestData(chunk) {
+    this.requestBytes += chunk.length;
+    if (this.requestBytes <= MAX_REQUEST_BODY_BYTES) this.requestChunks.push(chunk);
+  }
+
+  onRequestEnd() {
+    if (this.requestBytes > MAX_REQUEST_BODY_BYTES) return;
+    try {
+      const body = JSON.parse(Buffer.concat(this.requestChunks).toString('utf8'));
+      if (typeof body.model === 'string') this.model = body.model;
+      const userId = body.metadata && body.metadata.user_id;
+      const match = typeof userId === 'string' && SESSION_ID_RE.exec(userId);
+      if (match) this.sessionId = match[1].toLowerCase();
+    } catch {
+      // Not JSON; nothing to learn from it
+    }
+    this.requestChunks = [];
+  }
+
+  // ── Response side ──
+
+  onResponseStart(statusCode, headers = {}) {
+    this.firstByteAt = Date.now();
+    this.status = statusCode;
+    this.streaming = /text\/event-stream/i.test(headers['content-type'] || '');
+    // We ask upstream for identity encoding; if it compressed anyway, skip parsing
+    const encoding = (headers['content-encoding'] || 'identity').toLowerCase();
+    this.parseable = encoding === 'identity';
+
+    for (const [name, value] of Object.entries(headers)) {
+      if (!name.toLowerCase().startsWith(RATELIMIT_HEADER_PREFIX)) continue;
+      if (!this.rateLimit) this.rateLimit = {};
+      this.rateLimit[name.toLowerCase().slice(RATELIMIT_HEADER_PREFIX.length)] = String(value);
+    }
+    const retryAfter = Number(headers['retry-after']);
+    if (Number.isFinite(retryAfter)) this.retryAfterMs = Math.max(0, retryAfter * 1000);
+  }
+
+  onResponseData(chunk) {
+    if (!this.parseable) return;
+    const text = this.decoder.write(chunk);
+    if (this.streaming) {
+      this.sseBuffer += text;
+      this._drainSse();
+    } else if (this.responseText.length < MAX_RESPONSE_BODY_BYTES) {
+      this.responseText += text;
+    }
+  }
+
+  /**
+   * Finish metering and build the per-request record.
+   * @param {string} [failure] - error type when the request never completed
+   *   ('proxy_error', 'client_aborted')
+   */
+  finish(failure = null) {
+    if (this.parseable) {
+      const rest = this.decoder.end();
+      if (this.streaming) {
+        this.sseBuffer += rest + '\n\n';
+        this._drainSse();
+      } else {
+        this.responseText += rest;
+        this._parseJsonBody();
+      }
+    }
+
+    const now = Date.now();
+    let error = failure || this.error;
+    if (!error && this.status >= 400) error = `http_${this.status}`;
+
+    return {
+      id: this.messageId || `req_${crypto.randomBytes(8).toString('hex')}`,
+      project: this.project,
+      sessionId: this.sessionId,
+      model: this.model || 'unknown',
+      timestamp: new Date(this.startedAt).toISOString(),
+      path: this.path,
+      status: this.status || 0,
+      error: error || null,
+      errorClass: error ? classifyError(this.status || 0, error) : null,
+      retryAfterMs: this.retryAfterMs,
+      rateLimit: this.rateLimit,
+      stream: this.streaming,
+      latencyMs: now - this.startedAt,
+      ttfbMs: this.firstByteAt ? this.firstByteAt - this.startedAt : null,
+      ...this.usage,
+    };
+  }
+
+  // ── Internals ──
+
+  _drainSse() {
+    const normalized = this.sseBuffer.replace(/\r\n/g, '\n');
+    const events = normalized.split('\n\n');
+    this.sseBuffer = events.pop();
+    for (const event of events) {
+      const data = event
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (!data) continue;
+      try {
+        this._onEvent(JSON.parse(data));
+      } catch {
+        // Partial or non-JSON event (e.g. keepalive comment)
+      }
+    }
+  }
+
+  _onEvent(event) {
+    switch (event.type) {
+      case 'message_start':
+        if (event.message) {
+          this.messageId = event.message.id || this.messageId;
+          this.model = event.message.model || this.model;
+          this._applyUsage(event.message.usage);
+        }
+        break;
+      case 'message_delta':
+        this._applyUsage(event.usage);
+        break;
+      case 'error':
+        this.error = (event.error && event.error.type) || 'stream_error';
+        break;
+      default:
+        break;
+    }
+  }
+
+  _parseJsonBody() {
+    if (!this.responseText) return;
+    try {
+      const body = JSON.parse(this.responseText);
+      if (body.type === 'error') {
+        this.error = (body.error && body.error.type) || 'api_error';
+        return;
+      }
+      this.messageId = body.id || this.messageId;
+      this.model = body.model || this.model;
+      this._applyUsage(body.usage);
+    } catch {
+      // Truncated or not JSON
+    }
+    this.responseText = '';
+  }
+
+  /**
+   * Usage counts are cumulative, so later events overwrite earlier ones.
+   */
+  _applyUsage(usage) {
+    if (!usage || typeof usage !== 'object') return;
+    const fields = {
+      inputTokens: usage.input_tokens,
+      outputTokens: usage.output_tokens,
+      cacheReadTokens: usage.cache_read_input_tokens,
+      cacheCreationTokens: usage.cache_creation_input_tokens,
+    };
+    for (const [field, value] of Object.entries(fields)) {
+      if (Number.isFinite(value)) this.usage[field] = value;
+    }
+  }
+}
+
+RequestMeter.classifyError = classifyError;
+
+module.exports = RequestMeter;
@@ -0,0 +1,123 @@
+/**
+ * Session History — append-only log of Claude Code session lifecycles.
+ *
+ * One NDJSON line per SessionMonitor event, in
+ * ~/.alldaypoke/session-history.ndjson. Every record has `type`, `at` (ISO
+ * time) and the session `id` / `project`:
+ *
+ *   session-started  { cwd, branch, remote, busy }
+ *   task-started     { branch }
+ *   task-finished    { cwd, branch, startedAt, finishedAt, busyMs,
+ *                      git: { startCommit, endCommit, commits, files,
+ *                             insertions, deletions } | null }
+ *   session-ended    { startedAt, durationMs, reason: 'gone' | 'quit' }
+ *
+ * SessionTimeline turns these back into busy / idle segments.
+ *
+ * When the file grows past MAX_FILE_BYTES the oldest half is dropped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const log = require('./logger');
+
+const HISTORY_FILE = path.join(os.homedir(), '.alldaypoke', 'session-history.ndjson');
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const DEFAULT_LIMIT = 100;
+
+const TYPES = ['session-started', 'task-started', 'task-finished', 'session-ended'];
+
+class SessionHistory {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file]
+   */
+  constructor(options = {}) {
+    this.file = options.file || HISTORY_FILE;
+  }
+
+  /**
+   * @param {string} type - one of TYPES
+   * @param {object} record - `at` defaults to now
+   */
+  append(type, record) {
+    if (!TYPES.includes(type)) {
+      log.warn(`SessionHistory: unknown record type "${type}", not logged`);
+      return;
+    }
+    const line = { type, at: new Date().toISOString(), ...record };
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.appendFileSync(this.file, JSON.stringify(line) + '\n');
+      if (fs.statSync(this.file).size > MAX_FILE_BYTES) this._trim();
+    } catch (err) {
+      log.error('SessionHistory: failed to append:', err.message);
+    }
+  }
+
+  /**
+   * Newest first.
+   * @param {object} [filter]
+   * @param {string} [filter.type]
+   * @param {string} [filter.project]
+   * @param {string} [filter.since] - ISO timestamp (at)
+   * @param {number} [filter.limit]
+   */
+  list(filter = {}) {
+    const limit = filter.limit || DEFAULT_LIMIT;
+    const out = [];
+    for (const record of this._read().reverse()) {
+      if (filter.since && record.at < filter.since) break;
+      if (filter.type && record.type !== filter.type) continue;
+      if (filter.project && record.project !== filter.project) continue;
+      out.push(record);
+      if (out.length >= limit) break;
+    }
+    return out;
+  }
+
+  /**
+   * Every record up to `until` (ISO), oldest first. Sessions can span days,
+   * so callers get the whole log and clip it themselves.
+   */
+  events(until = null) {
+    const records = this._read();
+    return until ? records.filter(r => r.at <= until) : records;
+  }
+
+  // ── Internals ──
+
+  _read() {
+    let text;
+    try {
+      text = fs.readFileSync(this.file, 'utf8');
+    } catch {
+      return [];
+    }
+    const records = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // torn write from a crash; skip it
+      }
+    }
+    return records;
+  }
+
+  _trim() {
+    const records = this._read();
+    const kept = records.slice(Math.floor(records.length / 2));
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, kept.map(r => JSON.stringify(r)).join('\n') + '\n');
+    fs.renameSync(tmp, this.file);
+    log(`SessionHistory: trimmed to ${kept.length} records`);
+  }
+}
+
+SessionHistory.HISTORY_FILE = HISTORY_FILE;
+SessionHistory.TYPES = TYPES;
+
+module.exports = SessionHistory;
@@ -13,13 +13,40 @@
  * 2. SUPPLEMENT: Uses `ps` to get CPU time for each detected session,
  *    enabling busy/idle tracking via cumulative CPU time deltas.
  *
- * 3. FALLBACK: If no debug files are found, falls back to pure process
+ * 3. TRANSCRIPTS: When a session's JSONL transcript in ~/.claude/projects
+ *    is found (see TranscriptMonitor), its precise state — awaiting input,
+ *    streaming, tool running, awaiting permission — replaces the CPU delta
+ *    heuristic. Transcripts are re-read every TRANSCRIPT_POLL_MS so the
+ *    task-finished event fires as soon as the assistant turn ends.
+ *
+ * 4. FALLBACK: If no debug files are found, falls back to pure process
  *    scanning (legacy approach).
  *
- * 4. SSH DETECTION: Scans for outgoing SSH connections to detect Claude
+ * 5. SSH DETECTION: Scans for outgoing SSH connections to detect Claude
  *    Code sessions running on remote machines (same account, shared API key).
  *    These appear as "remote" sessions with the SSH host as the project name.
  *
+ * 6. REMOTE AGENTS: For hosts running the remote agent (see remote-hosts.js),
+ *    the placeholder above is replaced by the sessions the agent reports —
+ *    real busy / idle states, project names, task and attention events —
+ *    keyed "<host>:<remote id>". Their pid / tty are those of the local ssh
+ *    connection to the host, so focusing one raises that terminal.
+ *
+ * Local sessions are named by ProjectResolver (git repository, aliases,
+ * merge rules) rather than by the basename of their working directory, and
+ * carry their git branch. Each finished task reports the HEAD commit at
+ * start and end plus the diffstat over the busy period (git-context.js):
+ * 'session-task-completed' for every task, 'session-task-finished' only for
+ * the ones worth a notification.
+ *
+ * A session blocked on the user — a permission prompt or a question from
+ * the model — emits 'session-needs-attention' { reason: 'permission' |
+ * 'question', tool } once, and 'session-attention-cleared' when it moves on.
+ * The transcript state is the main signal; for sessions without one, lines
+ * Claude Code appends to its debug file when it shows a permission or
+ * question dialog (DEBUG_ATTENTION_PATTERNS) fill in, until the process
+ * uses CPU again.
+ *
  * The debug-file approach is more accurate than process scanning because:
  * - No process name ambiguity (claude vs node vs npx)
  * - Works regardless of how Claude was launched
@@ -32,8 +59,14 @@ const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const TranscriptMonitor = require('./transcript-monitor');
+const ProjectResolver = require('./project-resolver');
+const { readHead, diffSince } = require('./git-context');
+const { FORWARDED_EVENTS } = require('./remote-agent');
 const log = require('./logger');
 
+const { STATES } = TranscriptMonitor;
+
 // If a process consumes less than this many CPU-seconds per poll interval,
 // it is considered idle (waiting at the prompt). A truly idle Claude process
 // uses ~0s of CPU. An active one uses 1-4s per 5-second poll.
@@ -58,6 +91,21 @@ const MISSING_CONFIRM_POLLS = 12;
 // Cooldown (ms) before the same project can trigger another "task finished" notification.
 const NOTIFICATION_COOLDOWN_MS = 5 * 60 * 1000; // 5 minutes
 
+// How often transcripts are re-read between full polls (ms). Reading an
+// unchanged transcript is a single stat() call, so this can be fast.
+const TRANSCRIPT_POLL_MS = 1000;
+
+// At most this much newly appended debug output is read per poll.
+const DEBUG_TAIL_MAX_BYTES = 64 * 1024;
+
+// Debug-file lines that mean a dialog is waiting on the user. The first
+// capture group, if any, is the tool asked about.
+const DEBUG_ATTENTION_PATTERNS = [
+  { re: /needs your permission to use ([\w.:-]+)/, reason: 'permission' },
+  { re: /permission_prompt/, reason: 'permission' },
+  { re: /elicitation_dialog/, reason: 'question' },
+];
+
 // Claude debug directory
 const CLAUDE_DEBUG_DIR = path.join(os.homedir(), '.claude', 'debug');
 
@@ -66,10 +114,24 @@ class SessionMonitor extends EventEmitter {
     super();
     this.pollIntervalMs = (options.pollIntervalSeconds || 5) * 1000;
     this.pollTimer = null;
+    this.transcriptTimer = null;
+    this.transcriptMonitor = new TranscriptMonitor();
+    this.resolver = options.resolver || new ProjectResolver();
+    // The remote agent runs its own monitor, where ssh connections are noise
+    this.detectSSH = options.detectSSH !== false;
+    this.remoteHosts = options.remoteHosts || null;
+    // host → { pid, tty } of a local ssh connection to it, as of the last poll
+    this.sshHosts = new Map();
     // Map of sessionId (debug file UUID or PID) -> session info
     this.sessions = new Map();
     // Map of project name -> last notification timestamp (cooldown tracking)
     this.lastNotifiedAt = new Map();
+
+    if (this.remoteHosts) {
+      this.remoteHosts.on('sessions', ({ host, sessions }) => this._applyRemoteSessions(host, sessions));
+      this.remoteHosts.on('event', ({ host, event, data }) => this._forwardRemoteEvent(host, event, data));
+      this.remoteHosts.on('disconnected', ({ host }) => this._applyRemoteSessions(host, []));
+    }
   }
 
   /**
@@ -161,7 +223,7 @@ class SessionMonitor extends EventEmitter {
       const localSettingsMatch = header.match(/\/([^\s,]+)\/\.claude\/settings\.local\.json/);
       if (localSettingsMatch) {
         const cwd = '/' + localSettingsMatch[1];
-        return { cwd, project: path.basename(cwd) };
+        return { cwd, project: this.resolver.nameFor(cwd) };
       }
 
       // Pattern 2: skills project path
@@ -169,7 +231,7 @@ class SessionMonitor extends EventEmitter {
       const skillsMatch = header.match(/project=([^\s,]+)\/\.claude\/skills/);
       if (skillsMatch) {
         const cwd = skillsMatch[1];
-        return { cwd, project: path.basename(cwd) };
+        return { cwd, project: this.resolver.nameFor(cwd) };
       }
     } catch {
       // Can't read file
@@ -238,7 +300,7 @@ class SessionMonitor extends EventEmitter {
             elapsedMs: this.parseElapsed(parts[2]),
             cpuTimeSec: this.parseCpuTime(parts[3]),
             cwd,
-            project: cwd ? path.basename(cwd) : null,
+            project: cwd ? this.resolver.nameFor(cwd) : null,
           });
         }
       } catch { /* no matches */ }
@@ -374,9 +436,12 @@ class SessionMonitor extends EventEmitter {
    * consecutive absent polls before being considered truly ended.
    */
   poll() {
+    this.transcriptMonitor.scan();
+    this.transcriptMonitor.refresh();
+
     const debugSessions = this.scanDebugFiles();
     const processes = this.scanProcesses();
-    const sshSessions = this.scanSSHSessions();
+    const sshSessions = this.detectSSH ? this.scanSSHSessions() : [];
 
     // Build union of sessions, keyed by cwd (or fallback to id)
     const sessionMap = new Map(); // cwd -> session info
@@ -387,6 +452,7 @@ class SessionMonitor extends EventEmitter {
       sessionMap.set(key, {
         id: key, // Use cwd as the stable session key (not UUID)
         debugId: ds.sessionId,
+        debugFile: ds.filePath,
         cwd: ds.cwd,
         project: ds.project,
         mtime: ds.mtime,
@@ -416,6 +482,7 @@ class SessionMonitor extends EventEmitter {
         sessionMap.set(key, {
           id: key,
           debugId: null,
+          debugFile: null,
           cwd: proc.cwd,
           project: proc.project,
           mtime: null,
@@ -431,7 +498,11 @@ class SessionMonitor extends EventEmitter {
     }
 
     // Finally, add SSH remote sessions (always separate — different machines)
+    this.sshHosts.clear();
     for (const ssh of sshSessions) {
+      if (!this.sshHosts.has(ssh.host)) this.sshHosts.set(ssh.host, { pid: ssh.pid, tty: ssh.tty });
+      // The host's agent reports its sessions itself
+      if (this.remoteHosts && this.remoteHosts.isConnected(ssh.host)) continue;
       const key = `ssh-${ssh.host}`;
       if (!sessionMap.has(key)) {
         const label = ssh.user ? `${ssh.user}@${ssh.host}` : ssh.host;
@@ -479,34 +550,55 @@ class SessionMonitor extends EventEmitter {
           busyPolls: 0, // consecutive busy polls — need several before transitions count
           busySince: sess.remote ? new Date() : null,
           missingPolls: 0, // consecutive polls where this session wasn't found
+          hasCpuDelta: false, // true once cpuDelta reflects a real poll interval
+          state: null, // transcript-derived state (STATES), null if no transcript
+          transcriptId: null,
+          branch: null,
+          head: null, // HEAD commit as of the last poll
+          taskStartHead: null, // HEAD commit when the current task started
+          debugFile: sess.debugFile || null,
+          debugOffset: null, // bytes of the debug file already scanned
+          debugAttention: null, // dialog seen in the debug file { reason, tool, at }
+          waitingTool: null, // tool the transcript's pending call is waiting on
+          attention: null, // { reason, tool, since } while blocked on the user
         };
         this.sessions.set(sess.id, session);
+        if (!session.remote) this._refreshGit(session);
 
         const elapsed = sess.elapsedMs > 0
           ? ` (running ${this.formatDuration(sess.elapsedMs)})`
           : '';
         log(`Session detected: ${sess.project || sess.id}${elapsed}`);
         this.emit('session-started', { ...session, status: 'unknown' });
+        if (!session.remote) this._applyTranscriptState(session);
       } else {
         // Existing session — update and track CPU delta
         const existing = this.sessions.get(sess.id);
         // Reset missing counter — session is present this poll
         existing.missingPolls = 0;
         if (sess.debugId) existing.debugId = sess.debugId;
+        if (sess.debugFile && sess.debugFile !== existing.debugFile) {
+          existing.debugFile = sess.debugFile;
+          existing.debugOffset = null;
+        }
+        if (sess.tty) existing.tty = sess.tty;
         if (sess.elapsedMs > 0) existing.elapsedMs = sess.elapsedMs;
         if (sess.cwd) existing.cwd = sess.cwd;
         if (sess.project) existing.project = sess.project;
         if (sess.pid) existing.pid = sess.pid;
+        if (!existing.remote) this._refreshGit(existing);
 
         // CPU time delta for busy/idle detection (only if we have process info)
         // Skip for remote sessions — we can't track their CPU usage
-        if (sess.cpuTimeSec > 0 && !existing.remote) {
-          const cpuDelta = sess.cpuTimeSec - existing.lastCpuTimeSec;
+        const hasCpu = sess.cpuTimeSec > 0 && !existing.remote;
+        let cpuDelta = 0;
+        let isIdle = true;
+        if (hasCpu) {
+          cpuDelta = sess.cpuTimeSec - existing.lastCpuTimeSec;
           existing.lastCpuTimeSec = sess.cpuTimeSec;
           existing.cpuDelta = cpuDelta;
-
-          const wasActive = existing.busy;
-          const isIdle = cpuDelta < CPU_DELTA_IDLE_THRESHOLD;
+          existing.hasCpuDelta = true;
+          isIdle = cpuDelta < CPU_DELTA_IDLE_THRESHOLD;
 
           if (isIdle) {
             existing.idlePolls = (existing.idlePolls || 0) + 1;
@@ -515,6 +607,16 @@ class SessionMonitor extends EventEmitter {
             existing.idlePolls = 0;
             existing.busyPolls = (existing.busyPolls || 0) + 1;
           }
+        }
+
+        if (!existing.remote) this._scanDebugFile(existing, hasCpu && !isIdle);
+
+        // The transcript, when there is one, is authoritative — CPU deltas
+        // are only the fallback for sessions we can't find a transcript for.
+        if (!existing.remote && this._applyTranscriptState(existing)) continue;
+
+        if (hasCpu) {
+          const wasActive = existing.busy;
 
           // Require at least 3 consecutive busy polls before marking as busy.
           // This prevents single-poll CPU spikes from triggering a false
@@ -523,50 +625,10 @@ class SessionMonitor extends EventEmitter {
 
           if (wasActive && existing.idlePolls >= IDLE_CONFIRM_POLLS) {
             // Transition: busy -> idle (task finished)
-            existing.busy = false;
-            const busyMs = existing.busySince
-              ? Date.now() - existing.busySince.getTime()
-              : 0;
-            const busyDuration = busyMs > 0
-              ? this.formatDuration(busyMs)
-              : 'unknown';
-            existing.busySince = null;
-
-            if (busyMs >= MIN_BUSY_DURATION_MS) {
-              // Check cooldown — don't spam notifications for the same project
-              const projectKey = existing.project || existing.id;
-              const lastNotified = this.lastNotifiedAt.get(projectKey) || 0;
-              const sinceLast = Date.now() - lastNotified;
-
-              if (sinceLast >= NOTIFICATION_COOLDOWN_MS) {
-                this.lastNotifiedAt.set(projectKey, Date.now());
-                log(`Session task finished: ${projectKey} (ran for ${busyDuration})`);
-                this.emit('session-task-finished', {
-                  id: existing.id,
-                  pid: existing.pid,
-                  project: existing.project,
-                  cwd: existing.cwd,
-                  busyDuration,
-                });
-              } else {
-                log(`Session task finished: ${projectKey} (ran for ${busyDuration}) — notification suppressed (cooldown ${Math.round(sinceLast / 1000)}s < ${NOTIFICATION_COOLDOWN_MS / 1000}s)`);
-              }
-            } else {
-              log(`Session idle: ${existing.project || existing.id} (busy only ${busyDuration}, skipping notification)`);
-            }
+            this._finishTask(existing);
           } else if (!wasActive && !isIdle && existing.busyPolls >= BUSY_CONFIRM_POLLS) {
             // Transition: idle -> busy (task started) — confirmed by sustained CPU usage
-            existing.busy = true;
-            existing.idlePolls = 0;
-            existing.busySince = new Date();
-
-            log(`Session task started: ${existing.project || existing.id} (CPU delta ${cpuDelta.toFixed(1)}s)`);
-            this.emit('session-task-started', {
-              id: existing.id,
-              pid: existing.pid,
-              project: existing.project,
-              cwd: existing.cwd,
-            });
+            this._startTask(existing, `CPU delta ${cpuDelta.toFixed(1)}s`);
           }
         }
       }
@@ -576,6 +638,7 @@ class SessionMonitor extends EventEmitter {
     // polls before declaring a session truly ended. This prevents flickering
     // when debug files hover around the freshness threshold.
     for (const [id, session] of this.sessions) {
+      if (session.agentHost) continue; // come and go with the agent's snapshots
       if (!currentKeys.has(id)) {
         session.missingPolls = (session.missingPolls || 0) + 1;
 
@@ -596,14 +659,387 @@ class SessionMonitor extends EventEmitter {
       }
     }
 
-    // Summary update
+    for (const session of this.sessions.values()) this._updateAttention(session);
+
+    this._emitTokenUsage();
+    this._emitSummary();
+  }
+
+  /**
+   * Fast path between full polls: re-read transcripts and re-derive the
+   * state of every known session, so turn ends are picked up within
+   * TRANSCRIPT_POLL_MS instead of waiting for the next ps scan.
+   */
+  pollTranscripts() {
+    this.transcriptMonitor.refresh();
+
+    let changed = false;
+    for (const session of this.sessions.values()) {
+      if (session.remote) continue;
+      const before = session.state;
+      this._applyTranscriptState(session);
+      if (session.state !== before) changed = true;
+      if (this._updateAttention(session)) changed = true;
+    }
+
+    this._emitTokenUsage();
+    if (changed) this._emitSummary();
+  }
+
+  /**
+   * Forward settled per-message token usage from transcripts, attributed to
+   * the project of the session that owns the transcript.
+   */
+  _emitTokenUsage() {
+    const records = this.transcriptMonitor.drainUsage();
+    if (records.length === 0) return;
+
+    const attributed = records.map(record => {
+      let owner = null;
+      for (const session of this.sessions.values()) {
+        if (session.transcriptId === record.sessionId || (record.cwd && session.cwd === record.cwd)) {
+          owner = session;
+          break;
+        }
+      }
+      const head = owner ? null : readHead(record.cwd);
+      return {
+        ...record,
+        project: (owner && owner.project) || (record.cwd ? this.resolver.nameFor(record.cwd) : 'unknown'),
+        branch: owner ? owner.branch : (head && head.branch) || null,
+      };
+    });
+
+    this.emit('token-usage', attributed);
+  }
+
+  /**
+   * Look up the session's transcript and apply its state, emitting
+   * task-started / task-finished on busy transitions.
+   *
+   * Returns false if there is no usable transcript for this session,
+   * in which case the caller falls back to CPU-delta detection.
+   */
+  _applyTranscriptState(session) {
+    const transcript = this.transcriptMonitor.getBySessionId(session.debugId) ||
+      this.transcriptMonitor.getByCwd(session.cwd);
+    if (!transcript) return false;
+
+    const cpuIdle = session.pid && session.hasCpuDelta
+      ? session.cpuDelta < CPU_DELTA_IDLE_THRESHOLD
+      : null;
+    const state = this.transcriptMonitor.deriveState(transcript, { cpuIdle });
+    if (!state) return false;
+
+    session.transcriptId = transcript.sessionId;
+    const previous = session.state;
+    session.state = state;
+    session.waitingTool = this.transcriptMonitor.waitingTool(transcript);
+
+    if (state !== previous) {
+      log(`Session state: ${session.project || session.id} ${previous || 'unknown'} → ${state}`);
+      this.emit('session-state-changed', {
+        id: session.id,
+        pid: session.pid,
+        project: session.project,
+        cwd: session.cwd,
+        state,
+        previousState: previous,
+      });
+    }
+
+    // Waiting on a permission prompt is still part of the running task
+    const busy = state !== STATES.AWAITING_INPUT;
+    if (busy && !session.busy) {
+      const since = transcript.turnStartedAt ? new Date(transcript.turnStartedAt) : new Date();
+      this._startTask(session, `transcript: ${state}`, since);
+    } else if (!busy && session.busy) {
+      this._finishTask(session);
+    }
+    return true;
+  }
+
+  /**
+   * Transition: idle -> busy (task started).
+   */
+  _startTask(session, reason, since = new Date()) {
+    session.busy = true;
+    session.idlePolls = 0;
+    session.busySince = since;
+    if (!session.remote) this._refreshGit(session);
+    session.taskStartHead = session.head;
+
+    log(`Session task started: ${session.project || session.id} (${reason})`);
+    this.emit('session-task-started', {
+      id: session.id,
+      pid: session.pid,
+      project: session.project,
+      cwd: session.cwd,
+      branch: session.branch,
+      state: session.state,
+    });
+  }
+
+  /**
+   * Transition: busy -> idle (task finished). Emits session-task-completed
+   * for every task, and session-task-finished unless the task was too short
+   * or the project is in its cooldown. Both carry the task's git summary,
+   * so they fire once git has answered.
+   */
+  _finishTask(session) {
+    session.busy = false;
+    const finishedAt = new Date();
+    const startedAt = session.busySince;
+    const busyMs = startedAt ? finishedAt.getTime() - startedAt.getTime() : 0;
+    const busyDuration = busyMs > 0
+      ? this.formatDuration(busyMs)
+      : 'unknown';
+    session.busySince = null;
+
+    let notify = false;
+    const projectKey = session.project || session.id;
+    if (busyMs < MIN_BUSY_DURATION_MS) {
+      log(`Session idle: ${projectKey} (busy only ${busyDuration}, skipping notification)`);
+    } else {
+      // Check cooldown — don't spam notifications for the same project
+      const lastNotified = this.lastNotifiedAt.get(projectKey) || 0;
+      const sinceLast = Date.now() - lastNotified;
+
+      if (sinceLast >= NOTIFICATION_COOLDOWN_MS) {
+        this.lastNotifiedAt.set(projectKey, Date.now());
+        log(`Session task finished: ${projectKey} (ran for ${busyDuration})`);
+        notify = true;
+      } else {
+        log(`Session task finished: ${projectKey} (ran for ${busyDuration}) — notification suppressed (cooldown ${Math.round(sinceLast / 1000)}s < ${NOTIFICATION_COOLDOWN_MS / 1000}s)`);
+      }
+    }
+
+    const task = {
+      id: session.id,
+      pid: session.pid,
+      project: session.project,
+      cwd: session.cwd,
+      branch: session.branch,
+      startedAt: startedAt ? startedAt.toISOString() : null,
+      finishedAt: finishedAt.toISOString(),
+      busyDuration,
+      busyMs,
+      git: null,
+    };
+
+    this._taskGit(session).then((git) => {
+      task.git = git;
+      this.emit('session-task-completed', task);
+      if (notify) this.emit('session-task-finished', task);
+    });
+  }
+
+  /**
+   * HEAD at start / end of the task and what changed in between, or null
+   * outside a repository.
+   */
+  async _taskGit(session) {
+    if (session.remote || !session.cwd) return null;
+    this._refreshGit(session);
+    const startCommit = session.taskStartHead;
+    session.taskStartHead = null;
+    if (!startCommit && !session.head) return null;
+
+    const diff = await diffSince(session.cwd, startCommit);
+    return {
+      startCommit,
+      endCommit: session.head,
+      commits: diff ? diff.commits : 0,
+      files: diff ? diff.files : 0,
+      insertions: diff ? diff.insertions : 0,
+      deletions: diff ? diff.deletions : 0,
+    };
+  }
+
+  /**
+   * Look for dialog lines (DEBUG_ATTENTION_PATTERNS) in what the session's
+   * debug file gained since the last poll. Output from before we first saw
+   * the file is skipped: an old prompt there has long been answered.
+   */
+  _scanDebugFile(session, cpuActive) {
+    if (cpuActive) session.debugAttention = null;
+    if (!session.debugFile) return;
+
+    let stat;
+    try {
+      stat = fs.statSync(session.debugFile);
+    } catch {
+      return;
+    }
+    if (session.debugOffset === null || stat.size < session.debugOffset) {
+      session.debugOffset = stat.size;
+      return;
+    }
+    if (stat.size === session.debugOffset) return;
+
+    const start = Math.max(session.debugOffset, stat.size - DEBUG_TAIL_MAX_BYTES);
+    let text = '';
+    try {
+      const fd = fs.openSync(session.debugFile, 'r');
+      const buf = Buffer.alloc(stat.size - start);
+      const bytesRead = fs.readSync(fd, buf, 0, buf.length, start);
+      fs.closeSync(fd);
+      text = buf.toString('utf8', 0, bytesRead);
+    } catch {
+      return;
+    }
+    session.debugOffset = stat.size;
+
+    for (const line of text.split('\n')) {
+      for (const { re, reason } of DEBUG_ATTENTION_PATTERNS) {
+        const match = re.exec(line);
+        if (match) session.debugAttention = { reason, tool: match[1] || null, at: Date.now() };
+      }
+    }
+  }
+
+  /**
+   * Work out whether the session is blocked on the user and emit
+   * session-needs-attention / session-attention-cleared on changes.
+   * Returns true if anything changed.
+   */
+  _updateAttention(session) {
+    // The agent tracks attention for its sessions and forwards the events
+    if (session.agentHost) return false;
+    let next = null;
+    if (!session.remote) {
+      if (TranscriptMonitor.needsAttention(session.state)) {
+        next = {
+          reason: session.state === STATES.AWAITING_ANSWER ? 'question' : 'permission',
+          tool: session.waitingTool,
+        };
+      } else if (session.state && session.state !== STATES.TOOL_RUNNING) {
+        // The transcript has moved past any dialog the debug file mentioned
+        session.debugAttention = null;
+      } else if (session.debugAttention) {
+        next = { reason: session.debugAttention.reason, tool: session.debugAttention.tool };
+      }
+    }
+
+    const current = session.attention;
+    if (next && current && next.reason === current.reason && next.tool === current.tool) return false;
+    if (!next && !current) return false;
+
+    const project = session.project || session.id;
+    if (next) {
+      session.attention = { ...next, since: current ? current.since : new Date().toISOString() };
+      log(`Session needs attention: ${project} (${next.reason}${next.tool ? `: ${next.tool}` : ''})`);
+      this.emit('session-needs-attention', {
+        id: session.id,
+        pid: session.pid,
+        tty: session.tty,
+        project: session.project,
+        cwd: session.cwd,
+        branch: session.branch,
+        ...session.attention,
+      });
+    } else {
+      const waitedMs = Date.now() - Date.parse(current.since);
+      session.attention = null;
+      log(`Session attention cleared: ${project} (waited ${this.formatDuration(waitedMs)})`);
+      this.emit('session-attention-cleared', { id: session.id, project: session.project, waitedMs });
+    }
+    return true;
+  }
+
+  /**
+   * Bring the sessions of `host` in line with its agent's latest snapshot,
+   * emitting session-started / session-ended for the differences.
+   */
+  _applyRemoteSessions(host, sessions) {
+    const ssh = this.sshHosts.get(host) || { pid: null, tty: null };
+    const seen = new Set();
+
+    for (const remote of sessions) {
+      if (!remote || !remote.id) continue;
+      const id = `${host}:${remote.id}`;
+      seen.add(id);
+      const fields = {
+        pid: ssh.pid,
+        tty: ssh.tty,
+        remotePid: remote.pid || null,
+        cwd: remote.cwd || null,
+        project: remote.project ? this.resolver.canonicalName(remote.project) : null,
+        branch: remote.branch || null,
+        transcriptId: remote.transcriptId || null,
+        elapsedMs: remote.elapsedMs || 0,
+        busy: !!remote.busy,
+        state: remote.state || null,
+        attention: remote.attention || null,
+        cpuDelta: remote.cpuDelta || 0,
+      };
+
+      const existing = this.sessions.get(id);
+      if (existing) {
+        Object.assign(existing, fields);
+        continue;
+      }
+      const startedAt = new Date(remote.startedAt);
+      const session = {
+        id,
+        remote: true,
+        agentHost: host,
+        startedAt: Number.isNaN(startedAt.getTime()) ? new Date() : startedAt,
+        ...fields,
+      };
+      this.sessions.set(id, session);
+      log(`Remote session detected: ${session.project || id} on ${host}`);
+      this.emit('session-started', { ...session, status: session.busy ? 'busy' : 'idle' });
+    }
+
+    for (const [id, session] of this.sessions) {
+      if (session.agentHost !== host || seen.has(id)) continue;
+      this.sessions.delete(id);
+      log(`Remote session ended: ${session.project || id} on ${host}`);
+      this.emit('session-ended', { ...session, endedAt: new Date(), duration: this.formatDuration(session.elapsedMs) });
+    }
+
+    // The agent's sessions replace the bare "ssh connection" placeholder
+    const placeholder = this.sessions.get(`ssh-${host}`);
+    if (placeholder && this.remoteHosts && this.remoteHosts.isConnected(host)) {
+      this.sessions.delete(placeholder.id);
+      this.emit('session-ended', { ...placeholder, endedAt: new Date(), duration: this.formatDuration(placeholder.elapsedMs) });
+    }
+
+    this._emitSummary();
+  }
+
+  /**
+   * Re-emit an event from a host's agent under the local session id.
+   */
+  _forwardRemoteEvent(host, event, data) {
+    if (!FORWARDED_EVENTS.includes(event) || !data.id) return;
+    const ssh = this.sshHosts.get(host) || { pid: null, tty: null };
+    this.emit(event, {
+      ...data,
+      id: `${host}:${data.id}`,
+      pid: ssh.pid,
+      tty: ssh.tty,
+      project: data.project ? this.resolver.canonicalName(data.project) : data.project || null,
+      host,
+    });
+  }
+
+  _refreshGit(session) {
+    const head = readHead(session.cwd);
+    session.branch = head ? head.branch : null;
+    session.head = head ? head.commit : null;
+  }
+
+  _emitSummary() {
     const sessions = this.getSessions();
     const busyCount = sessions.filter(s => s.busy).length;
 
     this.emit('sessions-updated', {
-      count: this.sessions.size,
+      count: sessions.length,
       busyCount,
-      idleCount: this.sessions.size - busyCount,
+      idleCount: sessions.length - busyCount,
+      attentionCount: sessions.filter(s => s.attention).length,
       sessions,
     });
   }
@@ -615,19 +1051,25 @@ class SessionMonitor extends EventEmitter {
       tty: s.tty,
       cwd: s.cwd,
       project: s.project,
+      branch: s.branch || null,
+      transcriptId: s.transcriptId || null,
       remote: s.remote || false,
+      host: s.agentHost || null,
       startedAt: s.startedAt,
       elapsed: s.elapsedMs > 0 ? this.formatDuration(s.elapsedMs) : 'active',
       elapsedMs: s.elapsedMs,
       busy: s.busy,
+      state: s.state || null,
+      attention: s.attention || null,
       cpuDelta: s.cpuDelta,
     }));
   }
 
   start() {
-    log(`Session monitor started (polling every ${this.pollIntervalMs / 1000}s, hybrid debug-file + process + SSH detection)`);
+    log(`Session monitor started (polling every ${this.pollIntervalMs / 1000}s, hybrid debug-file + transcript + process + SSH detection)`);
     this.poll();
     this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.transcriptTimer = setInterval(() => this.pollTranscripts(), TRANSCRIPT_POLL_MS);
   }
 
   stop() {
@@ -635,6 +1077,10 @@ class SessionMonitor extends EventEmitter {
       clearInterval(this.pollTimer);
       this.pollTimer = null;
     }
+    if (this.transcriptTimer) {
+      clearInterval(this.transcriptTimer);
+      this.transcriptTimer = null;
+    }
   }
 }
 
@@ -0,0 +1,248 @@
+/**
+ * Session Timeline — Gantt-style view of sessions, rebuilt from SessionHistory.
+ *
+ * Replays the lifecycle log into one lane per session, split into busy and
+ * idle segments, grouped by project:
+ *
+ *   { from, to, projects: [{ project, busyMs, idleMs, deltaPercent, tokens,
+ *       unlinked: { deltaPercent, tokens },
+ *       sessions: [{ id, cwd, remote, start, end, open,
+ *         segments: [{ state: 'busy' | 'idle', start, end, branch, git,
+ *                      deltaPercent, tokens }] }] }] }
+ *
+ * Usage recorded while a segment ran (UsageDB.getUsageBetween) is linked to
+ * it: a record goes to the project's busy segments that cover its timestamp
+ * (usage is attributed up to ATTRIBUTION_SLACK_MS after the fact), else to
+ * whatever segment covers it, split evenly when several sessions of a
+ * project overlap. Usage no segment covers is reported as `unlinked`.
+ *
+ * The log can be incomplete (the app crashed, a session-started line was
+ * trimmed away), so:
+ *   - a task or end without a known start opens the session implicitly
+ *   - a session still open at the end of the log runs until `now` when
+ *     it is live, else until its last recorded event
+ */
+
+const ATTRIBUTION_SLACK_MS = 60 * 1000;
+const PERIODS = ['today', '7d'];
+
+/**
+ * Local-midnight-aligned range for a period: today, or the last 7 days
+ * including today.
+ */
+function periodRange(period, now = new Date()) {
+  const from = new Date(now);
+  from.setHours(0, 0, 0, 0);
+  if (period === '7d') from.setDate(from.getDate() - 6);
+  return { from, to: new Date(now) };
+}
+
+/**
+ * @param {object[]} events - SessionHistory records, oldest first
+ * @param {object[]} usage - UsageDB.getUsageBetween records
+ * @param {object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {Date} [options.now]
+ * @param {string[]} [options.live] - ids of sessions running right now
+ */
+function buildTimeline(events, usage, options) {
+  const from = options.from.getTime();
+  const to = options.to.getTime();
+  const now = (options.now || options.to).getTime();
+  const live = new Set(options.live || []);
+
+  const sessions = replay(events, now, live);
+
+  // Clip to the range
+  const projects = new Map();
+  for (const session of sessions) {
+    if (session.end < from || session.start > to) continue;
+    const segments = session.segments
+      .map(seg => ({ ...seg, start: Math.max(seg.start, from), end: Math.min(seg.end, to) }))
+      .filter(seg => seg.end > seg.start);
+    if (segments.length === 0) continue;
+
+    const project = session.project || session.id;
+    if (!projects.has(project)) {
+      projects.set(project, {
+        project,
+        busyMs: 0,
+        idleMs: 0,
+        deltaPercent: 0,
+        tokens: 0,
+        unlinked: { deltaPercent: 0, tokens: 0 },
+        sessions: [],
+      });
+    }
+    const group = projects.get(project);
+    for (const seg of segments) {
+      seg.deltaPercent = 0;
+      seg.tokens = 0;
+      if (seg.state === 'busy') group.busyMs += seg.end - seg.start;
+      else group.idleMs += seg.end - seg.start;
+    }
+    group.sessions.push({
+      id: session.id,
+      cwd: session.cwd,
+      remote: session.remote,
+      start: Math.max(session.start, from),
+      end: Math.min(session.end, to),
+      open: session.open,
+      segments,
+    });
+  }
+
+  for (const record of usage) {
+    const group = projects.get(record.project);
+    const t = new Date(record.timestamp).getTime();
+    if (!group) continue;
+    group.deltaPercent += record.deltaPercent;
+    group.tokens += record.tokens;
+
+    const segments = group.sessions.flatMap(s => s.segments);
+    let matches = segments.filter(seg => seg.state === 'busy' && t >= seg.start && t <= seg.end + ATTRIBUTION_SLACK_MS);
+    if (matches.length === 0) matches = segments.filter(seg => t >= seg.start && t <= seg.end);
+    if (matches.length === 0) {
+      group.unlinked.deltaPercent += record.deltaPercent;
+      group.unlinked.tokens += record.tokens;
+      continue;
+    }
+    for (const seg of matches) {
+      seg.deltaPercent += record.deltaPercent / matches.length;
+      seg.tokens += record.tokens / matches.length;
+    }
+  }
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    projects: Array.from(projects.values())
+      .map(group => ({
+        ...group,
+        deltaPercent: round2(group.deltaPercent),
+        tokens: Math.round(group.tokens),
+        unlinked: { deltaPercent: round2(group.unlinked.deltaPercent), tokens: Math.round(group.unlinked.tokens) },
+        sessions: group.sessions
+          .sort((a, b) => a.start - b.start)
+          .map(session => ({
+            ...session,
+            start: new Date(session.start).toISOString(),
+            end: new Date(session.end).toISOString(),
+            segments: session.segments.map(seg => ({
+              ...seg,
+              start: new Date(seg.start).toISOString(),
+              end: new Date(seg.end).toISOString(),
+              deltaPercent: round2(seg.deltaPercent),
+              tokens: Math.round(seg.tokens),
+            })),
+          })),
+      }))
+      .sort((a, b) => (b.busyMs - a.busyMs) || a.project.localeCompare(b.project)),
+  };
+}
+
+// ── Internals ──
+
+/**
+ * Replay the log into closed sessions with millisecond segment bounds.
+ */
+function replay(events, now, live) {
+  const open = new Map();  // id → session being built
+  const done = [];
+
+  const openSession = (e, at) => {
+    const session = {
+      id: e.id,
+      project: e.project,
+      cwd: e.cwd || null,
+      remote: !!e.remote,
+      start: at,
+      end: at,
+      open: false,
+      lastAt: at,
+      state: 'idle',
+      stateSince: at,
+      branch: e.branch || null,
+      segments: [],
+    };
+    open.set(e.id, session);
+    return session;
+  };
+
+  // End the current segment at `at` and start a `state` one
+  const switchState = (session, state, at, extra = {}) => {
+    const start = Math.min(session.stateSince, at);
+    if (at > start) {
+      session.segments.push({ state: session.state, start, end: at, branch: session.branch, git: null, ...extra });
+    }
+    session.state = state;
+    session.stateSince = at;
+  };
+
+  const close = (session, at) => {
+    switchState(session, 'idle', at);
+    session.end = at;
+    open.delete(session.id);
+    done.push(session);
+  };
+
+  for (const e of events) {
+    const at = Date.parse(e.at);
+    if (!e.id || !Number.isFinite(at)) continue;
+    let session = open.get(e.id);
+
+    switch (e.type) {
+      case 'session-started':
+        if (session) close(session, session.lastAt);
+        session = openSession(e, at);
+        if (e.busy) session.state = 'busy';
+        break;
+
+      case 'task-started':
+        if (!session) session = openSession(e, at);
+        switchState(session, 'busy', at);
+        break;
+
+      case 'task-finished': {
+        const startedAt = Date.parse(e.startedAt);
+        if (!session) session = openSession(e, Number.isFinite(startedAt) ? startedAt : at);
+        // The busy stretch is what the monitor measured, even if the
+        // task-started line is missing
+        if (session.state !== 'busy' && Number.isFinite(startedAt) && startedAt >= session.stateSince) {
+          switchState(session, 'busy', startedAt);
+        }
+        if (e.branch) session.branch = e.branch;
+        if (session.state === 'busy') switchState(session, 'idle', at, { git: e.git || null });
+        break;
+      }
+
+      case 'session-ended':
+        if (session) close(session, at);
+        continue;
+
+      default:
+        continue;
+    }
+
+    if (e.branch && e.type !== 'task-finished') session.branch = e.branch;
+    if (e.project) session.project = e.project;
+    session.lastAt = Math.max(session.lastAt, at);
+  }
+
+  for (const session of [...open.values()]) {
+    if (live.has(session.id)) {
+      close(session, Math.max(now, session.lastAt));
+      session.open = true;
+    } else {
+      close(session, session.lastAt);
+    }
+  }
+  return done;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+module.exports = { buildTimeline, periodRange, PERIODS };
@@ -0,0 +1,738 @@
+/**
+ * Social Backend — the service behind the social ranking.
+ *
+ * SocialSync, the login / social IPC handlers in main.js and DeviceSync's
+ * "social" channel all talk to one backend, picked by `social.backend` in
+ * ~/.alldaypoke/config.json:
+ *
+ *   - supabase (default): the hosted Supabase project (supabase-client.js,
+ *     tables and RPCs in supabase-schema.sql)
+ *   - server: a self-hosted social-server.js at `social.server_url`, so a
+ *     team's usage never leaves its own network
+ *
+ * Interface (every method async):
+ *   describe()                        → label for logs (sync)
+ *   restoreSession()                  → user or null
+ *   signUp(email, password, username, twitter?, github?) → { user, inviteCode }
+ *   signIn(email, password)           → user
+ *   signOut()
+ *   getCurrentUser()                  → { id, email } or null
+ *   sendPasswordReset(email)
+ *   resetPassword(email, code, newPassword)
+ *   getMyProfile()                    → profiles row or null
+ *   updateProfile(updates)            → profiles row
+ *   setSubscriptionTier(tier)
+ *   insertUsageLogs(rows), insertTokenLogs(rows)
+ *                                     rows in usage_logs / token_logs columns,
+ *                                     without user_id
+ *   upsertStatus({ is_vibing?, current_project?, last_active_at })
+ *   getFriendRanking(period, clientToday)
+ *   getGlobalRanking(period, limit, clientToday)
+ *   addFriendByCode(code)             → { success, friend?, error? }
+ *   getFriends()                      → [{ id, username, displayName, avatarUrl }]
+ *   removeFriend(friendId)
+ *   sendPoke(recipientId)
+ *   getUnreadPokes()                  → [{ id, senderId, senderName, createdAt }]
+ *   markPokesRead(ids)
+ *   publishDevice(identity)           devices row of { id, name }
+ *   getDevices()                      → [{ device_id, name, synced_at }]
+ *   insertDeviceUsage(rows)           device_usage columns, duplicates ignored
+ *   getDeviceUsage({ excludeDevice, since, uploadedAfter }) → rows by uploaded_at
+ *   subscribe({ friendIds, onPoke, onStatus, onPresence, onClose })
+ *                                     realtime events → unsubscribe function,
+ *                                     or null when signed out. onPoke() means
+ *                                     unread pokes arrived, onStatus(row) a
+ *                                     friend's user_status row changed,
+ *                                     onPresence(userId, online) a friend's
+ *                                     app connected / went away, onClose(err)
+ *                                     the connection was lost
+ *
+ * Reads resolve empty (null / []) while signed out; writes throw
+ * "Not logged in". Other failures throw.
+ */
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const log = require('./logger');
+
+const BACKENDS = ['supabase', 'server'];
+
+const CONFIG_DIR = path.join(os.homedir(), '.alldaypoke');
+const SERVER_SESSION_FILE = path.join(CONFIG_DIR, 'social-server-session.json');
+
+// Fetched in pages; PostgREST caps a response at 1000 rows by default
+const PAGE_ROWS = 1000;
+// social-server.js accepts at most 5000 rows per request
+const UPLOAD_BATCH_ROWS = 1000;
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+// social-server.js pings the event stream every 25s; silence for longer
+// means the connection is dead even if the socket doesn't say so
+const EVENTS_IDLE_MS = 60 * 1000;
+// Supabase Realtime filters take at most 100 values
+const MAX_FILTER_VALUES = 100;
+
+/**
+ * @param {object} config - `social` section of config.json
+ * @param {'supabase'|'server'} config.backend
+ * @param {string} [config.server_url] - base URL of social-server.js
+ * @throws when the backend is unknown or misconfigured
+ */
+function createBackend(config = {}) {
+  const backend = config.backend || 'supabase';
+  if (backend === 'server') return new ServerBackend(config.server_url);
+  if (backend === 'supabase') return new SupabaseBackend();
+  // Never fall back to Supabase: a typo must not send usage off-site
+  throw new Error(`Unknown social.backend "${backend}" (expected ${BACKENDS.join(', ')})`);
+}
+
+// ── Supabase ──
+
+class SupabaseBackend {
+  constructor() {
+    // Loaded here so the server backend doesn't need @supabase/supabase-js
+    this.client = require('./supabase-client');
+  }
+
+  describe() {
+    return 'Supabase';
+  }
+
+  restoreSession() {
+    return this.client.restoreSession();
+  }
+
+  signUp(email, password, username, twitterUsername, githubUsername) {
+    return this.client.signUp(email, password, username, twitterUsername, githubUsername);
+  }
+
+  signIn(email, password) {
+    return this.client.signIn(email, password);
+  }
+
+  signOut() {
+    return this.client.signOut();
+  }
+
+  getCurrentUser() {
+    return this.client.getCurrentUser();
+  }
+
+  sendPasswordReset(email) {
+    return this.client.sendPasswordReset(email);
+  }
+
+  resetPassword(email, otpCode, newPassword) {
+    return this.client.resetPassword(email, otpCode, newPassword);
+  }
+
+  getMyProfile() {
+    return this.client.getMyProfile();
+  }
+
+  updateProfile(updates) {
+    return this.client.updateProfile(updates);
+  }
+
+  async setSubscriptionTier(tier) {
+    const { sb, user } = await this._session();
+    if (!user) return;
+    const { error } = await sb.from('profiles').update({ subscription_tier: tier }).eq('id', user.id);
+    if (error) throw error;
+  }
+
+  async insertUsageLogs(rows) {
+    const { sb, user } = await this._session(true);
+    const { error } = await sb.from('usage_logs').insert(rows.map(row => ({ user_id: user.id, ...row })));
+    if (error) throw error;
+  }
+
+  async insertTokenLogs(rows) {
+    const { sb, user } = await this._session(true);
+    const { error } = await sb.from('token_logs').insert(rows.map(row => ({ user_id: user.id, ...row })));
+    if (error) throw error;
+  }
+
+  async upsertStatus(update) {
+    const { sb, user } = await this._session();
+    if (!user) return;
+    const { error } = await sb
+      .from('user_status')
+      .upsert({ user_id: user.id, ...update, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+    if (error) throw error;
+  }
+
+  async getFriendRanking(period, clientToday) {
+    const { sb } = await this._session();
+    if (!sb) return [];
+    const { data, error } = await sb.rpc('get_friend_ranking', { period, client_today: clientToday });
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getGlobalRanking(period, limit, clientToday) {
+    const { sb } = await this._session();
+    if (!sb) return [];
+    const { data, error } = await sb.rpc('get_global_ranking', { period, lim: limit, client_today: clientToday });
+    if (error) throw error;
+    return data || [];
+  }
+
+  async addFriendByCode(code) {
+    const sb = this.client.getSupabase();
+    if (!sb) throw new Error('Not connected');
+    const { data, error } = await sb.rpc('add_friend_by_code', { code });
+    if (error) throw error;
+    return data;
+  }
+
+  async getFriends() {
+    const { sb, user } = await this._session();
+    if (!user) return [];
+    const { data, error } = await sb
+      .from('friendships')
+      .select('friend_id, profiles!friendships_friend_id_fkey(username, display_name, avatar_url)')
+      .eq('user_id', user.id);
+    if (error) throw error;
+
+    return (data || []).map(row => ({
+      id: row.friend_id,
+      username: row.profiles?.username,
+      displayName: row.profiles?.display_name,
+      avatarUrl: row.profiles?.avatar_url,
+    }));
+  }
+
+  async removeFriend(friendId) {
+    const { sb, user } = await this._session();
+    if (!user) return;
+    // Remove both directions
+    await sb.from('friendships').delete()
+      .eq('user_id', user.id).eq('friend_id', friendId);
+    await sb.from('friendships').delete()
+      .eq('user_id', friendId).eq('friend_id', user.id);
+  }
+
+  async sendPoke(recipientId) {
+    const { sb, user } = await this._session(true);
+    const { error } = await sb
+      .from('pokes')
+      .insert({ sender_id: user.id, recipient_id: recipientId });
+    if (error) throw error;
+  }
+
+  async getUnreadPokes() {
+    const { sb, user } = await this._session();
+    if (!user) return [];
+    const { data, error } = await sb
+      .from('pokes')
+      .select('id, sender_id, created_at, profiles!pokes_sender_id_fkey(username, display_name)')
+      .eq('recipient_id', user.id)
+      .is('read_at', null)
+      .order('created_at', { ascending: false })
+      .limit(20);
+    if (error) throw error;
+
+    return (data || []).map(row => ({
+      id: row.id,
+      senderId: row.sender_id,
+      senderName: row.profiles?.display_name || row.profiles?.username || 'Someone',
+      createdAt: row.created_at,
+    }));
+  }
+
+  async markPokesRead(ids) {
+    const sb = this.client.getSupabase();
+    if (!sb) return;
+    const { error } = await sb
+      .from('pokes')
+      .update({ read_at: new Date().toISOString() })
+      .in('id', ids);
+    if (error) throw error;
+  }
+
+  async publishDevice(identity) {
+    const { sb, user } = await this._session(true);
+    const { error } = await sb.from('devices').upsert({
+      user_id: user.id,
+      device_id: identity.id,
+      name: identity.name,
+      synced_at: new Date().toISOString(),
+    });
+    if (error) throw new Error(`devices: ${error.message}`);
+  }
+
+  async getDevices() {
+    const { sb, user } = await this._session();
+    if (!user) return [];
+    const { data, error } = await sb.from('devices')
+      .select('device_id, name, synced_at')
+      .eq('user_id', user.id);
+    if (error) throw new Error(`devices: ${error.message}`);
+    return data || [];
+  }
+
+  async insertDeviceUsage(rows) {
+    const { sb, user } = await this._session(true);
+    const { error } = await sb.from('device_usage')
+      .upsert(rows.map(row => ({ user_id: user.id, ...row })),
+        { onConflict: 'user_id,device_id,logged_at,project', ignoreDuplicates: true });
+    if (error) throw new Error(`device_usage: ${error.message}`);
+  }
+
+  async getDeviceUsage({ excludeDevice, since, uploadedAfter }) {
+    const { sb, user } = await this._session();
+    if (!user) return [];
+    const rows = [];
+    for (let offset = 0; ; offset += PAGE_ROWS) {
+      let query = sb.from('device_usage')
+        .select('device_id, project, branch, claimed_percent, active_time_ms, logged_at, window_resets_at, window_from, window_to, uploaded_at')
+        .eq('user_id', user.id)
+        .neq('device_id', excludeDevice)
+        .gte('logged_at', since);
+      if (uploadedAfter) query = query.gt('uploaded_at', uploadedAfter);
+      const { data, error } = await query.order('uploaded_at').range(offset, offset + PAGE_ROWS - 1);
+      if (error) throw new Error(`device_usage: ${error.message}`);
+      rows.push(...data);
+      if (data.length < PAGE_ROWS) break;
+    }
+    return rows;
+  }
+
+  /**
+   * Supabase Realtime: INSERTs into the user's `pokes`, friends'
+   * `user_status` changes (both need the realtime publication from
+   * supabase-schema.sql) and a presence channel every signed-in app tracks
+   * itself on, keyed by user id.
+   */
+  async subscribe({ friendIds, onPoke, onStatus, onPresence, onClose }) {
+    const { sb, user } = await this._session();
+    if (!user) return null;
+
+    const changes = sb.channel(`social:${user.id}`)
+      .on('postgres_changes',
+        { event: 'INSERT', schema: 'public', table: 'pokes', filter: `recipient_id=eq.${user.id}` },
+        () => onPoke());
+    if (friendIds.length > 0) {
+      const ids = friendIds.slice(0, MAX_FILTER_VALUES).join(',');
+      changes.on('postgres_changes',
+        { event: '*', schema: 'public', table: 'user_status', filter: `user_id=in.(${ids})` },
+        (payload) => { if (payload.new) onStatus(payload.new); });
+    }
+    // join / leave fire per device; a user stays online while any is left
+    const presence = sb.channel('presence:online', { config: { presence: { key: user.id } } })
+      .on('presence', { event: 'join' }, ({ key }) => onPresence(key, true))
+      .on('presence', { event: 'leave' }, ({ key, currentPresences }) => onPresence(key, currentPresences.length > 0));
+
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      sb.removeChannel(changes);
+      sb.removeChannel(presence);
+    };
+    const lost = (err) => {
+      if (closed) return;
+      close();
+      onClose(err);
+    };
+
+    try {
+      await Promise.all([subscribed(changes, lost), subscribed(presence, lost)]);
+      await presence.track({ online_at: new Date().toISOString() });
+    } catch (err) {
+      close();
+      throw err;
+    }
+    return close;
+  }
+
+  // The client and signed-in user; throws when `required` and signed out
+  async _session(required = false) {
+    const sb = this.client.getSupabase();
+    const user = sb ? await this.client.getCurrentUser() : null;
+    if (required && !user) throw new Error(sb ? 'Not logged in' : 'Not connected');
+    return { sb, user };
+  }
+}
+
+// ── Self-hosted server ──
+
+class ServerBackend {
+  /**
+   * @param {string} url - base URL of social-server.js, e.g. http://team-box:8787
+   */
+  constructor(url) {
+    if (!url || !/^https?:\/\//.test(url)) {
+      throw new Error('social.server_url must be the http(s) URL of a social-server.js');
+    }
+    this.url = url.replace(/\/+$/, '');
+    this.token = null;
+    this.user = null;
+  }
+
+  describe() {
+    return `server ${this.url}`;
+  }
+
+  async restoreSession() {
+    const saved = loadServerSession();
+    if (!saved || saved.server !== this.url || !saved.token) return null;
+    this.token = saved.token;
+    try {
+      const { user } = await this._request('GET', '/v1/auth/user');
+      this.user = user;
+      return user;
+    } catch (err) {
+      // A rejected token was cleared by _request; an unreachable server
+      // leaves the saved one for the next start
+      this.token = null;
+      throw err;
+    }
+  }
+
+  async signUp(email, password, username, twitterUsername, githubUsername) {
+    const result = await this._request('POST', '/v1/auth/sign-up', {
+      email,
+      password,
+      username,
+      twitter_username: twitterUsername,
+      github_username: githubUsername,
+    });
+    this._signedIn(result);
+    return { user: result.user, inviteCode: result.profile.invite_code };
+  }
+
+  async signIn(email, password) {
+    const result = await this._request('POST', '/v1/auth/sign-in', { email, password });
+    this._signedIn(result);
+    return result.user;
+  }
+
+  async signOut() {
+    if (this.token) {
+      await this._request('POST', '/v1/auth/sign-out').catch(() => {});
+    }
+    this._signedOut();
+  }
+
+  async getCurrentUser() {
+    return this.user;
+  }
+
+  async sendPasswordReset(email) {
+    await this._request('POST', '/v1/auth/reset-code', { email });
+  }
+
+  async resetPassword(email, code, newPassword) {
+    await this._request('POST', '/v1/auth/reset-password', { email, code, password: newPassword });
+    // The server signed every session out; sign in again with the new password
+    this._signedOut();
+  }
+
+  async getMyProfile() {
+    if (!this.user) return null;
+    const { profile } = await this._request('GET', '/v1/profile');
+    return profile;
+  }
+
+  async updateProfile(updates) {
+    this._requireUser();
+    const safe = {};
+    for (const key of ['display_name', 'twitter_username', 'github_username']) {
+      if (key in updates) safe[key] = updates[key] || null;
+    }
+    const { profile } = await this._request('PATCH', '/v1/profile', safe);
+    return profile;
+  }
+
+  async setSubscriptionTier(tier) {
+    if (!this.user) return;
+    await this._request('PATCH', '/v1/profile', { subscription_tier: tier });
+  }
+
+  async insertUsageLogs(rows) {
+    await this._upload('/v1/usage-logs', rows);
+  }
+
+  async insertTokenLogs(rows) {
+    await this._upload('/v1/token-logs', rows);
+  }
+
+  async upsertStatus(update) {
+    if (!this.user) return;
+    await this._request('PUT', '/v1/status', update);
+  }
+
+  async getFriendRanking(period, clientToday) {
+    if (!this.user) return [];
+    const query = new URLSearchParams({ period, client_today: clientToday });
+    const { ranking } = await this._request('GET', `/v1/rankings/friends?${query}`);
+    return ranking;
+  }
+
+  async getGlobalRanking(period, limit, clientToday) {
+    if (!this.user) return [];
+    const query = new URLSearchParams({ period, limit: String(limit), client_today: clientToday });
+    const { ranking } = await this._request('GET', `/v1/rankings/global?${query}`);
+    return ranking;
+  }
+
+  async addFriendByCode(code) {
+    this._requireUser();
+    return this._request('POST', '/v1/friends', { code });
+  }
+
+  async getFriends() {
+    if (!this.user) return [];
+    const { friends } = await this._request('GET', '/v1/friends');
+    return friends.map(row => ({
+      id: row.id,
+      username: row.username,
+      displayName: row.display_name,
+      avatarUrl: row.avatar_url,
+    }));
+  }
+
+  async removeFriend(friendId) {
+    if (!this.user) return;
+    await this._request('DELETE', `/v1/friends/${encodeURIComponent(friendId)}`);
+  }
+
+  async sendPoke(recipientId) {
+    this._requireUser();
+    await this._request('POST', '/v1/pokes', { recipient_id: recipientId });
+  }
+
+  async getUnreadPokes() {
+    if (!this.user) return [];
+    const { pokes } = await this._request('GET', '/v1/pokes/unread');
+    return pokes.map(row => ({
+      id: row.id,
+      senderId: row.sender_id,
+      senderName: row.sender_display_name || row.sender_username || 'Someone',
+      createdAt: row.created_at,
+    }));
+  }
+
+  async markPokesRead(ids) {
+    if (!this.user) return;
+    await this._request('POST', '/v1/pokes/read', { ids });
+  }
+
+  async publishDevice(identity) {
+    this._requireUser();
+    await this._request('PUT', `/v1/devices/${encodeURIComponent(identity.id)}`, { name: identity.name });
+  }
+
+  async getDevices() {
+    if (!this.user) return [];
+    const { devices } = await this._request('GET', '/v1/devices');
+    return devices;
+  }
+
+  async insertDeviceUsage(rows) {
+    await this._upload('/v1/device-usage', rows);
+  }
+
+  async getDeviceUsage({ excludeDevice, since, uploadedAfter }) {
+    if (!this.user) return [];
+    const query = new URLSearchParams({ exclude: excludeDevice, since, after: uploadedAfter || '' });
+    const { rows } = await this._request('GET', `/v1/device-usage?${query}`);
+    return rows;
+  }
+
+  /**
+   * GET /v1/events: a server-sent event stream of `poke`, `status` and
+   * `presence` events. Resolves once the server has accepted it.
+   */
+  subscribe({ onPoke, onStatus, onPresence, onClose }) {
+    if (!this.user) return Promise.resolve(null);
+    const url = new URL(`${this.url}/v1/events`);
+    const client = url.protocol === 'http:' ? http : https;
+    const headers = { Accept: 'text/event-stream', Authorization: `Bearer ${this.token}` };
+
+    return new Promise((resolve, reject) => {
+      let opened = false;
+      let closed = false;
+      let idleTimer = null;
+      const close = () => {
+        closed = true;
+        clearTimeout(idleTimer);
+        req.destroy();
+      };
+      const lost = (err) => {
+        if (closed) return;
+        close();
+        onClose(err);
+      };
+      const alive = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => lost(new Error('Social server: event stream went quiet')), EVENTS_IDLE_MS);
+      };
+
+      const req = client.request(url, { headers, timeout: REQUEST_TIMEOUT_MS }, (res) => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          if (res.statusCode === 401) this._signedOut();
+          return reject(new Error(`Social server: event stream refused (HTTP ${res.statusCode})`));
+        }
+        opened = true;
+        // The request timeout only covers connecting; the idle timer takes over
+        req.setTimeout(0);
+        alive();
+        resolve(close);
+
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          alive();
+          buffer += chunk;
+          let end;
+          while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const event = parseServerEvent(buffer.slice(0, end));
+            buffer = buffer.slice(end + 2);
+            if (!event) continue;
+            if (event.type === 'poke') onPoke();
+            else if (event.type === 'status') onStatus(event.data);
+            else if (event.type === 'presence') onPresence(event.data.user_id, event.data.online);
+          }
+        });
+        res.on('end', () => lost(new Error('Social server closed the event stream')));
+        res.on('error', lost);
+      });
+      req.on('timeout', () => req.destroy(new Error(`Social server: no response from ${this.url}`)));
+      req.on('error', (err) => (opened ? lost(err) : reject(err)));
+      req.end();
+    });
+  }
+
+  // ── Internals ──
+
+  _signedIn({ token, user }) {
+    this.token = token;
+    this.user = user;
+    saveServerSession({ server: this.url, token });
+  }
+
+  _signedOut() {
+    this.token = null;
+    this.user = null;
+    clearServerSession();
+  }
+
+  _requireUser() {
+    if (!this.user) throw new Error('Not logged in');
+  }
+
+  async _upload(pathname, rows) {
+    this._requireUser();
+    for (let i = 0; i < rows.length; i += UPLOAD_BATCH_ROWS) {
+      await this._request('POST', pathname, { rows: rows.slice(i, i + UPLOAD_BATCH_ROWS) });
+    }
+  }
+
+  /**
+   * One JSON request; rejects with the server's `error` message and the
+   * HTTP status as `err.status`. A 401 means the token was revoked (password
+   * reset, sign-out elsewhere), so the session is dropped.
+   */
+  _request(method, pathname, body = null) {
+    const url = new URL(this.url + pathname);
+    const client = url.protocol === 'http:' ? http : https;
+    const payload = body ? JSON.stringify(body) : null;
+    const headers = { Accept: 'application/json' };
+    if (payload) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, { method, headers, timeout: REQUEST_TIMEOUT_MS }, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          let json = null;
+          try { json = data ? JSON.parse(data) : {}; } catch { /* reported below */ }
+          if (res.statusCode >= 200 && res.statusCode < 300 && json) return resolve(json);
+
+          if (res.statusCode === 401 && this.token) {
+            log.warn('Social server: session rejected, signing out');
+            this._signedOut();
+          }
+          const err = new Error((json && json.error) || `Social server: HTTP ${res.statusCode}`);
+          err.status = res.statusCode;
+          reject(err);
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error(`Social server: no response from ${this.url}`)));
+      req.on('error', reject);
+      if (payload) req.write(payload);
+      req.end();
+    });
+  }
+}
+
+// Resolves once a Realtime channel is joined; a later error or close is
+// reported to onLost
+function subscribed(channel, onLost) {
+  return new Promise((resolve, reject) => {
+    let joined = false;
+    channel.subscribe((status, err) => {
+      if (status === 'SUBSCRIBED') {
+        joined = true;
+        resolve();
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+        const error = err || new Error(`Realtime channel ${channel.topic}: ${status}`);
+        if (joined) onLost(error);
+        else reject(error);
+      }
+    });
+  });
+}
+
+// One "event: <type>\ndata: <json>" block; comment-only blocks (pings) and
+// unparseable data give null
+function parseServerEvent(block) {
+  let type = 'message';
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) type = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+  }
+  if (data.length === 0) return null;
+  try {
+    return { type, data: JSON.parse(data.join('\n')) };
+  } catch {
+    return null;
+  }
+}
+
+function loadServerSession() {
+  try {
+    return JSON.parse(fs.readFileSync(SERVER_SESSION_FILE, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function saveServerSession(session) {
+  try {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    fs.writeFileSync(SERVER_SESSION_FILE, JSON.stringify(session, null, 2), { mode: 0o600 });
+  } catch (err) {
+    log.error('Social server: failed to save session', err.message);
+  }
+}
+
+function clearServerSession() {
+  try {
+    fs.unlinkSync(SERVER_SESSION_FILE);
+  } catch { /* not signed in */ }
+}
+
+module.exports = { createBackend, SupabaseBackend, ServerBackend, BACKENDS };
@@ -0,0 +1,946 @@
+#!/usr/bin/env node
+/**
+ * Social Server — a self-hostable stand-in for the Supabase project behind
+ * the social ranking, for teams that keep usage data on their own network.
+ *
+ *   node social-server.js [--port 8787] [--host 0.0.0.0] [--db ./social.db]
+ *   alldaypoke social-server ...  (same options)
+ *
+ * Needs Node 22.5+ (built-in node:sqlite); everything lives in one SQLite
+ * file. Point the app at it with `social: { backend: "server",
+ * server_url: "http://<host>:8787" }` in ~/.alldaypoke/config.json
+ * (social-backend.js is the client).
+ *
+ * Accounts are email + password (scrypt); signing in returns a bearer token
+ * that every other endpoint needs as `Authorization: Bearer <token>`. There
+ * is no mail: a password reset code is printed to this server's output for
+ * the admin to pass on.
+ *
+ * Endpoints (JSON bodies and responses, errors as { error: message }):
+ *   GET    /v1/health                         { ok, version }
+ *   POST   /v1/auth/sign-up                   { email, password, username,
+ *                                               twitter_username?, github_username? }
+ *                                              → { token, user, profile }
+ *   POST   /v1/auth/sign-in                   { email, password } → { token, user }
+ *   POST   /v1/auth/sign-out                  revokes the token
+ *   GET    /v1/auth/user                      { user }
+ *   POST   /v1/auth/reset-code                { email }
+ *   POST   /v1/auth/reset-password            { email, code, password }
+ *   GET    /v1/profile                        { profile }
+ *   PATCH  /v1/profile                        { display_name?, twitter_username?,
+ *                                               github_username?, subscription_tier? }
+ *   POST   /v1/usage-logs                     { rows } → { inserted }
+ *   POST   /v1/token-logs                     { rows } → { inserted }
+ *   PUT    /v1/status                         { is_vibing?, current_project?, last_active_at? }
+ *   GET    /v1/rankings/friends?period=7d&client_today=YYYY-MM-DD   { ranking }
+ *   GET    /v1/rankings/global?period=7d&limit=50&client_today=…    { ranking }
+ *   GET    /v1/friends                        { friends }
+ *   POST   /v1/friends                        { code } → { success, friend?, error? }
+ *   DELETE /v1/friends/<id>                   both directions
+ *   POST   /v1/pokes                          { recipient_id } (friends only)
+ *   GET    /v1/pokes/unread                   { pokes } (newest 20)
+ *   POST   /v1/pokes/read                     { ids }
+ *   GET    /v1/devices                        { devices } of the account (device-sync.js)
+ *   PUT    /v1/devices/<id>                   { name }
+ *   POST   /v1/device-usage                   { rows } → { inserted }
+ *   GET    /v1/device-usage?exclude=<id>&since=<iso>&after=<iso>   { rows }
+ *   GET    /v1/events                         server-sent events (below)
+ *
+ * /v1/events stays open and pushes, as `event: <type>` / `data: <json>`:
+ *   poke      { id, sender_id }                a poke for this user
+ *   status    { user_id, is_vibing, current_project, last_active_at }
+ *                                              a friend started / stopped vibing
+ *   presence  { user_id, online }              a friend's app connected or went
+ *                                              away (sent for every friend
+ *                                              already online on connect)
+ * with a `: ping` comment every EVENTS_PING_MS.
+ *
+ * Rows and ranking fields use the column names of supabase-schema.sql, so
+ * both backends look the same to the app. Serve it over TLS (a reverse
+ * proxy) anywhere the network isn't trusted.
+ */
+
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '0.0.0.0';
+const DEFAULT_DB = path.join(process.cwd(), 'social.db');
+
+const MAX_BODY_BYTES = 8 * 1024 * 1024;
+const MAX_ROWS = 5000;
+const MAX_GLOBAL_LIMIT = 500;
+const UNREAD_POKES = 20;
+const MIN_PASSWORD_LENGTH = 6;
+const RESET_CODE_TTL_MS = 15 * 60 * 1000;
+const RESET_CODE_ATTEMPTS = 5;
+const EVENTS_PING_MS = 25 * 1000;
+
+const VALID_PERIODS = ['today', '7d', '30d', 'all'];
+const INVITE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const SCHEMA = `
+  create table if not exists users (
+    id text primary key,
+    email text unique not null,
+    password_hash text not null,
+    created_at text not null
+  );
+  create table if not exists auth_tokens (
+    token_hash text primary key,
+    user_id text not null references users(id) on delete cascade,
+    created_at text not null
+  );
+  create table if not exists reset_codes (
+    user_id text primary key references users(id) on delete cascade,
+    code_hash text not null,
+    expires_at text not null,
+    attempts integer not null default 0
+  );
+  create table if not exists profiles (
+    id text primary key references users(id) on delete cascade,
+    username text unique not null,
+    display_name text,
+    avatar_url text,
+    invite_code text unique not null,
+    subscription_tier text default 'pro',
+    twitter_username text,
+    github_username text,
+    created_at text not null
+  );
+  create table if not exists friendships (
+    id integer primary key autoincrement,
+    user_id text not null references profiles(id) on delete cascade,
+    friend_id text not null references profiles(id) on delete cascade,
+    created_at text not null,
+    unique (user_id, friend_id)
+  );
+  create table if not exists usage_logs (
+    id integer primary key autoincrement,
+    user_id text not null references profiles(id) on delete cascade,
+    project text not null,
+    delta_percent real not null,
+    active_time_ms integer default 0,
+    logged_at text not null,
+    date text not null
+  );
+  create index if not exists idx_usage_logs_user_date on usage_logs(user_id, date);
+  create table if not exists token_logs (
+    id integer primary key autoincrement,
+    user_id text not null references profiles(id) on delete cascade,
+    project text not null,
+    model text not null,
+    input_tokens integer default 0,
+    output_tokens integer default 0,
+    cache_read_tokens integer default 0,
+    cache_creation_tokens integer default 0,
+    message_count integer default 0,
+    logged_at text not null,
+    date text not null
+  );
+  create index if not exists idx_token_logs_user_date on token_logs(user_id, date);
+  create table if not exists user_status (
+    user_id text primary key references profiles(id) on delete cascade,
+    is_vibing integer default 0,
+    current_project text,
+    last_active_at text,
+    updated_at text
+  );
+  create table if not exists pokes (
+    id integer primary key autoincrement,
+    sender_id text not null references profiles(id) on delete cascade,
+    recipient_id text not null references profiles(id) on delete cascade,
+    created_at text not null,
+    read_at text
+  );
+  create index if not exists idx_pokes_recipient_unread on pokes(recipient_id, read_at);
+  create table if not exists devices (
+    user_id text not null references profiles(id) on delete cascade,
+    device_id text not null,
+    name text not null,
+    synced_at text not null,
+    primary key (user_id, device_id)
+  );
+  create table if not exists device_usage (
+    user_id text not null references profiles(id) on delete cascade,
+    device_id text not null,
+    project text not null,
+    branch text,
+    claimed_percent real not null,
+    active_time_ms integer default 0,
+    logged_at text not null,
+    window_resets_at text not null,
+    window_from real not null,
+    window_to real not null,
+    uploaded_at text not null,
+    primary key (user_id, device_id, logged_at, project)
+  );
+  create index if not exists idx_device_usage_user_uploaded on device_usage(user_id, uploaded_at);
+`;
+
+// Ranking columns shared by both rankings (get_friend_ranking /
+// get_global_ranking in supabase-schema.sql)
+const RANKING_COLUMNS = `
+  p.username, p.display_name, p.subscription_tier, p.twitter_username, p.github_username,
+  coalesce(sum(ul.delta_percent), 0) as total_usage,
+  coalesce(sum(ul.active_time_ms), 0) as total_time_ms,
+  count(ul.id) as log_count,
+  coalesce((
+    select sum(tl.input_tokens + tl.output_tokens + tl.cache_read_tokens + tl.cache_creation_tokens)
+    from token_logs tl
+    where tl.user_id = p.id and tl.date >= $cutoff
+  ), 0) as total_tokens,
+  us.is_vibing, us.last_active_at`;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class SocialServer {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.port]
+   * @param {string} [options.host]
+   * @param {string} [options.dbFile] - SQLite file, created on first start
+   * @param {Function} [options.print] - operator output (reset codes, errors)
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? DEFAULT_PORT;
+    this.host = options.host || DEFAULT_HOST;
+    this.dbFile = options.dbFile || DEFAULT_DB;
+    this.print = options.print || console.log;
+    this.db = null;
+    this.server = null;
+    this.streams = new Map(); // user id -> Set of open /v1/events responses
+  }
+
+  start() {
+    try {
+      this.db = openDatabase(this.dbFile);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  stop() {
+    for (const streams of this.streams.values()) {
+      for (const res of streams) res.end();
+    }
+    this.streams.clear();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  // ── HTTP ──
+
+  async _handle(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (req.method === 'GET' && url.pathname === '/v1/events') return this._openEvents(req, res);
+      const body = await readBody(req);
+      const result = await this._route(req, url, body);
+      send(res, 200, result);
+    } catch (err) {
+      if (err instanceof HttpError) {
+        if (err.status === 401) res.setHeader('WWW-Authenticate', 'Bearer');
+        return send(res, err.status, { error: err.message });
+      }
+      this.print(`social-server: ${req.method} ${req.url} failed: ${err.message}`);
+      send(res, 500, { error: 'Internal server error' });
+    }
+  }
+
+  async _route(req, url, body) {
+    const parts = url.pathname.split('/').filter(Boolean);
+    if (parts[0] !== 'v1') throw new HttpError(404, 'Not found');
+    const route = `${req.method} /${parts.slice(1).join('/')}`;
+
+    switch (route) {
+      case 'GET /health':
+        return { ok: true, version: SocialServer.appVersion() };
+      case 'POST /auth/sign-up':
+        return this._signUp(body);
+      case 'POST /auth/sign-in':
+        return this._signIn(body);
+      case 'POST /auth/reset-code':
+        return this._sendResetCode(body);
+      case 'POST /auth/reset-password':
+        return this._resetPassword(body);
+    }
+
+    const user = this._authenticate(req);
+
+    switch (route) {
+      case 'POST /auth/sign-out':
+        this.db.prepare('delete from auth_tokens where token_hash = ?').run(user.tokenHash);
+        return { ok: true };
+      case 'GET /auth/user':
+        return { user: { id: user.id, email: user.email } };
+      case 'GET /profile':
+        return { profile: this._profile(user.id) };
+      case 'PATCH /profile':
+        return { profile: this._updateProfile(user.id, body) };
+      case 'POST /usage-logs':
+        return { inserted: this._insertUsageLogs(user.id, body.rows) };
+      case 'POST /token-logs':
+        return { inserted: this._insertTokenLogs(user.id, body.rows) };
+      case 'PUT /status':
+        this._upsertStatus(user.id, body);
+        return { ok: true };
+      case 'GET /rankings/friends':
+        return { ranking: this._friendRanking(user.id, url.searchParams) };
+      case 'GET /rankings/global':
+        return { ranking: this._globalRanking(url.searchParams) };
+      case 'GET /friends':
+        return { friends: this._friends(user.id) };
+      case 'POST /friends':
+        return this._addFriend(user.id, body.code);
+      case 'POST /pokes':
+        return this._sendPoke(user.id, body.recipient_id);
+      case 'GET /pokes/unread':
+        return { pokes: this._unreadPokes(user.id) };
+      case 'POST /pokes/read':
+        return { updated: this._markPokesRead(user.id, body.ids) };
+      case 'GET /devices':
+        return { devices: this.db.prepare('select device_id, name, synced_at from devices where user_id = ?').all(user.id) };
+      case 'POST /device-usage':
+        return { inserted: this._insertDeviceUsage(user.id, body.rows) };
+      case 'GET /device-usage':
+        return { rows: this._deviceUsage(user.id, url.searchParams) };
+    }
+
+    // /v1/<collection>/<id>
+    const param = parts.length === 3 ? decodeParam(parts[2]) : null;
+    if (param !== null) {
+      if (req.method === 'DELETE' && parts[1] === 'friends') {
+        this._removeFriend(user.id, param);
+        return { ok: true };
+      }
+      if (req.method === 'PUT' && parts[1] === 'devices') {
+        this._upsertDevice(user.id, param, body.name);
+        return { ok: true };
+      }
+    }
+    throw new HttpError(404, 'Not found');
+  }
+
+  // ── Auth ──
+
+  _authenticate(req) {
+    const auth = req.headers.authorization || '';
+    const token = auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
+    if (!token) throw new HttpError(401, 'Not logged in');
+    const tokenHash = sha256(token);
+    const user = this.db.prepare(`
+      select u.id, u.email from auth_tokens t join users u on u.id = t.user_id
+      where t.token_hash = ?`).get(tokenHash);
+    if (!user) throw new HttpError(401, 'Session expired, sign in again');
+    return { id: user.id, email: user.email, tokenHash };
+  }
+
+  async _signUp(body) {
+    const email = normalizeEmail(body.email);
+    const password = checkPassword(body.password);
+    const username = optionalText(body.username, 40);
+    if (!username) throw new HttpError(400, 'A username is required');
+    if (this.db.prepare('select 1 from users where email = ?').get(email)) {
+      throw new HttpError(400, 'User already registered');
+    }
+    if (this.db.prepare('select 1 from profiles where username = ?').get(username)) {
+      throw new HttpError(400, 'Username is already taken');
+    }
+
+    const passwordHash = await hashSecret(password);
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    let inviteCode;
+    do {
+      inviteCode = generateInviteCode();
+    } while (this.db.prepare('select 1 from profiles where invite_code = ?').get(inviteCode));
+
+    this._transaction(() => {
+      this.db.prepare('insert into users (id, email, password_hash, created_at) values (?, ?, ?, ?)')
+        .run(id, email, passwordHash, now);
+      this.db.prepare(`
+        insert into profiles (id, username, display_name, invite_code, twitter_username, github_username, created_at)
+        values (?, ?, ?, ?, ?, ?, ?)`)
+        .run(id, username, username, inviteCode,
+          optionalText(body.twitter_username, 64), optionalText(body.github_username, 64), now);
+      this.db.prepare('insert into user_status (user_id, is_vibing, updated_at) values (?, 0, ?)').run(id, now);
+    });
+
+    return { token: this._issueToken(id), user: { id, email }, profile: this._profile(id) };
+  }
+
+  async _signIn(body) {
+    const email = normalizeEmail(body.email);
+    const row = this.db.prepare('select id, email, password_hash from users where email = ?').get(email);
+    // Hash anyway for unknown emails so the timing doesn't tell them apart
+    const ok = await verifySecret(String(body.password || ''), row ? row.password_hash : null);
+    if (!row || !ok) throw new HttpError(400, 'Invalid login credentials');
+    return { token: this._issueToken(row.id), user: { id: row.id, email: row.email } };
+  }
+
+  _issueToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.db.prepare('insert into auth_tokens (token_hash, user_id, created_at) values (?, ?, ?)')
+      .run(sha256(token), userId, new Date().toISOString());
+    return token;
+  }
+
+  async _sendResetCode(body) {
+    const email = normalizeEmail(body.email);
+    const user = this.db.prepare('select id from users where email = ?').get(email);
+    // Same answer either way, so the endpoint doesn't reveal who has an account
+    if (!user) return { ok: true };
+
+    // A new code within the window of the last one keeps its expiry and
+    // failed attempts, so asking again doesn't buy more guesses
+    const now = new Date().toISOString();
+    const current = this.db.prepare('select expires_at, attempts from reset_codes where user_id = ?').get(user.id);
+    const issued = current && current.expires_at > now
+      ? current
+      : { expires_at: new Date(Date.now() + RESET_CODE_TTL_MS).toISOString(), attempts: 0 };
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    this.db.prepare(`
+      insert into reset_codes (user_id, code_hash, expires_at, attempts) values (?, ?, ?, ?)
+      on conflict (user_id) do update set code_hash = excluded.code_hash, expires_at = excluded.expires_at, attempts = excluded.attempts`)
+      .run(user.id, sha256(code), issued.expires_at, issued.attempts);
+    const minutes = Math.ceil((Date.parse(issued.expires_at) - Date.now()) / 60000);
+    this.print(`Password reset code for ${email}: ${code} (valid ${minutes} minutes)`);
+    return { ok: true };
+  }
+
+  async _resetPassword(body) {
+    const email = normalizeEmail(body.email);
+    const password = checkPassword(body.password);
+    const row = this.db.prepare(`
+      select r.user_id, r.code_hash, r.expires_at, r.attempts
+      from reset_codes r join users u on u.id = r.user_id where u.email = ?`).get(email);
+    const invalid = new HttpError(400, 'Token has expired or is invalid');
+    if (!row || row.expires_at < new Date().toISOString() || row.attempts >= RESET_CODE_ATTEMPTS) throw invalid;
+    if (!safeEqual(sha256(String(body.code || '').trim()), row.code_hash)) {
+      this.db.prepare('update reset_codes set attempts = attempts + 1 where user_id = ?').run(row.user_id);
+      throw invalid;
+    }
+
+    const passwordHash = await hashSecret(password);
+    this._transaction(() => {
+      this.db.prepare('update users set password_hash = ? where id = ?').run(passwordHash, row.user_id);
+      this.db.prepare('delete from reset_codes where user_id = ?').run(row.user_id);
+      // Signed out everywhere, as the old password may be what leaked
+      this.db.prepare('delete from auth_tokens where user_id = ?').run(row.user_id);
+    });
+    return { ok: true };
+  }
+
+  // ── Profiles and status ──
+
+  _profile(userId) {
+    return this.db.prepare('select * from profiles where id = ?').get(userId) || null;
+  }
+
+  _updateProfile(userId, body) {
+    const updates = {};
+    for (const key of ['display_name', 'twitter_username', 'github_username']) {
+      if (key in body) updates[key] = optionalText(body[key], 64);
+    }
+    if ('subscription_tier' in body) {
+      const tier = optionalText(body.subscription_tier, 32);
+      if (!tier) throw new HttpError(400, 'Invalid subscription_tier');
+      updates.subscription_tier = tier;
+    }
+    const keys = Object.keys(updates);
+    if (keys.length > 0) {
+      this.db.prepare(`update profiles set ${keys.map(key => `${key} = ?`).join(', ')} where id = ?`)
+        .run(...keys.map(key => updates[key]), userId);
+    }
+    return this._profile(userId);
+  }
+
+  _upsertStatus(userId, body) {
+    const current = this.db.prepare('select is_vibing, current_project, last_active_at from user_status where user_id = ?')
+      .get(userId) || { is_vibing: 0, current_project: null, last_active_at: null };
+    const now = new Date().toISOString();
+    const next = {
+      is_vibing: 'is_vibing' in body ? (body.is_vibing ? 1 : 0) : current.is_vibing,
+      current_project: 'current_project' in body ? optionalText(body.current_project, 500) : current.current_project,
+      last_active_at: isTimestamp(body.last_active_at) ? body.last_active_at : (current.last_active_at || now),
+    };
+    this.db.prepare(`
+      insert into user_status (user_id, is_vibing, current_project, last_active_at, updated_at) values (?, ?, ?, ?, ?)
+      on conflict (user_id) do update set is_vibing = excluded.is_vibing, current_project = excluded.current_project,
+        last_active_at = excluded.last_active_at, updated_at = excluded.updated_at`)
+      .run(userId, next.is_vibing, next.current_project, next.last_active_at, now);
+
+    // Heartbeats only move last_active_at; friends hear about real changes
+    if (next.is_vibing !== current.is_vibing || next.current_project !== current.current_project) {
+      this._toFriends(userId, 'status', {
+        user_id: userId,
+        is_vibing: next.is_vibing === 1,
+        current_project: next.current_project,
+        last_active_at: next.last_active_at,
+      });
+    }
+  }
+
+  // ── Usage ──
+
+  // Malformed rows are skipped rather than failing the batch: the app only
+  // marks entries synced after a successful insert, so a bad row would
+  // otherwise block every later one
+  _insertUsageLogs(userId, rows) {
+    const insert = this.db.prepare(`
+      insert into usage_logs (user_id, project, delta_percent, active_time_ms, logged_at, date)
+      values (?, ?, ?, ?, ?, ?)`);
+    let inserted = 0;
+    this._transaction(() => {
+      for (const row of checkRows(rows)) {
+        if (!isText(row.project) || !Number.isFinite(row.delta_percent) || !isTimestamp(row.logged_at) || !DATE_RE.test(row.date)) continue;
+        insert.run(userId, row.project, row.delta_percent, toCount(row.active_time_ms), row.logged_at, row.date);
+        inserted++;
+      }
+    });
+    return inserted;
+  }
+
+  _insertTokenLogs(userId, rows) {
+    const insert = this.db.prepare(`
+      insert into token_logs (user_id, project, model, input_tokens, output_tokens, cache_read_tokens,
+        cache_creation_tokens, message_count, logged_at, date)
+      values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+    let inserted = 0;
+    this._transaction(() => {
+      for (const row of checkRows(rows)) {
+        if (!isText(row.project) || !isText(row.model) || !isTimestamp(row.logged_at) || !DATE_RE.test(row.date)) continue;
+        insert.run(userId, row.project, row.model, toCount(row.input_tokens), toCount(row.output_tokens),
+          toCount(row.cache_read_tokens), toCount(row.cache_creation_tokens), toCount(row.message_count),
+          row.logged_at, row.date);
+        inserted++;
+      }
+    });
+    return inserted;
+  }
+
+  // ── Rankings ──
+
+  _friendRanking(userId, params) {
+    const rows = this.db.prepare(`
+      select p.id as user_id, ${RANKING_COLUMNS}, us.current_project
+      from profiles p
+      left join usage_logs ul on ul.user_id = p.id and ul.date >= $cutoff
+      left join user_status us on us.user_id = p.id
+      where p.id = $me or p.id in (select friend_id from friendships where user_id = $me)
+      group by p.id
+      order by total_usage desc`)
+      .all({ $cutoff: rankingCutoff(params), $me: userId });
+    return rows.map(rankingRow);
+  }
+
+  _globalRanking(params) {
+    const limit = params.has('limit') ? Number(params.get('limit')) : 50;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_GLOBAL_LIMIT) {
+      throw new HttpError(400, `limit must be 1-${MAX_GLOBAL_LIMIT}`);
+    }
+    const rows = this.db.prepare(`
+      select ${RANKING_COLUMNS}
+      from profiles p
+      left join usage_logs ul on ul.user_id = p.id and ul.date >= $cutoff
+      left join user_status us on us.user_id = p.id
+      group by p.id
+      order by total_usage desc
+      limit $limit`)
+      .all({ $cutoff: rankingCutoff(params), $limit: limit });
+    return rows.map(rankingRow);
+  }
+
+  // ── Friends and pokes ──
+
+  _friends(userId) {
+    return this.db.prepare(`
+      select p.id, p.username, p.display_name, p.avatar_url
+      from friendships f join profiles p on p.id = f.friend_id
+      where f.user_id = ?
+      order by f.created_at`).all(userId);
+  }
+
+  _addFriend(userId, code) {
+    if (!isText(code)) throw new HttpError(400, 'An invite code is required');
+    const friend = this.db.prepare('select id, username, display_name from profiles where invite_code = ?')
+      .get(code.trim().toUpperCase());
+    if (!friend) return { success: false, error: 'Invalid invite code' };
+    if (friend.id === userId) return { success: false, error: 'Cannot add yourself' };
+    if (this.db.prepare('select 1 from friendships where user_id = ? and friend_id = ?').get(userId, friend.id)) {
+      return { success: false, error: 'Already friends' };
+    }
+
+    const now = new Date().toISOString();
+    const insert = this.db.prepare('insert or ignore into friendships (user_id, friend_id, created_at) values (?, ?, ?)');
+    this._transaction(() => {
+      insert.run(userId, friend.id, now);
+      insert.run(friend.id, userId, now);
+    });
+    // New friends who are both online see each other right away
+    if (this.streams.has(userId) && this.streams.has(friend.id)) {
+      this._push(userId, 'presence', { user_id: friend.id, online: true });
+      this._push(friend.id, 'presence', { user_id: userId, online: true });
+    }
+    return { success: true, friend };
+  }
+
+  _removeFriend(userId, friendId) {
+    this.db.prepare(`
+      delete from friendships
+      where (user_id = ? and friend_id = ?) or (user_id = ? and friend_id = ?)`)
+      .run(userId, friendId, friendId, userId);
+  }
+
+  _sendPoke(userId, recipientId) {
+    if (!isText(recipientId) || !this.db.prepare('select 1 from profiles where id = ?').get(recipientId)) {
+      throw new HttpError(404, 'No such user');
+    }
+    if (!this.db.prepare('select 1 from friendships where user_id = ? and friend_id = ?').get(userId, recipientId)) {
+      throw new HttpError(403, 'You can only poke friends');
+    }
+    const { lastInsertRowid } = this.db.prepare('insert into pokes (sender_id, recipient_id, created_at) values (?, ?, ?)')
+      .run(userId, recipientId, new Date().toISOString());
+    this._push(recipientId, 'poke', { id: Number(lastInsertRowid), sender_id: userId });
+    return { success: true };
+  }
+
+  _unreadPokes(userId) {
+    return this.db.prepare(`
+      select k.id, k.sender_id, k.created_at, p.username as sender_username, p.display_name as sender_display_name
+      from pokes k left join profiles p on p.id = k.sender_id
+      where k.recipient_id = ? and k.read_at is null
+      order by k.created_at desc
+      limit ?`).all(userId, UNREAD_POKES);
+  }
+
+  _markPokesRead(userId, ids) {
+    if (!Array.isArray(ids)) throw new HttpError(400, 'ids must be an array');
+    const update = this.db.prepare('update pokes set read_at = ? where id = ? and recipient_id = ? and read_at is null');
+    const now = new Date().toISOString();
+    let updated = 0;
+    this._transaction(() => {
+      for (const id of ids.slice(0, MAX_ROWS)) {
+        if (Number.isInteger(id)) updated += Number(update.run(now, id, userId).changes);
+      }
+    });
+    return updated;
+  }
+
+  // ── Devices ──
+
+  _upsertDevice(userId, deviceId, name) {
+    if (!isText(name)) throw new HttpError(400, 'A device name is required');
+    this.db.prepare(`
+      insert into devices (user_id, device_id, name, synced_at) values (?, ?, ?, ?)
+      on conflict (user_id, device_id) do update set name = excluded.name, synced_at = excluded.synced_at`)
+      .run(userId, deviceId, name.slice(0, 200), new Date().toISOString());
+  }
+
+  _insertDeviceUsage(userId, rows) {
+    const insert = this.db.prepare(`
+      insert or ignore into device_usage (user_id, device_id, project, branch, claimed_percent, active_time_ms,
+        logged_at, window_resets_at, window_from, window_to, uploaded_at)
+      values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+    const now = new Date().toISOString();
+    let inserted = 0;
+    this._transaction(() => {
+      for (const row of checkRows(rows)) {
+        if (!isText(row.device_id) || !isText(row.project) || !Number.isFinite(row.claimed_percent)
+          || !isTimestamp(row.logged_at) || !isTimestamp(row.window_resets_at)
+          || !Number.isFinite(row.window_from) || !Number.isFinite(row.window_to)) continue;
+        const result = insert.run(userId, row.device_id, row.project, isText(row.branch) ? row.branch : null,
+          row.claimed_percent, toCount(row.active_time_ms), row.logged_at, row.window_resets_at,
+          row.window_from, row.window_to, now);
+        inserted += Number(result.changes);
+      }
+    });
+    return inserted;
+  }
+
+  _deviceUsage(userId, params) {
+    return this.db.prepare(`
+      select device_id, project, branch, claimed_percent, active_time_ms, logged_at,
+        window_resets_at, window_from, window_to, uploaded_at
+      from device_usage
+      where user_id = $user and device_id != $exclude and logged_at >= $since and uploaded_at > $after
+      order by uploaded_at`)
+      .all({
+        $user: userId,
+        $exclude: params.get('exclude') || '',
+        $since: params.get('since') || '',
+        $after: params.get('after') || '',
+      });
+  }
+
+  // ── Events ──
+
+  _openEvents(req, res) {
+    const user = this._authenticate(req);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+      // nginx would otherwise buffer the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(': connected\n\n');
+
+    let streams = this.streams.get(user.id);
+    const arrived = !streams;
+    if (!streams) {
+      streams = new Set();
+      this.streams.set(user.id, streams);
+    }
+    streams.add(res);
+    for (const friendId of this._friendIds(user.id)) {
+      if (this.streams.has(friendId)) writeEvent(res, 'presence', { user_id: friendId, online: true });
+    }
+    // Presence is per user: a second device connecting changes nothing
+    if (arrived) this._toFriends(user.id, 'presence', { user_id: user.id, online: true });
+
+    const ping = setInterval(() => res.write(': ping\n\n'), EVENTS_PING_MS);
+    res.on('close', () => {
+      clearInterval(ping);
+      streams.delete(res);
+      if (streams.size === 0 && this.streams.get(user.id) === streams) {
+        this.streams.delete(user.id);
+        if (this.db) this._toFriends(user.id, 'presence', { user_id: user.id, online: false });
+      }
+    });
+  }
+
+  _push(userId, type, data) {
+    for (const res of this.streams.get(userId) || []) writeEvent(res, type, data);
+  }
+
+  _toFriends(userId, type, data) {
+    for (const friendId of this._friendIds(userId)) this._push(friendId, type, data);
+  }
+
+  _friendIds(userId) {
+    return this.db.prepare('select friend_id from friendships where user_id = ?').all(userId).map(row => row.friend_id);
+  }
+
+  _transaction(fn) {
+    this.db.exec('begin');
+    try {
+      fn();
+      this.db.exec('commit');
+    } catch (err) {
+      this.db.exec('rollback');
+      throw err;
+    }
+  }
+
+  static appVersion() {
+    try {
+      return require('./package.json').version;
+    } catch {
+      return null;
+    }
+  }
+}
+
+// ── Internals ──
+
+function openDatabase(file) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require('node:sqlite'));
+  } catch {
+    throw new Error(`social-server needs Node 22.5 or newer for node:sqlite (running ${process.version})`);
+  }
+  const db = new DatabaseSync(file);
+  db.exec('pragma journal_mode = wal; pragma foreign_keys = on;');
+  db.exec(SCHEMA);
+  return db;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        resolve(body && typeof body === 'object' && !Array.isArray(body) ? body : {});
+      } catch {
+        reject(new HttpError(400, 'Body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, data) {
+  const json = JSON.stringify(data);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json),
+    'Cache-Control': 'no-store',
+  });
+  res.end(json);
+}
+
+function writeEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function decodeParam(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    return null;
+  }
+}
+
+function checkRows(rows) {
+  if (!Array.isArray(rows)) throw new HttpError(400, 'rows must be an array');
+  if (rows.length > MAX_ROWS) throw new HttpError(413, `At most ${MAX_ROWS} rows per request`);
+  return rows.filter(row => row && typeof row === 'object');
+}
+
+// First date counted for a period, relative to the client's local date so
+// "today" follows its timezone
+function rankingCutoff(params) {
+  const period = params.get('period') || 'all';
+  if (!VALID_PERIODS.includes(period)) {
+    throw new HttpError(400, `period must be one of ${VALID_PERIODS.join(', ')}`);
+  }
+  if (period === 'all') return '1970-01-01';
+
+  const clientToday = params.get('client_today');
+  const today = clientToday && DATE_RE.test(clientToday)
+    ? new Date(`${clientToday}T00:00:00Z`)
+    : new Date(Date.UTC(new Date().getFullYear(), new Date().getMonth(), new Date().getDate()));
+  const days = period === 'today' ? 0 : parseInt(period, 10);
+  return new Date(today.getTime() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function rankingRow(row) {
+  return { ...row, is_vibing: row.is_vibing === null ? null : row.is_vibing === 1 };
+}
+
+function normalizeEmail(email) {
+  const text = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!/^[^\s@]+@[^\s@]+$/.test(text)) throw new HttpError(400, 'A valid email is required');
+  return text;
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new HttpError(400, `Password should be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return password;
+}
+
+function optionalText(value, maxLength) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function isTimestamp(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+function toCount(value) {
+  return Number.isFinite(value) && value > 0 ? Math.round(value) : 0;
+}
+
+function generateInviteCode() {
+  let code = '';
+  for (let i = 0; i < 8; i++) code += INVITE_CHARS[crypto.randomInt(INVITE_CHARS.length)];
+  return code;
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+async function hashSecret(secret) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(secret, salt, 64);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifySecret(secret, stored) {
+  const [, saltHex, hashHex] = (stored || 'scrypt:00:00').split(':');
+  const hash = await scrypt(secret, Buffer.from(saltHex, 'hex'), 64);
+  return Boolean(stored) && safeEqual(hash.toString('hex'), hashHex);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const opt = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+  const server = new SocialServer({
+    port: opt('port') !== undefined ? Number(opt('port')) : DEFAULT_PORT,
+    host: opt('host'),
+    dbFile: opt('db'),
+  });
+  server.start().then((port) => {
+    console.log(`Social server listening on http://${server.host}:${port}`);
+    console.log(`Database: ${path.resolve(server.dbFile)}`);
+  }, (err) => {
+    console.error(`Social server failed to start: ${err.message}`);
+    process.exit(1);
+  });
+  const shutdown = () => { server.stop(); process.exit(0); };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+SocialServer.DEFAULT_PORT = DEFAULT_PORT;
+
+module.exports = SocialServer;
@@ -1,32 +1,71 @@
 /**
- * Social Sync — pushes local usage to Supabase, maintains online status,
- * and fetches friend / global rankings.
+ * Social Sync — pushes local usage to the social backend (Supabase or a
+ * self-hosted social-server.js, see social-backend.js), maintains online
+ * status, fetches friend / global rankings and delivers incoming pokes.
+ *
+ * Pokes, friends' status changes and presence come over the backend's
+ * realtime channel (backend.subscribe). While that is unavailable, unread
+ * pokes are polled every POKE_POLL_INTERVAL_MS instead and the channel is
+ * retried with a growing delay.
  *
  * Usage:
- *   const sync = new SocialSync(usageDB);
+ *   const sync = new SocialSync(usageDB, { backend, settledBefore });
  *   await sync.start();          // begins periodic sync + heartbeat
  *   sync.stop();                 // teardown
  *
  *   const friends = await sync.getFriendRanking('today');
  *   const global  = await sync.getGlobalRanking('7d');
  *   const result  = await sync.addFriend('ABCD1234');
+ *
+ * Events:
+ *   'synced'    { count }
+ *   'pokes'     [{ id, senderId, senderName, createdAt }] newest first,
+ *               already marked read
+ *   'status'    { userId, isVibing, currentProject, lastActiveAt } a
+ *               friend started / stopped vibing or switched project
+ *   'presence'  { userId, online } a friend's app connected / went away
+ *   'realtime'  { connected } the realtime channel came up / fell back
+ *               to polling
  */
 
-const { getSupabase, getCurrentUser } = require('./supabase-client');
 const EventEmitter = require('events');
 const log = require('./logger');
 
 const SYNC_INTERVAL_MS = 2 * 60 * 1000;      // push usage every 2 min
 const HEARTBEAT_INTERVAL_MS = 60 * 1000;      // status heartbeat every 1 min
+const POKE_POLL_INTERVAL_MS = 10 * 1000;      // unread pokes, without realtime
+const REALTIME_RETRY_MIN_MS = 30 * 1000;      // reconnect delay, doubling up to
+const REALTIME_RETRY_MAX_MS = 5 * 60 * 1000;  // ... this
 
 class SocialSync extends EventEmitter {
-  constructor(usageDB) {
+  /**
+   * @param {UsageDB} usageDB
+   * @param {object} options
+   * @param {object} options.backend - see social-backend.js
+   * @param {Function} [options.settledBefore] - () => ISO timestamp; newer
+   *   usage entries are held back until other devices on the account have
+   *   been reconciled with them (DeviceSync.settledBefore)
+   */
+  constructor(usageDB, options = {}) {
     super();
     this.usageDB = usageDB;
+    this.backend = options.backend;
+    this.settledBefore = options.settledBefore || null;
     this.syncTimer = null;
     this.heartbeatTimer = null;
     this.lastSyncTimestamp = null; // ISO string of the last synced entry
     this.subscriptionTier = null;  // 'pro', 'max_100', 'max_200'
+    this.pokeTimer = null;
+    this.realtime = null;          // unsubscribe function while connected
+    this.realtimeRetryTimer = null;
+    this.realtimeRetryMs = REALTIME_RETRY_MIN_MS;
+    this.subscribeId = 0;          // bumped on every (re)subscribe / stop
+    this.friendIds = new Set();
+    this.friendStatus = new Map(); // friend id -> { isVibing, currentProject }
+    this.online = new Set();       // friend ids whose app is connected
+    this.checkingPokes = false;
+    this.lastStatus = null;        // { isVibing, currentProject } last pushed
+    this.stopped = false;
   }
 
   // ── lifecycle ──────────────────────────────────────────────────────────
@@ -50,11 +89,18 @@ class SocialSync extends EventEmitter {
 
     // Send an initial heartbeat
     await this.pushHeartbeat().catch(() => {});
+
+    // Pokes: poll until the realtime channel is up
+    this._startPokePolling();
+    this._connectRealtime();
   }
 
   stop() {
+    this.stopped = true;
     if (this.syncTimer) { clearInterval(this.syncTimer); this.syncTimer = null; }
     if (this.heartbeatTimer) { clearInterval(this.heartbeatTimer); this.heartbeatTimer = null; }
+    this._stopPokePolling();
+    this._disconnectRealtime();
 
     // Mark offline
     this.setVibing(false, null).catch(() => {});
@@ -63,23 +109,22 @@ class SocialSync extends EventEmitter {
   // ── usage sync ─────────────────────────────────────────────────────────
 
   /**
-   * Push un-synced local usage entries to Supabase `usage_logs`.
+   * Push un-synced local usage entries to the backend's `usage_logs`.
    */
   async syncUsage() {
-    const sb = getSupabase();
-    if (!sb) return;
-    const user = await getCurrentUser();
+    const user = await this.backend.getCurrentUser();
     if (!user) return;
 
+    await this.syncTokens();
+
     const entries = this.usageDB.getUnsyncedEntries
-      ? this.usageDB.getUnsyncedEntries()
+      ? this.usageDB.getUnsyncedEntries(this.settledBefore ? this.settledBefore() : null)
       : this._getEntriesSince(this.lastSyncTimestamp);
 
     if (!entries || entries.length === 0) return;
 
     // Map local entries to the server schema
     const rows = entries.map(e => ({
-      user_id: user.id,
       project: e.project,
       delta_percent: e.deltaPercent,
       active_time_ms: e.activeTimeMs || 0,
@@ -87,9 +132,10 @@ class SocialSync extends EventEmitter {
       date: e.date,
     }));
 
-    const { error } = await sb.from('usage_logs').insert(rows);
-    if (error) {
-      log.error('SocialSync: insert usage_logs failed', error.message);
+    try {
+      await this.backend.insertUsageLogs(rows);
+    } catch (err) {
+      log.error('SocialSync: insert usage_logs failed', err.message);
       return;
     }
 
@@ -104,6 +150,53 @@ class SocialSync extends EventEmitter {
     this.emit('synced', { count: rows.length });
   }
 
+  /**
+   * Push un-synced token ledger entries to the backend's `token_logs`.
+   * Entries are summed per (project, model, date) so a busy day is a
+   * handful of rows rather than one row per assistant message.
+   */
+  async syncTokens() {
+    if (!this.usageDB.getUnsyncedTokenEntries) return;
+    const entries = this.usageDB.getUnsyncedTokenEntries();
+    if (!entries || entries.length === 0) return;
+
+    const groups = new Map();
+    let latestRecordedAt = '';
+    for (const e of entries) {
+      const key = `${e.project}|${e.model}|${e.date}`;
+      const row = groups.get(key) || {
+        project: e.project,
+        model: e.model,
+        date: e.date,
+        input_tokens: 0,
+        output_tokens: 0,
+        cache_read_tokens: 0,
+        cache_creation_tokens: 0,
+        message_count: 0,
+        logged_at: e.timestamp,
+      };
+      row.input_tokens += e.inputTokens || 0;
+      row.output_tokens += e.outputTokens || 0;
+      row.cache_read_tokens += e.cacheReadTokens || 0;
+      row.cache_creation_tokens += e.cacheCreationTokens || 0;
+      row.message_count += 1;
+      if (e.timestamp > row.logged_at) row.logged_at = e.timestamp;
+      groups.set(key, row);
+      if (e.recordedAt > latestRecordedAt) latestRecordedAt = e.recordedAt;
+    }
+
+    const rows = Array.from(groups.values());
+    try {
+      await this.backend.insertTokenLogs(rows);
+    } catch (err) {
+      log.error('SocialSync: insert token_logs failed', err.message);
+      return;
+    }
+
+    this.usageDB.markTokensSynced(latestRecordedAt);
+    log(`SocialSync: pushed ${rows.length} token rows (${entries.length} messages)`);
+  }
+
   /**
    * Fallback: scan usageDB entries newer than a given timestamp.
    */
@@ -115,7 +208,7 @@ class SocialSync extends EventEmitter {
 
   /**
    * Return the user's local date as YYYY-MM-DD string.
-   * Sent to Supabase RPCs so "today" filtering uses the client's timezone.
+   * Sent with ranking requests so "today" filtering uses the client's timezone.
    */
   _localDateStr() {
     const now = new Date();
@@ -144,20 +237,11 @@ class SocialSync extends EventEmitter {
    * Update the user's subscription_tier in their profile row.
    */
   async _syncTierToProfile(tier) {
-    const sb = getSupabase();
-    if (!sb) return;
-    const user = await getCurrentUser();
-    if (!user) return;
-
-    const { error } = await sb
-      .from('profiles')
-      .update({ subscription_tier: tier })
-      .eq('id', user.id);
-
-    if (error) {
-      log.error('SocialSync: profile tier update failed', error.message);
-    } else {
+    try {
+      await this.backend.setSubscriptionTier(tier);
       log(`SocialSync: subscription tier synced → ${tier}`);
+    } catch (err) {
+      log.error('SocialSync: profile tier update failed', err.message);
     }
   }
 
@@ -165,72 +249,56 @@ class SocialSync extends EventEmitter {
    * Push an online heartbeat to `user_status`.
    */
   async pushHeartbeat(isVibing, currentProject) {
-    const sb = getSupabase();
-    if (!sb) return;
-    const user = await getCurrentUser();
-    if (!user) return;
-
-    const update = {
-      last_active_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    };
+    const update = { last_active_at: new Date().toISOString() };
     if (isVibing !== undefined) update.is_vibing = isVibing;
     if (currentProject !== undefined) update.current_project = currentProject;
 
-    const { error } = await sb
-      .from('user_status')
-      .upsert({ user_id: user.id, ...update }, { onConflict: 'user_id' });
-
-    if (error) {
-      log.error('SocialSync: heartbeat upsert failed', error.message);
+    try {
+      await this.backend.upsertStatus(update);
+    } catch (err) {
+      log.error('SocialSync: heartbeat upsert failed', err.message);
     }
   }
 
   /**
-   * Convenience: set vibing status + optional project name.
+   * Convenience: set vibing status + optional project name. Unchanged
+   * values are left to the heartbeat, so friends aren't sent a status
+   * event for every session update.
    */
   async setVibing(isVibing, currentProject) {
+    const last = this.lastStatus;
+    if (last && last.isVibing === isVibing && last.currentProject === currentProject) return;
+    this.lastStatus = { isVibing, currentProject };
     return this.pushHeartbeat(isVibing, currentProject);
   }
 
   // ── rankings ───────────────────────────────────────────────────────────
 
   /**
-   * Fetch friend ranking from the server RPC function.
+   * Fetch the friend ranking (the user and their friends).
    * @param {'today'|'7d'|'30d'|'all'} period
    */
   async getFriendRanking(period = 'all') {
-    const sb = getSupabase();
-    if (!sb) return [];
-    const { data, error } = await sb.rpc('get_friend_ranking', {
-      period,
-      client_today: this._localDateStr(),
-    });
-    if (error) {
-      log.error('SocialSync: get_friend_ranking failed', error.message);
+    try {
+      return await this.backend.getFriendRanking(period, this._localDateStr());
+    } catch (err) {
+      log.error('SocialSync: get_friend_ranking failed', err.message);
       return [];
     }
-    return data || [];
   }
 
   /**
-   * Fetch global ranking from the server RPC function.
+   * Fetch the global ranking.
    * @param {'today'|'7d'|'30d'|'all'} period
    * @param {number} limit
    */
   async getGlobalRanking(period = 'all', limit = 50) {
-    const sb = getSupabase();
-    if (!sb) return [];
-    const { data, error } = await sb.rpc('get_global_ranking', {
-      period,
-      lim: limit,
-      client_today: this._localDateStr(),
-    });
-    if (error) {
-      log.error('SocialSync: get_global_ranking failed', error.message);
+    try {
+      return await this.backend.getGlobalRanking(period, limit, this._localDateStr());
+    } catch (err) {
+      log.error('SocialSync: get_global_ranking failed', err.message);
       return [];
     }
-    return data || [];
   }
 
   // ── pokes ─────────────────────────────────────────────────────────────
@@ -240,48 +308,21 @@ class SocialSync extends EventEmitter {
    * @param {string} recipientId — UUID of the friend to poke
    */
   async sendPoke(recipientId) {
-    const sb = getSupabase();
-    if (!sb) throw new Error('Not connected');
-    const user = await getCurrentUser();
-    if (!user) throw new Error('Not logged in');
-
-    const { error } = await sb
-      .from('pokes')
-      .insert({ sender_id: user.id, recipient_id: recipientId });
-
-    if (error) throw error;
+    await this.backend.sendPoke(recipientId);
     return { success: true };
   }
 
   /**
    * Fetch unread pokes for the current user.
-   * Returns array of { id, sender_id, sender_username, created_at }.
+   * Returns array of { id, senderId, senderName, createdAt }.
    */
   async getUnreadPokes() {
-    const sb = getSupabase();
-    if (!sb) return [];
-    const user = await getCurrentUser();
-    if (!user) return [];
-
-    const { data, error } = await sb
-      .from('pokes')
-      .select('id, sender_id, created_at, profiles!pokes_sender_id_fkey(username, display_name)')
-      .eq('recipient_id', user.id)
-      .is('read_at', null)
-      .order('created_at', { ascending: false })
-      .limit(20);
-
-    if (error) {
-      log.error('SocialSync: getUnreadPokes failed', error.message);
+    try {
+      return await this.backend.getUnreadPokes();
+    } catch (err) {
+      log.error('SocialSync: getUnreadPokes failed', err.message);
       return [];
     }
-
-    return (data || []).map(row => ({
-      id: row.id,
-      senderId: row.sender_id,
-      senderName: row.profiles?.display_name || row.profiles?.username || 'Someone',
-      createdAt: row.created_at,
-    }));
   }
 
   /**
@@ -290,16 +331,10 @@ class SocialSync extends EventEmitter {
    */
   async markPokesRead(pokeIds) {
     if (!pokeIds || pokeIds.length === 0) return;
-    const sb = getSupabase();
-    if (!sb) return;
-
-    const { error } = await sb
-      .from('pokes')
-      .update({ read_at: new Date().toISOString() })
-      .in('id', pokeIds);
-
-    if (error) {
-      log.error('SocialSync: markPokesRead failed', error.message);
+    try {
+      await this.backend.markPokesRead(pokeIds);
+    } catch (err) {
+      log.error('SocialSync: markPokesRead failed', err.message);
     }
   }
 
@@ -309,54 +344,182 @@ class SocialSync extends EventEmitter {
    * Add a friend by their invite code.
    */
   async addFriend(code) {
-    const sb = getSupabase();
-    if (!sb) throw new Error('Not connected');
-    const { data, error } = await sb.rpc('add_friend_by_code', { code });
-    if (error) throw error;
-    return data; // { success, friend?, error? }
+    const result = await this.backend.addFriendByCode(code); // { success, friend?, error? }
+    if (result.success) this._resubscribe();
+    return result;
   }
 
   /**
    * Get list of friends (profiles).
    */
   async getFriends() {
-    const sb = getSupabase();
-    if (!sb) return [];
-    const user = await getCurrentUser();
-    if (!user) return [];
-
-    const { data, error } = await sb
-      .from('friendships')
-      .select('friend_id, profiles!friendships_friend_id_fkey(username, display_name, avatar_url)')
-      .eq('user_id', user.id);
-
-    if (error) {
-      log.error('SocialSync: getFriends failed', error.message);
+    try {
+      return await this.backend.getFriends();
+    } catch (err) {
+      log.error('SocialSync: getFriends failed', err.message);
       return [];
     }
-
-    return (data || []).map(row => ({
-      id: row.friend_id,
-      username: row.profiles?.username,
-      displayName: row.profiles?.display_name,
-      avatarUrl: row.profiles?.avatar_url,
-    }));
   }
 
   /**
    * Remove a friend (bidirectional).
    */
   async removeFriend(friendId) {
-    const sb = getSupabase();
-    if (!sb) return;
-    const user = await getCurrentUser();
-    if (!user) return;
+    const result = await this.backend.removeFriend(friendId);
+    this._resubscribe();
+    return result;
+  }
+
+  // ── realtime ───────────────────────────────────────────────────────────
+
+  /**
+   * Whether pokes and friend updates currently arrive over the realtime
+   * channel (false: polling).
+   */
+  isRealtime() {
+    return this.realtime !== null;
+  }
+
+  /**
+   * Friend ids whose app is connected, as far as presence has told us.
+   */
+  getOnlineFriends() {
+    return [...this.online];
+  }
+
+  /**
+   * Subscribe to the backend's realtime channel. On success polling stops;
+   * on failure it keeps going and a retry is scheduled.
+   */
+  async _connectRealtime() {
+    const id = ++this.subscribeId;
+    clearTimeout(this.realtimeRetryTimer);
+    this.realtimeRetryTimer = null;
+
+    let unsubscribe = null;
+    try {
+      await this._refreshFriends();
+      unsubscribe = await this.backend.subscribe({
+        friendIds: [...this.friendIds],
+        onPoke: () => this._guard(() => this._checkPokes()),
+        onStatus: (row) => this._guard(() => this._onStatus(row)),
+        onPresence: (userId, online) => this._guard(() => this._onPresence(userId, online)),
+        onClose: (err) => {
+          if (id !== this.subscribeId) return;
+          log.warn('SocialSync: realtime connection lost, polling for pokes:', err ? err.message : 'closed');
+          this._fallBackToPolling();
+        },
+      });
+    } catch (err) {
+      if (id !== this.subscribeId) return;
+      log.warn('SocialSync: realtime unavailable, polling for pokes:', err.message);
+      this._fallBackToPolling();
+      return;
+    }
+
+    // stop() or a resubscribe got in while we were connecting
+    if (id !== this.subscribeId) {
+      if (unsubscribe) unsubscribe();
+      return;
+    }
+    if (!unsubscribe) return; // signed out; start() runs again after login
+
+    this.realtime = unsubscribe;
+    this.realtimeRetryMs = REALTIME_RETRY_MIN_MS;
+    this._stopPokePolling();
+    log('SocialSync: realtime connected');
+    this.emit('realtime', { connected: true });
+    // Anything sent while we weren't listening
+    this._guard(() => this._checkPokes());
+  }
+
+  _disconnectRealtime() {
+    this.subscribeId++;
+    clearTimeout(this.realtimeRetryTimer);
+    this.realtimeRetryTimer = null;
+    if (this.realtime) {
+      this.realtime();
+      this.realtime = null;
+    }
+    this.online.clear();
+  }
+
+  // Friends changed: subscribe again with the new list
+  _resubscribe() {
+    if (this.stopped) return;
+    const wasRealtime = this.isRealtime();
+    this._disconnectRealtime();
+    if (wasRealtime) this._startPokePolling();
+    this._connectRealtime();
+  }
+
+  _fallBackToPolling() {
+    const wasRealtime = this.isRealtime();
+    this.realtime = null;
+    this.online.clear();
+    this._startPokePolling();
+    if (wasRealtime) this.emit('realtime', { connected: false });
+
+    if (this.stopped) return;
+    const delay = this.realtimeRetryMs;
+    this.realtimeRetryMs = Math.min(delay * 2, REALTIME_RETRY_MAX_MS);
+    this.realtimeRetryTimer = setTimeout(() => this._connectRealtime(), delay);
+  }
+
+  _startPokePolling() {
+    if (this.pokeTimer || this.stopped) return;
+    this.pokeTimer = setInterval(() => this._guard(() => this._checkPokes()), POKE_POLL_INTERVAL_MS);
+  }
+
+  _stopPokePolling() {
+    if (this.pokeTimer) { clearInterval(this.pokeTimer); this.pokeTimer = null; }
+  }
+
+  /**
+   * Fetch unread pokes, emit them as 'pokes' and mark them read.
+   */
+  async _checkPokes() {
+    if (this.checkingPokes) return;
+    this.checkingPokes = true;
+    try {
+      const pokes = await this.getUnreadPokes();
+      if (pokes.length === 0 || this.stopped) return;
+      await this.markPokesRead(pokes.map(p => p.id));
+      this.emit('pokes', pokes);
+    } finally {
+      this.checkingPokes = false;
+    }
+  }
+
+  async _refreshFriends() {
+    const friends = await this.backend.getFriends();
+    this.friendIds = new Set(friends.map(f => f.id));
+    for (const id of this.friendStatus.keys()) {
+      if (!this.friendIds.has(id)) this.friendStatus.delete(id);
+    }
+  }
+
+  _onStatus(row) {
+    if (!row || !this.friendIds.has(row.user_id)) return;
+    const status = { isVibing: !!row.is_vibing, currentProject: row.current_project || null };
+    const known = this.friendStatus.get(row.user_id);
+    // Supabase sends every heartbeat; only real changes are news
+    if (known && known.isVibing === status.isVibing && known.currentProject === status.currentProject) return;
+    this.friendStatus.set(row.user_id, status);
+    this.emit('status', { userId: row.user_id, ...status, lastActiveAt: row.last_active_at || null });
+  }
+
+  _onPresence(userId, online) {
+    if (!this.friendIds.has(userId) || this.online.has(userId) === online) return;
+    if (online) this.online.add(userId);
+    else this.online.delete(userId);
+    this.emit('presence', { userId, online });
+  }
 
-    // Remove both directions
-    await sb.from('friendships').delete()
-      .eq('user_id', user.id).eq('friend_id', friendId);
-    await sb.from('friendships').delete()
-      .eq('user_id', friendId).eq('friend_id', user.id);
+  // Realtime callbacks and timers run outside any promise chain of ours
+  _guard(fn) {
+    Promise.resolve().then(fn).catch(err =>
+      log.error('SocialSync: poke / realtime handling failed', err.message));
   }
 }
 
@@ -87,6 +87,34 @@ create index if not exists idx_usage_logs_user_date
 create index if not exists idx_usage_logs_date
   on public.usage_logs(date);
 
+-- 3b. Token logs table (exact token counts from Claude Code transcripts)
+-- One row per (project, model, date) per sync batch; sum rows for totals.
+create table if not exists public.token_logs (
+  id bigint generated always as identity primary key,
+  user_id uuid references public.profiles(id) on delete cascade not null,
+  project text not null,
+  model text not null,
+  input_tokens bigint default 0,
+  output_tokens bigint default 0,
+  cache_read_tokens bigint default 0,
+  cache_creation_tokens bigint default 0,
+  message_count integer default 0,
+  logged_at timestamptz not null,
+  date date not null
+);
+
+alter table public.token_logs enable row level security;
+
+create policy "Users can insert own token logs"
+  on public.token_logs for insert
+  with check (auth.uid() = user_id);
+
+create policy "Token logs are viewable by everyone"
+  on public.token_logs for select using (true);
+
+create index if not exists idx_token_logs_user_date
+  on public.token_logs(user_id, date);
+
 -- 4. User status table (online/vibing status)
 create table if not exists public.user_status (
   user_id uuid references public.profiles(id) on delete cascade primary key,
@@ -231,6 +259,11 @@ begin
         coalesce(sum(ul.delta_percent), 0) as total_usage,
         coalesce(sum(ul.active_time_ms), 0) as total_time_ms,
         count(ul.id) as log_count,
+        coalesce((
+          select sum(tl.input_tokens + tl.output_tokens + tl.cache_read_tokens + tl.cache_creation_tokens)
+          from public.token_logs tl
+          where tl.user_id = p.id and tl.date >= cutoff
+        ), 0) as total_tokens,
         us.is_vibing,
         us.current_project,
         us.last_active_at
@@ -277,6 +310,11 @@ begin
         coalesce(sum(ul.delta_percent), 0) as total_usage,
         coalesce(sum(ul.active_time_ms), 0) as total_time_ms,
         count(ul.id) as log_count,
+        coalesce((
+          select sum(tl.input_tokens + tl.output_tokens + tl.cache_read_tokens + tl.cache_creation_tokens)
+          from public.token_logs tl
+          where tl.user_id = p.id and tl.date >= cutoff
+        ), 0) as total_tokens,
         us.is_vibing,
         us.last_active_at
       from public.profiles p
@@ -291,3 +329,52 @@ begin
   );
 end;
 $$ language plpgsql security definer;
+
+-- 9. Devices sharing one account (device-sync.js, devices.channel = "social")
+-- Each device publishes its usage claims; the others reconcile with them so
+-- the account's usage is counted once. Private to the account.
+create table if not exists public.devices (
+  user_id uuid references public.profiles(id) on delete cascade not null,
+  device_id text not null,
+  name text not null,
+  synced_at timestamptz not null,
+  primary key (user_id, device_id)
+);
+
+alter table public.devices enable row level security;
+
+create policy "Users can manage own devices"
+  on public.devices for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create table if not exists public.device_usage (
+  user_id uuid references public.profiles(id) on delete cascade not null,
+  device_id text not null,
+  project text not null,
+  branch text,
+  claimed_percent real not null,
+  active_time_ms integer default 0,
+  logged_at timestamptz not null,
+  window_resets_at timestamptz not null,
+  window_from real not null,
+  window_to real not null,
+  uploaded_at timestamptz not null default now(),
+  primary key (user_id, device_id, logged_at, project)
+);
+
+alter table public.device_usage enable row level security;
+
+create policy "Users can manage own device usage"
+  on public.device_usage for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- Devices fetch what was uploaded since their last sync
+create index if not exists idx_device_usage_user_uploaded
+  on public.device_usage(user_id, uploaded_at);
+
+-- 10. Realtime (social-sync.js): new pokes and user_status changes are
+-- pushed to the app. Row level security still decides who receives which
+-- rows. Without this the app falls back to polling for pokes.
+alter publication supabase_realtime add table public.pokes, public.user_status;
@@ -0,0 +1,366 @@
+/**
+ * Terminal Focus — bring the terminal running a Claude Code session to the
+ * front, down to its tab or pane where the terminal allows it.
+ *
+ * Works from the session's process id and tty (SessionMonitor.scanProcesses).
+ * The process's environment and parent processes tell which terminal owns
+ * it; backends are tried in the configured order and the first that
+ * recognizes the session handles it:
+ *
+ *   tmux            selects the pane (TMUX / TMUX_PANE, else the pane whose
+ *                   tty matches), switches the most recently active client
+ *                   to it, then carries on with that client's terminal
+ *   kitty           `kitty @ focus-window` over KITTY_LISTEN_ON (needs
+ *                   allow_remote_control and listen_on in kitty.conf)
+ *   wezterm         `wezterm cli activate-pane` for WEZTERM_PANE, then raises
+ *                   the window
+ *   iterm           selects the session matching ITERM_SESSION_ID through
+ *                   AppleScript and activates iTerm2
+ *   gnome-terminal  activates GNOME Terminal over D-Bus (works on Wayland;
+ *                   the tab can't be chosen from outside)
+ *   window          raises whichever window owns the process or a parent:
+ *                   the enclosing .app on macOS, xdotool / wmctrl on X11
+ *
+ * A `command` in the config is run before any of them with ALLDAYPOKE_PID,
+ * ALLDAYPOKE_TTY and ALLDAYPOKE_CWD set; exiting 0 counts as focused.
+ *
+ * Everything here is best effort: focusTerminal() resolves false when
+ * nothing could be raised, and never throws.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const { execFile } = require('child_process');
+const log = require('./logger');
+
+const COMMAND_TIMEOUT_MS = 3000;
+// Enough to climb shell → tmux/screen → terminal → launcher
+const MAX_ANCESTORS = 20;
+
+const DEFAULT_BACKENDS = ['tmux', 'kitty', 'wezterm', 'iterm', 'gnome-terminal', 'window'];
+
+// Environment variables the backends look at
+const ENV_KEYS = [
+  'TMUX', 'TMUX_PANE', 'KITTY_LISTEN_ON', 'KITTY_WINDOW_ID', 'WEZTERM_PANE',
+  'WEZTERM_UNIX_SOCKET', 'ITERM_SESSION_ID', 'GNOME_TERMINAL_SCREEN', 'TERM_PROGRAM',
+];
+
+/**
+ * @param {object} session - { pid, tty, cwd } as reported by SessionMonitor
+ * @param {object} [config] - the `terminal_focus` section of the app config
+ * @param {string[]} [config.backends] - backend names, in order
+ * @param {string} [config.command] - custom focus command, tried first
+ * @returns {Promise<boolean>} whether anything was focused
+ */
+async function focusTerminal(session, config = {}) {
+  if (!session || !session.pid) return false;
+  const names = Array.isArray(config.backends) ? config.backends : DEFAULT_BACKENDS;
+
+  try {
+    if (config.command && await runCustomCommand(config.command, session)) return true;
+
+    let ctx = await describeProcess({ pid: session.pid, tty: session.tty });
+    let selectedPane = false;
+    for (const name of names) {
+      const backend = BACKENDS[name];
+      if (!backend) {
+        log.warn(`Terminal focus: unknown backend "${name}"`);
+        continue;
+      }
+      if (!backend.matches(ctx)) continue;
+
+      let result;
+      try {
+        result = await backend.focus(ctx);
+      } catch (err) {
+        // Tool missing or remote control disabled; try the next backend
+        log(`Terminal focus: ${name} failed (${err.message})`);
+        continue;
+      }
+      if (result && result.next) {
+        // A multiplexer selected the pane; focus the terminal its client is in
+        log(`Terminal focus: ${name} selected the pane of pid ${session.pid}`);
+        ctx = await describeProcess(result.next);
+        selectedPane = true;
+        continue;
+      }
+      if (result) {
+        log(`Terminal focus: ${name} focused pid ${session.pid}`);
+        return true;
+      }
+    }
+    if (!selectedPane) log(`Terminal focus: no backend could focus pid ${session.pid}`);
+    return selectedPane;
+  } catch (err) {
+    log.warn(`Terminal focus failed for pid ${session.pid}: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * The process and its parents, nearest first: [{ pid, command }].
+ */
+async function processAncestors(pid) {
+  const chain = [];
+  let current = pid;
+  while (current > 1 && chain.length < MAX_ANCESTORS) {
+    let out;
+    try {
+      out = await run('ps', ['-o', 'ppid=,comm=', '-p', String(current)]);
+    } catch {
+      break;  // process is gone
+    }
+    const match = /^\s*(\d+)\s+(.+)$/.exec(out);
+    if (!match) break;
+    chain.push({ pid: current, command: match[2].trim() });
+    current = parseInt(match[1], 10);
+  }
+  return chain;
+}
+
+// ── Backends ──
+//
+// matches(ctx) decides from { pid, tty, env, ancestors } whether the backend
+// applies; focus(ctx) resolves true when done, { next: { pid, tty } } to
+// hand over to the terminal around a multiplexer, or false.
+
+const BACKENDS = {
+  tmux: {
+    matches: (ctx) => !!ctx.env.TMUX || ancestorNamed(ctx, /^tmux/) || !!ctx.tty,
+    focus: focusTmux,
+  },
+
+  kitty: {
+    matches: (ctx) => !!(ctx.env.KITTY_LISTEN_ON && ctx.env.KITTY_WINDOW_ID),
+    async focus(ctx) {
+      await run('kitty', ['@', '--to', ctx.env.KITTY_LISTEN_ON, 'focus-window', '--match', `id:${ctx.env.KITTY_WINDOW_ID}`]);
+      return true;
+    },
+  },
+
+  wezterm: {
+    matches: (ctx) => !!ctx.env.WEZTERM_PANE,
+    async focus(ctx) {
+      const env = ctx.env.WEZTERM_UNIX_SOCKET
+        ? { ...process.env, WEZTERM_UNIX_SOCKET: ctx.env.WEZTERM_UNIX_SOCKET }
+        : process.env;
+      await run('wezterm', ['cli', 'activate-pane', '--pane-id', ctx.env.WEZTERM_PANE], { env });
+      // activate-pane switches tabs but leaves the window where it is
+      await raiseWindow(ctx);
+      return true;
+    },
+  },
+
+  iterm: {
+    matches: (ctx) => process.platform === 'darwin' && !!ctx.env.ITERM_SESSION_ID,
+    async focus(ctx) {
+      // "w0t1p0:<uuid>" — AppleScript knows sessions by the uuid
+      const id = ctx.env.ITERM_SESSION_ID.split(':').pop();
+      const out = await run('osascript', ['-e', ITERM_SCRIPT, id]);
+      return out === 'true';
+    },
+  },
+
+  'gnome-terminal': {
+    matches: (ctx) => process.platform === 'linux' &&
+      (!!ctx.env.GNOME_TERMINAL_SCREEN || ancestorNamed(ctx, /^gnome-terminal/)),
+    async focus() {
+      await run('gdbus', [
+        'call', '--session', '--dest', 'org.gnome.Terminal', '--object-path', '/org/gnome/Terminal',
+        '--method', 'org.freedesktop.Application.Activate', '{}',
+      ]);
+      return true;
+    },
+  },
+
+  window: {
+    matches: () => process.platform === 'darwin' || process.platform === 'linux',
+    focus: raiseWindow,
+  },
+};
+
+const ITERM_SCRIPT = `
+on run argv
+  set targetId to item 1 of argv
+  tell application "iTerm2"
+    repeat with w in windows
+      repeat with t in tabs of w
+        repeat with s in sessions of t
+          if unique id of s is targetId then
+            tell w to select
+            tell t to select
+            tell s to select
+            activate
+            return "true"
+          end if
+        end repeat
+      end repeat
+    end repeat
+  end tell
+  return "false"
+end run`;
+
+/**
+ * Select the session's pane and switch the most recently used client to
+ * it. The pane is found through TMUX_PANE, else by matching its tty.
+ */
+async function focusTmux(ctx) {
+  const socket = ctx.env.TMUX ? ctx.env.TMUX.split(',')[0] : null;
+  const tmux = (args) => run('tmux', socket ? ['-S', socket, ...args] : args);
+
+  let pane = ctx.env.TMUX_PANE || null;
+  if (!pane) {
+    if (!ctx.tty) return false;
+    let panes;
+    try {
+      panes = await tmux(['list-panes', '-a', '-F', '#{pane_tty} #{pane_id}']);
+    } catch {
+      return false;  // no tmux server
+    }
+    const line = panes.split('\n').find(l => l.split(' ')[0] === ctx.tty);
+    if (!line) return false;
+    pane = line.split(' ')[1];
+  }
+
+  await tmux(['select-window', '-t', pane]);
+  await tmux(['select-pane', '-t', pane]);
+
+  // Most recently active client: #{client_activity} is a unix timestamp
+  const clients = (await tmux(['list-clients', '-F', '#{client_activity} #{client_pid} #{client_tty}']))
+    .split('\n')
+    .filter(Boolean)
+    .map(line => line.split(' '))
+    .sort((a, b) => Number(b[0]) - Number(a[0]));
+  if (clients.length === 0) return true;  // detached: nothing more to raise
+
+  const [, clientPid, clientTty] = clients[0];
+  await tmux(['switch-client', '-c', clientTty, '-t', pane]);
+  return { next: { pid: parseInt(clientPid, 10), tty: clientTty } };
+}
+
+/**
+ * Raise the window of the process or its nearest parent that has one.
+ */
+async function raiseWindow(ctx) {
+  if (process.platform === 'darwin') {
+    for (const { command } of ctx.ancestors) {
+      const bundle = /^(.*?\.app)\/Contents\/MacOS\//.exec(command);
+      if (!bundle) continue;
+      await run('open', ['-a', bundle[1]]);
+      return true;
+    }
+    return false;
+  }
+
+  for (const { pid } of ctx.ancestors) {
+    const windowId = await x11WindowFor(pid);
+    if (!windowId) continue;
+    try {
+      await run('xdotool', ['windowactivate', windowId]);
+    } catch {
+      await run('wmctrl', ['-i', '-a', windowId]);
+    }
+    return true;
+  }
+  return false;
+}
+
+// ── Internals ──
+
+async function describeProcess({ pid, tty }) {
+  return {
+    pid,
+    tty: normalizeTty(tty),
+    env: await readEnvironment(pid),
+    ancestors: await processAncestors(pid),
+  };
+}
+
+// ps reports "pts/3" / "ttys003"; tmux and friends use the device path
+function normalizeTty(tty) {
+  if (!tty || tty.startsWith('?')) return null;
+  return tty.startsWith('/dev/') ? tty : `/dev/${tty}`;
+}
+
+/**
+ * ENV_KEYS of a process: /proc on Linux, `ps eww` (own processes only)
+ * elsewhere. Missing keys are left out.
+ */
+async function readEnvironment(pid) {
+  const env = {};
+  let text = '';
+  if (process.platform === 'linux') {
+    try {
+      text = fs.readFileSync(`/proc/${pid}/environ`, 'utf8').split('\0').join('\n');
+    } catch {
+      return env;
+    }
+    for (const line of text.split('\n')) {
+      const eq = line.indexOf('=');
+      if (eq > 0 && ENV_KEYS.includes(line.slice(0, eq))) env[line.slice(0, eq)] = line.slice(eq + 1);
+    }
+    return env;
+  }
+
+  try {
+    text = await run('ps', ['eww', '-o', 'command=', '-p', String(pid)]);
+  } catch {
+    return env;
+  }
+  for (const key of ENV_KEYS) {
+    const match = new RegExp(`(?:^|\\s)${key}=(\\S+)`).exec(text);
+    if (match) env[key] = match[1];
+  }
+  return env;
+}
+
+function ancestorNamed(ctx, re) {
+  return ctx.ancestors.some(a => re.test(a.command.split('/').pop()));
+}
+
+async function x11WindowFor(pid) {
+  try {
+    const ids = (await run('xdotool', ['search', '--pid', String(pid)])).split('\n').filter(Boolean);
+    if (ids.length > 0) return ids[ids.length - 1];
+  } catch {
+    // xdotool missing, or no window for this pid
+  }
+  try {
+    // 0x04a00003  0 12345 host title
+    for (const line of (await run('wmctrl', ['-lp'])).split('\n')) {
+      const [id, , owner] = line.trim().split(/\s+/);
+      if (parseInt(owner, 10) === pid) return id;
+    }
+  } catch {
+    // wmctrl missing
+  }
+  return null;
+}
+
+async function runCustomCommand(command, session) {
+  const env = {
+    ...process.env,
+    ALLDAYPOKE_PID: String(session.pid),
+    ALLDAYPOKE_TTY: normalizeTty(session.tty) || '',
+    ALLDAYPOKE_CWD: session.cwd || '',
+  };
+  try {
+    await run(command.replace(/^~(?=$|\/)/, os.homedir()), [], { env });
+    log(`Terminal focus: ${command} focused pid ${session.pid}`);
+    return true;
+  } catch (err) {
+    log.warn(`Terminal focus command ${command} failed: ${err.message}`);
+    return false;
+  }
+}
+
+function run(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: COMMAND_TIMEOUT_MS, encoding: 'utf8', ...options }, (err, stdout) => {
+      if (err) reject(err);
+      else resolve(stdout.trim());
+    });
+  });
+}
+
+module.exports = { focusTerminal, processAncestors, DEFAULT_BACKENDS };
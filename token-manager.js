@@ -0,0 +1,398 @@
+/**
+ * Token Manager — OAuth access token lifecycle shared with Claude Code.
+ *
+ * Claude Code and this app read the same credentials (see
+ * credential-sources.js). Refresh tokens rotate on every refresh, so whoever
+ * refreshes second with the old refresh token gets `invalid_grant` and a
+ * logged-out Claude Code if the new tokens aren't written back. To avoid that:
+ *
+ *   - The stored access token is used until it is about to expire; we only
+ *     refresh when nobody else has.
+ *   - Refreshes run under a lock (`<credentials file>.lock`, mkdir-based like
+ *     proper-lockfile; ~/.alldaypoke/oauth-refresh.lock for Keychain and
+ *     Secret Service) and re-read the source after acquiring it.
+ *   - Refreshed tokens are written back to the source they came from.
+ *   - Every read compares the stored refresh token with the last one we saw;
+ *     a change means Claude Code rotated underneath us, so the in-memory
+ *     token and any backoff are dropped and the new tokens are used.
+ *   - 429s honor Retry-After and other failures back off exponentially;
+ *     a rejected refresh token backs off for at least AUTH_FAILURE_BACKOFF_MS
+ *     instead of retrying every poll.
+ *
+ * Set ALLDAYPOKE_OAUTH_BASE_URL to point the token and usage endpoints at a
+ * local stand-in server (oauth-stand-in.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const { discoverCredentials, writeCredentials } = require('./credential-sources');
+const log = require('./logger');
+
+// Claude Code OAuth config (production)
+const CLIENT_ID = '9d1c250a-e61b-44d9-88ed-5944d1962f5e';
+const OAUTH_BASE_URL = process.env.ALLDAYPOKE_OAUTH_BASE_URL || null;
+const TOKEN_URL = OAUTH_BASE_URL
+  ? `${OAUTH_BASE_URL.replace(/\/$/, '')}/v1/oauth/token`
+  : 'https://console.anthropic.com/v1/oauth/token';
+
+const USER_AGENT = 'claude-code/2.0.29';
+
+// Treat tokens this close to expiry as expired
+const EXPIRY_MARGIN_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+// Lock directories older than this are from a crashed process
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_WAIT_MS = 20 * 1000;
+const LOCK_RETRY_MS = 250;
+const FALLBACK_LOCK = path.join(os.homedir(), '.alldaypoke', 'oauth-refresh.lock');
+
+// Sources whose location is a file we can lock next to
+const FILE_SOURCES = ['token-file', 'config-dir', 'file'];
+
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+const AUTH_FAILURE_BACKOFF_MS = 5 * 60 * 1000;
+
+/**
+ * Exponential backoff with a floor (e.g. a Retry-After header).
+ */
+class Backoff {
+  constructor(options = {}) {
+    this.baseMs = options.baseMs || BACKOFF_BASE_MS;
+    this.maxMs = options.maxMs || BACKOFF_MAX_MS;
+    this.failures = 0;
+    this.until = 0;
+  }
+
+  /**
+   * Record a failure. Returns the delay in ms before the next attempt.
+   */
+  fail(minDelayMs = 0) {
+    this.failures++;
+    const delay = Math.max(
+      Math.min(this.maxMs, this.baseMs * 2 ** (this.failures - 1)),
+      minDelayMs || 0
+    );
+    this.until = Date.now() + delay;
+    return delay;
+  }
+
+  reset() {
+    this.failures = 0;
+    this.until = 0;
+  }
+
+  remainingMs(now = Date.now()) {
+    return Math.max(0, this.until - now);
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into ms, or 0.
+ */
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : 0;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Take a mkdir-based lock. Resolves with a release function.
+ */
+async function acquireLock(lockPath) {
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      fs.mkdirSync(lockPath);
+      return () => {
+        try { fs.rmdirSync(lockPath); } catch { /* already gone */ }
+      };
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+        continue;
+      }
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    try {
+      if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+        log.warn(`Removing stale lock ${lockPath}`);
+        fs.rmdirSync(lockPath);
+        continue;
+      }
+    } catch {
+      continue; // released between mkdir and stat
+    }
+
+    if (Date.now() >= deadline) throw new Error(`Timed out waiting for ${lockPath}`);
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+class TokenManager {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.tokenFile] - explicit credentials / token file
+   */
+  constructor(options = {}) {
+    this.tokenFile = options.tokenFile || null;
+    // { id, label, location, writable } of the source the last credentials came from
+    this.source = null;
+    // Refreshed credentials that couldn't be written back (read-only source)
+    this.cached = null;
+    // Tokens as last read from / written to the source, for rotation detection
+    this.known = null;
+    // Access token the API rejected with 401; don't hand it out again
+    this.rejectedToken = null;
+    this.backoff = new Backoff();
+    this.refreshing = null;
+  }
+
+  /**
+   * Read credentials from the first source that has them, noticing when
+   * another client rotated the tokens since the last read.
+   */
+  readCredentials() {
+    const result = discoverCredentials({ tokenFile: this.tokenFile });
+    if (!result.credentials) {
+      if (this.source !== false) {
+        const tried = result.attempts
+          .filter(a => a.status !== 'skipped')
+          .map(a => `${a.label}: ${a.detail || a.status}`)
+          .join('; ');
+        log.error(`No Claude OAuth credentials found (${tried})`);
+      }
+      this.source = false;
+      this.known = null;
+      return null;
+    }
+
+    const creds = result.credentials;
+    const prev = this.source;
+    if (!prev || prev.id !== result.source.id || prev.location !== result.source.location) {
+      log(`Using Claude credentials from ${result.source.label} (${result.source.location})`);
+      this.known = null;
+      this.cached = null;
+    }
+    this.source = result.source;
+
+    if (this.known && creds.refreshToken && this.known.refreshToken && creds.refreshToken !== this.known.refreshToken) {
+      log('Claude credentials were rotated by another client (Claude Code?); switching to the new tokens');
+      this.cached = null;
+      this.rejectedToken = null;
+      this.backoff.reset();
+    }
+    this.known = { accessToken: creds.accessToken, refreshToken: creds.refreshToken };
+    return creds;
+  }
+
+  /**
+   * Get a valid access token, refreshing (once, under the lock) if necessary.
+   */
+  async getAccessToken() {
+    const creds = this.readCredentials();
+    if (!creds) {
+      throw new Error('No Claude OAuth credentials found');
+    }
+
+    if (this._isUsable(creds)) return creds.accessToken;
+    if (this.cached && this._isUsable(this.cached)) return this.cached.accessToken;
+
+    if (!creds.refreshToken && !(this.cached && this.cached.refreshToken)) {
+      throw new Error(creds.accessToken === this.rejectedToken
+        ? 'Claude access token was rejected and there is no refresh token; run `claude login`'
+        : 'No refresh token available');
+    }
+
+    const wait = this.backoff.remainingMs();
+    if (wait > 0) {
+      throw new Error(`Token refresh backing off, next attempt in ${Math.ceil(wait / 1000)}s`);
+    }
+
+    // Concurrent callers share one refresh
+    if (!this.refreshing) {
+      this.refreshing = this._refreshLocked().finally(() => { this.refreshing = null; });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Mark an access token as rejected by the API (HTTP 401) so the next
+   * getAccessToken() refreshes instead of handing it out again.
+   */
+  reject(token) {
+    this.rejectedToken = token;
+    if (this.cached && this.cached.accessToken === token) this.cached = null;
+  }
+
+  /**
+   * Forget in-memory state (tokens on disk are untouched).
+   */
+  reset() {
+    this.cached = null;
+    this.rejectedToken = null;
+    this.backoff.reset();
+  }
+
+  // ── Internals ──
+
+  _isUsable(creds) {
+    if (!creds.accessToken || creds.accessToken === this.rejectedToken) return false;
+    if (creds.expiresAt) return Date.now() < creds.expiresAt - EXPIRY_MARGIN_MS;
+    // Long-lived tokens (`claude setup-token`) have no expiry or refresh token
+    return !creds.refreshToken;
+  }
+
+  _lockPath() {
+    if (this.source && FILE_SOURCES.includes(this.source.id)) return `${this.source.location}.lock`;
+    return FALLBACK_LOCK;
+  }
+
+  async _refreshLocked() {
+    const release = await acquireLock(this._lockPath());
+    try {
+      // Someone else may have refreshed while we waited for the lock
+      let creds = this.readCredentials();
+      if (!creds) throw new Error('No Claude OAuth credentials found');
+      if (this._isUsable(creds)) return creds.accessToken;
+
+      let refreshToken = (this.cached && this.cached.refreshToken) || creds.refreshToken;
+      let tokenData;
+      try {
+        tokenData = await this._requestRefresh(refreshToken);
+      } catch (err) {
+        if (err.code !== 'invalid_grant') {
+          const delay = this.backoff.fail(err.retryAfterMs);
+          log.warn(`Token refresh failed (${err.message}); retrying in ${Math.round(delay / 1000)}s`);
+          throw err;
+        }
+
+        // Our refresh token is dead. If the source has a different one,
+        // Claude Code rotated it first: use its tokens or retry with them.
+        creds = this.readCredentials();
+        if (!creds || !creds.refreshToken || creds.refreshToken === refreshToken) {
+          const delay = this.backoff.fail(AUTH_FAILURE_BACKOFF_MS);
+          log.error(`Claude refresh token was rejected; run \`claude login\` (retrying in ${Math.round(delay / 60000)}m)`);
+          throw err;
+        }
+        if (this._isUsable(creds)) return creds.accessToken;
+        refreshToken = creds.refreshToken;
+        try {
+          tokenData = await this._requestRefresh(refreshToken);
+        } catch (retryErr) {
+          const delay = this.backoff.fail(retryErr.code === 'invalid_grant' ? AUTH_FAILURE_BACKOFF_MS : retryErr.retryAfterMs);
+          log.warn(`Token refresh failed (${retryErr.message}); retrying in ${Math.round(delay / 1000)}s`);
+          throw retryErr;
+        }
+      }
+
+      this.backoff.reset();
+      const updated = {
+        ...creds,
+        accessToken: tokenData.access_token,
+        // Servers that don't rotate omit refresh_token
+        refreshToken: tokenData.refresh_token || refreshToken,
+        expiresAt: Date.now() + tokenData.expires_in * 1000,
+        scopes: typeof tokenData.scope === 'string' ? tokenData.scope.split(' ').filter(Boolean) : creds.scopes,
+      };
+      this.rejectedToken = null;
+      log(`Token refreshed, valid for ${tokenData.expires_in}s`);
+      this._writeBack(updated);
+      return updated.accessToken;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Store refreshed tokens in the source so Claude Code (and our next start)
+   * pick them up; keep them in memory when the source is read-only.
+   */
+  _writeBack(creds) {
+    if (this.source && this.source.writable) {
+      try {
+        writeCredentials(this.source.id, creds, { tokenFile: this.tokenFile });
+        this.known = { accessToken: creds.accessToken, refreshToken: creds.refreshToken };
+        this.cached = null;
+        return;
+      } catch (err) {
+        log.error(`Failed to save refreshed token to ${this.source.location}:`, err.message);
+      }
+    } else if (this.source) {
+      log.warn(`${this.source.label} is read-only; refreshed token kept in memory only`);
+    }
+    this.cached = creds;
+  }
+
+  /**
+   * POST the refresh grant. Errors carry `status`, `code` ('invalid_grant'
+   * when the refresh token is dead) and `retryAfterMs`.
+   */
+  _requestRefresh(refreshToken) {
+    return new Promise((resolve, reject) => {
+      const body = JSON.stringify({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: CLIENT_ID,
+      });
+
+      const url = new URL(TOKEN_URL);
+      const client = url.protocol === 'http:' ? http : https;
+      const req = client.request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          'Content-Length': Buffer.byteLength(body),
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+      }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode === 200) {
+            try {
+              const parsed = JSON.parse(data);
+              if (!parsed.access_token || !Number.isFinite(parsed.expires_in)) {
+                throw new Error('missing access_token or expires_in');
+              }
+              resolve(parsed);
+            } catch (e) {
+              reject(new Error(`Failed to parse token response: ${e.message}`));
+            }
+            return;
+          }
+
+          let oauthError = null;
+          try { oauthError = JSON.parse(data).error; } catch { /* not JSON */ }
+          const err = new Error(`Token refresh failed: HTTP ${res.statusCode}${oauthError ? ` (${oauthError})` : ''}`);
+          err.status = res.statusCode;
+          if (oauthError === 'invalid_grant' || res.statusCode === 401) err.code = 'invalid_grant';
+          err.retryAfterMs = parseRetryAfter(res.headers['retry-after']);
+          reject(err);
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error('Token refresh timed out')));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+}
+
+TokenManager.Backoff = Backoff;
+TokenManager.parseRetryAfter = parseRetryAfter;
+TokenManager.OAUTH_BASE_URL = OAUTH_BASE_URL;
+
+module.exports = TokenManager;
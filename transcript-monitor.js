@@ -0,0 +1,489 @@
+/**
+ * Claude Code Transcript Monitor
+ *
+ * Tails the JSONL conversation logs Claude Code writes for every session to
+ * ~/.claude/projects/<encoded-cwd>/<sessionId>.jsonl and derives a precise
+ * state for each one from the entries it appends:
+ *
+ *   awaiting_input       — the assistant turn ended, Claude is at the prompt
+ *   streaming            — a prompt was submitted or the model is responding
+ *   tool_running         — the model issued tool_use blocks with no result yet
+ *   awaiting_permission  — a tool call has been pending with no transcript or
+ *                          CPU activity, i.e. the permission prompt is showing
+ *   awaiting_answer      — the model asked the user a question (AskUserQuestion)
+ *                          and is waiting for the reply
+ *
+ * The last two need the user; see needsAttention() and waitingTool().
+ *
+ * Files are read incrementally from the last byte offset, so a transcript is
+ * only ever parsed once. A trailing line without a newline is a write still
+ * in progress; it is buffered and re-read on the next refresh.
+ *
+ * Assistant entries also carry the API `usage` block (input, output, cache
+ * read and cache creation tokens) and model. Claude Code writes one line per
+ * content block, each repeating the usage of the same message id, so usage
+ * is held open per message and only reported once the message has settled
+ * (see drainUsage).
+ *
+ * The transcript filename is the same session UUID as the debug file in
+ * ~/.claude/debug, and every entry carries the session cwd, so the
+ * SessionMonitor can match transcripts to the sessions it already tracks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const log = require('./logger');
+
+// Claude transcript root directory
+const CLAUDE_PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
+
+// Transcripts modified more recently than this are tracked. An idle session
+// writes nothing, so this has to cover long stretches sitting at the prompt.
+const TRACK_WINDOW_SEC = 60 * 60;
+
+// Never read more than this much of a transcript on first sight. Older
+// entries are irrelevant to the current state and transcripts can be huge.
+const MAX_INITIAL_READ_BYTES = 256 * 1024;
+
+// An assistant text block with no stop_reason may be the end of the turn or
+// may be followed by a tool_use block that is still streaming. After this
+// much silence with an idle process we treat the turn as finished...
+const TURN_SETTLE_MS = 3 * 1000;
+
+// ...or after this much silence when we have no CPU information at all.
+const TURN_SETTLE_FALLBACK_MS = 20 * 1000;
+
+// A tool call that has been pending this long with no transcript writes and
+// no CPU use is assumed to be blocked on a permission prompt.
+const PERMISSION_QUIET_MS = 8 * 1000;
+
+// Tools Claude Code runs without asking, so they can never be waiting on
+// a permission prompt.
+const NO_PERMISSION_TOOLS = new Set([
+  'Read', 'Glob', 'Grep', 'LS', 'TodoRead', 'TodoWrite', 'Task',
+  'NotebookRead', 'ExitPlanMode', 'BashOutput', 'KillShell',
+]);
+
+// Tools that stop and wait for the user to answer a question.
+const QUESTION_TOOLS = new Set(['AskUserQuestion']);
+
+// The question dialog shows right away; this only lets the tool_use line
+// settle before the state is reported.
+const QUESTION_QUIET_MS = 2 * 1000;
+
+// A message's usage is reported once no further line for it has been seen
+// for this long (or as soon as the message declares a stop reason).
+const USAGE_SETTLE_MS = 5 * 1000;
+
+// User entries that are not prompts (slash command echoes, interrupts, etc.)
+const INTERRUPT_MARKER = '[Request interrupted by user';
+const LOCAL_COMMAND_PREFIXES = ['<command-name>', '<local-command-stdout>', '<command-message>'];
+
+const STATES = {
+  AWAITING_INPUT: 'awaiting_input',
+  STREAMING: 'streaming',
+  TOOL_RUNNING: 'tool_running',
+  AWAITING_PERMISSION: 'awaiting_permission',
+  AWAITING_ANSWER: 'awaiting_answer',
+};
+
+// States in which the session is blocked until the user does something
+const ATTENTION_STATES = new Set([STATES.AWAITING_PERMISSION, STATES.AWAITING_ANSWER]);
+
+class TranscriptMonitor {
+  constructor(options = {}) {
+    this.projectsDir = options.projectsDir || CLAUDE_PROJECTS_DIR;
+    // Map of transcript file path -> transcript state
+    this.transcripts = new Map();
+    // Settled per-message usage records waiting for drainUsage()
+    this.settledUsage = [];
+  }
+
+  /**
+   * Discover transcripts: list every project directory and start tracking
+   * any JSONL file modified within TRACK_WINDOW_SEC. Transcripts that went
+   * stale or were deleted are dropped. Cheap enough to run on every poll.
+   */
+  scan() {
+    const now = Date.now();
+    const seen = new Set();
+
+    try {
+      if (!fs.existsSync(this.projectsDir)) return;
+
+      for (const dir of fs.readdirSync(this.projectsDir)) {
+        const dirPath = path.join(this.projectsDir, dir);
+        let files;
+        try {
+          files = fs.readdirSync(dirPath).filter(f => f.endsWith('.jsonl'));
+        } catch {
+          continue; // not a directory
+        }
+
+        for (const file of files) {
+          const filePath = path.join(dirPath, file);
+          try {
+            const stat = fs.statSync(filePath);
+            if (now - stat.mtimeMs > TRACK_WINDOW_SEC * 1000) continue;
+            seen.add(filePath);
+            if (!this.transcripts.has(filePath)) {
+              this.transcripts.set(filePath, this._createTranscript(filePath, stat));
+              log(`Transcript tracked: ${dir}/${file}`);
+            }
+          } catch {
+            // Skip files we can't stat
+          }
+        }
+      }
+    } catch {
+      // Projects directory isn't readable
+    }
+
+    for (const filePath of this.transcripts.keys()) {
+      if (!seen.has(filePath)) this.transcripts.delete(filePath);
+    }
+  }
+
+  /**
+   * Read whatever was appended to each tracked transcript since the last
+   * refresh. Returns true if any transcript received new entries.
+   */
+  refresh() {
+    let changed = false;
+    for (const t of this.transcripts.values()) {
+      if (this._readNew(t)) changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * Most recently written transcript for a given cwd, or null.
+   */
+  getByCwd(cwd) {
+    if (!cwd) return null;
+    let best = null;
+    for (const t of this.transcripts.values()) {
+      if (t.cwd !== cwd) continue;
+      if (!best || t.lastWriteAt > best.lastWriteAt) best = t;
+    }
+    return best;
+  }
+
+  /**
+   * Transcript for a given session UUID (the debug file name), or null.
+   */
+  getBySessionId(sessionId) {
+    if (!sessionId) return null;
+    for (const t of this.transcripts.values()) {
+      if (t.sessionId === sessionId) return t;
+    }
+    return null;
+  }
+
+  /**
+   * Derive the current state of a transcript.
+   *
+   * @param {object} t          - transcript from getByCwd / getBySessionId
+   * @param {object} [hints]
+   * @param {boolean|null} [hints.cpuIdle] - whether the owning process used
+   *   ~no CPU over the last poll (null when there is no process info)
+   * @returns {string|null} one of STATES, or null if nothing was parsed yet
+   */
+  deriveState(t, hints = {}) {
+    if (!t || !t.phase) return null;
+
+    const quietMs = Date.now() - t.lastWriteAt;
+    const cpuIdle = hints.cpuIdle ?? null;
+
+    if (t.phase === STATES.AWAITING_INPUT) return STATES.AWAITING_INPUT;
+
+    if (t.phase === STATES.TOOL_RUNNING) {
+      const pending = Array.from(t.pendingTools.values());
+      if (pending.some(tool => QUESTION_TOOLS.has(tool.name)) && cpuIdle !== false && quietMs >= QUESTION_QUIET_MS) {
+        return STATES.AWAITING_ANSWER;
+      }
+      const needsPermission = pending
+        .some(tool => !NO_PERMISSION_TOOLS.has(tool.name) && !QUESTION_TOOLS.has(tool.name));
+      if (needsPermission && cpuIdle === true && quietMs >= PERMISSION_QUIET_MS) {
+        return STATES.AWAITING_PERMISSION;
+      }
+      return STATES.TOOL_RUNNING;
+    }
+
+    // Streaming: if the last thing written was assistant output that did not
+    // declare a stop reason, the turn may already be over.
+    if (t.lastEntryKind === 'assistant-open') {
+      if (cpuIdle === true && quietMs >= TURN_SETTLE_MS) return STATES.AWAITING_INPUT;
+      if (cpuIdle === null && quietMs >= TURN_SETTLE_FALLBACK_MS) return STATES.AWAITING_INPUT;
+    }
+    return STATES.STREAMING;
+  }
+
+  /**
+   * Name of the pending tool call the user is being asked about, or null.
+   */
+  waitingTool(t) {
+    if (!t || t.phase !== STATES.TOOL_RUNNING) return null;
+    const pending = Array.from(t.pendingTools.values());
+    const tool = pending.find(p => QUESTION_TOOLS.has(p.name)) ||
+      pending.find(p => !NO_PERMISSION_TOOLS.has(p.name));
+    return tool ? tool.name : null;
+  }
+
+  /**
+   * Return (and forget) the token usage of every assistant message that has
+   * settled since the last call. Each record is reported exactly once per
+   * process; consumers should still de-duplicate by messageId across
+   * restarts, since a transcript's tail is re-read on first sight.
+   *
+   * @returns {Array<{sessionId, cwd, messageId, model, timestamp, sidechain,
+   *   inputTokens, outputTokens, cacheReadTokens, cacheCreationTokens}>}
+   */
+  drainUsage() {
+    const now = Date.now();
+    for (const t of this.transcripts.values()) {
+      for (const [messageId, open] of t.openUsage) {
+        if (now - open.lastSeenAt >= USAGE_SETTLE_MS) this._settleUsage(t, messageId);
+      }
+    }
+    const records = this.settledUsage;
+    this.settledUsage = [];
+    return records;
+  }
+
+  // ── Internals ──
+
+  _createTranscript(filePath, stat) {
+    return {
+      filePath,
+      sessionId: path.basename(filePath, '.jsonl'),
+      cwd: null,
+      gitBranch: null,
+      // Skip straight to the tail of large transcripts on first read
+      offset: Math.max(0, stat.size - MAX_INITIAL_READ_BYTES),
+      skipFirstLine: stat.size > MAX_INITIAL_READ_BYTES,
+      partial: '',
+      lastWriteAt: stat.mtimeMs,
+      phase: null,
+      lastEntryKind: null,
+      pendingTools: new Map(), // tool_use id -> { name, startedAt }
+      turnStartedAt: null,
+      openUsage: new Map(), // message id -> usage record still being written
+      settledIds: new Set(), // message ids already reported
+    };
+  }
+
+  /**
+   * Read appended bytes from a transcript and feed complete lines to the
+   * reducer. Returns true if at least one entry was applied.
+   */
+  _readNew(t) {
+    let stat;
+    try {
+      stat = fs.statSync(t.filePath);
+    } catch {
+      return false;
+    }
+
+    if (stat.size < t.offset) {
+      // Truncated or replaced — start over from the top
+      t.offset = 0;
+      t.partial = '';
+      t.skipFirstLine = false;
+    }
+    if (stat.size === t.offset) return false;
+
+    let chunk;
+    try {
+      const fd = fs.openSync(t.filePath, 'r');
+      try {
+        const length = stat.size - t.offset;
+        const buf = Buffer.alloc(length);
+        const bytesRead = fs.readSync(fd, buf, 0, length, t.offset);
+        chunk = buf.toString('utf8', 0, bytesRead);
+        t.offset += bytesRead;
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch {
+      return false;
+    }
+
+    const lines = (t.partial + chunk).split('\n');
+    t.partial = lines.pop(); // incomplete trailing line (or '')
+    if (t.skipFirstLine) {
+      lines.shift(); // we started reading mid-line
+      t.skipFirstLine = false;
+    }
+
+    let applied = false;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // corrupt line — ignore
+      }
+      if (this._applyEntry(t, entry)) applied = true;
+    }
+
+    if (applied) t.lastWriteAt = stat.mtimeMs;
+    return applied;
+  }
+
+  /**
+   * Reduce one transcript entry into the transcript state.
+   * Returns true if the entry was relevant to the session state.
+   */
+  _applyEntry(t, entry) {
+    if (!entry || typeof entry !== 'object') return false;
+    if (entry.cwd && !t.cwd) t.cwd = entry.cwd;
+    if (entry.gitBranch) t.gitBranch = entry.gitBranch;
+
+    // Token usage counts for sub-agents too, so track it before filtering
+    this._trackUsage(t, entry);
+
+    // Sub-agent traffic runs inside the parent's pending Task tool call
+    if (entry.isSidechain) return false;
+
+    if (entry.type === 'user') return this._applyUserEntry(t, entry);
+    if (entry.type === 'assistant') return this._applyAssistantEntry(t, entry);
+    return false;
+  }
+
+  /**
+   * Keep the largest usage seen for each assistant message while it is still
+   * being written. A user entry on the same chain means the previous
+   * assistant message is complete.
+   */
+  _trackUsage(t, entry) {
+    const sidechain = !!entry.isSidechain;
+
+    if (entry.type === 'user') {
+      for (const [messageId, open] of t.openUsage) {
+        if (open.sidechain === sidechain) this._settleUsage(t, messageId);
+      }
+      return;
+    }
+
+    const message = entry.type === 'assistant' ? entry.message : null;
+    const usage = message?.usage;
+    if (!usage || !message.id || message.model === '<synthetic>') return;
+    if (t.settledIds.has(message.id)) return;
+
+    const open = t.openUsage.get(message.id) || {
+      sessionId: t.sessionId,
+      cwd: entry.cwd || t.cwd,
+      messageId: message.id,
+      model: message.model || 'unknown',
+      timestamp: entry.timestamp || new Date().toISOString(),
+      sidechain,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheReadTokens: 0,
+      cacheCreationTokens: 0,
+      lastSeenAt: 0,
+    };
+    open.inputTokens = Math.max(open.inputTokens, usage.input_tokens || 0);
+    open.outputTokens = Math.max(open.outputTokens, usage.output_tokens || 0);
+    open.cacheReadTokens = Math.max(open.cacheReadTokens, usage.cache_read_input_tokens || 0);
+    open.cacheCreationTokens = Math.max(open.cacheCreationTokens, usage.cache_creation_input_tokens || 0);
+    open.lastSeenAt = Date.now();
+    t.openUsage.set(message.id, open);
+
+    if (message.stop_reason) this._settleUsage(t, message.id);
+  }
+
+  _settleUsage(t, messageId) {
+    const open = t.openUsage.get(messageId);
+    if (!open) return;
+    t.openUsage.delete(messageId);
+    t.settledIds.add(messageId);
+    const { lastSeenAt, ...record } = open;
+    this.settledUsage.push(record);
+  }
+
+  _applyUserEntry(t, entry) {
+    if (entry.isMeta) return false;
+    const content = entry.message?.content;
+    const blocks = Array.isArray(content) ? content : [{ type: 'text', text: content }];
+
+    const toolResults = blocks.filter(b => b && b.type === 'tool_result');
+    if (toolResults.length > 0) {
+      for (const result of toolResults) t.pendingTools.delete(result.tool_use_id);
+      // The model picks up again once every outstanding call has a result
+      if (t.pendingTools.size === 0) t.phase = STATES.STREAMING;
+      t.lastEntryKind = 'tool-result';
+      return true;
+    }
+
+    const text = blocks
+      .filter(b => b && b.type === 'text' && typeof b.text === 'string')
+      .map(b => b.text)
+      .join('\n');
+    if (!text) return false;
+
+    if (text.includes(INTERRUPT_MARKER)) {
+      t.pendingTools.clear();
+      t.phase = STATES.AWAITING_INPUT;
+      t.lastEntryKind = 'interrupt';
+      t.turnStartedAt = null;
+      return true;
+    }
+    if (LOCAL_COMMAND_PREFIXES.some(prefix => text.trimStart().startsWith(prefix))) {
+      return false; // slash commands and their output don't start a model turn
+    }
+
+    t.pendingTools.clear();
+    t.phase = STATES.STREAMING;
+    t.lastEntryKind = 'prompt';
+    t.turnStartedAt = Date.parse(entry.timestamp) || Date.now();
+    return true;
+  }
+
+  _applyAssistantEntry(t, entry) {
+    const message = entry.message || {};
+    const blocks = Array.isArray(message.content) ? message.content : [];
+
+    for (const block of blocks) {
+      if (block && block.type === 'tool_use' && block.id) {
+        t.pendingTools.set(block.id, {
+          name: block.name || 'unknown',
+          startedAt: Date.parse(entry.timestamp) || Date.now(),
+        });
+      }
+    }
+
+    // Claude Code writes a synthetic assistant message for API errors;
+    // it always ends the turn.
+    if (message.model === '<synthetic>' || entry.isApiErrorMessage) {
+      t.pendingTools.clear();
+      t.phase = STATES.AWAITING_INPUT;
+      t.lastEntryKind = 'assistant-end';
+      t.turnStartedAt = null;
+      return true;
+    }
+
+    if (t.pendingTools.size > 0) {
+      t.phase = STATES.TOOL_RUNNING;
+      t.lastEntryKind = 'assistant-tool';
+    } else if (message.stop_reason === 'end_turn' || message.stop_reason === 'stop_sequence' ||
+               message.stop_reason === 'max_tokens' || message.stop_reason === 'refusal') {
+      t.phase = STATES.AWAITING_INPUT;
+      t.lastEntryKind = 'assistant-end';
+      t.turnStartedAt = null;
+    } else {
+      t.phase = STATES.STREAMING;
+      t.lastEntryKind = 'assistant-open';
+    }
+    return true;
+  }
+}
+
+TranscriptMonitor.STATES = STATES;
+TranscriptMonitor.needsAttention = (state) => ATTENTION_STATES.has(state);
+TranscriptMonitor.CLAUDE_PROJECTS_DIR = CLAUDE_PROJECTS_DIR;
+
+module.exports = TranscriptMonitor;
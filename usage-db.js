@@ -1,53 +1,230 @@
 /**
  * Usage History Database
  *
- * JSON-backed persistent store that tracks per-project Claude usage over time.
+ * Persistent store that tracks per-project Claude usage over time. Storage is
+ * handled by UsageStore: a JSON snapshot plus an append-only journal, so each
+ * write is a single fsync'd line instead of a rewrite of the whole history.
  * Each entry records a usage delta (percentage points attributed to a project)
  * along with the active time for that measurement window.
  *
- * Provides ranking queries by period (today, 7 days, 30 days, all time).
+ * Alongside the percentage deltas it keeps a token ledger: one entry per
+ * assistant message, with the exact input / output / cache token counts
+ * Claude Code logged in the session transcript, keyed by project, model
+ * and session. Token entries are de-duplicated by message id.
+ *
+ * A third ledger holds per-request records from the metering proxy
+ * (ProxyServer metering mode): model, status, latency and the exact usage the
+ * API returned. It is kept apart from the transcript ledger since both see
+ * the same Claude Code messages.
+ *
+ * Projects can be renamed in place (renameProjects), e.g. when they are
+ * re-identified by git repository instead of directory name.
+ *
+ * Usage and token entries carry the git branch the session was on, when
+ * known; compaction keeps per-branch totals (getBranchUsage).
+ *
+ * History can be exported as flat records (exportRecords; see
+ * usage-export.js for CSV / NDJSON) and another machine's export merged in
+ * (importRecords). Imported entries keep the exporting machine's name in
+ * `source` and are never pushed by SocialSync — that machine does its own.
+ *
+ * Several devices on one subscription all see the same rise of the shared
+ * usage window and would each attribute all of it to their own sessions.
+ * Usage entries therefore record the utilization step they came from
+ * (`window`); DeviceSync merges the other devices' entries in
+ * (mergeDeviceClaims) and reconcile() splits every step that more than one
+ * device claimed across all of their busy sessions. The original claim is
+ * kept in `claimedPercent`; getDeviceUsage breaks totals down per device.
+ *
+ * Provides ranking queries by period (today, 7 days, 30 days, all time) and
+ * chart series: usage per project per day (getDailyUsage) and by hour of
+ * the week (getActivityHeatmap).
  * Automatically compacts entries older than 30 days into daily summaries.
  */
 
-const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const UsageStore = require('./usage-store');
 const log = require('./logger');
 
 const DB_FILE = path.join(os.homedir(), '.alldaypoke', 'usage-history.json');
 const COMPACT_AFTER_DAYS = 30;
 
+const TOKEN_FIELDS = ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheCreationTokens'];
+
+// Entries younger than this are re-reconciled as other devices' claims come
+// in; older ones are settled
+const RECONCILE_DAYS = 7;
+
+// Project of usage measured while no session was busy
+const OTHER_PROJECT = '(other)';
+
+// Schema history:
+//   v1 — entries + dailySummaries, rewritten in full on every save
+//   v2 — adds the token ledger (tokenEntries); journal-backed via UsageStore
+//   v3 — adds the metered request ledger (requestEntries)
+//   v4 — adds importedDays, the days merged in from other machines' exports
+const SCHEMA_VERSION = 4;
+
+const MIGRATIONS = {
+  1: (data) => {
+    if (!Array.isArray(data.entries)) data.entries = [];
+    if (!Array.isArray(data.tokenEntries)) data.tokenEntries = [];
+    if (!data.dailySummaries || typeof data.dailySummaries !== 'object') data.dailySummaries = {};
+    data.version = 2;
+  },
+  2: (data) => {
+    if (!Array.isArray(data.requestEntries)) data.requestEntries = [];
+    data.version = 3;
+  },
+  3: (data) => {
+    if (!data.importedDays || typeof data.importedDays !== 'object') data.importedDays = {};
+    data.version = 4;
+  },
+};
+
+const EXPORT_KINDS = ['usage', 'tokens', 'request', 'daily'];
+
+// Sync / migration markers that may be set through the journal
+const SETTABLE_KEYS = ['lastSyncTimestamp', 'lastTokenSyncTimestamp', 'projectsResolvedAt'];
+
 class UsageDB {
-  constructor() {
+  constructor(options = {}) {
+    this.store = new UsageStore({
+      file: options.file || DB_FILE,
+      version: SCHEMA_VERSION,
+      migrations: MIGRATIONS,
+      createEmpty: () => ({ version: SCHEMA_VERSION, entries: [], tokenEntries: [], requestEntries: [], dailySummaries: {}, importedDays: {} }),
+      applyOp: UsageDB.applyOp,
+      readOnly: options.readOnly,
+    });
     this.data = this.load();
+    // Message ids already in the token ledger (de-duplication)
+    this.tokenIds = new Set(this.data.tokenEntries.map(e => e.messageId));
   }
 
   /**
-   * Load database from disk.
+   * Load database from disk (snapshot + journal replay, with migrations).
    */
   load() {
-    try {
-      if (fs.existsSync(DB_FILE)) {
-        const raw = JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
-        if (raw.version === 1) return raw;
+    return this.store.load();
+  }
+
+  /**
+   * Write a full snapshot atomically and reset the journal.
+   */
+  save() {
+    this.store.checkpoint(this.data);
+  }
+
+  /**
+   * Release the journal file handle.
+   */
+  close() {
+    this.store.close();
+  }
+
+  /**
+   * Apply an operation to the in-memory data and append it to the journal.
+   */
+  _commit(op) {
+    UsageDB.applyOp(this.data, op);
+    if (this.store.append(op)) this.save();
+  }
+
+  /**
+   * Apply one journaled operation to a database object. Used both for live
+   * writes and for replaying the journal on load, so the two can't diverge.
+   */
+  static applyOp(data, op) {
+    switch (op.type) {
+      case 'usage':
+        data.entries.push(op.entry);
+        break;
+      case 'tokens':
+        data.tokenEntries.push(...op.entries);
+        break;
+      case 'request':
+        data.requestEntries.push(op.entry);
+        break;
+      case 'import':
+        data.entries.push(...op.entries);
+        data.tokenEntries.push(...op.tokenEntries);
+        data.requestEntries.push(...op.requestEntries);
+        for (const { date, project, summary } of op.summaries) {
+          if (!data.dailySummaries[date]) data.dailySummaries[date] = {};
+          const day = data.dailySummaries[date];
+          day[project] = day[project] ? addSummaries(day[project], summary) : summary;
+        }
+        for (const key of op.days) data.importedDays[key] = op.at;
+        break;
+      case 'devices':
+        data.entries.push(...op.entries);
+        break;
+      case 'reconcile': {
+        const shares = new Map(op.shares);
+        for (const entry of data.entries) {
+          const share = shares.get(claimKey(entry));
+          if (share === undefined) continue;
+          if (entry.claimedPercent === undefined) entry.claimedPercent = entry.deltaPercent;
+          entry.deltaPercent = share;
+        }
+        break;
       }
-    } catch (err) {
-      log.error('UsageDB: failed to load, starting fresh:', err.message);
+      case 'rename':
+        applyRenames(data, op.renames);
+        break;
+      case 'set':
+        if (SETTABLE_KEYS.includes(op.key)) data[op.key] = op.value;
+        break;
+      default:
+        log.warn(`UsageDB: ignoring unknown journal op "${op.type}"`);
     }
-    return { version: 1, entries: [], dailySummaries: {} };
   }
 
   /**
-   * Persist database to disk.
+   * Rename projects throughout the history ({ oldName: newName }). Daily
+   * summaries of projects that end up with the same name are added together.
+   * @returns {number} how many names were changed
    */
-  save() {
-    try {
-      const dir = path.dirname(DB_FILE);
-      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-      fs.writeFileSync(DB_FILE, JSON.stringify(this.data, null, 2));
-    } catch (err) {
-      log.error('UsageDB: failed to save:', err.message);
+  renameProjects(renames) {
+    const present = this.getProjectNames();
+    const applicable = {};
+    for (const [from, to] of Object.entries(renames || {})) {
+      if (typeof to === 'string' && to && to !== from && present.includes(from)) applicable[from] = to;
     }
+    const count = Object.keys(applicable).length;
+    if (count === 0) return 0;
+    this._commit({ type: 'rename', renames: applicable });
+    log(`UsageDB: renamed ${Object.entries(applicable).map(([from, to]) => `${from} → ${to}`).join(', ')}`);
+    return count;
+  }
+
+  /**
+   * Bring history in line with a ProjectResolver: merge rules every time,
+   * and once (tracked by `projectsResolvedAt`) the move from directory
+   * basenames to repository names.
+   * @returns {number} how many names were changed
+   */
+  resolveProjectNames(resolver) {
+    const legacy = !this.data.projectsResolvedAt;
+    const renamed = this.renameProjects(resolver.migrationMap(this.getProjectNames(), { legacy }));
+    if (legacy) this._commit({ type: 'set', key: 'projectsResolvedAt', value: new Date().toISOString() });
+    return renamed;
+  }
+
+  /**
+   * Every project name in the history.
+   */
+  getProjectNames() {
+    const names = new Set();
+    for (const list of [this.data.entries, this.data.tokenEntries, this.data.requestEntries]) {
+      for (const entry of list) names.add(entry.project);
+    }
+    for (const projects of Object.values(this.data.dailySummaries || {})) {
+      for (const project of Object.keys(projects)) names.add(project);
+    }
+    return [...names];
   }
 
   /**
@@ -56,22 +233,29 @@ class UsageDB {
    * @param {string} project       - Project/directory name
    * @param {number} deltaPercent  - Usage percentage points attributed
    * @param {number} activeTimeMs  - Milliseconds the session was active during this window
+   * @param {string|null} branch   - Git branch the session was on
+   * @param {{ resetsAt, from, to }|null} window - the usage window's
+   *   utilization step this delta is a share of, for reconciling with other
+   *   devices on the same account
    */
-  recordUsage(project, deltaPercent, activeTimeMs = 0) {
+  recordUsage(project, deltaPercent, activeTimeMs = 0, branch = null, window = null) {
     if (!project || deltaPercent <= 0) return;
 
     const now = new Date();
     const date = this.dateKey(now);
-
-    this.data.entries.push({
+    const entry = {
       project,
       timestamp: now.toISOString(),
       date,
       deltaPercent: Math.round(deltaPercent * 100) / 100,
       activeTimeMs: Math.round(activeTimeMs),
-    });
+      branch: branch || null,
+    };
+    if (window && window.resetsAt && window.to > window.from) {
+      entry.window = { resetsAt: window.resetsAt, from: window.from, to: window.to };
+    }
 
-    this.save();
+    this._commit({ type: 'usage', entry });
 
     // Compact old entries periodically (every 100 writes)
     if (this.data.entries.length % 100 === 0) {
@@ -79,26 +263,200 @@ class UsageDB {
     }
   }
 
+  /**
+   * Record exact token usage for a batch of assistant messages.
+   * Messages already in the ledger are skipped.
+   *
+   * @param {Array<{project, branch, sessionId, messageId, model, timestamp,
+   *   inputTokens, outputTokens, cacheReadTokens, cacheCreationTokens}>} records
+   * @returns {number} how many new entries were recorded
+   */
+  recordTokenUsage(records) {
+    if (!Array.isArray(records) || records.length === 0) return 0;
+
+    const recordedAt = new Date().toISOString();
+    const countBefore = this.data.tokenEntries.length;
+    const entries = [];
+
+    for (const r of records) {
+      if (!r || !r.project || !r.messageId || this.tokenIds.has(r.messageId)) continue;
+      const ts = new Date(r.timestamp || Date.now());
+      const timestamp = isNaN(ts.getTime()) ? new Date() : ts;
+
+      const entry = {
+        project: r.project,
+        branch: r.branch || null,
+        sessionId: r.sessionId || null,
+        messageId: r.messageId,
+        model: r.model || 'unknown',
+        timestamp: timestamp.toISOString(),
+        date: this.dateKey(timestamp),
+        recordedAt,
+      };
+      for (const field of TOKEN_FIELDS) {
+        entry[field] = Math.max(0, Math.round(r[field] || 0));
+      }
+
+      entries.push(entry);
+      this.tokenIds.add(r.messageId);
+    }
+
+    if (entries.length === 0) return 0;
+    this._commit({ type: 'tokens', entries });
+
+    // Compact old entries periodically (every 100 ledger entries)
+    if (Math.floor(countBefore / 100) !== Math.floor(this.data.tokenEntries.length / 100)) {
+      this.compact();
+    }
+    return entries.length;
+  }
+
+  /**
+   * Record one metered API request (see RequestMeter for the fields).
+   */
+  recordRequest(record) {
+    if (!record || !record.project) return;
+
+    const ts = new Date(record.timestamp || Date.now());
+    const timestamp = isNaN(ts.getTime()) ? new Date() : ts;
+    const entry = {
+      id: record.id || null,
+      project: record.project,
+      sessionId: record.sessionId || null,
+      model: record.model || 'unknown',
+      timestamp: timestamp.toISOString(),
+      date: this.dateKey(timestamp),
+      status: record.status || 0,
+      error: record.error || null,
+      errorClass: record.errorClass || null,
+      stream: !!record.stream,
+      latencyMs: Math.max(0, Math.round(record.latencyMs || 0)),
+      ttfbMs: Number.isFinite(record.ttfbMs) ? Math.round(record.ttfbMs) : null,
+    };
+    for (const field of TOKEN_FIELDS) {
+      entry[field] = Math.max(0, Math.round(record[field] || 0));
+    }
+
+    this._commit({ type: 'request', entry });
+
+    // Compact old entries periodically (every 100 requests)
+    if (this.data.requestEntries.length % 100 === 0) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Get metered request stats per project for a period: request count,
+   * error rate, latency and exact tokens. Percentiles only cover the
+   * un-compacted ledger.
+   *
+   * @param {'today'|'7d'|'30d'|'all'} period
+   * @returns {Array<{project, requests, errors, errorRate, avgLatencyMs,
+   *   p95LatencyMs, avgTtfbMs, totalTokens, inputTokens, outputTokens,
+   *   cacheReadTokens, cacheCreationTokens, models, errorTypes, errorClasses}>}
+   */
+  getRequestStats(period = 'all') {
+    const cutoff = this.getCutoffDate(period);
+    const projects = new Map();
+    const statsFor = (project) => {
+      if (!projects.has(project)) {
+        projects.set(project, {
+          requests: 0, errors: 0, latencyMs: 0, ttfbMs: 0, ttfbCount: 0,
+          inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheCreationTokens: 0,
+          latencies: [], models: {}, errorTypes: {}, errorClasses: {},
+        });
+      }
+      return projects.get(project);
+    };
+
+    for (const [date, dayProjects] of Object.entries(this.data.dailySummaries || {})) {
+      if (new Date(date) < cutoff) continue;
+      for (const [project, summary] of Object.entries(dayProjects)) {
+        const r = summary.requests;
+        if (!r) continue;
+        const stats = statsFor(project);
+        stats.requests += r.count || 0;
+        stats.errors += r.errors || 0;
+        stats.latencyMs += r.latencyMs || 0;
+        for (const [cls, n] of Object.entries(r.errorClasses || {})) {
+          stats.errorClasses[cls] = (stats.errorClasses[cls] || 0) + n;
+        }
+        for (const field of TOKEN_FIELDS) stats[field] += r[field] || 0;
+      }
+    }
+
+    for (const entry of this.data.requestEntries) {
+      if (new Date(entry.timestamp) < cutoff) continue;
+      const stats = statsFor(entry.project);
+      stats.requests += 1;
+      stats.latencyMs += entry.latencyMs || 0;
+      stats.latencies.push(entry.latencyMs || 0);
+      if (Number.isFinite(entry.ttfbMs)) {
+        stats.ttfbMs += entry.ttfbMs;
+        stats.ttfbCount += 1;
+      }
+      if (entry.error) {
+        stats.errors += 1;
+        stats.errorTypes[entry.error] = (stats.errorTypes[entry.error] || 0) + 1;
+      }
+      if (entry.errorClass) {
+        stats.errorClasses[entry.errorClass] = (stats.errorClasses[entry.errorClass] || 0) + 1;
+      }
+      for (const field of TOKEN_FIELDS) stats[field] += entry[field] || 0;
+      stats.models[entry.model] = (stats.models[entry.model] || 0) + 1;
+    }
+
+    return Array.from(projects.entries())
+      .map(([project, stats]) => {
+        const sorted = stats.latencies.sort((a, b) => a - b);
+        return {
+          project,
+          requests: stats.requests,
+          errors: stats.errors,
+          errorRate: stats.requests > 0 ? Math.round((stats.errors / stats.requests) * 1000) / 1000 : 0,
+          avgLatencyMs: stats.requests > 0 ? Math.round(stats.latencyMs / stats.requests) : null,
+          p95LatencyMs: sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : null,
+          avgTtfbMs: stats.ttfbCount > 0 ? Math.round(stats.ttfbMs / stats.ttfbCount) : null,
+          totalTokens: TOKEN_FIELDS.reduce((sum, field) => sum + stats[field], 0),
+          inputTokens: stats.inputTokens,
+          outputTokens: stats.outputTokens,
+          cacheReadTokens: stats.cacheReadTokens,
+          cacheCreationTokens: stats.cacheCreationTokens,
+          models: stats.models,
+          errorTypes: stats.errorTypes,
+          errorClasses: stats.errorClasses,
+        };
+      })
+      .sort((a, b) => b.requests - a.requests);
+  }
+
   /**
    * Get usage ranking for a time period.
    *
+   * Token totals come from the transcript ledger; totalTokens is the sum of
+   * input, output, cache read and cache creation tokens.
+   *
    * @param {'today'|'7d'|'30d'|'all'} period
-   * @returns {Array<{rank, project, totalDelta, totalTimeMs, sessionCount, lastActive}>}
+   * @returns {Array<{rank, project, totalDelta, totalTimeMs, sessionCount, lastActive,
+   *   totalTokens, inputTokens, outputTokens, cacheReadTokens, cacheCreationTokens}>}
    */
   getRanking(period = 'all') {
     const cutoff = this.getCutoffDate(period);
     const projectMap = new Map();
+    const emptyStats = () => ({
+      totalDelta: 0, totalTimeMs: 0, sessionCount: 0, lastActive: null,
+      inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheCreationTokens: 0,
+    });
 
     // Aggregate from daily summaries (for compacted data)
     for (const [date, projects] of Object.entries(this.data.dailySummaries || {})) {
       if (new Date(date) < cutoff) continue;
       for (const [project, summary] of Object.entries(projects)) {
-        const existing = projectMap.get(project) || {
-          totalDelta: 0, totalTimeMs: 0, sessionCount: 0, lastActive: null,
-        };
+        const existing = projectMap.get(project) || emptyStats();
         existing.totalDelta += summary.totalDelta || 0;
         existing.totalTimeMs += summary.totalTimeMs || 0;
         existing.sessionCount += summary.count || 0;
+        for (const field of TOKEN_FIELDS) existing[field] += summary[field] || 0;
         if (!existing.lastActive || date > existing.lastActive) {
           existing.lastActive = date;
         }
@@ -106,12 +464,21 @@ class UsageDB {
       }
     }
 
+    // Aggregate from recent token ledger entries
+    for (const entry of this.data.tokenEntries) {
+      if (new Date(entry.timestamp) < cutoff) continue;
+      const existing = projectMap.get(entry.project) || emptyStats();
+      for (const field of TOKEN_FIELDS) existing[field] += entry[field] || 0;
+      if (!existing.lastActive || entry.timestamp > existing.lastActive) {
+        existing.lastActive = entry.timestamp;
+      }
+      projectMap.set(entry.project, existing);
+    }
+
     // Aggregate from recent entries
     for (const entry of this.data.entries) {
       if (new Date(entry.timestamp) < cutoff) continue;
-      const existing = projectMap.get(entry.project) || {
-        totalDelta: 0, totalTimeMs: 0, sessionCount: 0, lastActive: null,
-      };
+      const existing = projectMap.get(entry.project) || emptyStats();
       existing.totalDelta += entry.deltaPercent || 0;
       existing.totalTimeMs += entry.activeTimeMs || 0;
       existing.sessionCount += 1;
@@ -130,8 +497,13 @@ class UsageDB {
         totalTimeMs: stats.totalTimeMs,
         sessionCount: stats.sessionCount,
         lastActive: stats.lastActive,
+        totalTokens: TOKEN_FIELDS.reduce((sum, field) => sum + stats[field], 0),
+        inputTokens: stats.inputTokens,
+        outputTokens: stats.outputTokens,
+        cacheReadTokens: stats.cacheReadTokens,
+        cacheCreationTokens: stats.cacheCreationTokens,
       }))
-      .sort((a, b) => b.totalDelta - a.totalDelta);
+      .sort((a, b) => (b.totalDelta - a.totalDelta) || (b.totalTokens - a.totalTokens));
 
     // Add rank numbers
     return ranking.map((item, index) => ({ rank: index + 1, ...item }));
@@ -145,10 +517,146 @@ class UsageDB {
     return {
       totalDelta: ranking.reduce((sum, r) => sum + r.totalDelta, 0),
       totalTimeMs: ranking.reduce((sum, r) => sum + r.totalTimeMs, 0),
+      totalTokens: ranking.reduce((sum, r) => sum + r.totalTokens, 0),
       projectCount: ranking.length,
     };
   }
 
+  /**
+   * Usage per git branch: percentage deltas, active time and transcript
+   * tokens of the sessions that were on each branch. Entries recorded
+   * without a branch (or before branches were tracked) are left out.
+   *
+   * @param {'today'|'7d'|'30d'|'all'} period
+   * @param {string} [project] - only this project
+   * @returns {Array<{project, branch, totalDelta, totalTimeMs, totalTokens}>}
+   */
+  getBranchUsage(period = 'all', project = null) {
+    const cutoff = this.getCutoffDate(period);
+    const groups = new Map();
+    const groupFor = (p, branch) => {
+      const key = `${p}\u0000${branch}`;
+      if (!groups.has(key)) groups.set(key, { project: p, branch, totalDelta: 0, totalTimeMs: 0, totalTokens: 0 });
+      return groups.get(key);
+    };
+
+    for (const [date, projects] of Object.entries(this.data.dailySummaries || {})) {
+      if (new Date(date) < cutoff) continue;
+      for (const [p, summary] of Object.entries(projects)) {
+        if (project && p !== project) continue;
+        for (const [branch, totals] of Object.entries(summary.branches || {})) {
+          const group = groupFor(p, branch);
+          group.totalDelta += totals.totalDelta || 0;
+          group.totalTimeMs += totals.totalTimeMs || 0;
+          group.totalTokens += totals.totalTokens || 0;
+        }
+      }
+    }
+
+    for (const entry of this.data.entries) {
+      if (!entry.branch || new Date(entry.timestamp) < cutoff) continue;
+      if (project && entry.project !== project) continue;
+      const group = groupFor(entry.project, entry.branch);
+      group.totalDelta += entry.deltaPercent || 0;
+      group.totalTimeMs += entry.activeTimeMs || 0;
+    }
+
+    for (const entry of this.data.tokenEntries) {
+      if (!entry.branch || new Date(entry.timestamp) < cutoff) continue;
+      if (project && entry.project !== project) continue;
+      groupFor(entry.project, entry.branch).totalTokens +=
+        TOKEN_FIELDS.reduce((sum, field) => sum + (entry[field] || 0), 0);
+    }
+
+    return Array.from(groups.values())
+      .map(group => ({ ...group, totalDelta: Math.round(group.totalDelta * 100) / 100 }))
+      .sort((a, b) => (b.totalDelta - a.totalDelta) || (b.totalTokens - a.totalTokens));
+  }
+
+  /**
+   * Get token usage for a period broken down by project and model.
+   * Only covers the un-compacted ledger (last COMPACT_AFTER_DAYS days) plus
+   * the per-model totals kept in daily summaries.
+   *
+   * @param {'today'|'7d'|'30d'|'all'} period
+   * @returns {Array<{project, model, totalTokens, inputTokens, outputTokens,
+   *   cacheReadTokens, cacheCreationTokens, messageCount, sessionCount}>}
+   */
+  getTokenBreakdown(period = 'all') {
+    const cutoff = this.getCutoffDate(period);
+    const groups = new Map();
+    const groupFor = (project, model) => {
+      const key = `${project}\u0000${model}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          project, model,
+          inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheCreationTokens: 0,
+          messageCount: 0, sessions: new Set(),
+        });
+      }
+      return groups.get(key);
+    };
+
+    for (const [date, projects] of Object.entries(this.data.dailySummaries || {})) {
+      if (new Date(date) < cutoff) continue;
+      for (const [project, summary] of Object.entries(projects)) {
+        for (const [model, counts] of Object.entries(summary.models || {})) {
+          const group = groupFor(project, model);
+          for (const field of TOKEN_FIELDS) group[field] += counts[field] || 0;
+          group.messageCount += counts.messageCount || 0;
+        }
+      }
+    }
+
+    for (const entry of this.data.tokenEntries) {
+      if (new Date(entry.timestamp) < cutoff) continue;
+      const group = groupFor(entry.project, entry.model);
+      for (const field of TOKEN_FIELDS) group[field] += entry[field] || 0;
+      group.messageCount += 1;
+      if (entry.sessionId) group.sessions.add(entry.sessionId);
+    }
+
+    return Array.from(groups.values())
+      .map(({ sessions, ...group }) => ({
+        ...group,
+        totalTokens: TOKEN_FIELDS.reduce((sum, field) => sum + group[field], 0),
+        sessionCount: sessions.size,
+      }))
+      .sort((a, b) => b.totalTokens - a.totalTokens);
+  }
+
+  /**
+   * Individual usage and token records between two dates, oldest first —
+   * for lining usage up with session activity. Only covers the last
+   * COMPACT_AFTER_DAYS; older usage exists as daily summaries only.
+   *
+   * @returns {Array<{ project, timestamp, deltaPercent, tokens }>}
+   */
+  getUsageBetween(from, to) {
+    const start = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    const inRange = (entry) => {
+      const t = new Date(entry.timestamp).getTime();
+      return t >= start && t <= end;
+    };
+
+    const records = [];
+    for (const entry of this.data.entries) {
+      if (!inRange(entry)) continue;
+      records.push({ project: entry.project, timestamp: entry.timestamp, deltaPercent: entry.deltaPercent || 0, tokens: 0 });
+    }
+    for (const entry of this.data.tokenEntries) {
+      if (!inRange(entry)) continue;
+      records.push({
+        project: entry.project,
+        timestamp: entry.timestamp,
+        deltaPercent: 0,
+        tokens: TOKEN_FIELDS.reduce((sum, field) => sum + (entry[field] || 0), 0),
+      });
+    }
+    return records.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
   /**
    * Get usage history for a specific project (last N days).
    */
@@ -167,16 +675,27 @@ class UsageDB {
           delta: projects[project].totalDelta || 0,
           timeMs: projects[project].totalTimeMs || 0,
           count: projects[project].count || 0,
+          tokens: TOKEN_FIELDS.reduce((sum, field) => sum + (projects[project][field] || 0), 0),
         });
       }
     }
 
+    // From the token ledger
+    for (const entry of this.data.tokenEntries) {
+      if (new Date(entry.timestamp) < cutoff) continue;
+      if (entry.project !== project) continue;
+      const date = entry.date;
+      const existing = dailyMap.get(date) || { date, delta: 0, timeMs: 0, count: 0, tokens: 0 };
+      existing.tokens += TOKEN_FIELDS.reduce((sum, field) => sum + (entry[field] || 0), 0);
+      dailyMap.set(date, existing);
+    }
+
     // From entries
     for (const entry of this.data.entries) {
       if (new Date(entry.timestamp) < cutoff) continue;
       if (entry.project !== project) continue;
       const date = entry.date;
-      const existing = dailyMap.get(date) || { date, delta: 0, timeMs: 0, count: 0 };
+      const existing = dailyMap.get(date) || { date, delta: 0, timeMs: 0, count: 0, tokens: 0 };
       existing.delta += entry.deltaPercent || 0;
       existing.timeMs += entry.activeTimeMs || 0;
       existing.count += 1;
@@ -186,6 +705,396 @@ class UsageDB {
     return Array.from(dailyMap.values()).sort((a, b) => a.date.localeCompare(b.date));
   }
 
+  /**
+   * Usage per project for each of the last `days` days (today included),
+   * oldest first, with empty days filled in. Compacted days come from the
+   * daily summaries.
+   *
+   * @returns {Array<{ date, projects: { [project]: { delta, tokens, timeMs } } }>}
+   */
+  getDailyUsage(days = 30) {
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - (days - 1));
+    const firstDate = this.dateKey(start);
+
+    const byDate = new Map();
+    for (let d = new Date(start); d <= new Date(); d.setDate(d.getDate() + 1)) {
+      byDate.set(this.dateKey(d), {});
+    }
+    const add = (date, project, field, amount) => {
+      const day = byDate.get(date);
+      if (!day || !amount) return;
+      if (!day[project]) day[project] = { delta: 0, tokens: 0, timeMs: 0 };
+      day[project][field] += amount;
+    };
+
+    for (const [date, projects] of Object.entries(this.data.dailySummaries || {})) {
+      if (date < firstDate) continue;
+      for (const [project, summary] of Object.entries(projects)) {
+        add(date, project, 'delta', summary.totalDelta || 0);
+        add(date, project, 'timeMs', summary.totalTimeMs || 0);
+        add(date, project, 'tokens', TOKEN_FIELDS.reduce((sum, field) => sum + (summary[field] || 0), 0));
+      }
+    }
+    for (const entry of this.data.entries) {
+      add(entry.date, entry.project, 'delta', entry.deltaPercent || 0);
+      add(entry.date, entry.project, 'timeMs', entry.activeTimeMs || 0);
+    }
+    for (const entry of this.data.tokenEntries) {
+      add(entry.date, entry.project, 'tokens', TOKEN_FIELDS.reduce((sum, field) => sum + (entry[field] || 0), 0));
+    }
+
+    return Array.from(byDate.entries()).map(([date, projects]) => {
+      for (const stats of Object.values(projects)) stats.delta = Math.round(stats.delta * 100) / 100;
+      return { date, projects };
+    });
+  }
+
+  /**
+   * Usage by local day of week (0 = Sunday) and hour over the last `days`
+   * days. Daily summaries have no time of day, so at most the last
+   * COMPACT_AFTER_DAYS are covered; `days` in the result says how many.
+   *
+   * @returns {{ days, delta: number[7][24], tokens: number[7][24] }}
+   */
+  getActivityHeatmap(days = 30) {
+    const covered = Math.min(days, COMPACT_AFTER_DAYS);
+    const cutoff = new Date();
+    cutoff.setHours(0, 0, 0, 0);
+    cutoff.setDate(cutoff.getDate() - (covered - 1));
+
+    const grid = () => Array.from({ length: 7 }, () => new Array(24).fill(0));
+    const delta = grid();
+    const tokens = grid();
+
+    for (const entry of this.data.entries) {
+      const t = new Date(entry.timestamp);
+      if (t < cutoff) continue;
+      delta[t.getDay()][t.getHours()] += entry.deltaPercent || 0;
+    }
+    for (const entry of this.data.tokenEntries) {
+      const t = new Date(entry.timestamp);
+      if (t < cutoff) continue;
+      tokens[t.getDay()][t.getHours()] += TOKEN_FIELDS.reduce((sum, field) => sum + (entry[field] || 0), 0);
+    }
+
+    return {
+      days: covered,
+      delta: delta.map(row => row.map(v => Math.round(v * 100) / 100)),
+      tokens,
+    };
+  }
+
+  /**
+   * The history as flat records, for export: daily summaries of compacted
+   * days, then usage, token and request entries, oldest first.
+   *
+   *   daily    { date, project, deltaPercent, activeTimeMs, count, <tokens>,
+   *              mergedFrom, summary }
+   *   usage    { timestamp, date, project, branch, deltaPercent, activeTimeMs }
+   *   tokens   { timestamp, date, project, branch, sessionId, messageId, model, <tokens> }
+   *   request  { timestamp, date, project, id, sessionId, model, status, error,
+   *              errorClass, stream, latencyMs, ttfbMs, <tokens> }
+   *
+   * Every record has `kind` and `source`: the machine it was first recorded
+   * on (`localSource` unless it was imported). A daily summary can't be
+   * split back up, so `mergedFrom` lists the machines whose imports it
+   * already includes.
+   *
+   * @param {object} [filter]
+   * @param {'today'|'7d'|'30d'|'all'} [filter.period]
+   * @param {string} [filter.project]
+   * @param {string} localSource - name of this machine
+   */
+  exportRecords(filter = {}, localSource) {
+    const cutoff = this.getCutoffDate(filter.period || 'all');
+    const firstDate = this.dateKey(cutoff);
+    const wanted = (project) => !filter.project || project === filter.project;
+    const records = [];
+
+    // "<source>|<date>|<project>" keys → sources per date|project
+    const merged = new Map();
+    for (const key of Object.keys(this.data.importedDays || {})) {
+      const at = key.search(/\|\d{4}-\d{2}-\d{2}\|/);
+      if (at === -1) continue;
+      const day = key.slice(at + 1);
+      if (!merged.has(day)) merged.set(day, []);
+      merged.get(day).push(key.slice(0, at));
+    }
+
+    for (const date of Object.keys(this.data.dailySummaries || {}).sort()) {
+      if (date < firstDate) continue;
+      for (const [project, summary] of Object.entries(this.data.dailySummaries[date])) {
+        if (!wanted(project)) continue;
+        const record = {
+          kind: 'daily',
+          source: localSource,
+          date,
+          project,
+          deltaPercent: Math.round((summary.totalDelta || 0) * 100) / 100,
+          activeTimeMs: summary.totalTimeMs || 0,
+          count: summary.count || 0,
+        };
+        for (const field of TOKEN_FIELDS) record[field] = summary[field] || 0;
+        record.mergedFrom = merged.get(`${date}|${project}`) || [];
+        record.summary = summary;
+        records.push(record);
+      }
+    }
+
+    const timed = [];
+    const add = (kind, entry) => {
+      if (new Date(entry.timestamp) < cutoff || !wanted(entry.project)) return;
+      const { source, recordedAt, ...fields } = entry;
+      timed.push({ kind, source: source || localSource, ...fields });
+    };
+    for (const entry of this.data.entries) add('usage', entry);
+    for (const entry of this.data.tokenEntries) add('tokens', entry);
+    for (const entry of this.data.requestEntries) add('request', entry);
+    timed.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    return records.concat(timed);
+  }
+
+  /**
+   * Merge another machine's export (exportRecords records) into the history.
+   *
+   * Entries are de-duplicated against the ledgers by timestamp and project
+   * (token entries by message id, requests by id when they have one), so
+   * importing the same file twice changes nothing. Days older than
+   * COMPACT_AFTER_DAYS only exist as summaries once compacted, so they are
+   * imported once per source machine and project: later imports skip them.
+   * Records that came from this machine (`source === localSource`) are only
+   * taken if they are still in the ledgers' range, where the
+   * de-duplication applies; nor are daily summaries that already include an
+   * import from this machine (`mergedFrom`).
+   *
+   * @param {object[]} records
+   * @param {string} localSource - name of this machine
+   * @returns {{ usage, tokens, requests, daily, skipped }} counts
+   */
+  importRecords(records, localSource) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - COMPACT_AFTER_DAYS);
+    const at = new Date().toISOString();
+    const importedDays = this.data.importedDays || {};
+
+    const usageKeys = new Set(this.data.entries.map(e => `${e.timestamp}|${e.project}`));
+    const requestKeys = new Set(this.data.requestEntries.map(e => e.id || `${e.timestamp}|${e.project}`));
+    const op = { type: 'import', at, entries: [], tokenEntries: [], requestEntries: [], summaries: [], days: [] };
+    const days = new Set();
+    const counts = { usage: 0, tokens: 0, requests: 0, daily: 0, skipped: 0 };
+
+    for (const record of Array.isArray(records) ? records : []) {
+      const entry = normalizeImport(record, this);
+      if (!entry) {
+        counts.skipped++;
+        continue;
+      }
+      const { kind, source } = entry;
+      const dayKey = `${source}|${entry.date}|${entry.project}`;
+      const old = kind === 'daily' || new Date(entry.timestamp) < cutoff;
+      const ours = source === localSource || (kind === 'daily' && entry.mergedFrom.includes(localSource));
+      if (old && (ours || importedDays[dayKey])) {
+        counts.skipped++;
+        continue;
+      }
+      // Marked even for recent days, so they're skipped once they've been
+      // compacted here and show up again in a later export
+      if (source !== localSource) days.add(dayKey);
+
+      if (kind === 'daily') {
+        op.summaries.push({ date: entry.date, project: entry.project, summary: entry.summary });
+        counts.daily++;
+      } else if (kind === 'usage') {
+        const key = `${entry.timestamp}|${entry.project}`;
+        if (usageKeys.has(key)) {
+          counts.skipped++;
+          continue;
+        }
+        usageKeys.add(key);
+        op.entries.push(entry.fields);
+        counts.usage++;
+      } else if (kind === 'tokens') {
+        if (this.tokenIds.has(entry.fields.messageId)) {
+          counts.skipped++;
+          continue;
+        }
+        this.tokenIds.add(entry.fields.messageId);
+        op.tokenEntries.push(entry.fields);
+        counts.tokens++;
+      } else {
+        const key = entry.fields.id || `${entry.timestamp}|${entry.project}`;
+        if (requestKeys.has(key)) {
+          counts.skipped++;
+          continue;
+        }
+        requestKeys.add(key);
+        op.requestEntries.push(entry.fields);
+        counts.requests++;
+      }
+    }
+
+    op.days = [...days].filter(key => !importedDays[key]);
+    if (op.entries.length + op.tokenEntries.length + op.requestEntries.length + op.summaries.length === 0) {
+      return counts;
+    }
+    this._commit(op);
+    log(`UsageDB: imported ${counts.usage} usage, ${counts.tokens} token and ${counts.requests} request entries, ${counts.daily} daily summaries (${counts.skipped} skipped)`);
+    // Split steps this machine also claimed (same account), then fold
+    // imported entries that are already past the compaction age
+    this.reconcile();
+    this.compact();
+    return counts;
+  }
+
+  /**
+   * This device's usage entries since `since`, as claims for the other
+   * devices on the account (see DeviceSync). Only entries that know their
+   * utilization step can be reconciled, so only those are shared.
+   *
+   * @param {string} since - ISO timestamp
+   * @returns {Array<{timestamp, project, branch, claimedPercent, activeTimeMs, window}>}
+   */
+  getDeviceClaims(since) {
+    return this.data.entries
+      .filter(e => !e.source && e.window && e.timestamp >= since)
+      .map(e => ({
+        timestamp: e.timestamp,
+        project: e.project,
+        branch: e.branch || null,
+        claimedPercent: e.claimedPercent ?? e.deltaPercent,
+        activeTimeMs: e.activeTimeMs || 0,
+        window: e.window,
+      }));
+  }
+
+  /**
+   * Add other devices' claims (getDeviceClaims on their side) as entries with
+   * `source` (device name) and `device` (id), then reconcile. Claims already
+   * present, or already past compaction, are skipped.
+   *
+   * @param {Array<{ device: { id, name }, claims }>} peers
+   * @returns {number} how many claims were added
+   */
+  mergeDeviceClaims(peers) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - COMPACT_AFTER_DAYS);
+    // Same key as importRecords, so a device's entries that were also
+    // imported from a file aren't added twice
+    const known = new Set(this.data.entries.map(e => `${e.timestamp}|${e.project}`));
+    const entries = [];
+
+    for (const { device, claims } of peers) {
+      for (const claim of claims || []) {
+        const ts = new Date(claim.timestamp);
+        const percent = Number(claim.claimedPercent);
+        const window = claim.window;
+        if (isNaN(ts.getTime()) || ts < cutoff || typeof claim.project !== 'string' || !claim.project) continue;
+        if (!(percent > 0) || !window || !window.resetsAt || !(window.to > window.from)) continue;
+        const entry = {
+          project: claim.project,
+          timestamp: ts.toISOString(),
+          date: this.dateKey(ts),
+          deltaPercent: Math.round(percent * 100) / 100,
+          activeTimeMs: Math.round(Number(claim.activeTimeMs) || 0),
+          branch: claim.branch || null,
+          window: { resetsAt: window.resetsAt, from: Number(window.from), to: Number(window.to) },
+          source: device.name,
+          device: device.id,
+        };
+        const key = `${entry.timestamp}|${entry.project}`;
+        if (known.has(key)) continue;
+        known.add(key);
+        entries.push(entry);
+      }
+    }
+
+    if (entries.length > 0) {
+      this._commit({ type: 'devices', entries });
+      log(`UsageDB: merged ${entries.length} usage claims from other devices`);
+    }
+    this.reconcile();
+    return entries.length;
+  }
+
+  /**
+   * Split utilization steps claimed by more than one device. Each device
+   * records the whole rise of the shared window it saw between two polls;
+   * where those ranges overlap, the overlap is shared by all the busy
+   * sessions that claimed it, across devices. A device that saw the rise
+   * with no busy session ("(other)") only keeps the part no busy session
+   * elsewhere accounts for.
+   *
+   * @returns {number} how many entries changed
+   */
+  reconcile() {
+    const horizon = new Date();
+    horizon.setDate(horizon.getDate() - RECONCILE_DAYS);
+    const since = horizon.toISOString();
+    const recent = this.data.entries.filter(e => e.window && e.timestamp >= since);
+
+    const shares = [];
+    for (const [entry, share] of reconcileShares(recent)) {
+      const rounded = Math.round(share * 100) / 100;
+      if (rounded !== entry.deltaPercent) shares.push([claimKey(entry), rounded]);
+    }
+    if (shares.length === 0) return 0;
+    this._commit({ type: 'reconcile', shares });
+    log(`UsageDB: reconciled ${shares.length} usage entries across devices`);
+    return shares.length;
+  }
+
+  /**
+   * Usage per device: this device's own entries and each other device's
+   * (`source`, see mergeDeviceClaims and importRecords), reconciled, next to
+   * what each claimed before reconciliation.
+   *
+   * @param {'today'|'7d'|'30d'|'all'} period
+   * @param {string} localName - this device's name
+   * @returns {Array<{device, local, totalDelta, claimedDelta, count}>}
+   */
+  getDeviceUsage(period = 'all', localName) {
+    const cutoff = this.getCutoffDate(period);
+    const devices = new Map();
+    const add = (name, delta, claimed, count) => {
+      const row = devices.get(name) || { device: name, local: name === localName, totalDelta: 0, claimedDelta: 0, count: 0 };
+      row.totalDelta += delta;
+      row.claimedDelta += claimed;
+      row.count += count;
+      devices.set(name, row);
+    };
+
+    for (const [date, projects] of Object.entries(this.data.dailySummaries || {})) {
+      if (new Date(date) < cutoff) continue;
+      for (const summary of Object.values(projects)) {
+        let local = summary.totalDelta || 0;
+        let localReconciled = summary.reconciledDelta || 0;
+        let localCount = summary.count || 0;
+        for (const [name, d] of Object.entries(summary.devices || {})) {
+          add(name, d.totalDelta || 0, (d.totalDelta || 0) + (d.reconciledDelta || 0), d.count || 0);
+          local -= d.totalDelta || 0;
+          localReconciled -= d.reconciledDelta || 0;
+          localCount -= d.count || 0;
+        }
+        if (localCount > 0) add(localName, local, local + localReconciled, localCount);
+      }
+    }
+    for (const entry of this.data.entries) {
+      if (new Date(entry.timestamp) < cutoff) continue;
+      add(entry.source || localName, entry.deltaPercent || 0, entry.claimedPercent ?? entry.deltaPercent ?? 0, 1);
+    }
+
+    return [...devices.values()]
+      .map(row => ({
+        ...row,
+        totalDelta: Math.round(row.totalDelta * 100) / 100,
+        claimedDelta: Math.round(row.claimedDelta * 100) / 100,
+      }))
+      .sort((a, b) => b.totalDelta - a.totalDelta);
+  }
+
   /**
    * Compact entries older than COMPACT_AFTER_DAYS into daily summaries.
    */
@@ -204,7 +1113,27 @@ class UsageDB {
       }
     }
 
-    if (toCompact.length === 0) return;
+    const tokensToCompact = [];
+    const tokensToKeep = [];
+    for (const entry of this.data.tokenEntries) {
+      if (new Date(entry.timestamp) < cutoff) {
+        tokensToCompact.push(entry);
+      } else {
+        tokensToKeep.push(entry);
+      }
+    }
+
+    const requestsToCompact = [];
+    const requestsToKeep = [];
+    for (const entry of this.data.requestEntries) {
+      if (new Date(entry.timestamp) < cutoff) {
+        requestsToCompact.push(entry);
+      } else {
+        requestsToKeep.push(entry);
+      }
+    }
+
+    if (toCompact.length === 0 && tokensToCompact.length === 0 && requestsToCompact.length === 0) return;
 
     // Merge into daily summaries
     if (!this.data.dailySummaries) this.data.dailySummaries = {};
@@ -220,10 +1149,78 @@ class UsageDB {
       dayProjects[entry.project].totalDelta += entry.deltaPercent || 0;
       dayProjects[entry.project].totalTimeMs += entry.activeTimeMs || 0;
       dayProjects[entry.project].count += 1;
+      // What reconciliation took off the claims (see reconcile)
+      const reconciled = entry.claimedPercent !== undefined ? entry.claimedPercent - (entry.deltaPercent || 0) : 0;
+      if (reconciled) {
+        dayProjects[entry.project].reconciledDelta = (dayProjects[entry.project].reconciledDelta || 0) + reconciled;
+      }
+      if (entry.source) {
+        const summary = dayProjects[entry.project];
+        if (!summary.devices) summary.devices = {};
+        if (!summary.devices[entry.source]) summary.devices[entry.source] = { totalDelta: 0, reconciledDelta: 0, count: 0 };
+        const device = summary.devices[entry.source];
+        device.totalDelta += entry.deltaPercent || 0;
+        device.reconciledDelta += reconciled;
+        device.count += 1;
+      }
+      if (entry.branch) {
+        const branch = branchSummary(dayProjects[entry.project], entry.branch);
+        branch.totalDelta += entry.deltaPercent || 0;
+        branch.totalTimeMs += entry.activeTimeMs || 0;
+      }
+    }
+
+    for (const entry of tokensToCompact) {
+      const date = entry.date;
+      if (!this.data.dailySummaries[date]) this.data.dailySummaries[date] = {};
+      const dayProjects = this.data.dailySummaries[date];
+
+      if (!dayProjects[entry.project]) {
+        dayProjects[entry.project] = { totalDelta: 0, totalTimeMs: 0, count: 0 };
+      }
+      const summary = dayProjects[entry.project];
+      if (!summary.models) summary.models = {};
+      if (!summary.models[entry.model]) summary.models[entry.model] = { messageCount: 0 };
+      const modelSummary = summary.models[entry.model];
+
+      for (const field of TOKEN_FIELDS) {
+        summary[field] = (summary[field] || 0) + (entry[field] || 0);
+        modelSummary[field] = (modelSummary[field] || 0) + (entry[field] || 0);
+      }
+      modelSummary.messageCount += 1;
+      if (entry.branch) {
+        const branch = branchSummary(summary, entry.branch);
+        branch.totalTokens += TOKEN_FIELDS.reduce((sum, field) => sum + (entry[field] || 0), 0);
+      }
+      this.tokenIds.delete(entry.messageId);
+    }
+
+    for (const entry of requestsToCompact) {
+      const date = entry.date;
+      if (!this.data.dailySummaries[date]) this.data.dailySummaries[date] = {};
+      const dayProjects = this.data.dailySummaries[date];
+
+      if (!dayProjects[entry.project]) {
+        dayProjects[entry.project] = { totalDelta: 0, totalTimeMs: 0, count: 0 };
+      }
+      const summary = dayProjects[entry.project];
+      if (!summary.requests) summary.requests = { count: 0, errors: 0, latencyMs: 0 };
+      summary.requests.count += 1;
+      if (entry.error) summary.requests.errors += 1;
+      if (entry.errorClass) {
+        if (!summary.requests.errorClasses) summary.requests.errorClasses = {};
+        summary.requests.errorClasses[entry.errorClass] = (summary.requests.errorClasses[entry.errorClass] || 0) + 1;
+      }
+      summary.requests.latencyMs += entry.latencyMs || 0;
+      for (const field of TOKEN_FIELDS) {
+        summary.requests[field] = (summary.requests[field] || 0) + (entry[field] || 0);
+      }
     }
 
     this.data.entries = toKeep;
-    log(`UsageDB: compacted ${toCompact.length} old entries into daily summaries`);
+    this.data.tokenEntries = tokensToKeep;
+    this.data.requestEntries = requestsToKeep;
+    log(`UsageDB: compacted ${toCompact.length} old entries, ${tokensToCompact.length} token entries and ${requestsToCompact.length} requests into daily summaries`);
     this.save();
   }
 
@@ -231,12 +1228,15 @@ class UsageDB {
    * Get entries that haven't been synced to the server yet.
    * Tracks sync state via a `lastSyncTimestamp` marker stored in the DB.
    *
+   * @param {string} [settledBefore] - ISO timestamp; leave out newer entries,
+   *   which reconcile() may still change (see DeviceSync.settledBefore)
    * @returns {Array} entries newer than the last sync timestamp
    */
-  getUnsyncedEntries() {
+  getUnsyncedEntries(settledBefore = null) {
     const since = this.data.lastSyncTimestamp || null;
-    if (!since) return [...this.data.entries]; // first sync — everything
-    return this.data.entries.filter(e => e.timestamp > since);
+    const local = this.data.entries.filter(e => !e.source && (!settledBefore || e.timestamp <= settledBefore));
+    if (!since) return local; // first sync — everything
+    return local.filter(e => e.timestamp > since);
   }
 
   /**
@@ -244,8 +1244,26 @@ class UsageDB {
    * Called by SocialSync after a successful push.
    */
   markSynced(timestamp) {
-    this.data.lastSyncTimestamp = timestamp;
-    this.save();
+    this._commit({ type: 'set', key: 'lastSyncTimestamp', value: timestamp });
+  }
+
+  /**
+   * Get token ledger entries recorded since the last token sync.
+   * Keyed on recordedAt rather than the message timestamp, because a
+   * transcript can be read (and its messages recorded) well after they ran.
+   */
+  getUnsyncedTokenEntries() {
+    const since = this.data.lastTokenSyncTimestamp || null;
+    const local = this.data.tokenEntries.filter(e => !e.source);
+    if (!since) return local;
+    return local.filter(e => e.recordedAt > since);
+  }
+
+  /**
+   * Mark token entries recorded up to a given timestamp as synced.
+   */
+  markTokensSynced(recordedAt) {
+    this._commit({ type: 'set', key: 'lastTokenSyncTimestamp', value: recordedAt });
   }
 
   // ── Helpers ──
@@ -295,4 +1313,186 @@ class UsageDB {
   }
 }
 
+// Identifies a usage entry across devices: the owning device, when and what
+function claimKey(entry) {
+  return `${entry.device || entry.source || ''}|${entry.timestamp}|${entry.project}`;
+}
+
+/**
+ * Reconciled share of every entry in `entries` that is part of a claim
+ * overlapping another device's (see UsageDB.reconcile).
+ *
+ * A claim is one device's poll: the entries it recorded at one timestamp
+ * for one utilization step [from, to] of one usage window. The steps of all
+ * claims on a window are cut into segments at every endpoint; each segment
+ * is split evenly across the entries of the claims covering it — busy
+ * sessions first, "(other)" only when no covering claim had one.
+ *
+ * @returns {Map<object, number>} entry → share
+ */
+function reconcileShares(entries) {
+  const windows = new Map();
+  for (const entry of entries) {
+    const { resetsAt, from, to } = entry.window;
+    // The same window can come back a few seconds apart from each device
+    const windowKey = Math.round(new Date(resetsAt).getTime() / 60000);
+    const key = `${entry.device || entry.source || ''}|${entry.timestamp}|${windowKey}`;
+    if (!windows.has(windowKey)) windows.set(windowKey, new Map());
+    const claims = windows.get(windowKey);
+    if (!claims.has(key)) claims.set(key, { owner: entry.device || entry.source || '', from, to, entries: [] });
+    claims.get(key).entries.push(entry);
+  }
+
+  const shares = new Map();
+  for (const claimMap of windows.values()) {
+    const claims = [...claimMap.values()];
+    if (new Set(claims.map(c => c.owner)).size < 2) {
+      // One device only: its claims stand (and undo any earlier split)
+      for (const claim of claims) {
+        for (const entry of claim.entries) {
+          if (entry.claimedPercent !== undefined) shares.set(entry, entry.claimedPercent);
+        }
+      }
+      continue;
+    }
+
+    for (const claim of claims) for (const entry of claim.entries) shares.set(entry, 0);
+    const points = [...new Set(claims.flatMap(c => [c.from, c.to]))].sort((a, b) => a - b);
+    for (let i = 0; i + 1 < points.length; i++) {
+      const [lo, hi] = [points[i], points[i + 1]];
+      const covering = claims.filter(c => c.from <= lo && c.to >= hi);
+      if (covering.length === 0) continue;
+      const busy = covering.filter(c => c.entries.some(e => e.project !== OTHER_PROJECT));
+      const recipients = (busy.length > 0 ? busy : covering).flatMap(c => c.entries);
+      for (const entry of recipients) {
+        shares.set(entry, shares.get(entry) + (hi - lo) / recipients.length);
+      }
+    }
+  }
+  return shares;
+}
+
+/**
+ * Validate one imported record and shape it like the ledger it goes to.
+ * @returns {{ kind, source, date, project, timestamp, fields, summary, mergedFrom }|null}
+ */
+function normalizeImport(record, db) {
+  if (!record || !EXPORT_KINDS.includes(record.kind)) return null;
+  if (typeof record.project !== 'string' || !record.project) return null;
+  const source = typeof record.source === 'string' && record.source ? record.source : 'unknown';
+  const num = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+
+  if (record.kind === 'daily') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(record.date || '')) return null;
+    let summary = record.summary && typeof record.summary === 'object' ? record.summary : null;
+    if (!summary || typeof summary.totalDelta !== 'number') {
+      // Flat CSV row: the totals are all there is
+      summary = { totalDelta: num(record.deltaPercent), totalTimeMs: num(record.activeTimeMs), count: num(record.count) };
+      for (const field of TOKEN_FIELDS) if (num(record[field]) > 0) summary[field] = num(record[field]);
+    }
+    // An array in NDJSON / JSON, comma-separated in CSV
+    const mergedFrom = Array.isArray(record.mergedFrom)
+      ? record.mergedFrom.map(String)
+      : String(record.mergedFrom || '').split(',').filter(Boolean);
+    return { kind: 'daily', source, date: record.date, project: record.project, summary, mergedFrom };
+  }
+
+  const ts = new Date(record.timestamp);
+  if (!record.timestamp || isNaN(ts.getTime())) return null;
+  const timestamp = ts.toISOString();
+  const date = db.dateKey(ts);
+  const tokens = {};
+  for (const field of TOKEN_FIELDS) tokens[field] = Math.max(0, Math.round(num(record[field])));
+
+  let fields;
+  if (record.kind === 'usage') {
+    // Start from the device's own claim; reconcile() splits it again here
+    const percent = num(record.claimedPercent ?? record.deltaPercent);
+    if (percent <= 0) return null;
+    fields = {
+      project: record.project,
+      timestamp,
+      date,
+      deltaPercent: Math.round(percent * 100) / 100,
+      activeTimeMs: Math.round(num(record.activeTimeMs)),
+      branch: record.branch || null,
+    };
+    const window = record.window;
+    if (window && typeof window === 'object' && window.resetsAt && num(window.to) > num(window.from)) {
+      fields.window = { resetsAt: String(window.resetsAt), from: num(window.from), to: num(window.to) };
+    }
+    if (typeof record.device === 'string' && record.device) fields.device = record.device;
+  } else if (record.kind === 'tokens') {
+    if (!record.messageId) return null;
+    fields = {
+      project: record.project,
+      branch: record.branch || null,
+      sessionId: record.sessionId || null,
+      messageId: String(record.messageId),
+      model: record.model || 'unknown',
+      timestamp,
+      date,
+      recordedAt: new Date().toISOString(),
+      ...tokens,
+    };
+  } else {
+    fields = {
+      id: record.id || null,
+      project: record.project,
+      sessionId: record.sessionId || null,
+      model: record.model || 'unknown',
+      timestamp,
+      date,
+      status: num(record.status),
+      error: record.error || null,
+      errorClass: record.errorClass || null,
+      stream: record.stream === true || record.stream === 'true',
+      latencyMs: Math.max(0, Math.round(num(record.latencyMs))),
+      ttfbMs: record.ttfbMs === null || record.ttfbMs === undefined || record.ttfbMs === '' ? null : Math.round(num(record.ttfbMs)),
+      ...tokens,
+    };
+  }
+  fields.source = source;
+  return { kind: record.kind, source, date, project: record.project, timestamp, fields };
+}
+
+function branchSummary(summary, branch) {
+  if (!summary.branches) summary.branches = {};
+  if (!summary.branches[branch]) summary.branches[branch] = { totalDelta: 0, totalTimeMs: 0, totalTokens: 0 };
+  return summary.branches[branch];
+}
+
+/**
+ * Rewrite project names in place. Summaries that collide are summed field by
+ * field (nested model / request breakdowns included).
+ */
+function applyRenames(data, renames) {
+  const rename = (project) => (Object.prototype.hasOwnProperty.call(renames, project) ? renames[project] : project);
+  for (const list of [data.entries, data.tokenEntries, data.requestEntries]) {
+    for (const entry of list) entry.project = rename(entry.project);
+  }
+  for (const [date, projects] of Object.entries(data.dailySummaries || {})) {
+    const merged = {};
+    for (const [project, summary] of Object.entries(projects)) {
+      const name = rename(project);
+      merged[name] = merged[name] ? addSummaries(merged[name], summary) : summary;
+    }
+    data.dailySummaries[date] = merged;
+  }
+}
+
+function addSummaries(a, b) {
+  const out = { ...a };
+  for (const [key, value] of Object.entries(b)) {
+    if (typeof value === 'number') {
+      out[key] = (typeof out[key] === 'number' ? out[key] : 0) + value;
+    } else if (value && typeof value === 'object') {
+      out[key] = out[key] && typeof out[key] === 'object' ? addSummaries(out[key], value) : value;
+    } else if (!(key in out)) {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
 module.exports = UsageDB;
@@ -0,0 +1,176 @@
+/**
+ * Usage Export — serialises UsageDB.exportRecords() records and parses them
+ * back for UsageDB.importRecords().
+ *
+ * Formats:
+ *   csv     one row per record with the COLUMNS below, for spreadsheets;
+ *           daily rows carry the day's totals only
+ *   ndjson  one JSON record per line, lossless (daily rows keep the full
+ *           summary: models, branches, requests)
+ *   json    the same records as a single array
+ *
+ * Text cells that a spreadsheet would read as a formula (=, +, -, @) are
+ * prefixed with a quote in CSV, and the quote is dropped again on import.
+ */
+
+const FORMATS = ['csv', 'ndjson', 'json'];
+
+const COLUMNS = [
+  'kind', 'source', 'date', 'timestamp', 'project', 'branch', 'model',
+  'sessionId', 'messageId', 'id',
+  'deltaPercent', 'activeTimeMs', 'count',
+  'inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheCreationTokens',
+  'status', 'error', 'errorClass', 'stream', 'latencyMs', 'ttfbMs', 'mergedFrom',
+];
+
+const NUMERIC_COLUMNS = new Set([
+  'deltaPercent', 'activeTimeMs', 'count',
+  'inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheCreationTokens',
+  'status', 'latencyMs', 'ttfbMs',
+]);
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * @param {object[]} records
+ * @param {'csv'|'ndjson'|'json'} format
+ * @returns {string}
+ */
+function serialize(records, format) {
+  if (format === 'csv') return toCSV(records);
+  if (format === 'ndjson') return toNDJSON(records);
+  if (format === 'json') return JSON.stringify(records, null, 2) + '\n';
+  throw new Error(`Unknown export format "${format}" (expected ${FORMATS.join(', ')})`);
+}
+
+function toCSV(records) {
+  const lines = [COLUMNS.join(',')];
+  for (const record of records) {
+    lines.push(COLUMNS.map(column => csvCell(record[column], column)).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function toNDJSON(records) {
+  return records.map(record => JSON.stringify(record) + '\n').join('');
+}
+
+/**
+ * Parse an export. The format is detected from the content when not given:
+ * a leading "[" is JSON, a leading "{" NDJSON, anything else CSV.
+ *
+ * @param {string} text
+ * @param {'csv'|'ndjson'|'json'} [format]
+ * @returns {object[]} records (unvalidated — UsageDB.importRecords checks them)
+ */
+function parse(text, format = detectFormat(text)) {
+  if (format === 'json') {
+    const records = JSON.parse(text);
+    if (!Array.isArray(records)) throw new Error('Expected a JSON array of records');
+    return records;
+  }
+  if (format === 'ndjson') {
+    return text.split('\n').map(line => line.trim()).filter(Boolean).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Line ${i + 1}: ${err.message}`);
+      }
+    });
+  }
+  if (format === 'csv') return parseCSV(text);
+  throw new Error(`Unknown import format "${format}" (expected ${FORMATS.join(', ')})`);
+}
+
+function detectFormat(text) {
+  const first = text.replace(/^\uFEFF/, '').trimStart()[0];
+  if (first === '[') return 'json';
+  if (first === '{') return 'ndjson';
+  return 'csv';
+}
+
+// Format implied by a file name (e.g. --out usage.csv), or null
+function formatForFile(file) {
+  const match = /\.(csv|ndjson|jsonl|json)$/i.exec(file || '');
+  if (!match) return null;
+  const ext = match[1].toLowerCase();
+  return ext === 'jsonl' ? 'ndjson' : ext;
+}
+
+// ── Internals ──
+
+function csvCell(value, column) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (!NUMERIC_COLUMNS.has(column) && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCSV(text) {
+  const rows = csvRows(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return [];
+  const header = rows[0].map(name => name.trim());
+  if (!header.includes('kind') || !header.includes('project')) {
+    throw new Error('Not an All Day Poke export: the CSV header needs "kind" and "project" columns');
+  }
+
+  const records = [];
+  for (const row of rows.slice(1)) {
+    if (row.length === 1 && row[0] === '') continue;
+    const record = {};
+    header.forEach((column, i) => {
+      let value = row[i];
+      if (value === undefined || value === '') return;
+      if (NUMERIC_COLUMNS.has(column)) {
+        value = Number(value);
+      } else if (value[0] === "'" && FORMULA_PREFIX.test(value.slice(1))) {
+        value = value.slice(1);
+      }
+      record[column] = value;
+    });
+    records.push(record);
+  }
+  return records;
+}
+
+// RFC 4180: quoted cells may contain commas, doubled quotes and line breaks
+function csvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+module.exports = { serialize, parse, detectFormat, formatForFile, FORMATS, COLUMNS };
@@ -0,0 +1,293 @@
+/**
+ * Usage Forecast — burn-rate forecasting for the rate-limit windows.
+ *
+ * Every usage payload (fetched once a minute by ClaudeOAuthUsageTracker) is
+ * recorded as a timestamped utilization sample per window. From the recent
+ * samples we fit a least-squares line to get the burn rate (% per hour) and
+ * its standard error, which gives an uncertainty band:
+ *
+ *   rateLow / rateHigh = rate ∓ 2·SE   (never narrower than one 1% step over
+ *                                       the sample span, since the API
+ *                                       reports whole-ish percentages)
+ *
+ * Projections (exhaustion time, utilization at reset) are reported for the
+ * central rate and for both ends of the band. `status` is only
+ * 'will_exhaust' when even the low end of the band runs out before
+ * resets_at, and 'at_risk' when the high end does, so a single noisy sample
+ * doesn't flip the verdict back and forth.
+ *
+ * Samples are kept on disk (~/.alldaypoke/usage-samples.json) so the weekly
+ * windows have history right after a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const log = require('./logger');
+
+const SAMPLES_FILE = path.join(os.homedir(), '.alldaypoke', 'usage-samples.json');
+
+const WINDOWS = {
+  five_hour: '5-hour',
+  seven_day: '7-day',
+  seven_day_opus: '7-day Opus',
+  seven_day_sonnet: '7-day Sonnet',
+};
+
+// How far back samples count toward the burn rate. Short for the 5-hour
+// window (pace changes quickly), longer for the weekly ones.
+const LOOKBACK_MS = {
+  five_hour: 60 * 60 * 1000,
+  seven_day: 12 * 60 * 60 * 1000,
+  seven_day_opus: 12 * 60 * 60 * 1000,
+  seven_day_sonnet: 12 * 60 * 60 * 1000,
+};
+
+// Need at least this many samples spanning at least this long to forecast.
+const MIN_SAMPLES = 5;
+const MIN_SPAN_MS = 10 * 60 * 1000;
+
+// Ignore samples closer together than this (re-sent payloads)
+const MIN_SAMPLE_GAP_MS = 30 * 1000;
+
+// A resets_at that moves by more than this means a new window started
+const RESET_SHIFT_TOLERANCE_MS = 10 * 60 * 1000;
+
+// Width of the uncertainty band in standard errors
+const BAND_SIGMAS = 2;
+
+const SAVE_THROTTLE_MS = 5 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class UsageForecaster {
+  constructor(options = {}) {
+    this.file = options.file || SAMPLES_FILE;
+    // window -> [{ t, u, resetsAt }]
+    this.samples = this._load();
+    this.lastSavedAt = 0;
+  }
+
+  /**
+   * Record the windows in a normalized usage payload.
+   */
+  addSample(usage) {
+    if (!usage || usage.error) return;
+
+    const t = usage.timestamp ? new Date(usage.timestamp).getTime() : Date.now();
+    if (!Number.isFinite(t)) return;
+
+    let added = false;
+    for (const [key, w] of Object.entries(UsageForecaster.extractWindows(usage))) {
+      added = this._addWindowSample(key, w, t) || added;
+    }
+
+    if (added && Date.now() - this.lastSavedAt >= SAVE_THROTTLE_MS) this.flush();
+  }
+
+  /**
+   * Forecast every window that has samples.
+   * @returns {Object<string, object>} window key -> forecast
+   */
+  getForecasts(now = Date.now()) {
+    const result = {};
+    for (const key of Object.keys(WINDOWS)) {
+      const forecast = this.forecast(key, now);
+      if (forecast) result[key] = forecast;
+    }
+    return result;
+  }
+
+  /**
+   * Forecast one window, or null when it has never been sampled.
+   */
+  forecast(key, now = Date.now()) {
+    const list = this._recent(key, now);
+    if (list.length === 0) return null;
+
+    const last = list[list.length - 1];
+    const resetMs = last.resetsAt ? new Date(last.resetsAt).getTime() : NaN;
+    const hoursToReset = Number.isFinite(resetMs) ? Math.max(0, (resetMs - now) / HOUR_MS) : null;
+    const remaining = Math.max(0, 100 - last.u);
+
+    const base = {
+      window: key,
+      label: WINDOWS[key],
+      utilization: last.u,
+      resetsAt: last.resetsAt,
+      samples: list.length,
+      spanMinutes: Math.round((last.t - list[0].t) / 60000),
+      safePacePerHour: hoursToReset ? round1(remaining / hoursToReset) : null,
+    };
+
+    if (last.u >= 100) {
+      return { ...base, status: 'exhausted', ratePerHour: null, rateLow: null, rateHigh: null, exhaustsAt: null, exhaustsAtEarliest: null, exhaustsAtLatest: null, projectedAtReset: null };
+    }
+
+    const fit = this._fitRate(list);
+    if (!fit) {
+      return { ...base, status: 'insufficient_data', ratePerHour: null, rateLow: null, rateHigh: null, exhaustsAt: null, exhaustsAtEarliest: null, exhaustsAtLatest: null, projectedAtReset: null };
+    }
+
+    const exhaustAt = (rate) => (rate > 0 ? now + (remaining / rate) * HOUR_MS : null);
+    const beforeReset = (at) => at !== null && (!Number.isFinite(resetMs) || at < resetMs);
+    const toIso = (at) => (at !== null ? new Date(at).toISOString() : null);
+
+    const central = exhaustAt(fit.rate);
+    // The fast end of the band exhausts earliest
+    const earliest = exhaustAt(fit.high);
+    const latest = exhaustAt(fit.low);
+
+    // A flat line is "safe" even though the band's high end (the resolution
+    // floor) would technically exhaust a long weekly window
+    let status = 'safe';
+    if (beforeReset(latest)) status = 'will_exhaust';
+    else if (fit.rate > 0 && beforeReset(earliest)) status = 'at_risk';
+
+    const projectAt = (rate) => (hoursToReset === null ? null : round1(Math.min(100, last.u + rate * hoursToReset)));
+
+    return {
+      ...base,
+      status,
+      ratePerHour: round1(fit.rate),
+      rateLow: round1(fit.low),
+      rateHigh: round1(fit.high),
+      // Only report exhaustion times that happen before the window resets
+      exhaustsAt: beforeReset(central) ? toIso(central) : null,
+      exhaustsAtEarliest: beforeReset(earliest) ? toIso(earliest) : null,
+      exhaustsAtLatest: beforeReset(latest) ? toIso(latest) : null,
+      projectedAtReset: hoursToReset === null ? null : {
+        value: projectAt(fit.rate),
+        low: projectAt(fit.low),
+        high: projectAt(fit.high),
+      },
+    };
+  }
+
+  /**
+   * Write samples to disk now.
+   */
+  flush() {
+    this.lastSavedAt = Date.now();
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const data = {};
+      for (const [key, list] of this.samples) data[key] = list;
+      fs.writeFileSync(this.file, JSON.stringify({ version: 1, samples: data }));
+    } catch (err) {
+      log.error('UsageForecaster: failed to save samples:', err.message);
+    }
+  }
+
+  /**
+   * Pull per-window utilization out of a normalized payload. Payloads without
+   * `details` (manual file, /status scraper) only describe the 5-hour window.
+   */
+  static extractWindows(usage) {
+    const windows = {};
+    const details = usage.details || {};
+    for (const key of Object.keys(WINDOWS)) {
+      const d = details[key];
+      if (d && Number.isFinite(d.utilization)) {
+        windows[key] = { utilization: d.utilization, resetsAt: d.resets_at || null };
+      }
+    }
+    if (!windows.five_hour && Number.isFinite(usage.pct)) {
+      windows.five_hour = { utilization: usage.pct, resetsAt: usage.reset_at || null };
+    }
+    return windows;
+  }
+
+  // ── Internals ──
+
+  _addWindowSample(key, w, t) {
+    let list = this.samples.get(key) || [];
+    const prev = list[list.length - 1];
+
+    if (prev) {
+      if (t - prev.t < MIN_SAMPLE_GAP_MS) return false;
+      if (this._isNewWindow(prev, w)) list = [];
+    }
+
+    list.push({ t, u: w.utilization, resetsAt: w.resetsAt });
+
+    const cutoff = t - LOOKBACK_MS[key];
+    while (list.length > 0 && list[0].t < cutoff) list.shift();
+    this.samples.set(key, list);
+    return true;
+  }
+
+  _isNewWindow(prev, w) {
+    // Utilization only drops when the window rolls over
+    if (w.utilization < prev.u - 1) return true;
+    if (!prev.resetsAt || !w.resetsAt) return false;
+    const shift = Math.abs(new Date(w.resetsAt).getTime() - new Date(prev.resetsAt).getTime());
+    return shift > RESET_SHIFT_TOLERANCE_MS;
+  }
+
+  _recent(key, now) {
+    const list = this.samples.get(key) || [];
+    const cutoff = now - LOOKBACK_MS[key];
+    return list.filter(s => s.t >= cutoff && s.t <= now);
+  }
+
+  /**
+   * Least-squares burn rate in %/hour with an uncertainty band.
+   */
+  _fitRate(list) {
+    const n = list.length;
+    const span = list[n - 1].t - list[0].t;
+    if (n < MIN_SAMPLES || span < MIN_SPAN_MS) return null;
+
+    const t0 = list[0].t;
+    const xs = list.map(s => (s.t - t0) / HOUR_MS);
+    const ys = list.map(s => s.u);
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    for (let i = 0; i < n; i++) {
+      sxx += (xs[i] - meanX) ** 2;
+      sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    }
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+    let sse = 0;
+    for (let i = 0; i < n; i++) sse += (ys[i] - (intercept + slope * xs[i])) ** 2;
+    const se = Math.sqrt(sse / (n - 2) / sxx);
+
+    // One percentage point over the sample span is the resolution floor
+    const halfWidth = Math.max(BAND_SIGMAS * se, 1 / (span / HOUR_MS));
+    const rate = Math.max(0, slope);
+
+    return {
+      rate,
+      low: Math.max(0, slope - halfWidth),
+      high: Math.max(0, slope + halfWidth),
+    };
+  }
+
+  _load() {
+    const samples = new Map();
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const [key, list] of Object.entries(data.samples || {})) {
+        if (WINDOWS[key] && Array.isArray(list)) {
+          samples.set(key, list.filter(s => Number.isFinite(s.t) && Number.isFinite(s.u)));
+        }
+      }
+    } catch { /* no history yet */ }
+    return samples;
+  }
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+UsageForecaster.WINDOWS = WINDOWS;
+
+module.exports = UsageForecaster;
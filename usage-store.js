@@ -0,0 +1,296 @@
+/**
+ * Usage Store — crash-safe persistence for UsageDB.
+ *
+ * The database lives in two files next to each other:
+ *
+ *   usage-history.json      snapshot of the whole database. Only ever replaced
+ *                           by writing a temp file, fsync'ing it and renaming it
+ *                           over the old one, so it is never half-written.
+ *                           The previous snapshot is kept as .bak.
+ *   usage-history.journal   append-only NDJSON log of every operation applied
+ *                           since that snapshot, one fsync'd line per op.
+ *
+ * Loading reads the snapshot, runs schema migrations, then replays the
+ * journal on top. Every journal line carries a sequence number and a
+ * checksum; the snapshot records the last sequence number it contains, so a
+ * crash between writing a snapshot and truncating the journal never applies
+ * an op twice. A torn or corrupt line at the tail (crash mid-append) is
+ * dropped and the journal truncated back to the last good line.
+ *
+ * A snapshot that fails to parse is moved aside (never overwritten) and the
+ * .bak is used instead. A snapshot written by a newer schema version is
+ * loaded read-only so an older app can't clobber it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const log = require('./logger');
+
+// Write a fresh snapshot (and empty the journal) after this many ops.
+const CHECKPOINT_EVERY_OPS = 500;
+
+class UsageStore {
+  /**
+   * @param {object} options
+   * @param {string} options.file          - snapshot path (usage-history.json)
+   * @param {number} options.version       - current schema version
+   * @param {Object<number, Function>} options.migrations
+   *   map of version -> fn(data) that upgrades data from that version to the
+   *   next one in place (and bumps data.version)
+   * @param {Function} options.createEmpty - () => empty database at `version`
+   * @param {Function} options.applyOp     - (data, op) => void, replays one op
+   * @param {boolean}  [options.readOnly]   - never write (e.g. the CLI reading
+   *                                          while the app owns the files)
+   */
+  constructor(options) {
+    this.file = options.file;
+    this.journalFile = options.file.replace(/\.json$/, '') + '.journal';
+    this.backupFile = `${options.file}.bak`;
+    this.tempFile = `${options.file}.tmp`;
+    this.version = options.version;
+    this.migrations = options.migrations || {};
+    this.createEmpty = options.createEmpty;
+    this.applyOp = options.applyOp;
+
+    this.seq = 0;
+    this.opsSinceCheckpoint = 0;
+    this.readOnly = !!options.readOnly;
+    this.journalFd = null;
+  }
+
+  /**
+   * Load the snapshot, migrate it, and replay the journal.
+   * Never throws — worst case returns an empty database.
+   */
+  load() {
+    this._ensureDir();
+
+    let data = this._readSnapshot(this.file);
+    let restored = false;
+    if (data === undefined) {
+      // No usable snapshot: fall back to the previous one
+      data = this._readSnapshot(this.backupFile);
+      if (data !== undefined) {
+        restored = true;
+        log.error(`UsageStore: restored ${path.basename(this.file)} from backup`);
+      }
+    }
+    if (!data) data = this.createEmpty();
+
+    const migrated = this._migrate(data);
+    this.seq = data.journalSeq || 0;
+
+    const replayed = this._replayJournal(data);
+    this.opsSinceCheckpoint = replayed;
+
+    // Persist migrations (and a restored backup) right away so the journal
+    // applies to the snapshot we actually loaded
+    if ((migrated || restored) && !this.readOnly) this.checkpoint(data);
+
+    return data;
+  }
+
+  /**
+   * Append one operation to the journal and fsync it. The caller has already
+   * applied the op to its in-memory data.
+   *
+   * @returns {boolean} true when a checkpoint is due
+   */
+  append(op) {
+    if (this.readOnly) return false;
+
+    this.seq += 1;
+    const line = JSON.stringify({ seq: this.seq, op, sum: this._checksum(op) }) + '\n';
+
+    try {
+      if (this.journalFd === null) {
+        this.journalFd = fs.openSync(this.journalFile, 'a');
+      }
+      fs.writeSync(this.journalFd, line);
+      fs.fdatasyncSync(this.journalFd);
+    } catch (err) {
+      log.error('UsageStore: failed to append to journal:', err.message);
+      return false;
+    }
+
+    this.opsSinceCheckpoint += 1;
+    return this.opsSinceCheckpoint >= CHECKPOINT_EVERY_OPS;
+  }
+
+  /**
+   * Write a full snapshot atomically and empty the journal.
+   */
+  checkpoint(data) {
+    if (this.readOnly) return;
+
+    data.version = this.version;
+    data.journalSeq = this.seq;
+
+    try {
+      this._ensureDir();
+      const fd = fs.openSync(this.tempFile, 'w');
+      try {
+        fs.writeSync(fd, JSON.stringify(data));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      if (fs.existsSync(this.file)) fs.copyFileSync(this.file, this.backupFile);
+      fs.renameSync(this.tempFile, this.file);
+      this._fsyncDir();
+
+      // Everything up to this.seq is now in the snapshot
+      if (this.journalFd !== null) {
+        fs.ftruncateSync(this.journalFd, 0);
+      } else if (fs.existsSync(this.journalFile)) {
+        fs.truncateSync(this.journalFile, 0);
+      }
+      this.opsSinceCheckpoint = 0;
+    } catch (err) {
+      log.error('UsageStore: checkpoint failed:', err.message);
+    }
+  }
+
+  close() {
+    if (this.journalFd !== null) {
+      try { fs.closeSync(this.journalFd); } catch { /* already closed */ }
+      this.journalFd = null;
+    }
+  }
+
+  // ── Internals ──
+
+  /**
+   * Read and parse a snapshot. Returns undefined when the file is missing or
+   * unreadable; a corrupt file is moved aside so it is never overwritten,
+   * unless read-only (the writer may be halfway through replacing it).
+   */
+  _readSnapshot(file) {
+    if (!fs.existsSync(file)) return undefined;
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+        throw new Error('missing schema version');
+      }
+      return data;
+    } catch (err) {
+      if (this.readOnly) {
+        log.error(`UsageStore: ${path.basename(file)} is unreadable (${err.message})`);
+        return undefined;
+      }
+      const quarantine = `${file}.corrupt-${Date.now()}`;
+      log.error(`UsageStore: ${path.basename(file)} is corrupt (${err.message}), moved to ${path.basename(quarantine)}`);
+      try { fs.renameSync(file, quarantine); } catch { /* leave it in place */ }
+      return undefined;
+    }
+  }
+
+  /**
+   * Run migrations up to the current version. Returns true if any ran.
+   */
+  _migrate(data) {
+    if (data.version > this.version) {
+      this.readOnly = true;
+      log.error(`UsageStore: database schema v${data.version} is newer than supported v${this.version}; opening read-only`);
+      return false;
+    }
+
+    let migrated = false;
+    while (data.version < this.version) {
+      const migrate = this.migrations[data.version];
+      if (!migrate) {
+        this.readOnly = true;
+        log.error(`UsageStore: no migration from schema v${data.version}; opening read-only`);
+        return false;
+      }
+      const from = data.version;
+      migrate(data);
+      if (data.version <= from) data.version = from + 1;
+      log(`UsageStore: migrated database schema v${from} → v${data.version}`);
+      migrated = true;
+    }
+    return migrated;
+  }
+
+  /**
+   * Apply journal ops newer than the snapshot. Stops at the first torn or
+   * corrupt line and truncates the journal back to the last good one.
+   * Returns the number of ops applied.
+   */
+  _replayJournal(data) {
+    if (!fs.existsSync(this.journalFile)) return 0;
+
+    let raw;
+    try {
+      raw = fs.readFileSync(this.journalFile);
+    } catch (err) {
+      log.error('UsageStore: failed to read journal:', err.message);
+      return 0;
+    }
+
+    let offset = 0;
+    let applied = 0;
+    let damaged = false;
+
+    while (offset < raw.length) {
+      const newline = raw.indexOf(0x0a, offset);
+      if (newline === -1) {
+        damaged = true; // torn final write
+        break;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(raw.toString('utf8', offset, newline));
+      } catch {
+        damaged = true;
+        break;
+      }
+      if (!record || !Number.isInteger(record.seq) || record.sum !== this._checksum(record.op)) {
+        damaged = true;
+        break;
+      }
+
+      if (record.seq > (data.journalSeq || 0)) {
+        try {
+          this.applyOp(data, record.op);
+        } catch (err) {
+          log.error(`UsageStore: failed to replay op #${record.seq}:`, err.message);
+        }
+        applied += 1;
+      }
+      this.seq = Math.max(this.seq, record.seq);
+      offset = newline + 1;
+    }
+
+    if (damaged) {
+      log.error(`UsageStore: journal damaged after ${offset} bytes (${raw.length - offset} bytes dropped)`);
+      if (!this.readOnly) {
+        try { fs.truncateSync(this.journalFile, offset); } catch { /* replayed what we could */ }
+      }
+    }
+    if (applied > 0) log(`UsageStore: replayed ${applied} journal ops`);
+    return applied;
+  }
+
+  _checksum(op) {
+    return crypto.createHash('sha1').update(JSON.stringify(op)).digest('hex').slice(0, 12);
+  }
+
+  _ensureDir() {
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  }
+
+  _fsyncDir() {
+    // Make the rename itself durable; not supported on every platform
+    try {
+      const fd = fs.openSync(path.dirname(this.file), 'r');
+      try { fs.fsyncSync(fd); } finally { fs.closeSync(fd); }
+    } catch { /* best effort */ }
+  }
+}
+
+module.exports = UsageStore;